@@ -0,0 +1,62 @@
+/**
+ * Issue API keys to existing sensors
+ * Sensors registered before per-device keys have none, so they cannot send
+ * readings over HTTP or an external MQTT broker. This issues a key to every
+ * active sensor without one (revoked keys are left alone) and writes them to
+ * storage/device-keys-<date>.csv to be flashed onto the devices. Keys are
+ * only stored hashed: keep the file until every device is updated, then
+ * delete it.
+ *
+ * Usage: node scripts/issue-device-keys.js [--farm <farmId>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Sensor = require('../src/models/Sensor');
+
+const STORAGE_DIR = path.join(__dirname, '..', 'storage');
+
+const main = async () => {
+  const farmIndex = process.argv.indexOf('--farm');
+  const farmId = farmIndex !== -1 ? process.argv[farmIndex + 1] : null;
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const sensors = await Sensor.find({
+    ...(farmId ? { farmId } : {}),
+    isActive: true,
+    'credentials.keyHash': { $exists: false },
+    'credentials.revokedAt': { $exists: false }
+  }).select('+credentials.keyHash');
+
+  if (sensors.length === 0) {
+    console.log('✅ Every active sensor already has an API key');
+    return;
+  }
+
+  const rows = ['farmId,deviceId,sensorId,apiKey'];
+  for (const sensor of sensors) {
+    try {
+      const apiKey = await sensor.issueApiKey(undefined, 'Issued to existing sensor');
+      rows.push(`${sensor.farmId},${sensor.deviceId},${sensor._id},${apiKey}`);
+    } catch (error) {
+      console.error(`⚠️  ${sensor.deviceId}: ${error.message}`);
+    }
+  }
+
+  fs.mkdirSync(STORAGE_DIR, { recursive: true });
+  const file = path.join(STORAGE_DIR, `device-keys-${new Date().toISOString().slice(0, 10)}.csv`);
+  fs.writeFileSync(file, `${rows.join('\n')}\n`, { mode: 0o600 });
+
+  console.log(`🔑 Issued ${rows.length - 1} API keys, written to ${file}`);
+};
+
+main()
+  .catch(error => {
+    console.error('❌ Issuing API keys failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,78 @@
+/**
+ * Unique reading index migration
+ * Batch uploads are deduplicated on a unique (sensorId, timestamp) index.
+ * Databases created before it have a plain index under the same name and may
+ * hold duplicate pairs, so Mongoose cannot build it (autoIndex only logs the
+ * error). This keeps the first stored reading of each duplicate pair, deletes
+ * the others, and replaces the plain index with the unique one.
+ *
+ * Usage: node scripts/migrate-reading-index.js [--dry-run]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const SensorReading = require('../src/models/SensorReading');
+
+const KEY = { sensorId: 1, timestamp: -1 };
+const DELETE_BATCH = 1000;
+
+const isReadingKey = (index) => {
+  return Object.keys(index.key).length === 2 && index.key.sensorId === 1 && index.key.timestamp === -1;
+};
+
+// Readings sharing a (sensorId, timestamp) pair, except the first stored one
+const findDuplicates = async () => {
+  const groups = await SensorReading.aggregate([
+    { $group: { _id: { sensorId: '$sensorId', timestamp: '$timestamp' }, keep: { $min: '$_id' }, ids: { $push: '$_id' } } },
+    { $match: { 'ids.1': { $exists: true } } }
+  ]).allowDiskUse(true);
+
+  return groups.flatMap(group => group.ids.filter(id => !id.equals(group.keep)));
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+
+  const duplicates = await findDuplicates();
+  console.log(`🔍 ${duplicates.length} duplicate readings found`);
+
+  const indexes = await SensorReading.collection.indexes();
+  const existing = indexes.find(isReadingKey);
+
+  if (dryRun) {
+    if (existing?.unique) {
+      console.log('✅ Unique index already built');
+    } else {
+      console.log(existing ? `ℹ️  Index ${existing.name} would be rebuilt as unique` : 'ℹ️  Unique index would be built');
+    }
+    return;
+  }
+
+  for (let i = 0; i < duplicates.length; i += DELETE_BATCH) {
+    await SensorReading.deleteMany({ _id: { $in: duplicates.slice(i, i + DELETE_BATCH) } });
+  }
+  if (duplicates.length > 0) console.log(`🧹 Deleted ${duplicates.length} duplicate readings`);
+
+  if (existing?.unique) {
+    console.log('✅ Unique index already built');
+    return;
+  }
+
+  if (existing) {
+    await SensorReading.collection.dropIndex(existing.name);
+    console.log(`🗑️  Dropped index ${existing.name}`);
+  }
+
+  await SensorReading.collection.createIndex(KEY, { unique: true });
+  console.log('✅ Unique (sensorId, timestamp) index built');
+};
+
+main()
+  .catch(error => {
+    console.error('❌ Reading index migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
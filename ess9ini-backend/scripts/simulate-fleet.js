@@ -0,0 +1,567 @@
+/**
+ * Sensor fleet simulator
+ * Streams realistic readings from a farm's sensors to a locally running
+ * backend, over HTTP or MQTT, so the app can be developed and demoed without
+ * field hardware. Simulated sensors (device IDs starting with SIM) are created
+ * through the API when missing, and their API keys kept in
+ * storage/simulator-keys.json.
+ *
+ * The soil model dries each depth towards the wilting point following the
+ * daily evaporative demand (faster in sandy soils and near the surface),
+ * drains water above field capacity, and wets the soil when irrigation runs
+ * or it rains, the water reaching deeper layers later. Sensors drain their
+ * battery, drop out for a while (uploading the readings they buffered when
+ * they come back) and occasionally fail (stuck value, spike, noisy probe).
+ *
+ * Usage: node scripts/simulate-fleet.js [--transport http|mqtt] [--sensors 6]
+ *   [--interval 60] [--backfill 48h] [--duration 0] [--farm <id>] [--seed <n>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const mqtt = require('mqtt');
+require('dotenv').config();
+
+const CONSTANTS = require('../src/config/constants');
+const { getTimeZoneOffset, parseZoneNumber } = require('../src/utils/helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const KEYS_FILE = path.join(__dirname, '..', 'storage', 'simulator-keys.json');
+const PROBE_DEPTHS = [15, 30, 60];
+
+// Soil water behaviour (moisture %): drydown is the share of plant-available
+// water lost per day at full evaporative demand near the surface,
+// infiltration how fast the wetting front moves down (cm/h)
+const SOILS = {
+  [CONSTANTS.SOIL_TYPES.SANDY]: { wiltingPoint: 10, fieldCapacity: 30, saturation: 42, drydown: 0.30, infiltration: 12 },
+  [CONSTANTS.SOIL_TYPES.SANDY_LOAM]: { wiltingPoint: 14, fieldCapacity: 38, saturation: 50, drydown: 0.22, infiltration: 8 },
+  [CONSTANTS.SOIL_TYPES.LOAM]: { wiltingPoint: 18, fieldCapacity: 46, saturation: 56, drydown: 0.16, infiltration: 5 },
+  [CONSTANTS.SOIL_TYPES.SILT_LOAM]: { wiltingPoint: 20, fieldCapacity: 50, saturation: 60, drydown: 0.14, infiltration: 4 },
+  [CONSTANTS.SOIL_TYPES.CLAY_LOAM]: { wiltingPoint: 26, fieldCapacity: 56, saturation: 64, drydown: 0.11, infiltration: 2.5 },
+  [CONSTANTS.SOIL_TYPES.CLAY]: { wiltingPoint: 30, fieldCapacity: 60, saturation: 68, drydown: 0.08, infiltration: 1.5 }
+};
+
+// Simulation settings
+const MODEL = {
+  STEP: 5 * 60 * 1000, // soil model time step
+  DEMAND_HOURS: 26 / Math.PI, // integral of the daytime demand curve (6h-19h)
+  NIGHT_DEMAND: 0.03,
+  DRAINAGE: 0.5, // share of the water above field capacity drained per hour
+  IRRIGATION_RATE: 8, // moisture points per hour added at the surface while irrigating
+  RAIN_CHANCE: 0.002, // per hour
+  AUTO_IRRIGATION_HOUR: 6, // backfill only: zones irrigate at 06:00 when dry
+  AUTO_IRRIGATION_HOURS: 2,
+  DROPOUT_CHANCE: 0.03, // per hour
+  FAULT_CHANCE: 0.01, // per hour
+  BATTERY_PER_READING: 0.002, // radio transmission
+  BATTERY_PER_HOUR: 0.02
+};
+
+// Command line options (--name value or --name=value)
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) continue;
+    if (match[2] !== undefined) {
+      options[match[1]] = match[2];
+    } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      options[match[1]] = argv[++i];
+    } else {
+      options[match[1]] = 'true';
+    }
+  }
+  return options;
+};
+
+// "48h", "2d", "90m" -> milliseconds
+const parseDuration = (value) => {
+  const match = String(value || '0').match(/^(\d+(?:\.\d+)?)([mhd]?)$/);
+  if (!match) throw new Error(`Invalid duration: ${value}`);
+  const unit = { m: 60 * 1000, h: HOUR_MS, d: 24 * HOUR_MS, '': HOUR_MS }[match[2]];
+  return parseFloat(match[1]) * unit;
+};
+
+// Seeded random numbers (mulberry32), so a demo can be replayed
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.between = (min, max) => min + random() * (max - min);
+  random.gaussian = () => Math.sqrt(-2 * Math.log(random() || 1e-9)) * Math.cos(2 * Math.PI * random());
+  return random;
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Local (Africa/Tunis) hour of day
+const localHour = (time) => {
+  const local = new Date(time + getTimeZoneOffset(new Date(time)) * 60 * 1000);
+  return local.getUTCHours() + local.getUTCMinutes() / 60;
+};
+
+// Evaporative demand, 0 at night to 1 at solar noon
+const demandAt = (hour) => {
+  if (hour < 6 || hour > 19) return MODEL.NIGHT_DEMAND;
+  return Math.max(MODEL.NIGHT_DEMAND, Math.sin((Math.PI * (hour - 6)) / 13));
+};
+
+// Air conditions with a daily cycle (warmest around 15h) and day-to-day variation
+const weatherAt = (time, random, day) => {
+  const hour = localHour(time);
+  const temperature = day.meanTemperature + 7 * Math.cos((2 * Math.PI * (hour - 15)) / 24) + random.gaussian() * 0.3;
+  const daylight = hour >= 6 && hour <= 19 ? Math.sin((Math.PI * (hour - 6)) / 13) : 0;
+
+  return {
+    temperature: round(temperature),
+    humidity: round(clamp(day.meanHumidity - 2.5 * (temperature - day.meanTemperature) + random.gaussian(), 10, 98)),
+    lightIntensity: Math.round(85000 * daylight * day.clearSky)
+  };
+};
+
+// --- Soil and sensors ---------------------------------------------------------
+
+const createZone = (name, farm, random) => {
+  const farmZone = (farm.location?.zones || []).find(zone =>
+    zone.name?.toLowerCase() === name.toLowerCase() || zone.id === parseZoneNumber(name));
+  const soil = SOILS[farmZone?.soilType || farm.soilType] || SOILS[CONSTANTS.SOIL_TYPES.LOAM];
+
+  return {
+    name,
+    number: farmZone?.id ?? parseZoneNumber(name),
+    soil,
+    irrigatingUntil: 0,
+    // Start somewhere between half-dry and field capacity
+    initialMoisture: random.between(
+      soil.wiltingPoint + (soil.fieldCapacity - soil.wiltingPoint) * 0.5,
+      soil.fieldCapacity
+    )
+  };
+};
+
+const createSimSensor = (sensor, apiKey, zone, random) => {
+  const depths = sensor.location.depths?.length ? sensor.location.depths : [sensor.location.depth ?? 15];
+
+  return {
+    sensor,
+    apiKey,
+    zone,
+    layers: depths.map(depth => ({
+      depth,
+      moisture: zone.initialMoisture + random.between(-2, 2) + depth * 0.05,
+      pending: [] // water on its way down: [{ at, amount }]
+    })),
+    battery: random.between(40, 100),
+    signalBase: random.between(-100, -70),
+    offset: random.between(-1.5, 1.5), // probe-to-probe spread
+    fault: null,
+    dropoutUntil: 0,
+    buffer: [],
+    dead: false
+  };
+};
+
+// Send water down from the surface; deeper layers get less, later
+const addWater = (sim, time, amount) => {
+  sim.layers.forEach(layer => {
+    layer.pending.push({
+      at: time + (layer.depth / sim.zone.soil.infiltration) * HOUR_MS,
+      amount: amount * Math.exp(-layer.depth / 80)
+    });
+  });
+};
+
+// Advance one sensor's soil by dt hours
+const stepSoil = (sim, time, dtHours) => {
+  const { soil } = sim.zone;
+  const demand = demandAt(localHour(time));
+
+  sim.layers.forEach(layer => {
+    const rate = soil.drydown * Math.exp(-layer.depth / 50) * (demand / MODEL.DEMAND_HOURS);
+    layer.moisture -= rate * dtHours * Math.max(0, layer.moisture - soil.wiltingPoint);
+
+    if (layer.moisture > soil.fieldCapacity) {
+      layer.moisture -= (layer.moisture - soil.fieldCapacity) * Math.min(1, MODEL.DRAINAGE * dtHours);
+    }
+
+    layer.pending = layer.pending.filter(water => {
+      if (water.at > time) return true;
+      layer.moisture = Math.min(soil.saturation, layer.moisture + water.amount);
+      return false;
+    });
+  });
+};
+
+// Reading as the device would send it, including any fault
+const readSensor = (sim, time, weather, random) => {
+  const noise = () => random.gaussian() * (sim.fault?.type === 'noisy' ? 8 : 0.4);
+  let values = sim.layers.map(layer => clamp(round(layer.moisture + sim.offset + noise()), 0, 100));
+
+  if (sim.fault?.type === 'stuck') values = sim.fault.values;
+  if (sim.fault?.type === 'spike') {
+    values = values.map(() => (random() < 0.5 ? 0 : 100));
+    sim.fault = null;
+  }
+
+  const mainIndex = Math.max(0, sim.layers.findIndex(layer => layer.depth === sim.sensor.location.depth));
+  const payload = {
+    readings: {
+      moistureLevel: values[mainIndex],
+      temperature: weather.temperature,
+      humidity: weather.humidity,
+      lightIntensity: weather.lightIntensity,
+      batteryLevel: round(sim.battery),
+      signalStrength: Math.round(clamp(sim.signalBase + random.gaussian() * 3, -120, 0))
+    },
+    timestamp: new Date(time).toISOString()
+  };
+
+  if (sim.layers.length > 1) {
+    payload.profile = sim.layers.map((layer, i) => ({ depth: layer.depth, moistureLevel: values[i] }));
+  }
+
+  return payload;
+};
+
+// Battery drain, dropouts and faults between readings
+const updateDevice = (sim, time, dtHours, random) => {
+  sim.battery = Math.max(0, sim.battery - MODEL.BATTERY_PER_READING - MODEL.BATTERY_PER_HOUR * dtHours);
+  if (sim.battery <= 0 && !sim.dead) {
+    sim.dead = true;
+    console.log(`🪫 ${sim.sensor.deviceId} battery empty, no longer reporting`);
+  }
+
+  if (sim.fault && sim.fault.until <= time) sim.fault = null;
+
+  if (time >= sim.dropoutUntil && random() < MODEL.DROPOUT_CHANCE * dtHours) {
+    sim.dropoutUntil = time + random.between(0.25, 3) * HOUR_MS;
+  }
+
+  if (!sim.fault && random() < MODEL.FAULT_CHANCE * dtHours) {
+    const type = ['stuck', 'spike', 'noisy'][Math.floor(random() * 3)];
+    sim.fault = {
+      type,
+      until: time + random.between(1, 6) * HOUR_MS,
+      values: sim.layers.map(layer => clamp(round(layer.moisture + sim.offset), 0, 100))
+    };
+    console.log(`⚠️  ${sim.sensor.deviceId} fault: ${type}`);
+  }
+};
+
+// --- Backend access -----------------------------------------------------------
+
+const createApi = (baseURL) => {
+  const api = axios.create({ baseURL, timeout: 15000 });
+  api.interceptors.response.use(response => response.data, error => {
+    const message = error.response?.data?.message || error.message;
+    return Promise.reject(new Error(`${error.config?.method?.toUpperCase()} ${error.config?.url}: ${message}`));
+  });
+  return api;
+};
+
+const loadKeys = () => {
+  try {
+    return JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+};
+
+const saveKeys = (keys) => {
+  fs.mkdirSync(path.dirname(KEYS_FILE), { recursive: true });
+  fs.writeFileSync(KEYS_FILE, JSON.stringify(keys, null, 2));
+};
+
+// Use the farm's simulated sensors, creating the missing ones
+const prepareSensors = async (api, farm, count, random) => {
+  const prefix = `SIM${farm._id.slice(-6).toUpperCase()}_`;
+  const { data } = await api.get('/sensors');
+  const existing = data.sensors.filter(sensor => sensor.deviceId.startsWith(prefix));
+  const zoneNames = (farm.location?.zones || []).map(zone => zone.name);
+  if (zoneNames.length === 0) zoneNames.push('Zone 1');
+
+  const sensors = existing.slice(0, count);
+  for (let i = sensors.length; i < count; i++) {
+    const number = String(i + 1).padStart(2, '0');
+    const probe = i % 3 === 0; // every third sensor is a multi-depth probe
+
+    const { data: created } = await api.post('/sensors', {
+      deviceId: `${prefix}${number}`,
+      name: `Simulated ${probe ? 'probe' : 'sensor'} ${number}`,
+      type: CONSTANTS.SENSOR_TYPES.SOIL_MOISTURE,
+      farmId: farm._id,
+      location: {
+        x: Math.round(random.between(0, 100)),
+        y: Math.round(random.between(0, 100)),
+        zone: zoneNames[i % zoneNames.length],
+        depth: probe ? PROBE_DEPTHS[0] : [15, 30][i % 2],
+        ...(probe && { depths: PROBE_DEPTHS })
+      },
+      specifications: { model: 'SIM-1' },
+      calibration: { dryValue: 3000, wetValue: 1200 }
+    });
+
+    console.log(`➕ Created ${created.sensor.deviceId} in ${created.sensor.location.zone}`);
+    sensors.push({ ...created.sensor, apiKey: created.apiKey });
+  }
+
+  // API keys are only shown once: keep them, rotating the ones we lost
+  const keys = loadKeys();
+  for (const sensor of sensors) {
+    if (sensor.apiKey) keys[sensor._id] = sensor.apiKey;
+    if (!keys[sensor._id]) {
+      const { data: rotated } = await api.post(`/sensors/${sensor._id}/api-key/rotate`, { reason: 'Fleet simulator' });
+      keys[sensor._id] = rotated.apiKey;
+    }
+  }
+  saveKeys(keys);
+
+  return sensors.map(sensor => ({ sensor, apiKey: keys[sensor._id] }));
+};
+
+// Zones the backend is currently irrigating
+const runningZones = async (api) => {
+  const { data } = await api.get('/irrigation');
+  return new Set(data.events
+    .filter(event => event.status === CONSTANTS.IRRIGATION_STATUS.RUNNING)
+    .flatMap(event => event.zones));
+};
+
+const createHttpTransport = (apiUrl) => {
+  const device = (sim) => ({ headers: { 'X-API-Key': sim.apiKey, 'X-Device-ID': sim.sensor.deviceId } });
+  const api = createApi(apiUrl);
+
+  return {
+    send: (sim, payload) => api.post(`/sensors/${sim.sensor._id}/readings`, payload, device(sim)),
+    sendBatch: (sim, samples) => api.post(`/sensors/${sim.sensor._id}/readings/batch`, { samples }, device(sim)),
+    close: async () => {}
+  };
+};
+
+// One MQTT connection per device, logged in with its own credentials
+const createMqttTransport = (brokerUrl) => {
+  const prefix = process.env.MQTT_TOPIC_PREFIX || 'ess9ini';
+  const clients = new Map();
+
+  const clientFor = async (sim) => {
+    if (!clients.has(sim.sensor._id)) {
+      clients.set(sim.sensor._id, await mqtt.connectAsync(brokerUrl, {
+        username: sim.sensor.deviceId,
+        password: sim.apiKey,
+        clientId: `${sim.sensor.deviceId}-${process.pid}`
+      }));
+    }
+    return clients.get(sim.sensor._id);
+  };
+
+  const publish = async (sim, channel, body) => {
+    const client = await clientFor(sim);
+    const farmId = sim.sensor.farmId?._id || sim.sensor.farmId;
+    const payload = { ...body, apiKey: sim.apiKey }; // required on an external broker
+    await client.publishAsync(`${prefix}/${farmId}/${sim.sensor.deviceId}/${channel}`, JSON.stringify(payload), { qos: 1 });
+  };
+
+  return {
+    send: (sim, payload) => publish(sim, 'readings', payload),
+    sendBatch: (sim, samples) => publish(sim, 'batch', { samples }),
+    close: () => Promise.all([...clients.values()].map(client => client.endAsync()))
+  };
+};
+
+// --- Simulation -----------------------------------------------------------------
+
+const createSimulation = (sims, random) => {
+  const newDay = () => ({
+    meanTemperature: random.between(18, 30),
+    meanHumidity: random.between(45, 70),
+    clearSky: random.between(0.6, 1)
+  });
+
+  let time = null;
+  let day = newDay();
+
+  // Run the soil model up to `until`, applying irrigation and rain
+  const advance = (until, { irrigating, autoIrrigate }) => {
+    if (time === null) time = until;
+
+    while (time < until) {
+      const dt = Math.min(MODEL.STEP, until - time);
+      const dtHours = dt / HOUR_MS;
+      const hour = localHour(time);
+      if (hour < localHour(time - dt)) day = newDay();
+
+      const zones = [...new Set(sims.map(sim => sim.zone))];
+      zones.forEach(zone => {
+        const zoneSims = sims.filter(sim => sim.zone === zone);
+
+        if (autoIrrigate && Math.floor(hour) === MODEL.AUTO_IRRIGATION_HOUR && zone.irrigatingUntil < time) {
+          const surface = zoneSims.map(sim => sim.layers[0].moisture);
+          const average = surface.reduce((sum, v) => sum + v, 0) / surface.length;
+          if (average < (zone.soil.wiltingPoint + zone.soil.fieldCapacity) / 2) {
+            zone.irrigatingUntil = time + MODEL.AUTO_IRRIGATION_HOURS * HOUR_MS;
+          }
+        }
+
+        const watering = irrigating.has(zone.number) || zone.irrigatingUntil > time;
+        if (watering) zoneSims.forEach(sim => addWater(sim, time, MODEL.IRRIGATION_RATE * dtHours));
+      });
+
+      if (random() < MODEL.RAIN_CHANCE * dtHours) {
+        const amount = random.between(5, 20);
+        console.log(`🌧️  Rain at ${new Date(time).toISOString()} (+${round(amount)}%)`);
+        sims.forEach(sim => addWater(sim, time, amount));
+      }
+
+      time += dt;
+      sims.forEach(sim => stepSoil(sim, time, dtHours));
+    }
+  };
+
+  // Readings of every live sensor at the current time; sensors in a dropout
+  // buffer theirs and upload them as a batch once they are back
+  const collect = (intervalHours) => {
+    const weather = weatherAt(time, random, day);
+    const out = [];
+
+    sims.forEach(sim => {
+      if (sim.dead) return;
+      updateDevice(sim, time, intervalHours, random);
+      if (sim.dead) return;
+
+      const payload = readSensor(sim, time, weather, random);
+      if (time < sim.dropoutUntil) {
+        sim.buffer.push(payload);
+        return;
+      }
+
+      out.push({ sim, payload, buffered: sim.buffer.splice(0) });
+    });
+
+    return out;
+  };
+
+  return { advance, collect, get time() { return time; } };
+};
+
+// Generate past readings and upload them as batches
+const backfill = async (simulation, sims, transport, { from, to, interval }) => {
+  const samples = new Map(sims.map(sim => [sim, []]));
+
+  for (let time = from; time <= to; time += interval) {
+    simulation.advance(time, { irrigating: new Set(), autoIrrigate: true });
+    simulation.collect(interval / HOUR_MS).forEach(({ sim, payload, buffered }) => {
+      samples.get(sim).push(...buffered, payload);
+    });
+  }
+
+  for (const [sim, list] of samples) {
+    for (let i = 0; i < list.length; i += CONSTANTS.INGESTION.MAX_BATCH_SIZE) {
+      await transport.sendBatch(sim, list.slice(i, i + CONSTANTS.INGESTION.MAX_BATCH_SIZE));
+    }
+    console.log(`⏪ ${sim.sensor.deviceId}: ${list.length} past readings uploaded`);
+  }
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const apiUrl = options.api || process.env.SIMULATOR_API_URL || `http://localhost:${process.env.PORT || 5000}/api`;
+  const transportName = options.transport || 'http';
+  const interval = parseFloat(options.interval || 60) * 1000;
+  const count = parseInt(options.sensors || 6);
+  const random = createRandom(parseInt(options.seed || Date.now()));
+
+  console.log('🛰️  Ess9ini Sensor Fleet Simulator');
+  console.log('==================================\n');
+
+  const api = createApi(apiUrl);
+  const { data: session } = await api.post('/auth/login', {
+    email: options.email || process.env.SIMULATOR_EMAIL || 'farmer@ess9ini.com',
+    password: options.password || process.env.SIMULATOR_PASSWORD || '123456'
+  });
+  api.defaults.headers.common.Authorization = `Bearer ${session.token}`;
+
+  const farmId = options.farm || session.user.farmId?._id || session.user.farmId;
+  if (!farmId) throw new Error('No farm: pass --farm <id>');
+  const { data: { farm } } = await api.get(`/farms/${farmId}`);
+  console.log(`🌾 Farm: ${farm.name}`);
+
+  const zones = new Map();
+  const sims = (await prepareSensors(api, farm, count, random)).map(({ sensor, apiKey }) => {
+    const zoneName = sensor.location.zone || 'Zone 1';
+    if (!zones.has(zoneName)) zones.set(zoneName, createZone(zoneName, farm, random));
+    return createSimSensor(sensor, apiKey, zones.get(zoneName), random);
+  });
+
+  const transport = transportName === 'mqtt'
+    ? createMqttTransport(options['mqtt-url'] || process.env.MQTT_BROKER_URL || `mqtt://localhost:${process.env.MQTT_PORT || 1883}`)
+    : createHttpTransport(apiUrl);
+  console.log(`📡 ${sims.length} sensors over ${transportName.toUpperCase()}, every ${interval / 1000}s\n`);
+
+  const simulation = createSimulation(sims, random);
+  const now = Date.now();
+  const backfillMs = parseDuration(options.backfill || 0);
+  if (backfillMs > 0) {
+    await backfill(simulation, sims, transport, { from: now - backfillMs, to: now, interval });
+  }
+
+  // Live readings, following the irrigations the backend runs
+  const tick = async () => {
+    let irrigating = new Set();
+    try {
+      irrigating = await runningZones(api);
+    } catch (error) {
+      console.error('❌ Could not fetch irrigation status:', error.message);
+    }
+
+    simulation.advance(Date.now(), { irrigating, autoIrrigate: false });
+    const batch = simulation.collect(interval / HOUR_MS);
+
+    await Promise.all(batch.map(async ({ sim, payload, buffered }) => {
+      try {
+        if (buffered.length > 0) {
+          await transport.sendBatch(sim, [...buffered, payload]);
+          console.log(`📶 ${sim.sensor.deviceId} back online, uploaded ${buffered.length + 1} readings`);
+        } else {
+          await transport.send(sim, payload);
+        }
+      } catch (error) {
+        console.error(`❌ ${sim.sensor.deviceId}:`, error.message);
+      }
+    }));
+
+    console.log(`🕒 ${new Date().toLocaleTimeString()} sent ${batch.length}/${sims.length} readings` +
+      (irrigating.size > 0 ? `, irrigating zones ${[...irrigating].join(', ')}` : ''));
+  };
+
+  await tick();
+  const timer = setInterval(tick, interval);
+
+  const stop = async () => {
+    clearInterval(timer);
+    await transport.close();
+    console.log('\n👋 Simulator stopped');
+    process.exit(0);
+  };
+
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  const duration = parseDuration(options.duration || 0);
+  if (duration > 0) setTimeout(stop, duration);
+};
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('\n❌ Simulator failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { SOILS, createRandom, createSimulation, createSimSensor, createZone };
@@ -9,9 +9,19 @@ require('dotenv').config();
 
 // Import middleware
 const { errorHandler } = require('./src/middleware/errorHandler');
+const SensorReading = require('./src/models/SensorReading');
+const { startMqttIngestion, stopMqttIngestion } = require('./src/services/mqttService');
+const { startSensorMonitor, stopSensorMonitor } = require('./src/services/sensorMonitorService');
+const { startRetentionJob, stopRetentionJob } = require('./src/services/retentionService');
+const { startDriftMonitor, stopDriftMonitor } = require('./src/services/driftService');
+const { startBatteryMonitor, stopBatteryMonitor } = require('./src/services/batteryService');
+const { startWorkOrderJob, stopWorkOrderJob } = require('./src/services/workOrderService');
+const { startIrrigationScheduler, stopIrrigationScheduler } = require('./src/services/irrigationSchedulerService');
+const { startIrrigationWatchdog, stopIrrigationWatchdog } = require('./src/services/irrigationWatchdogService');
+const { startMoistureControl, stopMoistureControl } = require('./src/services/moistureControlService');
 
 // Import routes (only if they exist and work)
-let authRoutes, userRoutes, farmRoutes, sensorRoutes, irrigationRoutes;
+let authRoutes, userRoutes, farmRoutes, sensorRoutes, irrigationRoutes, lorawanRoutes, firmwareRoutes, workOrderRoutes;
 try {
   authRoutes = require('./src/routes/auth');
 } catch (err) {
@@ -37,6 +47,21 @@ try {
 } catch (err) {
   console.log('⚠️  Irrigation routes not available:', err.message);
 }
+try {
+  lorawanRoutes = require('./src/routes/lorawan');
+} catch (err) {
+  console.log('⚠️  LoRaWAN routes not available:', err.message);
+}
+try {
+  firmwareRoutes = require('./src/routes/firmware');
+} catch (err) {
+  console.log('⚠️  Firmware routes not available:', err.message);
+}
+try {
+  workOrderRoutes = require('./src/routes/workOrders');
+} catch (err) {
+  console.log('⚠️  Work order routes not available:', err.message);
+}
 
 const app = express();
 
@@ -66,6 +91,8 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // LoRaWAN network servers deliver every device's uplinks from one address
+  skip: (req) => req.path.startsWith('/lorawan/'),
 });
 app.use('/api/', limiter);
 
@@ -80,6 +107,14 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('combined'));
 }
 
+// Batch deduplication relies on the unique (sensorId, timestamp) reading index,
+// which older databases need a migration for
+SensorReading.on('index', (error) => {
+  if (error) {
+    console.error('❌ Reading indexes could not be built, run `npm run db:migrate:readings`:', error.message);
+  }
+});
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
@@ -88,6 +123,23 @@ mongoose.connect(process.env.MONGODB_URI, {
 .then(() => {
   console.log('✅ Connected to MongoDB Atlas');
   console.log(`📊 Database: ${process.env.DB_NAME || 'ess9ini-farm'}`);
+
+  // Background jobs need the database
+  startSensorMonitor();
+  startRetentionJob();
+  startDriftMonitor();
+  startBatteryMonitor();
+  startWorkOrderJob();
+
+  // Start MQTT ingestion once readings can be stored, then the irrigation
+  // watchdog, scheduler and moisture control (relay boards may be on MQTT)
+  return startMqttIngestion().catch(err => {
+    console.error('❌ MQTT ingestion failed to start:', err.message);
+  }).then(() => {
+    startIrrigationWatchdog();
+    startIrrigationScheduler();
+    startMoistureControl();
+  });
 })
 .catch(err => {
   console.error('❌ MongoDB connection error:', err.message);
@@ -111,6 +163,9 @@ if (userRoutes) app.use('/api/users', userRoutes);
 if (farmRoutes) app.use('/api/farms', farmRoutes);
 if (sensorRoutes) app.use('/api/sensors', sensorRoutes);
 if (irrigationRoutes) app.use('/api/irrigation', irrigationRoutes);
+if (lorawanRoutes) app.use('/api/lorawan', lorawanRoutes);
+if (firmwareRoutes) app.use('/api/firmware', firmwareRoutes);
+if (workOrderRoutes) app.use('/api/work-orders', workOrderRoutes);
 
 // Serve uploaded files
 app.use('/uploads', express.static('uploads'));
@@ -128,7 +183,10 @@ app.get('/', (req, res) => {
       users: '/api/users',
       farms: '/api/farms',
       sensors: '/api/sensors',
-      irrigation: '/api/irrigation'
+      irrigation: '/api/irrigation',
+      lorawan: '/api/lorawan',
+      firmware: '/api/firmware',
+      workOrders: '/api/work-orders'
     }
   });
 });
@@ -171,7 +229,16 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    stopSensorMonitor();
+    stopRetentionJob();
+    stopDriftMonitor();
+    stopBatteryMonitor();
+    stopWorkOrderJob();
+    stopIrrigationScheduler();
+    stopIrrigationWatchdog();
+    stopMoistureControl();
+    await stopMqttIngestion();
     console.log('✅ Process terminated');
     mongoose.connection.close();
   });
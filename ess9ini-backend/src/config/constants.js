@@ -21,7 +21,8 @@ const CONSTANTS = {
     ACTIVE: 'active',
     INACTIVE: 'inactive',
     MAINTENANCE: 'maintenance',
-    OFFLINE: 'offline'
+    OFFLINE: 'offline',
+    RETIRED: 'retired' // hardware replaced by another device
   },
 
   // Irrigation types
@@ -57,6 +58,15 @@ const CONSTANTS = {
     IRRIGATION: 'irrigation'
   },
 
+  // Alert kinds raised outside of sensor readings
+  ALERT_KINDS: {
+    SENSOR_OFFLINE: 'sensor_offline',
+    SENSOR_ERROR: 'sensor_error',
+    CALIBRATION_NEEDED: 'calibration_needed',
+    BATTERY_REPLACEMENT: 'battery_replacement',
+    ACTUATOR_FAILURE: 'actuator_failure' // irrigation hardware did not confirm a command
+  },
+
   // Alert status
   ALERT_STATUS: {
     ACTIVE: 'active',
@@ -131,6 +141,25 @@ const CONSTANTS = {
     ALLOWED_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
   },
 
+  // Firmware (OTA) releases
+  FIRMWARE: {
+    MAX_SIZE: 8 * 1024 * 1024, // 8MB
+    ROLLOUT_STATUS: {
+      DRAFT: 'draft',
+      ACTIVE: 'active',
+      PAUSED: 'paused',
+      COMPLETED: 'completed'
+    },
+    UPDATE_STATUS: {
+      OFFERED: 'offered',
+      DOWNLOADING: 'downloading',
+      SUCCEEDED: 'succeeded',
+      FAILED: 'failed'
+    },
+    DEFAULT_FAILURE_THRESHOLD: 0.2, // pause when more than 20% of reported updates fail
+    DEFAULT_MIN_REPORTS: 5 // reports needed before the failure rate is trusted
+  },
+
   // Pagination defaults
   PAGINATION: {
     DEFAULT_PAGE: 1,
@@ -138,6 +167,309 @@ const CONSTANTS = {
     MAX_LIMIT: 100
   },
 
+  // Sensor reading ingestion limits
+  INGESTION: {
+    MAX_BATCH_SIZE: 1000 // readings per batch upload
+  },
+
+  // Bulk sensor inventory import / export
+  INVENTORY: {
+    FORMATS: {
+      CSV: 'csv',
+      XLSX: 'xlsx'
+    },
+    MAX_FILE_SIZE: 2 * 1024 * 1024, // 2MB
+    MAX_ROWS: 1000,
+    LIST_SEPARATOR: ';' // multi-depth probe depths in one cell, e.g. "15;30;60"
+  },
+
+  // Multi-depth probes and root-zone moisture
+  ROOT_ZONE: {
+    // Effective root depth per crop (cm), unless set on the farm zone
+    ROOT_DEPTH: {
+      olive_trees: 100,
+      date_palms: 150,
+      cereals: 60,
+      citrus: 90,
+      vegetables: 40,
+      almonds: 100
+    },
+    DEFAULT_ROOT_DEPTH: 60,
+    MAX_PROBE_DEPTHS: 8,
+    CURRENT_WINDOW: 6 * 60 * 60 * 1000, // readings older than this don't count as current
+    WETTING_RISE: 3, // % points over the pre-irrigation level marks the wetting front
+    WETTING_WINDOW: 72 * 60 * 60 * 1000, // follow the water this long after irrigation starts
+    PROFILE_RANGE: 72 * 60 * 60 * 1000, // default profile view
+    PROFILE_BUCKET: '1h'
+  },
+
+  // Battery life forecasting from the discharge curve (daily rollups)
+  BATTERY_FORECAST: {
+    METHODS: {
+      DISCHARGE_CURVE: 'discharge_curve',
+      NOMINAL: 'nominal' // not enough history: rated capacity and sampling interval
+    },
+    WINDOW: 30 * 24 * 60 * 60 * 1000, // discharge history fitted
+    MIN_DAYS: 3,
+    REPLACED_RISE: 15, // daily level rising this much marks a new battery
+    MIN_DRAIN: 0.01, // % per day; less counts as not draining (e.g. solar)
+    EMPTY_LEVEL: 5, // devices brown out below this level
+    REFERENCE_INTERVAL: 300, // seconds, sampling interval of the nominal drain
+    NOMINAL_DRAW: 30, // mAh per day at the reference interval and 20°C
+    TRANSMISSION_SHARE: 0.6, // share of the drain scaling with the sampling rate
+    COLD_FACTOR: 0.015, // extra drain per °C below 20°C
+    HEAT_FACTOR: 0.01, // extra drain per °C above 35°C (self-discharge)
+    RECENT_TEMPERATURE: 7 * 24 * 60 * 60 * 1000, // temperature expected ahead
+    LEAD_DAYS: 14, // default replacement alert lead time
+    PLANNING_DAYS: 30,
+    CHECK_INTERVAL: 6 * 60 * 60 * 1000
+  },
+
+  // Probe drift against zone peers (same zone, preferably same depth)
+  DRIFT: {
+    STATUS: {
+      OK: 'ok',
+      DRIFTING: 'drifting',
+      INSUFFICIENT_DATA: 'insufficient_data'
+    },
+    ANALYSIS_WINDOW: 90 * 24 * 60 * 60 * 1000,
+    MIN_PEERS: 2,
+    SETTLE_TIME: 2 * 60 * 60 * 1000, // compare once water has spread after irrigation / rain
+    SAMPLE_WINDOW: 4 * 60 * 60 * 1000,
+    RAIN_RISE: 5, // zone average % points rise without irrigation counts as rain
+    RAIN_RISE_HOURS: 3,
+    EVENT_SPACING: 12 * 60 * 60 * 1000,
+    MIN_EVENTS: 5,
+    MIN_SPAN_DAYS: 14,
+    MIN_OFFSET: 8, // % points from the peer median
+    MIN_GROWTH: 5, // % points the offset grew over the window
+    MIN_TREND: 2, // % points per 30 days
+    RECOVERY_OFFSET: 4,
+    MAX_EVIDENCE: 20,
+    CHECK_INTERVAL: 24 * 60 * 60 * 1000
+  },
+
+  // Raw reading retention (per farm) and archives
+  RETENTION: {
+    DEFAULT_DAYS: 365,
+    MIN_DAYS: 30,
+    MAX_DAYS: 5 * 366, // research plots keep 5 years
+    ARCHIVE_FORMATS: {
+      NDJSON: 'ndjson',
+      CSV: 'csv'
+    },
+    ARCHIVE_LEAD_DAYS: 7, // readings are archived a week before they expire
+    RESTORE_KEEP_DAYS: 30, // restored readings are kept this long, then expire again
+    CHECK_INTERVAL: 6 * 60 * 60 * 1000,
+    IMPORT_BATCH: 1000
+  },
+
+  // Reading anomaly detection (moisture, per sensor)
+  ANOMALY: {
+    TYPES: {
+      SPIKE: 'spike',
+      STUCK_VALUE: 'stuck_value',
+      FLATLINE: 'flatline',
+      OUTLIER: 'outlier'
+    },
+    MAX_RISE_PER_MINUTE: 2, // % points/min without irrigation (heavy rain stays below this)
+    MAX_DROP_PER_MINUTE: 1, // % points/min, soil never dries this fast
+    MIN_JUMP: 10, // ignore rate-of-change on smaller jumps (noise)
+    STUCK_WINDOW: 12 * 60 * 60 * 1000, // identical values for 12 hours
+    STUCK_MIN_READINGS: 6,
+    FLATLINE_MIN_READINGS: 3, // consecutive readings pinned at 0% or 100%
+    BASELINE_WINDOW: 24 * 60 * 60 * 1000, // rolling baseline for the z-score
+    BASELINE_MIN_READINGS: 12,
+    MIN_STD_DEV: 2, // % points, keeps a very steady baseline from flagging noise
+    Z_SCORE_THRESHOLD: 4,
+    IRRIGATION_GRACE: 2 * 60 * 60 * 1000, // irrigation still explains changes 2 hours after it ends
+    RECOVERY_READINGS: 3 // clean readings before a sensor_error alert is resolved
+  },
+
+  // Hourly / daily reading aggregates (kept after raw readings expire)
+  ROLLUPS: {
+    GRANULARITY: {
+      HOUR: 'hour',
+      DAY: 'day'
+    },
+    SCOPE: {
+      SENSOR: 'sensor',
+      ZONE: 'zone'
+    },
+    CHANNELS: ['moistureLevel', 'temperature', 'humidity', 'ph', 'lightIntensity', 'batteryLevel', 'signalStrength'],
+    HOURLY_AFTER: 7 * 24 * 60 * 60 * 1000, // history ranges longer than 7 days use hourly rollups
+    DAILY_AFTER: 60 * 24 * 60 * 60 * 1000, // and longer than 60 days daily rollups
+    AVERAGES_REFRESH: 15 * 60 * 1000, // recompute sensor statistics.averages at most every 15 minutes
+    REBUILD_BATCH: 1000
+  },
+
+  // Time-series query API
+  TIMESERIES: {
+    BUCKETS: {
+      '5m': 5 * 60 * 1000,
+      '15m': 15 * 60 * 1000,
+      '1h': 60 * 60 * 1000,
+      '1d': 24 * 60 * 60 * 1000 // Africa/Tunis days
+    },
+    AGGREGATES: ['avg', 'min', 'max', 'last'],
+    // Query channel names -> reading fields
+    CHANNELS: {
+      moisture: 'moistureLevel',
+      temperature: 'temperature',
+      humidity: 'humidity',
+      ph: 'ph',
+      light: 'lightIntensity',
+      battery: 'batteryLevel',
+      signal: 'signalStrength'
+    },
+    INTERPOLATION: ['none', 'linear', 'previous'],
+    DEFAULT_RANGE: 24 * 60 * 60 * 1000,
+    MAX_POINTS: 2000, // buckets per series
+    MAX_SENSORS: 20
+  },
+
+  // Guided probe calibration
+  CALIBRATION: {
+    SESSION_STATUS: {
+      ACTIVE: 'active',
+      COMPLETED: 'completed',
+      CANCELLED: 'cancelled',
+      EXPIRED: 'expired'
+    },
+    PHASES: {
+      DRY: 'dry', // probe in air
+      WET: 'wet' // probe in saturated soil
+    },
+    SESSION_TIMEOUT: 30 * 60 * 1000, // 30 minutes without activity
+    MAX_SAMPLES_PER_UPLOAD: 100,
+    MAX_SAMPLES_PER_PHASE: 300,
+    SAMPLE_SAVE_ATTEMPTS: 3, // concurrent uploads to the same session
+    STABLE_WINDOW: 10, // trailing samples that must agree
+    STABLE_TOLERANCE: 0.02, // max deviation from the window mean (fraction)
+    MIN_TOLERANCE: 2 // raw units, for probes with small readings
+  },
+
+  // Remote device commands (downlink queue)
+  DEVICE_COMMANDS: {
+    TYPES: {
+      SET_SAMPLING_INTERVAL: 'set_sampling_interval',
+      SET_THRESHOLDS: 'set_thresholds',
+      REBOOT: 'reboot',
+      RECALIBRATE: 'recalibrate',
+      SYNC_TIME: 'sync_time'
+    },
+    STATUS: {
+      QUEUED: 'queued',
+      DELIVERED: 'delivered',
+      ACKED: 'acked',
+      FAILED: 'failed',
+      EXPIRED: 'expired'
+    },
+    DEFAULT_TTL: 24 * 60, // minutes
+    MAX_TTL: 7 * 24 * 60, // minutes
+    ACK_TIMEOUT: 10 * 60 * 1000, // redeliver when not acknowledged within 10 minutes
+    MAX_DELIVERY_ATTEMPTS: 3
+  },
+
+  // Technician work orders
+  WORK_ORDERS: {
+    TYPES: {
+      MAINTENANCE: 'maintenance', // scheduled maintenance overdue
+      LOW_BATTERY: 'low_battery',
+      OFFLINE: 'offline',
+      DRIFT: 'drift',
+      REPAIR: 'repair',
+      OTHER: 'other'
+    },
+    SOURCES: {
+      AUTOMATIC: 'automatic',
+      MANUAL: 'manual'
+    },
+    STATUS: {
+      OPEN: 'open',
+      IN_PROGRESS: 'in_progress',
+      DONE: 'done',
+      CANCELLED: 'cancelled'
+    },
+    PRIORITIES: ['low', 'normal', 'high', 'urgent'], // lowest first
+    // Maintenance note recorded on the sensor when an order is closed
+    NOTE_TYPES: {
+      maintenance: 'inspection',
+      low_battery: 'battery',
+      offline: 'repair',
+      drift: 'calibration',
+      repair: 'repair',
+      other: 'repair'
+    },
+    CHECK_INTERVAL: 60 * 60 * 1000
+  },
+
+  // Irrigation actuators (zone valves, main pump, master valve) and their drivers
+  ACTUATORS: {
+    DRIVERS: {
+      SIMULATED: 'simulated', // local testing, no hardware
+      MQTT: 'mqtt', // relay board on the MQTT broker
+      HTTP: 'http' // relay controller with an HTTP API
+    },
+    TYPES: {
+      ZONE_VALVE: 'zone_valve',
+      PUMP: 'pump',
+      MASTER_VALVE: 'master_valve'
+    },
+    STATES: {
+      ON: 'on', // valve open / pump running
+      OFF: 'off'
+    },
+    COMMAND_STATUS: {
+      SENT: 'sent',
+      CONFIRMED: 'confirmed',
+      FAILED: 'failed',
+      TIMEOUT: 'timeout'
+    },
+    DEFAULT_TIMEOUT: 15, // seconds to confirm a command
+    MAX_TIMEOUT: 120,
+    SIMULATED_DELAY: 500 // ms before the simulated relays confirm
+  },
+
+  // Irrigation scheduler (pending events and recurring farm schedules)
+  IRRIGATION_SCHEDULER: {
+    CHECK_INTERVAL: 30 * 1000, // 30 seconds
+    GRACE: 5 * 60 * 1000, // events started this late still count as on time
+    MAX_CATCH_UP: 24 * 60 * 60 * 1000, // recurring occurrences looked back at after a restart
+    CLAIM_TIMEOUT: 5 * 60 * 1000, // claimed events not started after this were interrupted
+    MISSED_POLICIES: {
+      FAIL: 'fail', // mark missed events failed
+      RUN_LATE: 'run_late' // start them late, up to maxDelay minutes
+    },
+    DEFAULT_MAX_DELAY: 60, // minutes
+    MAX_DELAY: 12 * 60,
+    WEEKDAYS: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+  },
+
+  // Irrigation watchdog (automatic stop of running irrigations)
+  IRRIGATION_WATCHDOG: {
+    CHECK_INTERVAL: 30 * 1000, // 30 seconds
+    MAX_RUNTIME: 480, // minutes, hard stop (IrrigationEvent duration maximum)
+    SHUTDOWN_RETRY: 5 * 60 * 1000, // retry unconfirmed shutdowns every 5 minutes
+    RECONCILE_ATTEMPTS: 10 // passes spent reading actuator state after a restart
+  },
+
+  // Closed-loop irrigation from root-zone moisture
+  MOISTURE_CONTROL: {
+    CHECK_INTERVAL: 60 * 1000, // 1 minute
+    MAX_READING_AGE: 30 * 60 * 1000, // older root-zone readings don't drive the loop
+    DEFAULT_HYSTERESIS: 5, // % points between the start level and the zone target
+    DEFAULT_MIN_OFF_TIME: 120, // minutes between two irrigations of a zone
+    DEFAULT_MAX_DURATION: 60 // minutes
+  },
+
+  // Background sensor connectivity monitor
+  SENSOR_MONITOR: {
+    CHECK_INTERVAL: 60 * 1000, // look for silent / recovered sensors every minute
+    UPTIME_REFRESH: 60 * 60 * 1000, // recompute uptime hourly
+    UPTIME_WINDOW_DAYS: 30
+  },
+
   // Time intervals (milliseconds)
   INTERVALS: {
     SENSOR_UPDATE: 30000, // 30 seconds
@@ -0,0 +1,88 @@
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { findOwnedFarm } = require('../services/farmAccessService');
+const CONSTANTS = require('../config/constants');
+
+// Actuator settings as returned to clients (the token and the relay board
+// secret are never sent back)
+const describeActuators = (farm) => {
+  const { token, ...actuators } = farm.toObject().settings.actuators;
+  if (actuators.credentials) delete actuators.credentials.secretHash;
+  return actuators;
+};
+
+// Get the farm's irrigation actuator settings
+const getActuators = catchAsync(async (req, res) => {
+  const farm = await findOwnedFarm(req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Actuator settings retrieved successfully',
+    data: { actuators: describeActuators(farm) }
+  });
+});
+
+// Update the farm's irrigation actuator settings
+// A null driver turns hardware control off (irrigation is only recorded)
+const updateActuators = catchAsync(async (req, res) => {
+  const farm = await findOwnedFarm(req);
+  const actuators = farm.settings.actuators;
+  const { driver, controllerId, url, token, timeout, pump, masterValve, valves } = req.body;
+
+  if (driver !== undefined) actuators.driver = driver || undefined;
+  if (controllerId !== undefined) actuators.controllerId = controllerId;
+  if (url !== undefined) actuators.url = url;
+  if (token !== undefined) actuators.token = token;
+  if (timeout !== undefined) actuators.timeout = timeout;
+  if (pump !== undefined) actuators.pump = pump || {};
+  if (masterValve !== undefined) actuators.masterValve = masterValve || {};
+
+  if (valves !== undefined) {
+    const unknown = valves.filter(valve => !farm.location.zones.some(zone => zone.id === valve.zone));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown zones: ${unknown.map(valve => valve.zone).join(', ')}`, 400, 'ZONE_NOT_FOUND');
+    }
+    actuators.valves = valves;
+  }
+
+  if (actuators.driver === CONSTANTS.ACTUATORS.DRIVERS.MQTT && !actuators.controllerId) {
+    throw new AppError('The MQTT driver needs the relay board controller ID', 400, 'CONTROLLER_ID_REQUIRED');
+  }
+  if (actuators.driver === CONSTANTS.ACTUATORS.DRIVERS.HTTP && !actuators.url) {
+    throw new AppError('The HTTP driver needs the relay controller URL', 400, 'CONTROLLER_URL_REQUIRED');
+  }
+
+  await farm.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Actuator settings updated successfully',
+    data: { actuators: describeActuators(farm) }
+  });
+});
+
+// Issue a new secret for the farm's MQTT relay board (replaces the previous one)
+// The secret is only returned here, the board must be updated with it
+const rotateControllerSecret = catchAsync(async (req, res) => {
+  const farm = await findOwnedFarm(req);
+
+  if (!farm.settings.actuators.controllerId) {
+    throw new AppError('Set the relay board controller ID first', 400, 'CONTROLLER_ID_REQUIRED');
+  }
+
+  const secret = await farm.issueControllerSecret();
+
+  res.status(200).json({
+    success: true,
+    message: 'Relay board secret issued successfully',
+    data: {
+      secret,
+      actuators: describeActuators(farm)
+    }
+  });
+});
+
+module.exports = {
+  getActuators,
+  updateActuators,
+  rotateControllerSecret
+};
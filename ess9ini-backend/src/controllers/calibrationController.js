@@ -0,0 +1,129 @@
+const CalibrationSession = require('../models/CalibrationSession');
+const { catchAsync } = require('../middleware/errorHandler');
+const calibrationService = require('../services/calibrationService');
+
+// Start a guided calibration session
+const startCalibration = catchAsync(async (req, res) => {
+  const session = await calibrationService.startSession(req.sensor, req.user.userId);
+
+  res.status(201).json({
+    success: true,
+    message: 'Calibration session started successfully',
+    data: {
+      session
+    }
+  });
+});
+
+// Get the active calibration session
+const getCalibration = catchAsync(async (req, res) => {
+  const session = await calibrationService.getActiveSession(req.sensor);
+
+  res.status(200).json({
+    success: true,
+    message: 'Calibration session retrieved successfully',
+    data: {
+      session
+    }
+  });
+});
+
+// Mark the probe phase (dry: in air, wet: in saturated soil)
+const markCalibrationPhase = catchAsync(async (req, res) => {
+  const session = await calibrationService.getActiveSession(req.sensor);
+  await session.startPhase(req.body.phase);
+
+  res.status(200).json({
+    success: true,
+    message: `Calibration phase set to ${req.body.phase}`,
+    data: {
+      session
+    }
+  });
+});
+
+// Apply the proposed (or adjusted) values to the sensor
+const completeCalibration = catchAsync(async (req, res) => {
+  const { dryValue, wetValue, notes, recalculateSince } = req.body;
+
+  const session = await calibrationService.getActiveSession(req.sensor);
+  await calibrationService.completeSession(session, req.sensor, req.user.userId, {
+    dryValue,
+    wetValue,
+    notes,
+    recalculateSince
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Sensor calibrated successfully',
+    data: {
+      session,
+      sensor: req.sensor,
+      recalibration: req.sensor.$locals.recalibration || null
+    }
+  });
+});
+
+// Cancel the active calibration session
+const cancelCalibration = catchAsync(async (req, res) => {
+  const session = await calibrationService.getActiveSession(req.sensor);
+  await session.cancel();
+
+  res.status(200).json({
+    success: true,
+    message: 'Calibration session cancelled successfully',
+    data: {
+      session
+    }
+  });
+});
+
+// Get past calibration sessions
+const getCalibrationHistory = catchAsync(async (req, res) => {
+  const { limit = 10 } = req.query;
+
+  const sessions = await CalibrationSession.getHistory(req.sensor._id, Math.min(parseInt(limit) || 10, 50));
+
+  res.status(200).json({
+    success: true,
+    message: 'Calibration history retrieved successfully',
+    data: {
+      sessions,
+      count: sessions.length
+    }
+  });
+});
+
+// Tell the device whether to stream raw calibration samples (IoT devices)
+const getDeviceCalibration = catchAsync(async (req, res) => {
+  const session = await CalibrationSession.findActive(req.sensor._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Calibration status retrieved successfully',
+    data: calibrationService.deviceStatus(session)
+  });
+});
+
+// Receive raw calibration samples (IoT devices)
+const addCalibrationSamples = catchAsync(async (req, res) => {
+  const result = await calibrationService.recordSamples(req.sensor, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: result.phase ? 'Calibration samples recorded' : 'No calibration phase marked yet, samples ignored',
+    data: result
+  });
+});
+
+module.exports = {
+  startCalibration,
+  getCalibration,
+  markCalibrationPhase,
+  completeCalibration,
+  cancelCalibration,
+  getCalibrationHistory,
+  getDeviceCalibration,
+  addCalibrationSamples
+};
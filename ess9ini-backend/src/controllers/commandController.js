@@ -0,0 +1,77 @@
+const DeviceCommand = require('../models/DeviceCommand');
+const { catchAsync } = require('../middleware/errorHandler');
+const commandService = require('../services/commandService');
+
+// Queue a command for a sensor
+const queueCommand = catchAsync(async (req, res) => {
+  const { type, params, ttl } = req.body;
+
+  const command = await commandService.queueCommand(req.sensor, req.user.userId, { type, params, ttl });
+
+  res.status(201).json({
+    success: true,
+    message: 'Command queued successfully',
+    data: {
+      command
+    }
+  });
+});
+
+// Get the command history for a sensor
+const getCommands = catchAsync(async (req, res) => {
+  const { status, limit = 50 } = req.query;
+
+  await DeviceCommand.settleStale(req.sensor._id);
+
+  const query = { sensorId: req.sensor._id };
+  if (status) query.status = status;
+
+  const commands = await DeviceCommand.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 50, 200))
+    .populate('issuedBy', 'firstName lastName');
+
+  res.status(200).json({
+    success: true,
+    message: 'Commands retrieved successfully',
+    data: {
+      commands,
+      count: commands.length
+    }
+  });
+});
+
+// Hand pending commands to a polling device (IoT devices)
+const getPendingCommands = catchAsync(async (req, res) => {
+  const commands = await commandService.fetchPending(req.sensor, 'http');
+
+  res.status(200).json({
+    success: true,
+    message: 'Pending commands retrieved successfully',
+    data: {
+      commands,
+      count: commands.length
+    }
+  });
+});
+
+// Record the device's result for a command (IoT devices)
+const acknowledgeCommand = catchAsync(async (req, res) => {
+  const command = await commandService.acknowledgeCommand(req.sensor, req.params.commandId, req.body, 'http');
+
+  res.status(200).json({
+    success: true,
+    message: 'Command acknowledgement recorded',
+    data: {
+      commandId: command._id,
+      status: command.status
+    }
+  });
+});
+
+module.exports = {
+  queueCommand,
+  getCommands,
+  getPendingCommands,
+  acknowledgeCommand
+};
@@ -1,11 +1,63 @@
 const Farm = require('../models/Farm');
 const User = require('../models/User');
 const Sensor = require('../models/Sensor');
+const Alert = require('../models/Alert');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
+const rootZoneService = require('../services/rootZoneService');
+const batteryService = require('../services/batteryService');
+const { getPath } = require('../utils/database');
+const CONSTANTS = require('../config/constants');
+
+// Paths owners may change through the generic update. Relay board credentials,
+// archive bookkeeping and scheduler state are server-owned or have their own routes
+const UPDATABLE_PATHS = [
+  'name',
+  'nameEn',
+  'description',
+  'targetMoisture',
+  'primaryCrop',
+  'cropTypes',
+  'soilType',
+  'irrigationSystem',
+  'settings.autoIrrigation.enabled',
+  'settings.autoIrrigation.schedule',
+  'settings.autoIrrigation.missedPolicy',
+  'settings.autoIrrigation.maxDelay',
+  'settings.autoIrrigation.moistureThreshold',
+  'settings.autoIrrigation.moistureControl.enabled',
+  'settings.autoIrrigation.moistureControl.hysteresis',
+  'settings.autoIrrigation.moistureControl.minOffTime',
+  'settings.autoIrrigation.moistureControl.maxDuration',
+  'settings.autoIrrigation.moistureControl.dailyWaterCap',
+  'settings.alerts.lowMoisture.enabled',
+  'settings.alerts.lowMoisture.threshold',
+  'settings.alerts.lowBattery.enabled',
+  'settings.alerts.lowBattery.threshold',
+  'settings.alerts.lowBattery.leadDays',
+  'settings.alerts.sensorOffline.enabled',
+  'settings.alerts.sensorOffline.timeout',
+  'settings.notifications.email',
+  'settings.notifications.sms',
+  'settings.notifications.push'
+];
+
+// Set each allowed leaf on its own so nested settings are merged, not replaced
+const pickUpdates = (body) => UPDATABLE_PATHS.reduce((updates, path) => {
+  const value = getPath(body, path);
+  if (value !== undefined) updates[path] = value;
+  return updates;
+}, {});
 
 // Get all farms
 const getAllFarms = catchAsync(async (req, res) => {
-  const farms = await Farm.find().populate('ownerId', 'firstName lastName email');
+  let query = {};
+  
+  // If user is not admin, only show their own farms
+  if (req.user.role !== 'admin') {
+    query.owner = req.user.userId;
+  }
+  
+  const farms = await Farm.find(query).populate('owner', 'firstName lastName email');
   
   res.status(200).json({
     success: true,
@@ -20,13 +72,19 @@ const getAllFarms = catchAsync(async (req, res) => {
 // Get farm by ID
 const getFarmById = catchAsync(async (req, res) => {
   const farm = await Farm.findById(req.params.id)
-    .populate('ownerId', 'firstName lastName email')
-    .populate('sensors');
+    .populate('owner', 'firstName lastName email')
+    .populate('sensorCount')
+    .populate('activeSensorCount');
   
   if (!farm) {
     throw new AppError('Farm not found', 404, 'FARM_NOT_FOUND');
   }
   
+  // Check if user has access to this farm
+  if (req.user.role !== 'admin' && farm.owner._id.toString() !== req.user.userId.toString()) {
+    throw new AppError('Not authorized to access this farm', 403, 'UNAUTHORIZED');
+  }
+  
   res.status(200).json({
     success: true,
     message: 'Farm retrieved successfully',
@@ -43,18 +101,22 @@ const getFarmOverview = catchAsync(async (req, res) => {
   }
   
   // Check if user has access to this farm
-  if (req.user.role !== 'admin' && req.user.farmId?.toString() !== req.params.id) {
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
     throw new AppError('Not authorized to access this farm', 403, 'UNAUTHORIZED');
   }
   
   // Get sensors for this farm
-  const sensors = await Sensor.find({ farmId: req.params.id });
+  const sensors = await Sensor.find({ farmId: farm._id });
   
   // Calculate statistics
   const totalSensors = sensors.length;
   const activeSensors = sensors.filter(s => s.status === 'active').length;
-  const averageMoisture = sensors.length > 0 
-    ? Math.round(sensors.reduce((sum, s) => sum + (s.lastReading?.moisture || 0), 0) / sensors.length)
+  const offlineSensors = sensors.filter(s => s.status === 'offline').length;
+  const moistureReadings = sensors
+    .map(s => s.statistics.lastReading?.moistureLevel)
+    .filter(m => m !== undefined && m !== null);
+  const averageMoisture = moistureReadings.length > 0 
+    ? Math.round(moistureReadings.reduce((sum, m) => sum + m, 0) / moistureReadings.length)
     : 0;
   
   res.status(200).json({
@@ -65,19 +127,50 @@ const getFarmOverview = catchAsync(async (req, res) => {
       farmId: farm._id,
       totalSensors,
       activeSensors,
+      offlineSensors,
       averageMoisture,
-      cropType: farm.cropType,
-      area: farm.area,
+      primaryCrop: farm.primaryCrop,
+      area: farm.location.area,
+      zones: farm.location.zones,
       location: farm.location
     }
   });
 });
 
+// Get farm alerts
+const getFarmAlerts = catchAsync(async (req, res) => {
+  const farm = await Farm.findById(req.params.id);
+  
+  if (!farm) {
+    throw new AppError('Farm not found', 404, 'FARM_NOT_FOUND');
+  }
+  
+  // Check if user has access to this farm
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
+    throw new AppError('Not authorized to access this farm', 403, 'UNAUTHORIZED');
+  }
+  
+  const { status, limit = 50 } = req.query;
+  const alerts = await Alert.getByFarm(farm._id, {
+    status,
+    limit: Math.min(parseInt(limit) || 50, 200)
+  });
+  
+  res.status(200).json({
+    success: true,
+    message: 'Alerts retrieved successfully',
+    data: {
+      alerts,
+      count: alerts.length
+    }
+  });
+});
+
 // Create new farm
 const createFarm = catchAsync(async (req, res) => {
   const farmData = {
     ...req.body,
-    ownerId: req.user.userId
+    owner: req.user.userId
   };
   
   const farm = await Farm.create(farmData);
@@ -101,13 +194,13 @@ const updateFarm = catchAsync(async (req, res) => {
   }
   
   // Check if user has access to this farm
-  if (req.user.role !== 'admin' && farm.ownerId.toString() !== req.user.userId) {
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
     throw new AppError('Not authorized to update this farm', 403, 'UNAUTHORIZED');
   }
   
   const updatedFarm = await Farm.findByIdAndUpdate(
     req.params.id,
-    req.body,
+    { $set: pickUpdates(req.body) },
     { new: true, runValidators: true }
   );
   
@@ -127,7 +220,7 @@ const deleteFarm = catchAsync(async (req, res) => {
   }
   
   // Check if user has access to this farm
-  if (req.user.role !== 'admin' && farm.ownerId.toString() !== req.user.userId) {
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
     throw new AppError('Not authorized to delete this farm', 403, 'UNAUTHORIZED');
   }
   
@@ -139,11 +232,148 @@ const deleteFarm = catchAsync(async (req, res) => {
   });
 });
 
+// Add zone to farm
+const addZone = catchAsync(async (req, res) => {
+  const farm = await Farm.findById(req.params.id);
+  
+  if (!farm) {
+    throw new AppError('Farm not found', 404, 'FARM_NOT_FOUND');
+  }
+  
+  // Check if user has access to this farm
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
+    throw new AppError('Not authorized to update this farm', 403, 'UNAUTHORIZED');
+  }
+  
+  const { name, area, cropType, soilType, irrigationSystem, targetMoisture, rootDepth } = req.body;
+  await farm.addZone({ name, area, cropType, soilType, irrigationSystem, targetMoisture, rootDepth });
+  
+  res.status(201).json({
+    success: true,
+    message: 'Zone added successfully',
+    data: { zones: farm.location.zones }
+  });
+});
+
+// Remove zone from farm
+const removeZone = catchAsync(async (req, res) => {
+  const farm = await Farm.findById(req.params.id);
+  
+  if (!farm) {
+    throw new AppError('Farm not found', 404, 'FARM_NOT_FOUND');
+  }
+  
+  // Check if user has access to this farm
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
+    throw new AppError('Not authorized to update this farm', 403, 'UNAUTHORIZED');
+  }
+  
+  const zoneId = parseInt(req.params.zoneId);
+  if (!farm.location.zones.some(zone => zone.id === zoneId)) {
+    throw new AppError('Zone not found', 404, 'ZONE_NOT_FOUND');
+  }
+  
+  await farm.removeZone(zoneId);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Zone removed successfully',
+    data: { zones: farm.location.zones }
+  });
+});
+
+// Get depth-weighted root-zone moisture of every zone
+const getRootZones = catchAsync(async (req, res) => {
+  const farm = await Farm.findById(req.params.id);
+  
+  if (!farm) {
+    throw new AppError('Farm not found', 404, 'FARM_NOT_FOUND');
+  }
+  
+  // Check if user has access to this farm
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
+    throw new AppError('Not authorized to access this farm', 403, 'UNAUTHORIZED');
+  }
+  
+  const zones = await rootZoneService.getFarmRootZones(farm);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Root-zone moisture retrieved successfully',
+    data: { zones }
+  });
+});
+
+// Get the depth x time moisture profile of a zone
+const getZoneProfile = catchAsync(async (req, res) => {
+  const farm = await Farm.findById(req.params.id);
+  
+  if (!farm) {
+    throw new AppError('Farm not found', 404, 'FARM_NOT_FOUND');
+  }
+  
+  // Check if user has access to this farm
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
+    throw new AppError('Not authorized to access this farm', 403, 'UNAUTHORIZED');
+  }
+  
+  const sensors = await Sensor.find({ farmId: farm._id, 'location.zone': req.query.zone })
+    .select('name deviceId location');
+  
+  if (sensors.length === 0) {
+    throw new AppError('No sensors in this zone', 404, 'ZONE_NOT_FOUND');
+  }
+  
+  const profile = await rootZoneService.getProfile({
+    farm,
+    sensors,
+    zone: req.query.zone,
+    from: req.query.from ? new Date(req.query.from) : undefined,
+    to: req.query.to ? new Date(req.query.to) : undefined,
+    bucket: req.query.bucket
+  });
+  
+  res.status(200).json({
+    success: true,
+    message: 'Zone profile retrieved successfully',
+    data: { profile }
+  });
+});
+
+// Get batteries expected to run out within the planning horizon
+const getBatteryReplacements = catchAsync(async (req, res) => {
+  const farm = await Farm.findById(req.params.id);
+  
+  if (!farm) {
+    throw new AppError('Farm not found', 404, 'FARM_NOT_FOUND');
+  }
+  
+  // Check if user has access to this farm
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
+    throw new AppError('Not authorized to access this farm', 403, 'UNAUTHORIZED');
+  }
+  
+  const days = req.query.days ? parseInt(req.query.days) : CONSTANTS.BATTERY_FORECAST.PLANNING_DAYS;
+  const plan = await batteryService.getReplacementPlan(farm, days);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Battery replacements retrieved successfully',
+    data: plan
+  });
+});
+
 module.exports = {
   getAllFarms,
   getFarmById,
   getFarmOverview,
+  getFarmAlerts,
   createFarm,
   updateFarm,
-  deleteFarm
+  deleteFarm,
+  addZone,
+  removeZone,
+  getRootZones,
+  getZoneProfile,
+  getBatteryReplacements
 };
@@ -0,0 +1,187 @@
+const FirmwareRelease = require('../models/FirmwareRelease');
+const FirmwareUpdate = require('../models/FirmwareUpdate');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const firmwareService = require('../services/firmwareService');
+
+// Load a release or fail with 404
+const findRelease = async (id) => {
+  const release = await FirmwareRelease.findById(id);
+
+  if (!release) {
+    throw new AppError('Firmware release not found', 404, 'RELEASE_NOT_FOUND');
+  }
+
+  return release;
+};
+
+// Get all firmware releases
+const getReleases = catchAsync(async (req, res) => {
+  const { model, status } = req.query;
+
+  const query = {};
+  if (model) query.model = model;
+  if (status) query['rollout.status'] = status;
+
+  const releases = await FirmwareRelease.find(query)
+    .sort({ createdAt: -1 })
+    .populate('createdBy', 'firstName lastName');
+
+  res.status(200).json({
+    success: true,
+    message: 'Firmware releases retrieved successfully',
+    data: {
+      releases,
+      count: releases.length
+    }
+  });
+});
+
+// Upload a new firmware release
+const uploadRelease = catchAsync(async (req, res) => {
+  const { version, model, notes } = req.body;
+
+  const release = await firmwareService.createRelease(req.file, { version, model, notes }, req.user.userId);
+
+  res.status(201).json({
+    success: true,
+    message: 'Firmware release uploaded successfully',
+    data: {
+      release
+    }
+  });
+});
+
+// Get a release with its rollout progress
+const getRelease = catchAsync(async (req, res) => {
+  const release = await findRelease(req.params.id);
+  const stats = await FirmwareUpdate.getReleaseStats(release._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Firmware release retrieved successfully',
+    data: {
+      release,
+      stats
+    }
+  });
+});
+
+// Start or adjust a staged rollout
+const updateRollout = catchAsync(async (req, res) => {
+  const release = await findRelease(req.params.id);
+  const { percentage, farms, failureThreshold, minReports } = req.body;
+
+  await firmwareService.updateRollout(release, { percentage, farms, failureThreshold, minReports }, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Rollout updated successfully',
+    data: {
+      release
+    }
+  });
+});
+
+// Pause a rollout
+const pauseRollout = catchAsync(async (req, res) => {
+  const release = await findRelease(req.params.id);
+
+  await firmwareService.pauseRollout(release, req.body.reason, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Rollout paused successfully',
+    data: {
+      release
+    }
+  });
+});
+
+// Resume a paused rollout
+const resumeRollout = catchAsync(async (req, res) => {
+  const release = await findRelease(req.params.id);
+
+  await firmwareService.resumeRollout(release, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Rollout resumed successfully',
+    data: {
+      release
+    }
+  });
+});
+
+// Delete a draft release
+const deleteRelease = catchAsync(async (req, res) => {
+  const release = await findRelease(req.params.id);
+
+  await firmwareService.deleteRelease(release);
+
+  res.status(200).json({
+    success: true,
+    message: 'Firmware release deleted successfully'
+  });
+});
+
+// Tell a device whether an update is available (IoT devices)
+const checkForUpdate = catchAsync(async (req, res) => {
+  const release = await firmwareService.checkForUpdate(req.sensor, req.query.currentVersion);
+
+  res.status(200).json({
+    success: true,
+    message: release ? 'Update available' : 'Firmware is up to date',
+    data: {
+      updateAvailable: Boolean(release),
+      update: release ? {
+        releaseId: release._id,
+        version: release.version,
+        size: release.file.size,
+        checksum: release.file.checksum,
+        url: `/api/sensors/${req.sensor._id}/firmware/${release._id}/download`
+      } : null
+    }
+  });
+});
+
+// Download a firmware image (IoT devices)
+const downloadFirmware = catchAsync(async (req, res) => {
+  const { release, path } = await firmwareService.getDownload(req.sensor, req.params.releaseId);
+
+  res.set({
+    'Content-Type': 'application/octet-stream',
+    'X-Firmware-Version': release.version,
+    'X-Checksum-SHA256': release.file.checksum
+  });
+
+  res.download(path, `${release.model}-${release.version}.bin`);
+});
+
+// Record the outcome of an update (IoT devices)
+const reportUpdate = catchAsync(async (req, res) => {
+  const { success, message } = req.body;
+
+  const update = await firmwareService.reportResult(req.sensor, req.params.releaseId, { success, message });
+
+  res.status(200).json({
+    success: true,
+    message: 'Update result recorded',
+    data: {
+      releaseId: update.releaseId,
+      status: update.status
+    }
+  });
+});
+
+module.exports = {
+  getReleases,
+  uploadRelease,
+  getRelease,
+  updateRollout,
+  pauseRollout,
+  resumeRollout,
+  deleteRelease,
+  checkForUpdate,
+  downloadFirmware,
+  reportUpdate
+};
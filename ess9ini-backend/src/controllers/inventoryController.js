@@ -0,0 +1,52 @@
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const inventoryService = require('../services/inventoryService');
+const { findOwnedFarm } = require('../services/farmAccessService');
+
+// Import sensors from a CSV or Excel inventory
+// Nothing is written when any row is invalid or on a dry run
+const importInventory = catchAsync(async (req, res) => {
+  const farm = await findOwnedFarm(req);
+
+  if (!req.file) {
+    throw new AppError('Inventory file is required', 400, 'FILE_REQUIRED');
+  }
+
+  const { dryRun = false, upsert = true } = req.query;
+  const report = await inventoryService.importInventory(farm, req.file, { dryRun, upsert }, req.user.userId);
+  const { create, update, invalid } = report.summary;
+
+  if (invalid > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `${invalid} of ${report.summary.rows} rows are invalid, nothing was imported`,
+      code: 'INVENTORY_INVALID',
+      data: report
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: dryRun
+      ? `Dry run: ${create} sensors would be created and ${update} updated`
+      : `${create} sensors created and ${update} updated`,
+    data: report
+  });
+});
+
+// Export the farm's sensors as a CSV or Excel inventory
+const exportInventory = catchAsync(async (req, res) => {
+  const farm = await findOwnedFarm(req);
+  const { buffer, contentType, filename } = await inventoryService.exportInventory(farm, req.query.format);
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+
+  res.send(buffer);
+});
+
+module.exports = {
+  importInventory,
+  exportInventory
+};
@@ -2,13 +2,16 @@ const IrrigationEvent = require('../models/IrrigationEvent');
 const Farm = require('../models/Farm');
 const Sensor = require('../models/Sensor');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
+const actuatorService = require('../services/actuatorService');
+const irrigationSchedulerService = require('../services/irrigationSchedulerService');
+const { formatDateForTunisia } = require('../utils/helpers');
 
 // Get all irrigation events
 const getAllIrrigationEvents = catchAsync(async (req, res) => {
   let query = {};
   
   // If user is not admin, only show events from their farm
-  if (req.user.role !== 'admin' && req.user.farmId) {
+  if (req.user.role !== 'admin') {
     query.farmId = req.user.farmId;
   }
   
@@ -57,49 +60,61 @@ const startIrrigation = catchAsync(async (req, res) => {
     throw new AppError('Farm not found', 404, 'FARM_NOT_FOUND');
   }
   
-  if (req.user.role !== 'admin' && farm.ownerId.toString() !== req.user.userId) {
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
     throw new AppError('Not authorized to control irrigation for this farm', 403, 'UNAUTHORIZED');
   }
   
-  // Check if there's already an active irrigation
-  const activeIrrigation = await IrrigationEvent.findOne({
-    farmId: farm._id,
-    status: 'running'
-  });
+  // Check if there's already an active irrigation (running or being started)
+  const activeIrrigation = await IrrigationEvent.findInProgress(farm._id);
   
   if (activeIrrigation) {
     throw new AppError('Irrigation is already running for this farm', 400, 'IRRIGATION_ACTIVE');
   }
   
-  // Create irrigation event
-  const irrigationEvent = await IrrigationEvent.create({
-    farmId: farm._id,
-    type,
-    status: 'running',
-    duration: duration || 30, // Default 30 minutes
-    zones: zones || ['all'],
-    startedBy: req.user.userId,
-    startTime: new Date()
-  });
+  const eventZones = zones || farm.location.zones.map(zone => zone.id);
+  actuatorService.checkZones(farm, eventZones);
+  
+  // Create irrigation event, running once the hardware confirms
+  // The farm's in-progress index rejects it if another start got there first
+  let irrigationEvent;
+  try {
+    irrigationEvent = await IrrigationEvent.create({
+      farmId: farm._id,
+      userId: req.user.userId,
+      type,
+      status: 'pending',
+      duration: duration || 30, // Default 30 minutes
+      zones: eventZones,
+      schedule: {
+        startTime: new Date()
+      },
+      trigger: { reason: 'manual' },
+      claimedAt: new Date()
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('Irrigation is already running for this farm', 400, 'IRRIGATION_ACTIVE');
+    }
+    throw error;
+  }
   
-  // TODO: Send command to IoT device to start irrigation
-  console.log(`Starting irrigation for farm ${farm.name} - Duration: ${duration} minutes`);
+  await actuatorService.startIrrigation(farm, irrigationEvent);
   
   res.status(201).json({
     success: true,
     message: 'Irrigation started successfully',
     data: { 
       event: irrigationEvent,
-      estimatedEndTime: new Date(Date.now() + (duration || 30) * 60000)
+      estimatedEndTime: irrigationEvent.schedule.endTime
     }
   });
 });
 
 // Stop irrigation
 const stopIrrigation = catchAsync(async (req, res) => {
-  const { eventId } = req.params;
+  const { waterUsed, moistureReadings } = req.body;
   
-  const event = await IrrigationEvent.findById(eventId);
+  const event = await IrrigationEvent.findById(req.params.id);
   
   if (!event) {
     throw new AppError('Irrigation event not found', 404, 'EVENT_NOT_FOUND');
@@ -107,22 +122,16 @@ const stopIrrigation = catchAsync(async (req, res) => {
   
   // Check if user has access to this event
   const farm = await Farm.findById(event.farmId);
-  if (req.user.role !== 'admin' && farm.ownerId.toString() !== req.user.userId) {
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
     throw new AppError('Not authorized to control this irrigation', 403, 'UNAUTHORIZED');
   }
   
-  if (event.status !== 'running') {
+  // A failed irrigation may still have valves open: allow retrying the stop
+  if (event.status !== 'running' && !event.needsShutdown) {
     throw new AppError('Irrigation is not currently running', 400, 'IRRIGATION_NOT_RUNNING');
   }
   
-  // Update event
-  event.status = 'completed';
-  event.endTime = new Date();
-  event.actualDuration = Math.round((event.endTime - event.startTime) / 60000); // minutes
-  await event.save();
-  
-  // TODO: Send command to IoT device to stop irrigation
-  console.log(`Stopping irrigation for farm ${farm.name}`);
+  await actuatorService.stopIrrigation(farm, event, { waterUsed, moistureReadings });
   
   res.status(200).json({
     success: true,
@@ -133,7 +142,7 @@ const stopIrrigation = catchAsync(async (req, res) => {
 
 // Schedule irrigation
 const scheduleIrrigation = catchAsync(async (req, res) => {
-  const { farmId, scheduledTime, duration, zones, type = 'scheduled' } = req.body;
+  const { farmId, startTime, duration, zones, type = 'scheduled' } = req.body;
   
   // Verify farm exists and user has access
   const farm = await Farm.findById(farmId || req.user.farmId);
@@ -141,19 +150,25 @@ const scheduleIrrigation = catchAsync(async (req, res) => {
     throw new AppError('Farm not found', 404, 'FARM_NOT_FOUND');
   }
   
-  if (req.user.role !== 'admin' && farm.ownerId.toString() !== req.user.userId) {
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
     throw new AppError('Not authorized to schedule irrigation for this farm', 403, 'UNAUTHORIZED');
   }
   
-  // Create scheduled irrigation event
+  const eventZones = zones || farm.location.zones.map(zone => zone.id);
+  actuatorService.checkZones(farm, eventZones);
+  
+  // Create scheduled irrigation event, started by the irrigation scheduler
   const irrigationEvent = await IrrigationEvent.create({
     farmId: farm._id,
+    userId: req.user.userId,
     type,
     status: 'pending',
     duration: duration || 30,
-    zones: zones || ['all'],
-    scheduledTime: new Date(scheduledTime),
-    startedBy: req.user.userId
+    zones: eventZones,
+    schedule: {
+      startTime: new Date(startTime)
+    },
+    trigger: { reason: 'scheduled' }
   });
   
   res.status(201).json({
@@ -163,6 +178,31 @@ const scheduleIrrigation = catchAsync(async (req, res) => {
   });
 });
 
+// Get the irrigations planned for the next days (scheduled and recurring)
+const getUpcomingIrrigations = catchAsync(async (req, res) => {
+  const farm = await Farm.findById(req.params.farmId);
+  if (!farm) {
+    throw new AppError('Farm not found', 404, 'FARM_NOT_FOUND');
+  }
+  
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
+    throw new AppError('Not authorized to access this farm', 403, 'UNAUTHORIZED');
+  }
+  
+  const days = parseInt(req.query.days) || 7;
+  const upcoming = await irrigationSchedulerService.getUpcoming(farm, days);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Upcoming irrigations retrieved successfully',
+    data: {
+      upcoming: upcoming.map(item => ({ ...item, localTime: formatDateForTunisia(item.startTime) })),
+      count: upcoming.length,
+      missedPolicy: farm.settings.autoIrrigation.missedPolicy
+    }
+  });
+});
+
 // Get irrigation recommendations
 const getIrrigationRecommendations = catchAsync(async (req, res) => {
   const farmId = req.params.farmId || req.user.farmId;
@@ -173,16 +213,16 @@ const getIrrigationRecommendations = catchAsync(async (req, res) => {
     throw new AppError('Farm not found', 404, 'FARM_NOT_FOUND');
   }
   
-  if (req.user.role !== 'admin' && farm.ownerId.toString() !== req.user.userId) {
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
     throw new AppError('Not authorized to access recommendations for this farm', 403, 'UNAUTHORIZED');
   }
   
   // Get sensors for this farm
-  const sensors = await Sensor.find({ farmId }).populate('lastReading');
+  const sensors = await Sensor.find({ farmId: farm._id });
   
   // Calculate average moisture
   const moistureReadings = sensors
-    .map(s => s.lastReading?.moisture)
+    .map(s => s.statistics.lastReading?.moistureLevel)
     .filter(m => m !== undefined && m !== null);
   
   const averageMoisture = moistureReadings.length > 0
@@ -212,7 +252,7 @@ const getIrrigationRecommendations = catchAsync(async (req, res) => {
     success: true,
     message: 'Irrigation recommendations retrieved successfully',
     data: {
-      farmId,
+      farmId: farm._id,
       averageMoisture: Math.round(averageMoisture),
       recommendation,
       priority,
@@ -229,5 +269,6 @@ module.exports = {
   startIrrigation,
   stopIrrigation,
   scheduleIrrigation,
+  getUpcomingIrrigations,
   getIrrigationRecommendations
 };
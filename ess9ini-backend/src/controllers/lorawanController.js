@@ -0,0 +1,49 @@
+const { catchAsync } = require('../middleware/errorHandler');
+const lorawanService = require('../services/lorawanService');
+
+// Receive an uplink from a LoRaWAN network server (ttn or chirpstack)
+const receiveUplink = catchAsync(async (req, res) => {
+  // ChirpStack posts every event type to the same URL
+  if (req.query.event && req.query.event !== 'up') {
+    return res.status(200).json({
+      success: true,
+      message: `Event '${req.query.event}' ignored`
+    });
+  }
+
+  let result;
+  try {
+    result = await lorawanService.handleUplink(req.params.network, req.body);
+  } catch (error) {
+    // Network servers retry failed deliveries, so a replayed uplink is not an error
+    if (error.code === 'DUPLICATE_READING') {
+      return res.status(200).json({
+        success: true,
+        message: 'Uplink already recorded',
+        data: { duplicate: true }
+      });
+    }
+    throw error;
+  }
+
+  if (!result) {
+    return res.status(200).json({
+      success: true,
+      message: 'Message is not an uplink, ignored'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Uplink recorded successfully',
+    data: {
+      sensorId: result.sensor._id,
+      deviceId: result.sensor.deviceId,
+      reading: result.reading
+    }
+  });
+});
+
+module.exports = {
+  receiveUplink
+};
@@ -0,0 +1,103 @@
+const ReadingArchive = require('../models/ReadingArchive');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const retentionService = require('../services/retentionService');
+const { findOwnedFarm } = require('../services/farmAccessService');
+
+// Load an archive of the farm or fail with 404
+const findArchive = async (farm, archiveId) => {
+  const archive = await ReadingArchive.findOne({ _id: archiveId, farmId: farm._id });
+
+  if (!archive) {
+    throw new AppError('Archive not found', 404, 'ARCHIVE_NOT_FOUND');
+  }
+
+  return archive;
+};
+
+// Get the farm's retention policy
+const getRetention = catchAsync(async (req, res) => {
+  const farm = await findOwnedFarm(req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Retention policy retrieved successfully',
+    data: {
+      retention: farm.settings.retention,
+      cutoff: farm.getRetentionCutoff()
+    }
+  });
+});
+
+// Update the farm's retention policy
+// Takes effect on the next retention pass
+const updateRetention = catchAsync(async (req, res) => {
+  const farm = await findOwnedFarm(req);
+  const { days, archive } = req.body;
+
+  if (days !== undefined) farm.settings.retention.days = days;
+  if (archive?.enabled !== undefined) farm.settings.retention.archive.enabled = archive.enabled;
+  if (archive?.format !== undefined) farm.settings.retention.archive.format = archive.format;
+
+  await farm.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Retention policy updated successfully',
+    data: {
+      retention: farm.settings.retention,
+      cutoff: farm.getRetentionCutoff()
+    }
+  });
+});
+
+// List the farm's reading archives
+const getArchives = catchAsync(async (req, res) => {
+  const farm = await findOwnedFarm(req);
+  const archives = await ReadingArchive.getByFarm(farm._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Archives retrieved successfully',
+    data: {
+      archives,
+      count: archives.length
+    }
+  });
+});
+
+// Download an archive file
+const downloadArchive = catchAsync(async (req, res) => {
+  const farm = await findOwnedFarm(req);
+  const archive = await findArchive(farm, req.params.archiveId);
+  const file = await retentionService.verifyArchive(archive);
+
+  res.set({
+    'Content-Type': 'application/gzip',
+    'X-Checksum-SHA256': archive.file.checksum
+  });
+
+  res.download(file, archive.file.storedName);
+});
+
+// Re-import an archive's readings
+const restoreArchive = catchAsync(async (req, res) => {
+  const farm = await findOwnedFarm(req);
+  const archive = await findArchive(farm, req.params.archiveId);
+  const { from, to } = req.body;
+
+  const result = await retentionService.restoreArchive(archive, { from, to }, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: `${result.inserted} readings restored`,
+    data: result
+  });
+});
+
+module.exports = {
+  getRetention,
+  updateRetention,
+  getArchives,
+  downloadArchive,
+  restoreArchive
+};
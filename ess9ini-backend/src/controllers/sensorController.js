@@ -1,20 +1,33 @@
 const Sensor = require('../models/Sensor');
 const SensorReading = require('../models/SensorReading');
 const Farm = require('../models/Farm');
+const DeviceCommand = require('../models/DeviceCommand');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
+const CONSTANTS = require('../config/constants');
+const ingestionService = require('../services/ingestionService');
+const rollupService = require('../services/rollupService');
+const timeseriesService = require('../services/timeseriesService');
+const driftService = require('../services/driftService');
+const rootZoneService = require('../services/rootZoneService');
+const batteryService = require('../services/batteryService');
+const replacementService = require('../services/replacementService');
+
+// Fields the generic update never changes: credentials are managed through the
+// API key endpoints, the hardware chain and retirement through replacements,
+// and drift, battery forecast and statistics are computed from the readings
+const SERVER_OWNED_FIELDS = ['credentials', 'replacement', 'status', 'drift', 'batteryForecast', 'statistics'];
 
 // Get all sensors
 const getAllSensors = catchAsync(async (req, res) => {
   let query = {};
   
   // If user is not admin, only show sensors from their farm
-  if (req.user.role !== 'admin' && req.user.farmId) {
+  if (req.user.role !== 'admin') {
     query.farmId = req.user.farmId;
   }
   
   const sensors = await Sensor.find(query)
-    .populate('farmId', 'name location')
-    .populate('lastReading');
+    .populate('farmId', 'name location');
   
   res.status(200).json({
     success: true,
@@ -29,8 +42,7 @@ const getAllSensors = catchAsync(async (req, res) => {
 // Get sensor by ID
 const getSensorById = catchAsync(async (req, res) => {
   const sensor = await Sensor.findById(req.params.id)
-    .populate('farmId', 'name location')
-    .populate('lastReading');
+    .populate('farmId', 'name location');
   
   if (!sensor) {
     throw new AppError('Sensor not found', 404, 'SENSOR_NOT_FOUND');
@@ -41,14 +53,31 @@ const getSensorById = catchAsync(async (req, res) => {
     throw new AppError('Not authorized to access this sensor', 403, 'UNAUTHORIZED');
   }
   
+  await DeviceCommand.settleStale(sensor._id);
+  const commands = await DeviceCommand.getRecentBySensor(sensor._id);
+  
   res.status(200).json({
     success: true,
     message: 'Sensor retrieved successfully',
-    data: { sensor }
+    data: { sensor, commands }
   });
 });
 
+// History ranges accepted by getSensorReadings
+const TIME_RANGES = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  '90d': 90 * 24 * 60 * 60 * 1000,
+  '1y': 365 * 24 * 60 * 60 * 1000,
+  '2y': 2 * 365 * 24 * 60 * 60 * 1000
+};
+
 // Get sensor readings
+// Long ranges are served from the hourly / daily rollups (which outlive the
+// raw readings) unless a resolution is requested explicitly. History follows
+// the position across hardware replacements, which are listed in hardwareChanges
 const getSensorReadings = catchAsync(async (req, res) => {
   const { timeRange = '24h', limit = 100 } = req.query;
   
@@ -64,38 +93,35 @@ const getSensorReadings = catchAsync(async (req, res) => {
   }
   
   // Calculate time range
-  let startDate = new Date();
-  switch (timeRange) {
-    case '1h':
-      startDate.setHours(startDate.getHours() - 1);
-      break;
-    case '24h':
-      startDate.setDate(startDate.getDate() - 1);
-      break;
-    case '7d':
-      startDate.setDate(startDate.getDate() - 7);
-      break;
-    case '30d':
-      startDate.setDate(startDate.getDate() - 30);
-      break;
-    default:
-      startDate.setDate(startDate.getDate() - 1);
-  }
-  
-  const readings = await SensorReading.find({
-    sensorId: req.params.id,
-    timestamp: { $gte: startDate }
-  })
-    .sort({ timestamp: -1 })
-    .limit(parseInt(limit));
+  const startDate = new Date(Date.now() - (TIME_RANGES[timeRange] || TIME_RANGES['24h']));
+  
+  const resolution = req.query.resolution || rollupService.resolutionFor(startDate) || 'raw';
+  if (resolution !== 'raw' && !Object.values(CONSTANTS.ROLLUPS.GRANULARITY).includes(resolution)) {
+    throw new AppError('Resolution must be raw, hour or day', 400, 'INVALID_RESOLUTION');
+  }
+  
+  const lineage = await Sensor.getLineage(sensor);
+  const result = { hardwareChanges: replacementService.hardwareChanges(lineage) };
+  if (resolution === 'raw') {
+    result.readings = await SensorReading.find({
+      sensorId: { $in: lineage.map(segment => segment.sensor._id) },
+      timestamp: { $gte: startDate }
+    })
+      .sort({ timestamp: -1 })
+      .limit(parseInt(limit));
+    result.count = result.readings.length;
+  } else {
+    result.series = await rollupService.getLineageSeries(lineage, resolution, startDate);
+    result.count = result.series.length;
+  }
   
   res.status(200).json({
     success: true,
     message: 'Sensor readings retrieved successfully',
     data: {
-      readings,
-      count: readings.length,
+      ...result,
       timeRange,
+      resolution,
       sensor: {
         id: sensor._id,
         name: sensor.name,
@@ -105,6 +131,67 @@ const getSensorReadings = catchAsync(async (req, res) => {
   });
 });
 
+// Split a comma separated query parameter
+const listParam = (value, fallback) => {
+  if (!value) return fallback;
+  return [...new Set(String(value).split(',').map(item => item.trim()).filter(Boolean))];
+};
+
+// Query aligned time series for several sensors or a whole zone
+const getTimeSeries = catchAsync(async (req, res) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - CONSTANTS.TIMESERIES.DEFAULT_RANGE);
+  const bucket = req.query.bucket || timeseriesService.defaultBucket(from, to);
+  const channels = listParam(req.query.channels, ['moisture']);
+  const aggregates = listParam(req.query.agg, ['avg']);
+  const interpolation = req.query.interpolate || 'none';
+  
+  if (timeseriesService.countBuckets(from, to, bucket) > CONSTANTS.TIMESERIES.MAX_POINTS) {
+    throw new AppError(
+      `Range too long for ${bucket} buckets (max ${CONSTANTS.TIMESERIES.MAX_POINTS} points), use a larger bucket`,
+      400,
+      'TOO_MANY_POINTS'
+    );
+  }
+  
+  const isAdmin = req.user.role === CONSTANTS.USER_ROLES.ADMIN;
+  const options = { from, to, bucket, channels, aggregates, interpolation };
+  
+  if (req.query.zone) {
+    const farmId = req.query.farmId || req.user.farmId;
+    if (!farmId) {
+      throw new AppError('Farm ID is required to query a zone', 400, 'FARM_ID_REQUIRED');
+    }
+    if (!isAdmin && farmId.toString() !== req.user.farmId?.toString()) {
+      throw new AppError('Not authorized to access this farm', 403, 'UNAUTHORIZED');
+    }
+    
+    const sensors = await Sensor.find({ farmId, 'location.zone': req.query.zone }).select('_id');
+    options.zone = { farmId, zone: req.query.zone, sensors };
+  } else {
+    const ids = listParam(req.query.sensors, []);
+    const sensors = await Sensor.find({ _id: { $in: ids } }).select('name deviceId farmId replacement');
+    
+    if (sensors.length !== ids.length) {
+      throw new AppError('Sensor not found', 404, 'SENSOR_NOT_FOUND');
+    }
+    if (!isAdmin && sensors.some(sensor => sensor.farmId.toString() !== req.user.farmId?.toString())) {
+      throw new AppError('Not authorized to access this sensor', 403, 'UNAUTHORIZED');
+    }
+    
+    // Keep the requested order
+    options.sensors = ids.map(id => sensors.find(sensor => sensor._id.toString() === id));
+  }
+  
+  const result = await timeseriesService.query(options);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Time series retrieved successfully',
+    data: result
+  });
+});
+
 // Create new sensor
 const createSensor = catchAsync(async (req, res) => {
   const sensorData = {
@@ -118,16 +205,18 @@ const createSensor = catchAsync(async (req, res) => {
     throw new AppError('Farm not found', 404, 'FARM_NOT_FOUND');
   }
   
-  if (req.user.role !== 'admin' && farm.ownerId.toString() !== req.user.userId) {
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
     throw new AppError('Not authorized to create sensor for this farm', 403, 'UNAUTHORIZED');
   }
   
-  const sensor = await Sensor.create(sensorData);
+  // Issue the device credential; the plain key is only returned once
+  const sensor = new Sensor(sensorData);
+  const apiKey = await sensor.issueApiKey(req.user.userId);
   
   res.status(201).json({
     success: true,
     message: 'Sensor created successfully',
-    data: { sensor }
+    data: { sensor, apiKey }
   });
 });
 
@@ -141,13 +230,22 @@ const updateSensor = catchAsync(async (req, res) => {
   
   // Check if user has access to this sensor
   const farm = await Farm.findById(sensor.farmId);
-  if (req.user.role !== 'admin' && farm.ownerId.toString() !== req.user.userId) {
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
     throw new AppError('Not authorized to update this sensor', 403, 'UNAUTHORIZED');
   }
   
+  if (sensor.status === CONSTANTS.SENSOR_STATUS.RETIRED) {
+    throw new AppError('Retired sensors cannot be updated', 400, 'SENSOR_RETIRED');
+  }
+  
+  // Leave out update operators and server-owned fields, dotted paths included
+  const updates = Object.fromEntries(Object.entries(req.body).filter(([field]) => {
+    return !field.startsWith('$') && !SERVER_OWNED_FIELDS.includes(field.split('.')[0]);
+  }));
+  
   const updatedSensor = await Sensor.findByIdAndUpdate(
     req.params.id,
-    req.body,
+    updates,
     { new: true, runValidators: true }
   );
   
@@ -168,7 +266,7 @@ const deleteSensor = catchAsync(async (req, res) => {
   
   // Check if user has access to this sensor
   const farm = await Farm.findById(sensor.farmId);
-  if (req.user.role !== 'admin' && farm.ownerId.toString() !== req.user.userId) {
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
     throw new AppError('Not authorized to delete this sensor', 403, 'UNAUTHORIZED');
   }
   
@@ -180,28 +278,193 @@ const deleteSensor = catchAsync(async (req, res) => {
   });
 });
 
-// Add sensor reading (for IoT devices)
+// Add sensor reading (for IoT devices, sensor authenticated by validateApiKey)
 const addSensorReading = catchAsync(async (req, res) => {
+  const sensor = req.sensor;
+  
+  const reading = await ingestionService.recordReading(sensor, req.body);
+  
+  res.status(201).json({
+    success: true,
+    message: 'Sensor reading added successfully',
+    data: { reading }
+  });
+});
+
+// Add a batch of buffered sensor readings (for IoT devices after a connectivity outage)
+const addSensorReadingsBatch = catchAsync(async (req, res) => {
+  const { samples } = req.body;
+  
+  ingestionService.validateBatch(samples);
+  const { summary, results } = await ingestionService.recordBatch(req.sensor, samples);
+  
+  res.status(summary.created > 0 ? 201 : 200).json({
+    success: true,
+    message: 'Sensor readings batch processed',
+    data: { summary, results }
+  });
+});
+
+// Calibrate sensor
+const calibrateSensor = catchAsync(async (req, res) => {
+  const { dryValue, wetValue, notes, recalculateSince } = req.body;
+  
   const sensor = await Sensor.findById(req.params.id);
   
   if (!sensor) {
     throw new AppError('Sensor not found', 404, 'SENSOR_NOT_FOUND');
   }
   
-  const reading = await SensorReading.create({
-    sensorId: req.params.id,
-    ...req.body
+  // Check if user has access to this sensor
+  const farm = await Farm.findById(sensor.farmId);
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
+    throw new AppError('Not authorized to calibrate this sensor', 403, 'UNAUTHORIZED');
+  }
+  
+  await sensor.calibrate(Number(dryValue), Number(wetValue), req.user.userId, notes, { recalculateSince });
+  
+  // Recalculated readings invalidate their hourly / daily rollups
+  if (sensor.$locals.recalibration) {
+    await rollupService.rebuild(sensor, sensor.$locals.recalibration.since);
+  }
+  
+  res.status(200).json({
+    success: true,
+    message: 'Sensor calibrated successfully',
+    data: {
+      sensor,
+      recalibration: sensor.$locals.recalibration || null
+    }
+  });
+});
+
+// Get drift analysis against zone peers, with the wetting events compared
+const getSensorDrift = catchAsync(async (req, res) => {
+  const analysis = await driftService.analyzeSensor(req.sensor);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Drift analysis retrieved successfully',
+    data: {
+      drift: analysis,
+      lastAnalysis: req.sensor.drift
+    }
+  });
+});
+
+// Get the depth x time moisture profile of a (multi-depth) probe
+const getSensorProfile = catchAsync(async (req, res) => {
+  const farm = await Farm.findById(req.sensor.farmId);
+  
+  if (!farm) {
+    throw new AppError('Farm not found', 404, 'FARM_NOT_FOUND');
+  }
+  
+  const profile = await rootZoneService.getProfile({
+    farm,
+    sensors: [req.sensor],
+    zone: req.sensor.location?.zone,
+    from: req.query.from ? new Date(req.query.from) : undefined,
+    to: req.query.to ? new Date(req.query.to) : undefined,
+    bucket: req.query.bucket
   });
   
-  // Update sensor's last reading
-  sensor.lastReading = reading._id;
-  sensor.lastUpdated = new Date();
-  await sensor.save();
+  res.status(200).json({
+    success: true,
+    message: 'Sensor profile retrieved successfully',
+    data: { profile }
+  });
+});
+
+// Replace the sensor's hardware with a new device at the same position
+const replaceSensor = catchAsync(async (req, res) => {
+  const farm = await Farm.findById(req.sensor.farmId);
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
+    throw new AppError('Not authorized to manage this sensor', 403, 'UNAUTHORIZED');
+  }
+  
+  const { sensor, apiKey, retired } = await replacementService.replaceSensor(req.sensor, req.body, req.user.userId);
   
   res.status(201).json({
     success: true,
-    message: 'Sensor reading added successfully',
-    data: { reading }
+    message: 'Sensor replaced successfully',
+    data: {
+      sensor,
+      apiKey,
+      retired: {
+        id: retired._id,
+        deviceId: retired.deviceId,
+        retiredAt: retired.replacement.retiredAt
+      }
+    }
+  });
+});
+
+// Get the battery life forecast with the discharge curve it is based on
+const getBatteryForecast = catchAsync(async (req, res) => {
+  const forecast = await batteryService.forecastSensor(req.sensor);
+  
+  if (!forecast) {
+    throw new AppError('Sensor has not reported a battery level yet', 404, 'NO_BATTERY_DATA');
+  }
+  
+  res.status(200).json({
+    success: true,
+    message: 'Battery forecast retrieved successfully',
+    data: { forecast }
+  });
+});
+
+// Rotate sensor API key
+const rotateApiKey = catchAsync(async (req, res) => {
+  const sensor = await Sensor.findById(req.params.id);
+  
+  if (!sensor) {
+    throw new AppError('Sensor not found', 404, 'SENSOR_NOT_FOUND');
+  }
+  
+  // Check if user has access to this sensor
+  const farm = await Farm.findById(sensor.farmId);
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
+    throw new AppError('Not authorized to manage this sensor', 403, 'UNAUTHORIZED');
+  }
+  
+  const apiKey = await sensor.issueApiKey(req.user.userId, req.body.reason);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Sensor API key rotated successfully',
+    data: {
+      apiKey,
+      credentials: sensor.toJSON().credentials
+    }
+  });
+});
+
+// Revoke sensor API key
+const revokeApiKey = catchAsync(async (req, res) => {
+  const sensor = await Sensor.findById(req.params.id);
+  
+  if (!sensor) {
+    throw new AppError('Sensor not found', 404, 'SENSOR_NOT_FOUND');
+  }
+  
+  // Check if user has access to this sensor
+  const farm = await Farm.findById(sensor.farmId);
+  if (req.user.role !== 'admin' && farm.owner.toString() !== req.user.userId.toString()) {
+    throw new AppError('Not authorized to manage this sensor', 403, 'UNAUTHORIZED');
+  }
+  
+  if (sensor.credentials.revokedAt) {
+    throw new AppError('Sensor API key is already revoked', 400, 'API_KEY_REVOKED');
+  }
+  
+  await sensor.revokeApiKey(req.user.userId, req.body.reason);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Sensor API key revoked successfully',
+    data: { credentials: sensor.toJSON().credentials }
   });
 });
 
@@ -209,8 +472,17 @@ module.exports = {
   getAllSensors,
   getSensorById,
   getSensorReadings,
+  getTimeSeries,
   createSensor,
   updateSensor,
   deleteSensor,
-  addSensorReading
+  addSensorReading,
+  addSensorReadingsBatch,
+  calibrateSensor,
+  getSensorDrift,
+  getSensorProfile,
+  getBatteryForecast,
+  replaceSensor,
+  rotateApiKey,
+  revokeApiKey
 };
@@ -30,6 +30,11 @@ const getAllUsers = catchAsync(async (req, res) => {
 
 // Get user by ID
 const getUserById = catchAsync(async (req, res) => {
+  // Check if user can view this profile
+  if (req.user.role !== 'admin' && req.user.userId.toString() !== req.params.id) {
+    throw new AppError('Not authorized to access this user', 403, 'UNAUTHORIZED');
+  }
+  
   const user = await User.findById(req.params.id).populate('farmId', 'name location');
   
   if (!user) {
@@ -69,7 +74,7 @@ const updateUser = catchAsync(async (req, res) => {
   }
   
   // Check if user can update this profile
-  if (req.user.role !== 'admin' && req.user.userId !== req.params.id) {
+  if (req.user.role !== 'admin' && req.user.userId.toString() !== req.params.id) {
     throw new AppError('Not authorized to update this user', 403, 'UNAUTHORIZED');
   }
   
@@ -0,0 +1,193 @@
+const WorkOrder = require('../models/WorkOrder');
+const Farm = require('../models/Farm');
+const Sensor = require('../models/Sensor');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const workOrderService = require('../services/workOrderService');
+
+// Farms whose orders the user manages: the farms they own (null for admins,
+// who manage every farm)
+const managedFarmIds = async (user) => {
+  if (user.role === 'admin') return null;
+
+  const farms = await Farm.find({ owner: user.userId }).select('_id');
+  return farms.map(farm => farm._id.toString());
+};
+
+const canManage = async (farmId, user) => {
+  const farmIds = await managedFarmIds(user);
+  return !farmIds || farmIds.includes(farmId.toString());
+};
+
+const isAssignee = (order, user) => !!order.assignedTo && order.assignedTo.toString() === user.userId.toString();
+
+// Load a work order the user may see: the same rule as the list (farm
+// managers and the assigned technician)
+const findWorkOrder = async (id, user) => {
+  const order = await WorkOrder.findById(id);
+
+  if (!order) {
+    throw new AppError('Work order not found', 404, 'WORK_ORDER_NOT_FOUND');
+  }
+
+  if (!isAssignee(order, user) && !(await canManage(order.farmId, user))) {
+    throw new AppError('Not authorized to access this work order', 403, 'UNAUTHORIZED');
+  }
+
+  return order;
+};
+
+const requireManager = async (order, user) => {
+  if (!(await canManage(order.farmId, user))) {
+    throw new AppError('Only the farm owner can manage this work order', 403, 'UNAUTHORIZED');
+  }
+};
+
+// Get work orders
+const getWorkOrders = catchAsync(async (req, res) => {
+  const { farmId, sensorId, status, type, assignedTo, limit = 50 } = req.query;
+
+  const query = {};
+  if (farmId) query.farmId = farmId;
+  if (sensorId) query.sensorId = sensorId;
+  if (status) query.status = status;
+  if (type) query.type = type;
+  if (assignedTo) query.assignedTo = assignedTo;
+
+  // Non-admins only see orders of the farms they manage and orders assigned to them
+  const farmIds = await managedFarmIds(req.user);
+  if (farmIds) {
+    query.$or = [{ farmId: { $in: farmIds } }, { assignedTo: req.user.userId }];
+  }
+
+  const orders = await WorkOrder.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 50, 200))
+    .populate('sensorId', 'name deviceId location.zone status')
+    .populate('assignedTo', 'firstName lastName');
+
+  res.status(200).json({
+    success: true,
+    message: 'Work orders retrieved successfully',
+    data: {
+      orders,
+      count: orders.length
+    }
+  });
+});
+
+// Get the current user's queue of open orders
+const getQueue = catchAsync(async (req, res) => {
+  const orders = await WorkOrder.getQueue(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Work order queue retrieved successfully',
+    data: {
+      orders,
+      count: orders.length
+    }
+  });
+});
+
+// Get a work order
+const getWorkOrder = catchAsync(async (req, res) => {
+  const order = await findWorkOrder(req.params.id, req.user);
+
+  await order.populate([
+    { path: 'sensorId', select: 'name deviceId location status maintenance.nextMaintenance' },
+    { path: 'assignedTo', select: 'firstName lastName email phone' },
+    { path: 'history.by', select: 'firstName lastName' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: 'Work order retrieved successfully',
+    data: { order }
+  });
+});
+
+// Create a work order by hand
+const createWorkOrder = catchAsync(async (req, res) => {
+  const sensor = await Sensor.findById(req.body.sensorId);
+  if (!sensor) {
+    throw new AppError('Sensor not found', 404, 'SENSOR_NOT_FOUND');
+  }
+
+  if (!(await canManage(sensor.farmId, req.user))) {
+    throw new AppError('Not authorized to create work orders for this sensor', 403, 'UNAUTHORIZED');
+  }
+
+  const order = await workOrderService.createWorkOrder(sensor, req.body, req.user.userId);
+
+  res.status(201).json({
+    success: true,
+    message: 'Work order created successfully',
+    data: { order }
+  });
+});
+
+// Assign a work order to a technician
+const assignWorkOrder = catchAsync(async (req, res) => {
+  const order = await findWorkOrder(req.params.id, req.user);
+  await requireManager(order, req.user);
+
+  await workOrderService.assignWorkOrder(order, req.body.technicianId, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Work order assigned successfully',
+    data: { order }
+  });
+});
+
+// Start a work order (assigned technician or farm owner)
+const startWorkOrder = catchAsync(async (req, res) => {
+  const order = await findWorkOrder(req.params.id, req.user);
+
+  await workOrderService.startWorkOrder(order, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Work order started',
+    data: { order }
+  });
+});
+
+// Close a work order as done (assigned technician or farm owner)
+const completeWorkOrder = catchAsync(async (req, res) => {
+  const order = await findWorkOrder(req.params.id, req.user);
+  const { notes, cost, noteType } = req.body;
+
+  await workOrderService.completeWorkOrder(order, { notes, cost, noteType }, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Work order completed',
+    data: { order }
+  });
+});
+
+// Cancel a work order
+const cancelWorkOrder = catchAsync(async (req, res) => {
+  const order = await findWorkOrder(req.params.id, req.user);
+  await requireManager(order, req.user);
+
+  await workOrderService.cancelWorkOrder(order, req.body.reason, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Work order cancelled',
+    data: { order }
+  });
+});
+
+module.exports = {
+  getWorkOrders,
+  getQueue,
+  getWorkOrder,
+  createWorkOrder,
+  assignWorkOrder,
+  startWorkOrder,
+  completeWorkOrder,
+  cancelWorkOrder
+};
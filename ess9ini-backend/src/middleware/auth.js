@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const CONSTANTS = require('../config/constants');
+const { logger } = require('../utils/logger');
 
 // Middleware to authenticate JWT token
 exports.authenticate = async (req, res, next) => {
@@ -211,27 +212,92 @@ exports.checkSensorAccess = async (req, res, next) => {
   }
 };
 
-// Middleware to validate API key for IoT devices
-exports.validateApiKey = (req, res, next) => {
-  const apiKey = req.header('X-API-Key') || req.query.apiKey;
-  
-  if (!apiKey) {
-    return res.status(401).json({
-      success: false,
-      message: 'API key is required.',
-      code: 'API_KEY_REQUIRED'
-    });
-  }
+// Middleware to validate per-device API key for IoT devices
+exports.validateApiKey = async (req, res, next) => {
+  try {
+    // Header only: query strings end up in access logs and proxies
+    const apiKey = req.header('X-API-Key');
+    
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'API key is required.',
+        code: 'API_KEY_REQUIRED'
+      });
+    }
 
-  if (apiKey !== process.env.IOT_API_KEY) {
-    return res.status(401).json({
+    const sensorId = req.params.sensorId || req.params.id;
+    const mongoose = require('mongoose');
+    
+    if (!mongoose.isValidObjectId(sensorId)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid API key.',
+        code: 'INVALID_API_KEY'
+      });
+    }
+
+    // The key must belong to the sensor (and device ID, when sent) being written
+    const query = { _id: sensorId };
+    const deviceId = req.header('X-Device-ID');
+    if (deviceId) {
+      query.deviceId = deviceId.toUpperCase();
+    }
+
+    const Sensor = require('../models/Sensor');
+    const sensor = await Sensor.authenticateDevice(query, apiKey);
+    
+    if (!sensor) {
+      logger.warn('Invalid device API key', { sensorId, ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid API key.',
+        code: 'INVALID_API_KEY'
+      });
+    }
+
+    req.sensor = sensor;
+    next();
+  } catch (error) {
+    console.error('API key validation error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Invalid API key.',
-      code: 'INVALID_API_KEY'
+      message: 'Error validating API key.',
+      code: 'API_KEY_ERROR'
     });
   }
+};
+
+// Middleware to validate the shared secret sent by integration webhooks
+// (e.g. LoRaWAN network servers) in the X-Webhook-Secret header
+exports.validateWebhookSecret = (envVar) => {
+  return (req, res, next) => {
+    const expected = process.env[envVar];
+
+    if (!expected) {
+      return res.status(503).json({
+        success: false,
+        message: 'Webhook is not configured.',
+        code: 'WEBHOOK_DISABLED'
+      });
+    }
 
-  next();
+    const crypto = require('crypto');
+    const secret = req.header('X-Webhook-Secret') || '';
+    const matches = secret.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(secret), Buffer.from(expected));
+
+    if (!matches) {
+      logger.warn('Invalid webhook secret', { url: req.originalUrl, ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook secret.',
+        code: 'INVALID_WEBHOOK_SECRET'
+      });
+    }
+
+    next();
+  };
 };
 
 // Middleware to check if user owns the resource
@@ -171,7 +171,7 @@ const notFound = (req, res, next) => {
 // Validation error formatter
 const formatValidationErrors = (errors) => {
   return errors.array().map(error => ({
-    field: error.param,
+    field: error.path || error.param,
     message: error.msg,
     value: error.value,
     location: error.location
@@ -0,0 +1,50 @@
+const path = require('path');
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+const CONSTANTS = require('../config/constants');
+
+// Wrap a multer handler so upload errors become API errors
+const handleUpload = (upload, maxSize) => {
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `File cannot exceed ${maxSize / (1024 * 1024)}MB`
+          : error.message;
+        return next(new AppError(message, 400, error.code));
+      }
+
+      next(error);
+    });
+  };
+};
+
+// Firmware images are kept in memory so the checksum can be computed before storing
+const firmwareUpload = handleUpload(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: CONSTANTS.FIRMWARE.MAX_SIZE, files: 1 }
+  }).single('firmware'),
+  CONSTANTS.FIRMWARE.MAX_SIZE
+);
+
+// Sensor inventories (CSV or Excel) are parsed straight from memory
+const inventoryUpload = handleUpload(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: CONSTANTS.INVENTORY.MAX_FILE_SIZE, files: 1 },
+    fileFilter: (req, file, callback) => {
+      const extension = path.extname(file.originalname).slice(1).toLowerCase();
+      if (Object.values(CONSTANTS.INVENTORY.FORMATS).includes(extension)) return callback(null, true);
+      callback(new AppError('Inventory must be a .csv or .xlsx file', 400, 'UNSUPPORTED_FILE_TYPE'));
+    }
+  }).single('file'),
+  CONSTANTS.INVENTORY.MAX_FILE_SIZE
+);
+
+module.exports = {
+  firmwareUpload,
+  inventoryUpload
+};
@@ -19,6 +19,15 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Run validation rules against a plain payload (for non-HTTP channels such as MQTT)
+const validatePayload = async (rules, payload) => {
+  const req = { body: payload };
+  await Promise.all(rules.map(rule => rule.run(req)));
+  
+  const errors = validationResult(req);
+  return errors.isEmpty() ? [] : formatValidationErrors(errors);
+};
+
 // Common validation rules
 const commonValidations = {
   email: body('email')
@@ -129,6 +138,28 @@ const userValidations = {
   ]
 };
 
+// Depth profile query rules (shared by sensor and zone profiles)
+const profileQueryRules = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid from date format'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid to date format')
+    .custom((value, { req }) => {
+      if (req.query.from && new Date(value) <= new Date(req.query.from)) {
+        throw new Error('To date must be after from date');
+      }
+      return true;
+    }),
+  query('bucket')
+    .optional()
+    .isIn(Object.keys(CONSTANTS.TIMESERIES.BUCKETS))
+    .withMessage(`Bucket must be one of: ${Object.keys(CONSTANTS.TIMESERIES.BUCKETS).join(', ')}`)
+];
+
 // Farm validation rules
 const farmValidations = {
   create: [
@@ -202,6 +233,54 @@ const farmValidations = {
       .optional()
       .isFloat({ min: 0, max: 100 })
       .withMessage('Target moisture must be between 0 and 100%'),
+    body('settings.autoIrrigation.schedule')
+      .optional()
+      .isArray()
+      .withMessage('Irrigation schedule must be an array'),
+    body('settings.autoIrrigation.schedule.*.time')
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Schedule time must be in HH:MM format'),
+    body('settings.autoIrrigation.schedule.*.duration')
+      .isInt({ min: 1, max: 480 })
+      .withMessage('Schedule duration must be between 1 and 480 minutes'),
+    body('settings.autoIrrigation.schedule.*.zones.*')
+      .isInt({ min: 1 })
+      .withMessage('Zone numbers must be positive integers'),
+    body('settings.autoIrrigation.schedule.*.days.*')
+      .isIn(CONSTANTS.IRRIGATION_SCHEDULER.WEEKDAYS)
+      .withMessage(`Schedule days must be among: ${CONSTANTS.IRRIGATION_SCHEDULER.WEEKDAYS.join(', ')}`),
+    body('settings.autoIrrigation.missedPolicy')
+      .optional()
+      .isIn(Object.values(CONSTANTS.IRRIGATION_SCHEDULER.MISSED_POLICIES))
+      .withMessage(`Missed policy must be one of: ${Object.values(CONSTANTS.IRRIGATION_SCHEDULER.MISSED_POLICIES).join(', ')}`),
+    body('settings.autoIrrigation.maxDelay')
+      .optional()
+      .isInt({ min: 1, max: CONSTANTS.IRRIGATION_SCHEDULER.MAX_DELAY })
+      .withMessage(`Maximum delay must be between 1 and ${CONSTANTS.IRRIGATION_SCHEDULER.MAX_DELAY} minutes`),
+    body('settings.autoIrrigation.moistureThreshold')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Moisture threshold must be between 0 and 100%'),
+    body('settings.autoIrrigation.moistureControl.enabled')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Moisture control enabled must be true or false'),
+    body('settings.autoIrrigation.moistureControl.hysteresis')
+      .optional()
+      .isFloat({ min: 1, max: 30 })
+      .withMessage('Hysteresis must be between 1 and 30%'),
+    body('settings.autoIrrigation.moistureControl.minOffTime')
+      .optional()
+      .isInt({ min: 0, max: 1440 })
+      .withMessage('Minimum off time must be between 0 and 1440 minutes'),
+    body('settings.autoIrrigation.moistureControl.maxDuration')
+      .optional()
+      .isInt({ min: 1, max: 480 })
+      .withMessage('Maximum duration must be between 1 and 480 minutes'),
+    body('settings.autoIrrigation.moistureControl.dailyWaterCap')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Daily water cap must be a positive number of liters'),
     handleValidationErrors
   ],
   
@@ -228,10 +307,229 @@ const farmValidations = {
       .optional()
       .isFloat({ min: 0, max: 100 })
       .withMessage('Target moisture must be between 0 and 100%'),
+    body('rootDepth')
+      .optional()
+      .isFloat({ min: 5, max: 500 })
+      .withMessage('Root depth must be between 5 and 500 cm'),
+    handleValidationErrors
+  ],
+  
+  retention: [
+    body('days')
+      .optional()
+      .isInt({ min: CONSTANTS.RETENTION.MIN_DAYS, max: CONSTANTS.RETENTION.MAX_DAYS })
+      .withMessage(`Retention must be between ${CONSTANTS.RETENTION.MIN_DAYS} and ${CONSTANTS.RETENTION.MAX_DAYS} days`)
+      .toInt(),
+    body('archive.enabled')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Archive enabled must be true or false'),
+    body('archive.format')
+      .optional()
+      .isIn(Object.values(CONSTANTS.RETENTION.ARCHIVE_FORMATS))
+      .withMessage(`Archive format must be one of: ${Object.values(CONSTANTS.RETENTION.ARCHIVE_FORMATS).join(', ')}`),
+    handleValidationErrors
+  ],
+  
+  actuators: [
+    body('driver')
+      .optional({ nullable: true })
+      .isIn(Object.values(CONSTANTS.ACTUATORS.DRIVERS))
+      .withMessage(`Driver must be one of: ${Object.values(CONSTANTS.ACTUATORS.DRIVERS).join(', ')}`),
+    body('controllerId')
+      .optional()
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{1,50}$/)
+      .withMessage('Controller ID may only contain letters, numbers, - and _'),
+    body('url')
+      .optional()
+      .isURL({ protocols: ['http', 'https'], require_tld: false })
+      .withMessage('Controller URL must be a valid http(s) URL'),
+    body('token')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Token cannot exceed 500 characters'),
+    body('timeout')
+      .optional()
+      .isInt({ min: 1, max: CONSTANTS.ACTUATORS.MAX_TIMEOUT })
+      .withMessage(`Timeout must be between 1 and ${CONSTANTS.ACTUATORS.MAX_TIMEOUT} seconds`)
+      .toInt(),
+    body(['pump.channel', 'masterValve.channel'])
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Relay channel must be a non-negative integer')
+      .toInt(),
+    body('valves')
+      .optional()
+      .isArray()
+      .withMessage('Valves must be an array'),
+    body('valves.*.zone')
+      .isInt()
+      .withMessage('Valve zone must be a zone ID')
+      .toInt(),
+    body('valves.*.channel')
+      .isInt({ min: 0 })
+      .withMessage('Relay channel must be a non-negative integer')
+      .toInt(),
+    handleValidationErrors
+  ],
+  
+  restoreArchive: [
+    body('from')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid from date format'),
+    body('to')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid to date format')
+      .custom((value, { req }) => {
+        if (req.body.from && new Date(value) <= new Date(req.body.from)) {
+          throw new Error('To date must be after from date');
+        }
+        return true;
+      }),
+    handleValidationErrors
+  ],
+  
+  rootZoneProfile: [
+    query('zone')
+      .trim()
+      .notEmpty()
+      .withMessage('Zone is required'),
+    ...profileQueryRules,
+    handleValidationErrors
+  ],
+  
+  batteryReplacements: [
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Days must be between 1 and 365'),
+    handleValidationErrors
+  ],
+  
+  inventoryImport: [
+    query('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be true or false')
+      .toBoolean(),
+    query('upsert')
+      .optional()
+      .isBoolean()
+      .withMessage('upsert must be true or false')
+      .toBoolean(),
+    handleValidationErrors
+  ],
+  
+  inventoryExport: [
+    query('format')
+      .optional()
+      .isIn(Object.values(CONSTANTS.INVENTORY.FORMATS))
+      .withMessage(`Format must be one of: ${Object.values(CONSTANTS.INVENTORY.FORMATS).join(', ')}`),
     handleValidationErrors
   ]
 };
 
+// Sensor reading payload rules (shared by HTTP and MQTT ingestion)
+const sensorReadingRules = [
+  // moistureLevel may be omitted when the server derives it from rawData.moistureRaw
+  // or, for multi-depth probes, from the depth profile
+  body('readings.moistureLevel')
+    .if(body('rawData.moistureRaw').not().exists({ values: 'null' }))
+    .if(body('profile').not().isArray({ min: 1 }))
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Moisture level must be between 0 and 100%'),
+  body('profile')
+    .optional()
+    .isArray({ min: 1, max: CONSTANTS.ROOT_ZONE.MAX_PROBE_DEPTHS })
+    .withMessage(`Profile must list 1 to ${CONSTANTS.ROOT_ZONE.MAX_PROBE_DEPTHS} depths`),
+  body('profile.*.depth')
+    .isFloat({ min: 0 })
+    .withMessage('Profile depth must be a positive number (cm)'),
+  body('profile.*')
+    .custom((entry) => {
+      const hasLevel = entry?.moistureLevel !== undefined && entry?.moistureLevel !== null;
+      const hasRaw = entry?.moistureRaw !== undefined && entry?.moistureRaw !== null;
+      
+      if (!hasLevel && !hasRaw) {
+        throw new Error('Each profile depth needs moistureLevel or moistureRaw');
+      }
+      if (hasLevel && !(Number(entry.moistureLevel) >= 0 && Number(entry.moistureLevel) <= 100)) {
+        throw new Error('Profile moisture level must be between 0 and 100%');
+      }
+      if (hasRaw && !Number.isFinite(Number(entry.moistureRaw))) {
+        throw new Error('Profile raw moisture value must be a number');
+      }
+      return true;
+    }),
+  body('rawData.moistureRaw')
+    .optional({ values: 'null' })
+    .isFloat()
+    .withMessage('Raw moisture value must be a number'),
+  body('readings.temperature')
+    .optional()
+    .isFloat({ min: -50, max: 80 })
+    .withMessage('Temperature must be between -50 and 80°C'),
+  body('readings.humidity')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Humidity must be between 0 and 100%'),
+  body('readings.batteryLevel')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Battery level must be between 0 and 100%'),
+  body('readings.signalStrength')
+    .optional()
+    .isFloat({ min: -120, max: 0 })
+    .withMessage('Signal strength must be between -120 and 0 dBm'),
+  body('timestamp')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid timestamp format')
+];
+
+// Calibration sample payload rules (shared by HTTP and MQTT)
+const calibrationSampleRules = [
+  body('samples')
+    .isArray({ min: 1, max: CONSTANTS.CALIBRATION.MAX_SAMPLES_PER_UPLOAD })
+    .withMessage(`Samples must be an array of 1 to ${CONSTANTS.CALIBRATION.MAX_SAMPLES_PER_UPLOAD} raw values`),
+  body('samples.*')
+    .isFloat()
+    .withMessage('Each sample must be a raw numeric probe value')
+];
+
+// Device command result rules (shared by HTTP and MQTT acknowledgements)
+const commandResultRules = [
+  body('success')
+    .isBoolean({ strict: true })
+    .withMessage('Success must be true or false'),
+  body('message')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters')
+];
+
+const commandAckRules = [
+  body('commandId')
+    .isMongoId()
+    .withMessage('Invalid command ID'),
+  ...commandResultRules
+];
+
+// Comma separated query list whose items must come from a set of values
+const listOf = (field, allowed, label) => query(field)
+  .optional()
+  .custom((value) => {
+    const invalid = String(value).split(',').map(item => item.trim()).filter(item => item && !allowed.includes(item));
+    if (invalid.length > 0) {
+      throw new Error(`${label} must be one of: ${allowed.join(', ')}`);
+    }
+    return true;
+  });
+
 // Sensor validation rules
 const sensorValidations = {
   create: [
@@ -266,10 +564,21 @@ const sensorValidations = {
       .optional()
       .isFloat({ min: 0 })
       .withMessage('Depth must be a positive number'),
+    body('location.depths')
+      .optional()
+      .isArray({ min: 1, max: CONSTANTS.ROOT_ZONE.MAX_PROBE_DEPTHS })
+      .withMessage(`Depths must list 1 to ${CONSTANTS.ROOT_ZONE.MAX_PROBE_DEPTHS} values`),
+    body('location.depths.*')
+      .isFloat({ min: 0 })
+      .withMessage('Each depth must be a positive number (cm)'),
     body('specifications.model')
       .trim()
       .notEmpty()
       .withMessage('Sensor model is required'),
+    body('connectivity.devEui')
+      .optional()
+      .matches(/^[0-9A-Fa-f]{16}$/)
+      .withMessage('DevEUI must be 16 hexadecimal characters'),
     body('calibration.dryValue')
       .isNumeric()
       .withMessage('Dry calibration value must be a number'),
@@ -280,28 +589,181 @@ const sensorValidations = {
   ],
   
   addReading: [
-    body('readings.moistureLevel')
+    ...sensorReadingRules,
+    handleValidationErrors
+  ],
+  
+  queueCommand: [
+    body('type')
+      .isIn(Object.values(CONSTANTS.DEVICE_COMMANDS.TYPES))
+      .withMessage(`Command type must be one of: ${Object.values(CONSTANTS.DEVICE_COMMANDS.TYPES).join(', ')}`),
+    body('params.interval')
+      .if(body('type').equals(CONSTANTS.DEVICE_COMMANDS.TYPES.SET_SAMPLING_INTERVAL))
+      .isInt({ min: 10, max: 86400 })
+      .withMessage('Sampling interval must be between 10 and 86400 seconds'),
+    body(['params.low', 'params.high', 'params.battery'])
+      .optional()
       .isFloat({ min: 0, max: 100 })
-      .withMessage('Moisture level must be between 0 and 100%'),
-    body('readings.temperature')
+      .withMessage('Thresholds must be between 0 and 100%'),
+    body('params.high')
       .optional()
-      .isFloat({ min: -50, max: 80 })
-      .withMessage('Temperature must be between -50 and 80°C'),
-    body('readings.humidity')
+      .custom((value, { req }) => {
+        if (req.body.params.low !== undefined && Number(value) <= Number(req.body.params.low)) {
+          throw new Error('High threshold must be greater than low threshold');
+        }
+        return true;
+      }),
+    body(['params.dryValue', 'params.wetValue'])
       .optional()
-      .isFloat({ min: 0, max: 100 })
-      .withMessage('Humidity must be between 0 and 100%'),
-    body('readings.batteryLevel')
-      .isFloat({ min: 0, max: 100 })
-      .withMessage('Battery level must be between 0 and 100%'),
-    body('readings.signalStrength')
+      .isNumeric()
+      .withMessage('Calibration values must be numbers'),
+    body('ttl')
+      .optional()
+      .isInt({ min: 1, max: CONSTANTS.DEVICE_COMMANDS.MAX_TTL })
+      .withMessage(`TTL must be between 1 and ${CONSTANTS.DEVICE_COMMANDS.MAX_TTL} minutes`),
+    handleValidationErrors
+  ],
+  
+  commandAck: [
+    param('commandId')
+      .isMongoId()
+      .withMessage('Invalid command ID'),
+    ...commandResultRules,
+    handleValidationErrors
+  ],
+  
+  calibrationSamples: [
+    ...calibrationSampleRules,
+    handleValidationErrors
+  ],
+  
+  calibrationPhase: [
+    body('phase')
+      .isIn(Object.values(CONSTANTS.CALIBRATION.PHASES))
+      .withMessage(`Phase must be one of: ${Object.values(CONSTANTS.CALIBRATION.PHASES).join(', ')}`),
+    handleValidationErrors
+  ],
+  
+  completeCalibration: [
+    body('dryValue')
+      .optional()
+      .isNumeric()
+      .withMessage('Dry value must be a number'),
+    body('wetValue')
+      .optional()
+      .isNumeric()
+      .withMessage('Wet value must be a number'),
+    body('recalculateSince')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid recalculation date format')
+      .custom((value) => {
+        if (new Date(value) > new Date()) {
+          throw new Error('Recalculation date cannot be in the future');
+        }
+        return true;
+      }),
+    body('notes')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Notes cannot exceed 200 characters'),
+    handleValidationErrors
+  ],
+  
+  apiKey: [
+    body('reason')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Reason cannot exceed 200 characters'),
+    handleValidationErrors
+  ],
+  
+  timeseries: [
+    query('sensors')
+      .if(query('zone').not().exists())
+      .notEmpty()
+      .withMessage('Sensors or a zone is required')
+      .bail()
+      .custom((value) => {
+        const ids = String(value).split(',').map(id => id.trim()).filter(Boolean);
+        if (ids.length > CONSTANTS.TIMESERIES.MAX_SENSORS) {
+          throw new Error(`At most ${CONSTANTS.TIMESERIES.MAX_SENSORS} sensors can be queried at once`);
+        }
+        if (!ids.every(id => /^[0-9a-fA-F]{24}$/.test(id))) {
+          throw new Error('Invalid sensor ID');
+        }
+        return true;
+      }),
+    query('farmId')
       .optional()
-      .isFloat({ min: -120, max: 0 })
-      .withMessage('Signal strength must be between -120 and 0 dBm'),
-    body('timestamp')
+      .isMongoId()
+      .withMessage('Invalid farm ID'),
+    query('from')
       .optional()
       .isISO8601()
-      .withMessage('Invalid timestamp format'),
+      .withMessage('Invalid from date format'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid to date format')
+      .custom((value, { req }) => {
+        if (req.query.from && new Date(value) <= new Date(req.query.from)) {
+          throw new Error('To date must be after from date');
+        }
+        return true;
+      }),
+    query('bucket')
+      .optional()
+      .isIn(Object.keys(CONSTANTS.TIMESERIES.BUCKETS))
+      .withMessage(`Bucket must be one of: ${Object.keys(CONSTANTS.TIMESERIES.BUCKETS).join(', ')}`),
+    listOf('channels', Object.keys(CONSTANTS.TIMESERIES.CHANNELS), 'Channels'),
+    listOf('agg', CONSTANTS.TIMESERIES.AGGREGATES, 'Aggregates'),
+    query('interpolate')
+      .optional()
+      .isIn(CONSTANTS.TIMESERIES.INTERPOLATION)
+      .withMessage(`Interpolation must be one of: ${CONSTANTS.TIMESERIES.INTERPOLATION.join(', ')}`),
+    handleValidationErrors
+  ],
+  
+  profile: [
+    ...profileQueryRules,
+    handleValidationErrors
+  ],
+  
+  replace: [
+    body('deviceId')
+      .trim()
+      .notEmpty()
+      .withMessage('Device ID of the new hardware is required')
+      .isLength({ min: 3, max: 20 })
+      .withMessage('Device ID must be between 3 and 20 characters')
+      .matches(/^[A-Z0-9_]+$/)
+      .withMessage('Device ID can only contain uppercase letters, numbers, and underscores'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Sensor name must be between 2 and 50 characters'),
+    body('connectivity.devEui')
+      .optional()
+      .matches(/^[0-9A-Fa-f]{16}$/)
+      .withMessage('DevEUI must be 16 hexadecimal characters'),
+    body('calibration.dryValue')
+      .if(body('calibration').exists())
+      .isNumeric()
+      .withMessage('Dry calibration value must be a number'),
+    body('calibration.wetValue')
+      .if(body('calibration').exists())
+      .isNumeric()
+      .withMessage('Wet calibration value must be a number'),
+    body('reason')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Reason cannot exceed 200 characters'),
+    body('cost')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Cost must be a positive number'),
     handleValidationErrors
   ],
   
@@ -311,7 +773,23 @@ const sensorValidations = {
       .withMessage('Dry value must be a number'),
     body('wetValue')
       .isNumeric()
-      .withMessage('Wet value must be a number'),
+      .withMessage('Wet value must be a number')
+      .custom((value, { req }) => {
+        if (Number(value) === Number(req.body.dryValue)) {
+          throw new Error('Wet value must differ from dry value');
+        }
+        return true;
+      }),
+    body('recalculateSince')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid recalculation date format')
+      .custom((value) => {
+        if (new Date(value) > new Date()) {
+          throw new Error('Recalculation date cannot be in the future');
+        }
+        return true;
+      }),
     body('notes')
       .optional()
       .isLength({ max: 200 })
@@ -347,6 +825,36 @@ const irrigationValidations = {
     handleValidationErrors
   ],
   
+  schedule: [
+    body('zones')
+      .isArray({ min: 1 })
+      .withMessage('At least one zone is required'),
+    body('zones.*')
+      .isInt({ min: 1 })
+      .withMessage('Zone numbers must be positive integers'),
+    body('duration')
+      .isInt({ min: 1, max: 480 })
+      .withMessage('Duration must be between 1 and 480 minutes'),
+    body('startTime')
+      .isISO8601()
+      .withMessage('Invalid start time format')
+      .custom((value) => {
+        if (new Date(value) <= new Date()) {
+          throw new Error('Start time must be in the future');
+        }
+        return true;
+      }),
+    handleValidationErrors
+  ],
+  
+  upcoming: [
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 31 })
+      .withMessage('Days must be between 1 and 31'),
+    handleValidationErrors
+  ],
+  
   complete: [
     body('waterUsed')
       .optional()
@@ -372,6 +880,163 @@ const irrigationValidations = {
   ]
 };
 
+// Firmware release validation rules
+const firmwareValidations = {
+  upload: [
+    body('version')
+      .trim()
+      .matches(/^v?\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/)
+      .withMessage('Version must follow semantic versioning (e.g. 1.4.2)'),
+    body('model')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Target sensor model is required and cannot exceed 50 characters'),
+    body('notes')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Release notes cannot exceed 1000 characters'),
+    handleValidationErrors
+  ],
+  
+  rollout: [
+    body('percentage')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Rollout percentage must be between 0 and 100'),
+    body('farms')
+      .optional()
+      .isArray()
+      .withMessage('Farms must be an array'),
+    body('farms.*')
+      .isMongoId()
+      .withMessage('Invalid farm ID format'),
+    body('failureThreshold')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('Failure threshold must be between 0 and 1'),
+    body('minReports')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Minimum reports must be a positive integer'),
+    body()
+      .custom((value) => {
+        if (value.percentage === undefined && !(value.farms && value.farms.length > 0)) {
+          throw new Error('Provide a rollout percentage or a list of farms');
+        }
+        return true;
+      }),
+    handleValidationErrors
+  ],
+  
+  pause: [
+    body('reason')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Reason cannot exceed 200 characters'),
+    handleValidationErrors
+  ],
+  
+  report: [
+    body('success')
+      .isBoolean({ strict: true })
+      .withMessage('Success must be true or false'),
+    body('message')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Message cannot exceed 500 characters'),
+    handleValidationErrors
+  ]
+};
+
+// Work order validations
+const workOrderValidations = {
+  list: [
+    query('farmId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid farm ID format'),
+    query('sensorId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid sensor ID format'),
+    query('assignedTo')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid technician ID format'),
+    query('status')
+      .optional()
+      .isIn(Object.values(CONSTANTS.WORK_ORDERS.STATUS))
+      .withMessage('Invalid work order status'),
+    query('type')
+      .optional()
+      .isIn(Object.values(CONSTANTS.WORK_ORDERS.TYPES))
+      .withMessage('Invalid work order type'),
+    handleValidationErrors
+  ],
+  
+  create: [
+    body('sensorId')
+      .isMongoId()
+      .withMessage('Invalid sensor ID format'),
+    body('type')
+      .optional()
+      .isIn(Object.values(CONSTANTS.WORK_ORDERS.TYPES))
+      .withMessage('Invalid work order type'),
+    body('title')
+      .trim()
+      .isLength({ min: 3, max: 150 })
+      .withMessage('Title must be between 3 and 150 characters'),
+    body('description')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters'),
+    body('priority')
+      .optional()
+      .isIn(CONSTANTS.WORK_ORDERS.PRIORITIES)
+      .withMessage(`Priority must be one of: ${CONSTANTS.WORK_ORDERS.PRIORITIES.join(', ')}`),
+    body('dueDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid due date format'),
+    body('assignedTo')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid technician ID format'),
+    handleValidationErrors
+  ],
+  
+  assign: [
+    body('technicianId')
+      .isMongoId()
+      .withMessage('Invalid technician ID format'),
+    handleValidationErrors
+  ],
+  
+  complete: [
+    body('notes')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters'),
+    body('cost')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Cost must be a positive number'),
+    body('noteType')
+      .optional()
+      .isIn(['installation', 'calibration', 'repair', 'replacement', 'cleaning', 'inspection', 'battery'])
+      .withMessage('Invalid maintenance type'),
+    handleValidationErrors
+  ],
+  
+  cancel: [
+    body('reason')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Reason cannot exceed 200 characters'),
+    handleValidationErrors
+  ]
+};
+
 // Query parameter validations
 const queryValidations = {
   pagination: [
@@ -407,10 +1072,16 @@ const queryValidations = {
 
 module.exports = {
   handleValidationErrors,
+  validatePayload,
   commonValidations,
   userValidations,
   farmValidations,
+  sensorReadingRules,
+  calibrationSampleRules,
+  commandAckRules,
   sensorValidations,
   irrigationValidations,
+  firmwareValidations,
+  workOrderValidations,
   queryValidations
 };
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const CONSTANTS = require('../config/constants');
+
+const OPEN_STATUSES = [CONSTANTS.ALERT_STATUS.ACTIVE, CONSTANTS.ALERT_STATUS.ACKNOWLEDGED];
+
+// Alerts about a sensor or farm condition that lasts over time (e.g. a sensor
+// going offline). Alerts about a single value stay embedded in SensorReading.
+const alertSchema = new mongoose.Schema({
+  farmId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: [true, 'Farm ID is required']
+  },
+  sensorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sensor'
+  },
+  type: {
+    type: String,
+    enum: Object.values(CONSTANTS.ALERT_KINDS),
+    required: [true, 'Alert type is required']
+  },
+  category: {
+    type: String,
+    enum: Object.values(CONSTANTS.ALERT_CATEGORIES),
+    required: [true, 'Alert category is required']
+  },
+  severity: {
+    type: String,
+    enum: Object.values(CONSTANTS.ALERT_TYPES),
+    default: CONSTANTS.ALERT_TYPES.WARNING
+  },
+  status: {
+    type: String,
+    enum: Object.values(CONSTANTS.ALERT_STATUS),
+    default: CONSTANTS.ALERT_STATUS.ACTIVE
+  },
+  message: {
+    type: String,
+    required: [true, 'Alert message is required'],
+    maxlength: [500, 'Alert message cannot exceed 500 characters']
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: Date,
+  resolvedAt: Date,
+  resolution: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+alertSchema.index({ farmId: 1, status: 1, createdAt: -1 });
+alertSchema.index({ sensorId: 1, type: 1, status: 1 });
+
+// Virtual for open state
+alertSchema.virtual('isOpen').get(function() {
+  return OPEN_STATUSES.includes(this.status);
+});
+
+// Static method to raise an alert unless the same one is already open
+// Returns { alert, created }
+alertSchema.statics.raise = async function(data) {
+  const existing = await this.findOne({
+    sensorId: data.sensorId,
+    farmId: data.farmId,
+    type: data.type,
+    status: { $in: OPEN_STATUSES }
+  });
+
+  if (existing) return { alert: existing, created: false };
+
+  const alert = await this.create(data);
+  return { alert, created: true };
+};
+
+// Static method to resolve the open alerts of a type for a sensor
+alertSchema.statics.resolveOpen = function(sensorId, type, resolution) {
+  return this.updateMany(
+    { sensorId, type, status: { $in: OPEN_STATUSES } },
+    {
+      $set: {
+        status: CONSTANTS.ALERT_STATUS.RESOLVED,
+        resolvedAt: new Date(),
+        resolution
+      }
+    }
+  );
+};
+
+// Static method to resolve the open farm-level alerts of a type (no sensor)
+alertSchema.statics.resolveOpenForFarm = function(farmId, type, resolution) {
+  return this.updateMany(
+    { farmId, sensorId: null, type, status: { $in: OPEN_STATUSES } },
+    {
+      $set: {
+        status: CONSTANTS.ALERT_STATUS.RESOLVED,
+        resolvedAt: new Date(),
+        resolution
+      }
+    }
+  );
+};
+
+// Static method to get alerts for a farm
+alertSchema.statics.getByFarm = function(farmId, { status, limit = 50 } = {}) {
+  const query = { farmId };
+  if (status) query.status = status;
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('sensorId', 'name deviceId location.zone');
+};
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const CONSTANTS = require('../config/constants');
+
+const { SESSION_STATUS, PHASES } = CONSTANTS.CALIBRATION;
+
+const phaseSchema = new mongoose.Schema({
+  startedAt: {
+    type: Date
+  },
+  samples: [{
+    value: {
+      type: Number,
+      required: [true, 'Sample value is required']
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  analysis: {
+    sampleCount: {
+      type: Number,
+      default: 0
+    },
+    stableCount: {
+      type: Number,
+      default: 0
+    },
+    mean: Number,
+    stdDev: Number,
+    stable: {
+      type: Boolean,
+      default: false
+    }
+  }
+}, { _id: false });
+
+const calibrationSessionSchema = new mongoose.Schema({
+  sensorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sensor',
+    required: [true, 'Sensor ID is required']
+  },
+  farmId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: [true, 'Farm ID is required']
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Technician is required']
+  },
+  status: {
+    type: String,
+    enum: Object.values(SESSION_STATUS),
+    default: SESSION_STATUS.ACTIVE
+  },
+  currentPhase: {
+    type: String,
+    enum: [...Object.values(PHASES), null],
+    default: null
+  },
+  phases: {
+    dry: {
+      type: phaseSchema,
+      default: () => ({})
+    },
+    wet: {
+      type: phaseSchema,
+      default: () => ({})
+    }
+  },
+  previousCalibration: {
+    dryValue: Number,
+    wetValue: Number
+  },
+  result: {
+    dryValue: Number,
+    wetValue: Number,
+    overridden: Boolean,
+    notes: String,
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    completedAt: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+// Only one active session per sensor
+calibrationSessionSchema.index(
+  { sensorId: 1 },
+  { unique: true, partialFilterExpression: { status: SESSION_STATUS.ACTIVE } }
+);
+calibrationSessionSchema.index({ sensorId: 1, createdAt: -1 });
+
+// Average the stable tail of a phase's raw samples
+// The trailing STABLE_WINDOW samples must all sit within tolerance of their
+// mean; the stable run is then extended backwards while samples still agree,
+// so settling values recorded right after moving the probe are left out
+const analyzeSamples = (samples) => {
+  const { STABLE_WINDOW, STABLE_TOLERANCE, MIN_TOLERANCE } = CONSTANTS.CALIBRATION;
+  const values = samples.map(sample => sample.value);
+  const analysis = { sampleCount: values.length, stableCount: 0, stable: false };
+
+  if (values.length === 0) return analysis;
+
+  const average = (list) => list.reduce((sum, value) => sum + value, 0) / list.length;
+  const window = values.slice(-STABLE_WINDOW);
+  const windowMean = average(window);
+  const tolerance = Math.max(Math.abs(windowMean) * STABLE_TOLERANCE, MIN_TOLERANCE);
+
+  let stableRun = window;
+  if (window.length === STABLE_WINDOW && window.every(value => Math.abs(value - windowMean) <= tolerance)) {
+    let start = values.length - STABLE_WINDOW;
+    while (start > 0 && Math.abs(values[start - 1] - windowMean) <= tolerance) {
+      start--;
+    }
+    stableRun = values.slice(start);
+    analysis.stable = true;
+    analysis.stableCount = stableRun.length;
+  }
+
+  const mean = average(stableRun);
+  const variance = average(stableRun.map(value => Math.pow(value - mean, 2)));
+
+  analysis.mean = Math.round(mean);
+  analysis.stdDev = Math.round(Math.sqrt(variance) * 100) / 100;
+  return analysis;
+};
+
+// Virtual for the proposed calibration values
+calibrationSessionSchema.virtual('proposal').get(function() {
+  const dry = this.phases?.dry?.analysis;
+  const wet = this.phases?.wet?.analysis;
+
+  return {
+    dryValue: dry?.stable ? dry.mean : null,
+    wetValue: wet?.stable ? wet.mean : null,
+    ready: Boolean(dry?.stable && wet?.stable)
+  };
+});
+
+// Virtual for checking if the session has timed out
+calibrationSessionSchema.virtual('isExpired').get(function() {
+  return this.status === SESSION_STATUS.ACTIVE && this.expiresAt < new Date();
+});
+
+// Push the inactivity timeout forward
+calibrationSessionSchema.methods.touch = function() {
+  this.expiresAt = new Date(Date.now() + CONSTANTS.CALIBRATION.SESSION_TIMEOUT);
+};
+
+// Instance method to start (or restart) a phase
+// Restarting a phase discards its previous samples
+calibrationSessionSchema.methods.startPhase = function(phase) {
+  this.currentPhase = phase;
+  this.phases[phase] = { startedAt: new Date(), samples: [], analysis: analyzeSamples([]) };
+  this.touch();
+
+  return this.save();
+};
+
+// Instance method to record raw samples streamed by the device
+// Samples arriving while no phase is marked are ignored
+calibrationSessionSchema.methods.addSamples = function(values) {
+  const phase = this.currentPhase;
+  if (!phase) return Promise.resolve(this);
+
+  const samples = this.phases[phase].samples;
+  values.forEach(value => samples.push({ value }));
+
+  // Keep only the most recent samples
+  const overflow = samples.length - CONSTANTS.CALIBRATION.MAX_SAMPLES_PER_PHASE;
+  if (overflow > 0) {
+    samples.splice(0, overflow);
+  }
+
+  this.phases[phase].analysis = analyzeSamples(samples);
+  this.touch();
+
+  // Saved with a version check, so an upload saved concurrently makes this one
+  // fail with a VersionError instead of leaving an analysis of stale samples
+  this.increment();
+  return this.save();
+};
+
+// Instance method to finish the session
+// Sets the agreed values on the session; applying them to the sensor is left
+// to the caller so it can pass its own calibration options
+calibrationSessionSchema.methods.complete = function(dryValue, wetValue, userId, notes) {
+  const proposal = this.proposal;
+
+  this.status = SESSION_STATUS.COMPLETED;
+  this.currentPhase = null;
+  this.result = {
+    dryValue,
+    wetValue,
+    overridden: dryValue !== proposal.dryValue || wetValue !== proposal.wetValue,
+    notes,
+    completedBy: userId,
+    completedAt: new Date()
+  };
+
+  return this.save();
+};
+
+// Instance method to cancel the session
+calibrationSessionSchema.methods.cancel = function() {
+  this.status = SESSION_STATUS.CANCELLED;
+  this.currentPhase = null;
+  return this.save();
+};
+
+// Static method to find the active session for a sensor
+// Sessions past their inactivity timeout are expired on access
+calibrationSessionSchema.statics.findActive = async function(sensorId) {
+  const session = await this.findOne({ sensorId, status: SESSION_STATUS.ACTIVE });
+
+  if (session && session.isExpired) {
+    session.status = SESSION_STATUS.EXPIRED;
+    session.currentPhase = null;
+    await session.save();
+    return null;
+  }
+
+  return session;
+};
+
+// Static method to get the most recent sessions for a sensor
+calibrationSessionSchema.statics.getHistory = function(sensorId, limit = 10) {
+  return this.find({ sensorId })
+    .select('-phases.dry.samples -phases.wet.samples')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('startedBy', 'firstName lastName')
+    .populate('result.completedBy', 'firstName lastName');
+};
+
+calibrationSessionSchema.statics.analyzeSamples = analyzeSamples;
+
+module.exports = mongoose.model('CalibrationSession', calibrationSessionSchema);
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const CONSTANTS = require('../config/constants');
+
+const { TYPES, STATUS } = CONSTANTS.DEVICE_COMMANDS;
+
+const deviceCommandSchema = new mongoose.Schema({
+  sensorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sensor',
+    required: [true, 'Sensor ID is required']
+  },
+  farmId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: [true, 'Farm ID is required']
+  },
+  type: {
+    type: String,
+    enum: Object.values(TYPES),
+    required: [true, 'Command type is required']
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: Object.values(STATUS),
+    default: STATUS.QUEUED
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Issuing user is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  delivery: {
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    channel: {
+      type: String,
+      enum: ['http', 'mqtt']
+    },
+    lastDeliveredAt: Date
+  },
+  result: {
+    success: Boolean,
+    message: {
+      type: String,
+      maxlength: [500, 'Result message cannot exceed 500 characters']
+    },
+    data: mongoose.Schema.Types.Mixed,
+    acknowledgedAt: Date
+  },
+  history: [{
+    status: {
+      type: String,
+      enum: Object.values(STATUS),
+      required: true
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    message: String
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+deviceCommandSchema.index({ sensorId: 1, status: 1, createdAt: 1 });
+deviceCommandSchema.index({ sensorId: 1, createdAt: -1 });
+
+// Virtual for checking if the command can still be delivered
+deviceCommandSchema.virtual('isOpen').get(function() {
+  return this.status === STATUS.QUEUED || this.status === STATUS.DELIVERED;
+});
+
+// Record a status change in the history
+deviceCommandSchema.methods.transition = function(status, message) {
+  this.status = status;
+  this.history.push({ status, message });
+};
+
+// Instance method to build the message sent to the device
+// sync_time carries the server clock at delivery time, not at queue time
+deviceCommandSchema.methods.toDevicePayload = function() {
+  const params = { ...this.params };
+
+  if (this.type === TYPES.SYNC_TIME) {
+    const now = new Date();
+    params.time = now.toISOString();
+    params.epoch = Math.floor(now.getTime() / 1000);
+    params.timezone = CONSTANTS.TUNISIA.TIMEZONE;
+  }
+
+  return {
+    id: this._id,
+    type: this.type,
+    params,
+    issuedAt: this.createdAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+// Instance method to mark the command as handed to the device
+deviceCommandSchema.methods.markDelivered = function(channel) {
+  this.delivery.attempts += 1;
+  this.delivery.channel = channel;
+  this.delivery.lastDeliveredAt = new Date();
+  this.transition(STATUS.DELIVERED, `Delivered over ${channel} (attempt ${this.delivery.attempts})`);
+};
+
+// Instance method to record the device acknowledgement
+deviceCommandSchema.methods.acknowledge = function(success, message, data) {
+  this.result = {
+    success,
+    message,
+    data,
+    acknowledgedAt: new Date()
+  };
+  this.transition(success ? STATUS.ACKED : STATUS.FAILED, message || (success ? 'Acknowledged by device' : 'Rejected by device'));
+};
+
+// Static method to expire and fail stale commands for a sensor
+// Open commands past their expiry are expired; commands delivered the maximum
+// number of times without an acknowledgement are failed
+deviceCommandSchema.statics.settleStale = async function(sensorId) {
+  const now = new Date();
+  const { ACK_TIMEOUT, MAX_DELIVERY_ATTEMPTS } = CONSTANTS.DEVICE_COMMANDS;
+
+  await this.updateMany(
+    { sensorId, status: { $in: [STATUS.QUEUED, STATUS.DELIVERED] }, expiresAt: { $lte: now } },
+    {
+      $set: { status: STATUS.EXPIRED },
+      $push: { history: { status: STATUS.EXPIRED, date: now, message: 'Expired before acknowledgement' } }
+    }
+  );
+
+  await this.updateMany(
+    {
+      sensorId,
+      status: STATUS.DELIVERED,
+      'delivery.attempts': { $gte: MAX_DELIVERY_ATTEMPTS },
+      'delivery.lastDeliveredAt': { $lte: new Date(now.getTime() - ACK_TIMEOUT) }
+    },
+    {
+      $set: { status: STATUS.FAILED },
+      $push: { history: { status: STATUS.FAILED, date: now, message: `No acknowledgement after ${MAX_DELIVERY_ATTEMPTS} deliveries` } }
+    }
+  );
+};
+
+// Static method to expire every open command of a sensor (e.g. retired hardware)
+deviceCommandSchema.statics.expireOpen = function(sensorId, message) {
+  return this.updateMany(
+    { sensorId, status: { $in: [STATUS.QUEUED, STATUS.DELIVERED] } },
+    {
+      $set: { status: STATUS.EXPIRED },
+      $push: { history: { status: STATUS.EXPIRED, date: new Date(), message } }
+    }
+  );
+};
+
+// Static method to find commands due for (re)delivery to a sensor
+deviceCommandSchema.statics.findDeliverable = function(sensorId) {
+  const ackDeadline = new Date(Date.now() - CONSTANTS.DEVICE_COMMANDS.ACK_TIMEOUT);
+
+  return this.find({
+    sensorId,
+    $or: [
+      { status: STATUS.QUEUED },
+      { status: STATUS.DELIVERED, 'delivery.lastDeliveredAt': { $lte: ackDeadline } }
+    ]
+  }).sort({ createdAt: 1 });
+};
+
+// Static method to get recent commands for a sensor
+deviceCommandSchema.statics.getRecentBySensor = function(sensorId, limit = 20) {
+  return this.find({ sensorId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('issuedBy', 'firstName lastName');
+};
+
+module.exports = mongoose.model('DeviceCommand', deviceCommandSchema);
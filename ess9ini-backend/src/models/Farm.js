@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const CONSTANTS = require('../config/constants');
+const { parseZoneNumber, generateRandomString, hashString } = require('../utils/helpers');
 
 const farmSchema = new mongoose.Schema({
   name: {
@@ -90,6 +92,11 @@ const farmSchema = new mongoose.Schema({
         min: [0, 'Target moisture cannot be negative'],
         max: [100, 'Target moisture cannot exceed 100%'],
         default: 80
+      },
+      rootDepth: {
+        type: Number,
+        min: [5, 'Root depth must be at least 5 cm'],
+        max: [500, 'Root depth cannot exceed 500 cm'] // cm, overrides the crop default
       }
     }]
   },
@@ -129,16 +136,60 @@ const farmSchema = new mongoose.Schema({
         default: false
       },
       schedule: [{
-        time: String, // Format: "HH:MM"
+        time: String, // Format: "HH:MM" (Africa/Tunis time)
         duration: Number, // minutes
-        zones: [Number],
-        days: [String] // ['monday', 'tuesday', etc.]
+        zones: [Number], // empty: all zones
+        days: [String] // ['monday', 'tuesday', etc.], empty: every day
       }],
+      // What the scheduler does with irrigations it could not start on time
+      // (server down, another irrigation running)
+      missedPolicy: {
+        type: String,
+        enum: Object.values(CONSTANTS.IRRIGATION_SCHEDULER.MISSED_POLICIES),
+        default: CONSTANTS.IRRIGATION_SCHEDULER.MISSED_POLICIES.FAIL
+      },
+      maxDelay: {
+        type: Number, // minutes an irrigation may start late with run_late
+        min: [1, 'Maximum delay must be at least 1 minute'],
+        max: [CONSTANTS.IRRIGATION_SCHEDULER.MAX_DELAY, `Maximum delay cannot exceed ${CONSTANTS.IRRIGATION_SCHEDULER.MAX_DELAY} minutes`],
+        default: CONSTANTS.IRRIGATION_SCHEDULER.DEFAULT_MAX_DELAY
+      },
+      scheduledUntil: Date, // recurring occurrences before this have been created
       moistureThreshold: {
         type: Number,
         min: [0, 'Moisture threshold cannot be negative'],
         max: [100, 'Moisture threshold cannot exceed 100%'],
         default: 40
+      },
+      // Closed loop: irrigate a zone when its root-zone moisture drops below the
+      // threshold, until it reaches the zone's targetMoisture. Opt-in: it drives the valves
+      moistureControl: {
+        enabled: {
+          type: Boolean,
+          default: false
+        },
+        hysteresis: {
+          type: Number, // % points kept between the start level and the target
+          min: [1, 'Hysteresis must be at least 1%'],
+          max: [30, 'Hysteresis cannot exceed 30%'],
+          default: CONSTANTS.MOISTURE_CONTROL.DEFAULT_HYSTERESIS
+        },
+        minOffTime: {
+          type: Number, // minutes
+          min: [0, 'Minimum off time cannot be negative'],
+          max: [1440, 'Minimum off time cannot exceed 24 hours'],
+          default: CONSTANTS.MOISTURE_CONTROL.DEFAULT_MIN_OFF_TIME
+        },
+        maxDuration: {
+          type: Number, // minutes
+          min: [1, 'Maximum duration must be at least 1 minute'],
+          max: [480, 'Maximum duration cannot exceed 8 hours'],
+          default: CONSTANTS.MOISTURE_CONTROL.DEFAULT_MAX_DURATION
+        },
+        dailyWaterCap: {
+          type: Number, // liters per Africa/Tunis day, unset: no cap
+          min: [0, 'Daily water cap cannot be negative']
+        }
       }
     },
     alerts: {
@@ -148,7 +199,14 @@ const farmSchema = new mongoose.Schema({
       },
       lowBattery: {
         enabled: { type: Boolean, default: true },
-        threshold: { type: Number, default: 20 }
+        threshold: { type: Number, default: 20 },
+        // Days ahead of the forecast empty date to ask for a replacement
+        leadDays: {
+          type: Number,
+          min: [1, 'Battery lead time must be at least 1 day'],
+          max: [90, 'Battery lead time cannot exceed 90 days'],
+          default: CONSTANTS.BATTERY_FORECAST.LEAD_DAYS
+        }
       },
       sensorOffline: {
         enabled: { type: Boolean, default: true },
@@ -159,6 +217,70 @@ const farmSchema = new mongoose.Schema({
       email: { type: Boolean, default: true },
       sms: { type: Boolean, default: false },
       push: { type: Boolean, default: true }
+    },
+    retention: {
+      days: {
+        type: Number,
+        min: [CONSTANTS.RETENTION.MIN_DAYS, `Readings must be kept at least ${CONSTANTS.RETENTION.MIN_DAYS} days`],
+        max: [CONSTANTS.RETENTION.MAX_DAYS, `Readings cannot be kept more than ${CONSTANTS.RETENTION.MAX_DAYS} days`],
+        default: CONSTANTS.RETENTION.DEFAULT_DAYS
+      },
+      archive: {
+        enabled: { type: Boolean, default: true }, // export readings before they are deleted
+        format: {
+          type: String,
+          enum: Object.values(CONSTANTS.RETENTION.ARCHIVE_FORMATS),
+          default: CONSTANTS.RETENTION.ARCHIVE_FORMATS.NDJSON
+        }
+      },
+      archivedUntil: Date, // readings before this date are archived...
+      archivedAt: Date // ...if they were stored before the last archive run started
+    },
+    // Irrigation hardware; without a driver irrigation is only recorded
+    actuators: {
+      driver: {
+        type: String,
+        enum: Object.values(CONSTANTS.ACTUATORS.DRIVERS)
+      },
+      controllerId: {
+        type: String, // MQTT relay board ID (topic <prefix>/<farmId>/<controllerId>/actuators)
+        trim: true
+      },
+      url: {
+        type: String, // HTTP relay controller endpoint
+        trim: true
+      },
+      token: {
+        type: String, // sent as a bearer token to the HTTP controller
+        select: false
+      },
+      timeout: {
+        type: Number,
+        min: [1, 'Actuator timeout must be at least 1 second'],
+        max: [CONSTANTS.ACTUATORS.MAX_TIMEOUT, `Actuator timeout cannot exceed ${CONSTANTS.ACTUATORS.MAX_TIMEOUT} seconds`],
+        default: CONSTANTS.ACTUATORS.DEFAULT_TIMEOUT
+      },
+      pump: {
+        channel: { type: Number, min: [0, 'Relay channel cannot be negative'] }
+      },
+      masterValve: {
+        channel: { type: Number, min: [0, 'Relay channel cannot be negative'] }
+      },
+      valves: [{
+        _id: false,
+        zone: { type: Number, required: true },
+        channel: { type: Number, required: true, min: [0, 'Relay channel cannot be negative'] }
+      }],
+      // MQTT relay board secret (broker password / confirmation secret)
+      credentials: {
+        secretHash: {
+          type: String,
+          select: false // Never returned by default queries
+        },
+        secretPrefix: String,
+        issuedAt: Date,
+        lastUsed: Date
+      }
     }
   },
   statistics: {
@@ -271,9 +393,31 @@ farmSchema.methods.addZone = function(zoneData) {
 // Instance method to remove zone
 farmSchema.methods.removeZone = function(zoneId) {
   this.location.zones = this.location.zones.filter(zone => zone.id !== zoneId);
+  this.settings.actuators.valves = this.settings.actuators.valves.filter(valve => valve.zone !== zoneId);
   return this.save();
 };
 
+// Instance method to find the zone a sensor's free-text zone refers to
+// (zone name, or zone number as in "3" / "Zone 3")
+farmSchema.methods.findZone = function(sensorZone) {
+  if (!sensorZone) return null;
+  
+  const name = String(sensorZone).trim().toLowerCase();
+  const byName = this.location.zones.find(zone => zone.name.toLowerCase() === name);
+  if (byName) return byName;
+  
+  const number = parseZoneNumber(sensorZone);
+  return this.location.zones.find(zone => zone.id === number) || null;
+};
+
+// Instance method to get the effective root depth (cm) of a zone
+farmSchema.methods.getRootDepth = function(zone) {
+  if (zone?.rootDepth) return zone.rootDepth;
+  
+  const crop = zone?.cropType || this.primaryCrop;
+  return CONSTANTS.ROOT_ZONE.ROOT_DEPTH[crop] || CONSTANTS.ROOT_ZONE.DEFAULT_ROOT_DEPTH;
+};
+
 // Instance method to update statistics
 farmSchema.methods.updateStatistics = async function() {
   const Sensor = mongoose.model('Sensor');
@@ -324,6 +468,57 @@ farmSchema.methods.updateStatistics = async function() {
   return this.save();
 };
 
+// Instance method to get the date before which raw readings expire
+farmSchema.methods.getRetentionCutoff = function(now = new Date()) {
+  const days = this.settings?.retention?.days || CONSTANTS.RETENTION.DEFAULT_DAYS;
+  return new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+};
+
+// Instance method to issue a new relay board secret (replaces any existing one)
+// Returns the plain secret, which is only available at issue time
+farmSchema.methods.issueControllerSecret = async function() {
+  const secret = generateRandomString(24);
+  
+  this.settings.actuators.credentials = {
+    secretHash: hashString(secret),
+    secretPrefix: secret.substring(0, 8),
+    issuedAt: new Date()
+  };
+  
+  await this.save();
+  return secret;
+};
+
+// Instance method to check a relay board secret (requires
+// settings.actuators.credentials.secretHash to be selected)
+farmSchema.methods.verifyControllerSecret = function(secret) {
+  const secretHash = this.settings.actuators?.credentials?.secretHash;
+  if (!secret || !secretHash) return false;
+  
+  const expected = Buffer.from(secretHash, 'hex');
+  const actual = Buffer.from(hashString(String(secret)), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Static method to authenticate an MQTT relay board by its controller ID and secret
+// Returns the farm the secret belongs to, otherwise null
+farmSchema.statics.authenticateController = async function(controllerId, secret) {
+  const farms = await this.find({ 'settings.actuators.controllerId': controllerId, isActive: true })
+    .select('+settings.actuators.credentials.secretHash');
+  const farm = farms.find(candidate => candidate.verifyControllerSecret(secret));
+  
+  if (!farm) return null;
+  
+  // Track secret usage (at most once a minute)
+  const lastUsed = farm.settings.actuators.credentials.lastUsed;
+  if (!lastUsed || Date.now() - lastUsed.getTime() > 60 * 1000) {
+    farm.settings.actuators.credentials.lastUsed = new Date();
+    await this.updateOne({ _id: farm._id }, { $set: { 'settings.actuators.credentials.lastUsed': farm.settings.actuators.credentials.lastUsed } });
+  }
+  
+  return farm;
+};
+
 // Static method to find farms by region
 farmSchema.statics.findByRegion = function(region) {
   return this.find({ 'location.region': region, isActive: true });
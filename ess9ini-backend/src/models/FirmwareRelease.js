@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const CONSTANTS = require('../config/constants');
+const { hashString } = require('../utils/helpers');
+
+const { ROLLOUT_STATUS } = CONSTANTS.FIRMWARE;
+
+const firmwareReleaseSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: [true, 'Firmware version is required'],
+    trim: true,
+    match: [/^v?\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/, 'Version must follow semantic versioning (e.g. 1.4.2)']
+  },
+  model: {
+    type: String,
+    required: [true, 'Target sensor model is required'],
+    trim: true
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Release notes cannot exceed 1000 characters']
+  },
+  file: {
+    originalName: String,
+    storedName: {
+      type: String,
+      required: [true, 'Firmware file is required']
+    },
+    size: {
+      type: Number,
+      required: true
+    },
+    checksum: {
+      type: String,
+      required: true // SHA-256, hex
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Uploader is required']
+  },
+  rollout: {
+    status: {
+      type: String,
+      enum: Object.values(ROLLOUT_STATUS),
+      default: ROLLOUT_STATUS.DRAFT
+    },
+    percentage: {
+      type: Number,
+      min: [0, 'Rollout percentage cannot be negative'],
+      max: [100, 'Rollout percentage cannot exceed 100'],
+      default: 0
+    },
+    farms: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Farm'
+    }],
+    failureThreshold: {
+      type: Number,
+      min: [0, 'Failure threshold cannot be negative'],
+      max: [1, 'Failure threshold cannot exceed 1'],
+      default: CONSTANTS.FIRMWARE.DEFAULT_FAILURE_THRESHOLD
+    },
+    minReports: {
+      type: Number,
+      min: [1, 'Minimum reports must be at least 1'],
+      default: CONSTANTS.FIRMWARE.DEFAULT_MIN_REPORTS
+    },
+    startedAt: Date,
+    pausedAt: Date,
+    pauseReason: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+firmwareReleaseSchema.index({ model: 1, version: 1 }, { unique: true });
+firmwareReleaseSchema.index({ model: 1, 'rollout.status': 1 });
+
+// Instance method to check whether a sensor is part of the rollout
+// Sensors are bucketed by a hash of (release, sensor), so raising the
+// percentage only ever adds devices and each release samples a different set
+firmwareReleaseSchema.methods.targets = function(sensor) {
+  const farms = this.rollout.farms || [];
+  if (farms.length > 0 && !farms.some(farmId => farmId.toString() === sensor.farmId.toString())) {
+    return false;
+  }
+
+  const bucket = parseInt(hashString(`${this._id}:${sensor._id}`).substring(0, 8), 16) % 100;
+  return bucket < this.rollout.percentage;
+};
+
+// Instance method to pause the rollout
+firmwareReleaseSchema.methods.pauseRollout = function(reason, userId) {
+  this.rollout.status = ROLLOUT_STATUS.PAUSED;
+  this.rollout.pausedAt = new Date();
+  this.rollout.pauseReason = reason;
+  if (userId) this.rollout.updatedBy = userId;
+
+  return this.save();
+};
+
+// Static method to find releases currently offered for a model
+firmwareReleaseSchema.statics.findActiveForModel = function(model) {
+  return this.find({ model, 'rollout.status': ROLLOUT_STATUS.ACTIVE });
+};
+
+module.exports = mongoose.model('FirmwareRelease', firmwareReleaseSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const CONSTANTS = require('../config/constants');
+
+const { UPDATE_STATUS } = CONSTANTS.FIRMWARE;
+
+// One document per sensor and release, tracking that device's update attempt
+const firmwareUpdateSchema = new mongoose.Schema({
+  releaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FirmwareRelease',
+    required: [true, 'Release ID is required']
+  },
+  sensorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sensor',
+    required: [true, 'Sensor ID is required']
+  },
+  farmId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: [true, 'Farm ID is required']
+  },
+  fromVersion: String,
+  status: {
+    type: String,
+    enum: Object.values(UPDATE_STATUS),
+    default: UPDATE_STATUS.OFFERED
+  },
+  attempts: {
+    type: Number,
+    default: 0 // downloads
+  },
+  offeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  downloadedAt: Date,
+  reportedAt: Date,
+  error: {
+    type: String,
+    maxlength: [500, 'Error message cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+firmwareUpdateSchema.index({ releaseId: 1, sensorId: 1 }, { unique: true });
+firmwareUpdateSchema.index({ releaseId: 1, status: 1 });
+
+// Static method to count update outcomes for a release
+firmwareUpdateSchema.statics.getReleaseStats = async function(releaseId) {
+  const counts = await this.aggregate([
+    { $match: { releaseId: new mongoose.Types.ObjectId(releaseId) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const stats = Object.values(UPDATE_STATUS).reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  counts.forEach(({ _id, count }) => { stats[_id] = count; });
+
+  const reported = stats[UPDATE_STATUS.SUCCEEDED] + stats[UPDATE_STATUS.FAILED];
+  stats.reported = reported;
+  stats.failureRate = reported > 0 ? Math.round((stats[UPDATE_STATUS.FAILED] / reported) * 1000) / 1000 : 0;
+
+  return stats;
+};
+
+module.exports = mongoose.model('FirmwareUpdate', firmwareUpdateSchema);
@@ -212,6 +212,37 @@ const irrigationEventSchema = new mongoose.Schema({
       ref: 'User'
     }
   }],
+  // Occurrence of a recurring farm schedule entry (one per entry and local day)
+  occurrence: {
+    scheduleId: mongoose.Schema.Types.ObjectId,
+    date: String // YYYY-MM-DD, Africa/Tunis
+  },
+  // Set when a pending event is taken to be started (by the scheduler, or
+  // right away for manual starts)
+  claimedAt: Date,
+  // Set while the event runs or is being started: the partial unique index on
+  // it allows a single irrigation in progress per farm
+  inProgress: Boolean,
+  // Commands sent to the valves and pump, with their confirmation
+  actuation: [{
+    _id: false,
+    commandId: String,
+    action: {
+      type: String,
+      enum: ['start', 'stop']
+    },
+    driver: {
+      type: String,
+      enum: Object.values(CONSTANTS.ACTUATORS.DRIVERS)
+    },
+    status: {
+      type: String,
+      enum: Object.values(CONSTANTS.ACTUATORS.COMMAND_STATUS)
+    },
+    sentAt: Date,
+    confirmedAt: Date,
+    message: String
+  }],
   notes: {
     type: String,
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
@@ -250,6 +281,12 @@ irrigationEventSchema.index({ userId: 1, createdAt: -1 });
 irrigationEventSchema.index({ status: 1 });
 irrigationEventSchema.index({ type: 1 });
 irrigationEventSchema.index({ 'schedule.startTime': -1 });
+irrigationEventSchema.index({ status: 1, 'trigger.reason': 1, 'schedule.startTime': 1 });
+irrigationEventSchema.index(
+  { farmId: 1, 'occurrence.scheduleId': 1, 'occurrence.date': 1 },
+  { unique: true, partialFilterExpression: { 'occurrence.scheduleId': { $exists: true } } }
+);
+irrigationEventSchema.index({ farmId: 1 }, { unique: true, partialFilterExpression: { inProgress: true } });
 
 // Virtual for actual duration
 irrigationEventSchema.virtual('actualDuration').get(function() {
@@ -270,8 +307,16 @@ irrigationEventSchema.virtual('avgMoistureIncrease').get(function() {
   return Math.round(total / this.results.moistureIncrease.length);
 });
 
-// Pre-save middleware to calculate end time and water amount
-irrigationEventSchema.pre('save', function(next) {
+// Virtual for a failed event whose valves / pump may still be on (the last
+// command sent to the hardware was not confirmed)
+irrigationEventSchema.virtual('needsShutdown').get(function() {
+  if (this.status !== CONSTANTS.IRRIGATION_STATUS.FAILED || !this.actuation?.length) return false;
+  return this.actuation[this.actuation.length - 1].status !== CONSTANTS.ACTUATORS.COMMAND_STATUS.CONFIRMED;
+});
+
+// Pre-validate middleware to calculate end time and water amount
+// (runs before the required check on waterAmount.planned)
+irrigationEventSchema.pre('validate', function(next) {
   // Calculate scheduled end time
   if (this.schedule.startTime && this.duration && !this.schedule.endTime) {
     this.schedule.endTime = new Date(
@@ -287,6 +332,11 @@ irrigationEventSchema.pre('save', function(next) {
   // Calculate total cost
   this.cost.total = (this.cost.water || 0) + (this.cost.electricity || 0) + (this.cost.fertilizer || 0);
   
+  // Hold the farm's in-progress slot while running or being started
+  const inProgress = this.status === CONSTANTS.IRRIGATION_STATUS.RUNNING ||
+    (this.status === CONSTANTS.IRRIGATION_STATUS.PENDING && !!this.claimedAt);
+  this.inProgress = inProgress || undefined;
+  
   next();
 });
 
@@ -318,17 +368,20 @@ irrigationEventSchema.pre('save', async function(next) {
 irrigationEventSchema.methods.start = function() {
   this.status = CONSTANTS.IRRIGATION_STATUS.RUNNING;
   this.schedule.actualStartTime = new Date();
+  // Expected end follows the actual start (late scheduled starts)
+  this.schedule.endTime = new Date(this.schedule.actualStartTime.getTime() + this.duration * 60 * 1000);
   return this.save();
 };
 
 // Instance method to complete irrigation
-irrigationEventSchema.methods.complete = function(waterUsed, moistureReadings) {
+irrigationEventSchema.methods.complete = function(waterUsed, moistureReadings, endTime = new Date()) {
   this.status = CONSTANTS.IRRIGATION_STATUS.COMPLETED;
-  this.schedule.actualEndTime = new Date();
+  this.schedule.actualEndTime = endTime;
   
   if (waterUsed) {
     this.results.waterUsed = waterUsed;
-    this.results.efficiency = Math.round((waterUsed / this.waterAmount.planned) * 100);
+    this.waterAmount.actual = waterUsed;
+    this.results.efficiency = Math.min(Math.round((waterUsed / this.waterAmount.planned) * 100), 100);
   }
   
   if (moistureReadings && moistureReadings.length > 0) {
@@ -338,6 +391,18 @@ irrigationEventSchema.methods.complete = function(waterUsed, moistureReadings) {
   return this.save();
 };
 
+// Instance method to estimate the water used up to a time: the flow meter
+// total if there is one, otherwise the flow rate over the time run
+irrigationEventSchema.methods.estimateWaterUsed = function(endTime = new Date()) {
+  const lastMeter = this.monitoring.flowMeter[this.monitoring.flowMeter.length - 1];
+  if (lastMeter?.totalVolume !== undefined) return lastMeter.totalVolume;
+  
+  if (!this.schedule.actualStartTime) return 0;
+  
+  const minutes = Math.max(0, (endTime - this.schedule.actualStartTime) / (60 * 1000));
+  return Math.round(minutes * this.settings.flowRate * this.zones.length);
+};
+
 // Instance method to cancel irrigation
 irrigationEventSchema.methods.cancel = function(reason) {
   this.status = CONSTANTS.IRRIGATION_STATUS.CANCELLED;
@@ -345,6 +410,19 @@ irrigationEventSchema.methods.cancel = function(reason) {
   return this.save();
 };
 
+// Instance method to mark the irrigation as failed
+irrigationEventSchema.methods.fail = function(reason, severity = 'warning') {
+  this.status = CONSTANTS.IRRIGATION_STATUS.FAILED;
+  this.notes = this.notes ? `${this.notes}\nFailed: ${reason}` : `Failed: ${reason}`;
+  this.alerts.push({
+    type: 'system_error',
+    severity,
+    message: reason,
+    timestamp: new Date()
+  });
+  return this.save();
+};
+
 // Instance method to add alert
 irrigationEventSchema.methods.addAlert = function(type, severity, message) {
   this.alerts.push({
@@ -363,6 +441,33 @@ irrigationEventSchema.statics.getActive = function() {
   }).populate('farmId userId');
 };
 
+// Static method to find the irrigation occupying a farm's pump and valves:
+// running, or pending and being started (claimed)
+irrigationEventSchema.statics.findInProgress = function(farmId) {
+  return this.findOne({
+    farmId,
+    $or: [
+      { status: CONSTANTS.IRRIGATION_STATUS.RUNNING },
+      { status: CONSTANTS.IRRIGATION_STATUS.PENDING, claimedAt: { $exists: true } }
+    ]
+  });
+};
+
+// Static method to find failed irrigations whose hardware may still be on
+// (the query form of needsShutdown)
+irrigationEventSchema.statics.findNeedingShutdown = function(conditions = {}) {
+  return this.find({
+    ...conditions,
+    status: CONSTANTS.IRRIGATION_STATUS.FAILED,
+    $expr: {
+      $and: [
+        { $gt: [{ $size: { $ifNull: ['$actuation', []] } }, 0] },
+        { $ne: [{ $arrayElemAt: ['$actuation.status', -1] }, CONSTANTS.ACTUATORS.COMMAND_STATUS.CONFIRMED] }
+      ]
+    }
+  });
+};
+
 // Static method to get irrigation history for a farm
 irrigationEventSchema.statics.getHistoryByFarm = function(farmId, startDate, endDate, limit = 50) {
   const query = { farmId };
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const CONSTANTS = require('../config/constants');
+
+// Compressed export of a farm's raw readings over a time range, written
+// before the readings expire under the farm's retention policy
+const readingArchiveSchema = new mongoose.Schema({
+  farmId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: [true, 'Farm ID is required']
+  },
+  from: {
+    type: Date,
+    required: true
+  },
+  to: {
+    type: Date,
+    required: true // exclusive
+  },
+  format: {
+    type: String,
+    enum: Object.values(CONSTANTS.RETENTION.ARCHIVE_FORMATS),
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  file: {
+    storedName: {
+      type: String,
+      required: true
+    },
+    size: Number,
+    checksum: String // SHA-256 of the compressed file, hex
+  },
+  restores: [{
+    _id: false,
+    restoredAt: { type: Date, default: Date.now },
+    restoredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    inserted: Number,
+    duplicates: Number,
+    failed: Number
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+readingArchiveSchema.index({ farmId: 1, from: -1 });
+
+// Static method to list a farm's archives, newest first
+readingArchiveSchema.statics.getByFarm = function(farmId) {
+  return this.find({ farmId }).sort({ from: -1 });
+};
+
+module.exports = mongoose.model('ReadingArchive', readingArchiveSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const CONSTANTS = require('../config/constants');
+
+const { GRANULARITY, SCOPE, CHANNELS } = CONSTANTS.ROLLUPS;
+
+// Running aggregate of one reading channel in a bucket (avg = sum / count)
+const channelStatsSchema = new mongoose.Schema({
+  min: Number,
+  max: Number,
+  sum: Number,
+  count: Number
+}, { _id: false });
+
+// One hourly or daily (Africa/Tunis day) bucket, for a sensor or a farm zone
+// Rollups have no TTL: they outlive the raw readings (per farm retention)
+const readingRollupSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: Object.values(SCOPE),
+    required: true
+  },
+  sensorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sensor',
+    default: null // zone rollups
+  },
+  farmId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: [true, 'Farm ID is required']
+  },
+  zone: {
+    type: String,
+    default: null // sensor rollups
+  },
+  granularity: {
+    type: String,
+    enum: Object.values(GRANULARITY),
+    required: true
+  },
+  bucket: {
+    type: Date,
+    required: true // start of the hour / day
+  },
+  channels: CHANNELS.reduce((fields, channel) => ({ ...fields, [channel]: channelStatsSchema }), {})
+}, {
+  timestamps: true
+});
+
+// Indexes
+readingRollupSchema.index(
+  { scope: 1, sensorId: 1, farmId: 1, zone: 1, granularity: 1, bucket: 1 },
+  { unique: true }
+);
+readingRollupSchema.index({ farmId: 1, granularity: 1, bucket: -1 });
+
+// Instance method to flatten the bucket into a series point
+readingRollupSchema.methods.toPoint = function() {
+  const point = { timestamp: this.bucket };
+
+  CHANNELS.forEach(channel => {
+    const stats = this.channels?.[channel];
+    if (!stats || !stats.count) return;
+
+    point[channel] = {
+      min: stats.min,
+      max: stats.max,
+      avg: Math.round((stats.sum / stats.count) * 100) / 100,
+      count: stats.count
+    };
+  });
+
+  return point;
+};
+
+// Static method to get the buckets of a sensor or zone over a time range
+readingRollupSchema.statics.getSeries = function(key, granularity, startDate, endDate) {
+  const query = {
+    scope: key.sensorId ? SCOPE.SENSOR : SCOPE.ZONE,
+    sensorId: key.sensorId || null,
+    farmId: key.farmId,
+    zone: key.sensorId ? null : key.zone,
+    granularity
+  };
+
+  if (startDate || endDate) {
+    query.bucket = {};
+    if (startDate) query.bucket.$gte = new Date(startDate);
+    if (endDate) query.bucket.$lte = new Date(endDate);
+  }
+
+  return this.find(query).sort({ bucket: 1 });
+};
+
+module.exports = mongoose.model('ReadingRollup', readingRollupSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const CONSTANTS = require('../config/constants');
+const { generateRandomString, hashString } = require('../utils/helpers');
+const Alert = require('./Alert');
 
 const sensorSchema = new mongoose.Schema({
   farmId: {
@@ -46,6 +49,13 @@ const sensorSchema = new mongoose.Schema({
       min: [0, 'Depth cannot be negative'],
       default: 15 // cm
     },
+    depths: {
+      type: [{
+        type: Number,
+        min: [0, 'Depth cannot be negative']
+      }],
+      default: undefined // multi-depth probes: every depth measured (cm)
+    },
     coordinates: {
       latitude: {
         type: Number,
@@ -135,6 +145,46 @@ const sensorSchema = new mongoose.Schema({
       maxlength: [200, 'Calibration notes cannot exceed 200 characters']
     }
   },
+  drift: {
+    status: {
+      type: String,
+      enum: Object.values(CONSTANTS.DRIFT.STATUS),
+      default: CONSTANTS.DRIFT.STATUS.INSUFFICIENT_DATA
+    },
+    offset: Number, // % points from the zone peer median after irrigation / rain
+    trend: Number, // offset change, % points per 30 days
+    events: Number, // wetting events compared
+    peers: Number,
+    analyzedAt: Date
+  },
+  // Hardware swaps at the same position: history continues across devices
+  replacement: {
+    replaces: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sensor'
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sensor'
+    },
+    retiredAt: Date
+  },
+  batteryForecast: {
+    method: {
+      type: String,
+      enum: Object.values(CONSTANTS.BATTERY_FORECAST.METHODS)
+    },
+    level: Number,
+    drainPerDay: Number, // % per day expected ahead
+    daysRemaining: Number, // until EMPTY_LEVEL, null when not draining
+    emptyAt: Date,
+    replaceBy: Date, // when the level reaches the low battery threshold
+    confidence: {
+      type: String,
+      enum: ['low', 'medium', 'high']
+    },
+    forecastAt: Date
+  },
   status: {
     type: String,
     enum: Object.values(CONSTANTS.SENSOR_STATUS),
@@ -151,10 +201,20 @@ const sensorSchema = new mongoose.Schema({
       min: [-120, 'Signal strength cannot be less than -120 dBm'],
       max: [0, 'Signal strength cannot be greater than 0 dBm']
     },
+    snr: {
+      type: Number // dB, reported by LoRaWAN gateways
+    },
+    devEui: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[0-9A-F]{16}$/, 'DevEUI must be 16 hexadecimal characters']
+    },
     lastSeen: {
       type: Date,
       default: Date.now
     },
+    offlineSince: Date, // set while the sensor is marked offline
     firmware: {
       version: String,
       lastUpdate: Date
@@ -188,7 +248,7 @@ const sensorSchema = new mongoose.Schema({
       },
       type: {
         type: String,
-        enum: ['installation', 'calibration', 'repair', 'replacement', 'cleaning'],
+        enum: ['installation', 'calibration', 'repair', 'replacement', 'cleaning', 'inspection', 'battery'],
         required: true
       },
       description: {
@@ -202,6 +262,14 @@ const sensorSchema = new mongoose.Schema({
       }
     }]
   },
+  configuration: {
+    samplingInterval: {
+      type: Number,
+      min: [10, 'Sampling interval cannot be less than 10 seconds'],
+      max: [86400, 'Sampling interval cannot exceed 24 hours'],
+      default: 300 // seconds, as last acknowledged by the device
+    }
+  },
   alerts: {
     lowBattery: {
       enabled: {
@@ -266,12 +334,60 @@ const sensorSchema = new mongoose.Schema({
         daily: Number,
         weekly: Number,
         monthly: Number
-      }
+      },
+      updatedAt: Date // refreshed from the reading rollups
     },
     uptime: {
       type: Number,
       default: 100 // percentage
-    }
+    },
+    outages: [{
+      _id: false,
+      startedAt: {
+        type: Date,
+        required: true
+      },
+      endedAt: Date // open while the sensor is offline
+    }]
+  },
+  credentials: {
+    keyHash: {
+      type: String,
+      select: false // Never returned by default queries
+    },
+    keyPrefix: {
+      type: String,
+      trim: true
+    },
+    issuedAt: {
+      type: Date
+    },
+    lastUsed: {
+      type: Date
+    },
+    revokedAt: {
+      type: Date
+    },
+    history: [{
+      action: {
+        type: String,
+        enum: ['issued', 'rotated', 'revoked'],
+        required: true
+      },
+      keyPrefix: String,
+      performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: {
+        type: String,
+        maxlength: [200, 'Reason cannot exceed 200 characters']
+      },
+      date: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
   isActive: {
     type: Boolean,
@@ -279,13 +395,21 @@ const sensorSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      // Never expose the device key hash
+      if (ret.credentials) delete ret.credentials.keyHash;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
 // Indexes for performance
 sensorSchema.index({ farmId: 1 });
 sensorSchema.index({ deviceId: 1 }, { unique: true });
+sensorSchema.index({ 'connectivity.devEui': 1 }, { unique: true, sparse: true });
 sensorSchema.index({ status: 1 });
 sensorSchema.index({ 'connectivity.lastSeen': -1 });
 sensorSchema.index({ 'location.coordinates': '2dsphere' });
@@ -323,6 +447,12 @@ sensorSchema.virtual('maintenanceStatus').get(function() {
   return 'ok';
 });
 
+// Virtual for the depths the sensor measures (cm, shallowest first)
+sensorSchema.virtual('measuredDepths').get(function() {
+  const depths = this.location?.depths?.length ? this.location.depths : [this.location?.depth ?? 15];
+  return [...new Set(depths)].sort((a, b) => a - b);
+});
+
 // Pre-save middleware to calculate next maintenance date
 sensorSchema.pre('save', function(next) {
   if (this.isModified('maintenance.lastMaintenance') || this.isModified('maintenance.maintenanceInterval')) {
@@ -344,7 +474,9 @@ sensorSchema.methods.addMaintenanceRecord = function(maintenanceData) {
 };
 
 // Instance method to calibrate sensor
-sensorSchema.methods.calibrate = function(dryValue, wetValue, userId, notes) {
+// options.recalculateSince recomputes stored readings from that date with the
+// new values; the update result is exposed on this.$locals.recalibration
+sensorSchema.methods.calibrate = async function(dryValue, wetValue, userId, notes, options = {}) {
   this.calibration = {
     dryValue,
     wetValue,
@@ -353,16 +485,113 @@ sensorSchema.methods.calibrate = function(dryValue, wetValue, userId, notes) {
     notes: notes || ''
   };
   
+  // Drift measured against the old calibration no longer applies
+  this.drift = { status: CONSTANTS.DRIFT.STATUS.INSUFFICIENT_DATA };
+  await Alert.resolveOpen(this._id, CONSTANTS.ALERT_KINDS.CALIBRATION_NEEDED, 'Sensor recalibrated');
+  
+  let description = `Sensor calibrated. Dry: ${dryValue}, Wet: ${wetValue}`;
+  
+  if (options.recalculateSince) {
+    const SensorReading = mongoose.model('SensorReading');
+    const result = await SensorReading.recalibrateSince(this._id, options.recalculateSince, dryValue, wetValue);
+    
+    this.$locals.recalibration = {
+      since: new Date(options.recalculateSince),
+      readingsUpdated: result.modifiedCount
+    };
+    description += `. Recalculated ${result.modifiedCount} readings since ${new Date(options.recalculateSince).toISOString()}`;
+    
+    // Keep the latest reading snapshot consistent with the corrected history
+    const latest = await SensorReading.findOne({ sensorId: this._id }).sort({ timestamp: -1 });
+    if (latest && this.statistics.lastReading?.timestamp &&
+        latest.timestamp.getTime() === this.statistics.lastReading.timestamp.getTime()) {
+      this.statistics.lastReading.moistureLevel = latest.readings.moistureLevel;
+    }
+  }
+  
   // Add maintenance record
   this.maintenance.notes.push({
     type: 'calibration',
-    description: `Sensor calibrated. Dry: ${dryValue}, Wet: ${wetValue}`,
+    description,
     technician: userId
   });
   
   return this.save();
 };
 
+// Static method to get the hardware chain of a sensor position, oldest first,
+// with the period each device reported for (see replacementService)
+sensorSchema.statics.getLineage = async function(sensor) {
+  const chain = [sensor];
+  const seen = new Set([sensor._id.toString()]);
+  
+  for (const [link, add] of [['replaces', 'unshift'], ['replacedBy', 'push']]) {
+    let current = sensor;
+    while (current.replacement?.[link] && !seen.has(current.replacement[link].toString())) {
+      const next = await this.findById(current.replacement[link]);
+      if (!next) break;
+      
+      seen.add(next._id.toString());
+      chain[add](next);
+      current = next;
+    }
+  }
+  
+  return chain.map((member, i) => ({
+    sensor: member,
+    from: i > 0 ? chain[i - 1].replacement.retiredAt : null,
+    to: member.replacement?.retiredAt || null
+  }));
+};
+
+// Instance method to issue a new device API key (replaces any existing key)
+// Returns the plain key, which is only available at issue time
+sensorSchema.methods.issueApiKey = async function(userId, reason) {
+  const apiKey = generateRandomString(24);
+  // Replacing a live key is a rotation; after a revocation (or without any key
+  // yet) the sensor is issued a new one (keyHash is not selected by default)
+  const hasKey = !!this.credentials.keyPrefix && !this.credentials.revokedAt;
+  const action = hasKey ? 'rotated' : 'issued';
+  
+  this.credentials.keyHash = hashString(apiKey);
+  this.credentials.keyPrefix = apiKey.substring(0, 8);
+  this.credentials.issuedAt = new Date();
+  this.credentials.lastUsed = undefined;
+  this.credentials.revokedAt = undefined;
+  this.credentials.history.push({
+    action,
+    keyPrefix: this.credentials.keyPrefix,
+    performedBy: userId,
+    reason
+  });
+  
+  await this.save();
+  return apiKey;
+};
+
+// Instance method to revoke the device API key
+sensorSchema.methods.revokeApiKey = function(userId, reason) {
+  this.credentials.keyHash = undefined;
+  this.credentials.revokedAt = new Date();
+  this.credentials.history.push({
+    action: 'revoked',
+    keyPrefix: this.credentials.keyPrefix,
+    performedBy: userId,
+    reason
+  });
+  
+  return this.save();
+};
+
+// Instance method to check a device API key (requires credentials.keyHash to be selected)
+sensorSchema.methods.verifyApiKey = function(apiKey) {
+  if (!apiKey || !this.credentials.keyHash || this.credentials.revokedAt) return false;
+  
+  const expected = Buffer.from(this.credentials.keyHash, 'hex');
+  const actual = Buffer.from(hashString(String(apiKey)), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
 // Instance method to update statistics
 sensorSchema.methods.updateStatistics = async function(readingData) {
   this.statistics.totalReadings += 1;
@@ -381,18 +610,77 @@ sensorSchema.methods.updateStatistics = async function(readingData) {
   return this.save();
 };
 
+// Static method to authenticate a device by API key
+// Returns the sensor when the key belongs to it, otherwise null
+sensorSchema.statics.authenticateDevice = async function(query, apiKey) {
+  const sensor = await this.findOne({ ...query, isActive: true }).select('+credentials.keyHash');
+  
+  if (!sensor || !sensor.verifyApiKey(apiKey)) return null;
+  
+  // Track key usage (at most once a minute to avoid a write per reading)
+  const lastUsed = sensor.credentials.lastUsed;
+  if (!lastUsed || Date.now() - lastUsed.getTime() > 60 * 1000) {
+    sensor.credentials.lastUsed = new Date();
+    await this.updateOne({ _id: sensor._id }, { $set: { 'credentials.lastUsed': sensor.credentials.lastUsed } });
+  }
+  
+  return sensor;
+};
+
 // Static method to find sensors by farm
 sensorSchema.statics.findByFarm = function(farmId) {
   return this.find({ farmId, isActive: true });
 };
 
+// Instance method to compute uptime (%) over the monitoring window
+sensorSchema.methods.computeUptime = function(now = new Date()) {
+  const windowMs = CONSTANTS.SENSOR_MONITOR.UPTIME_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const windowStart = Math.max(now.getTime() - windowMs, (this.createdAt || now).getTime());
+  const total = now.getTime() - windowStart;
+  
+  if (total <= 0) return 100;
+  
+  const offline = (this.statistics.outages || []).reduce((sum, outage) => {
+    const start = Math.max(outage.startedAt.getTime(), windowStart);
+    const end = outage.endedAt ? outage.endedAt.getTime() : now.getTime();
+    return sum + Math.max(0, end - start);
+  }, 0);
+  
+  return Math.round(Math.max(0, 100 - (offline / total) * 100) * 10) / 10;
+};
+
+// Age check against each sensor's own offline timeout (alerts.offline.timeout, seconds)
+const silentFor = (now) => ({
+  $lt: [
+    '$connectivity.lastSeen',
+    { $subtract: [now, { $multiply: ['$alerts.offline.timeout', 1000] }] }
+  ]
+});
+
 // Static method to find offline sensors
-sensorSchema.statics.findOffline = function(timeoutMinutes = 5) {
-  const cutoffTime = new Date(Date.now() - (timeoutMinutes * 60 * 1000));
-  return this.find({
-    'connectivity.lastSeen': { $lt: cutoffTime },
+// Without an explicit timeout, each sensor's own offline timeout is used
+sensorSchema.statics.findOffline = function(timeoutMinutes) {
+  const query = {
     status: CONSTANTS.SENSOR_STATUS.ACTIVE,
     isActive: true
+  };
+  
+  if (timeoutMinutes) {
+    query['connectivity.lastSeen'] = { $lt: new Date(Date.now() - (timeoutMinutes * 60 * 1000)) };
+  } else {
+    query['connectivity.lastSeen'] = { $exists: true };
+    query.$expr = silentFor(new Date());
+  }
+  
+  return this.find(query);
+};
+
+// Static method to find offline sensors that have reported again
+sensorSchema.statics.findRecovered = function() {
+  return this.find({
+    status: CONSTANTS.SENSOR_STATUS.OFFLINE,
+    isActive: true,
+    $expr: { $not: [silentFor(new Date())] }
   });
 };
 
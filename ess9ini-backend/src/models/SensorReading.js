@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const CONSTANTS = require('../config/constants');
 
 const sensorReadingSchema = new mongoose.Schema({
   sensorId: {
@@ -49,6 +50,23 @@ const sensorReadingSchema = new mongoose.Schema({
       max: [0, 'Signal strength cannot be greater than 0 dBm']
     }
   },
+  // Multi-depth probes: moisture at every depth (readings.moistureLevel
+  // holds the sensor's main depth)
+  profile: [{
+    _id: false,
+    depth: {
+      type: Number,
+      required: true,
+      min: [0, 'Depth cannot be negative']
+    },
+    moistureLevel: {
+      type: Number,
+      required: [true, 'Moisture level is required'],
+      min: [0, 'Moisture level cannot be negative'],
+      max: [100, 'Moisture level cannot exceed 100%']
+    },
+    moistureRaw: Number
+  }],
   rawData: {
     moistureRaw: Number,
     temperatureRaw: Number,
@@ -56,6 +74,16 @@ const sensorReadingSchema = new mongoose.Schema({
     phRaw: Number,
     lightRaw: Number
   },
+  calibration: {
+    dryValue: Number,
+    wetValue: Number,
+    derived: {
+      type: Boolean,
+      default: false // true when moistureLevel was computed server-side from rawData.moistureRaw
+    },
+    recalibratedAt: Date,
+    originalMoistureLevel: Number // value before the first retroactive recalibration
+  },
   timestamp: {
     type: Date,
     required: [true, 'Timestamp is required'],
@@ -70,6 +98,7 @@ const sensorReadingSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  restoredAt: Date, // re-imported from an archive after expiring
   alerts: [{
     type: {
       type: String,
@@ -90,6 +119,28 @@ const sensorReadingSchema = new mongoose.Schema({
       default: false
     }
   }],
+  anomalies: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: Object.values(CONSTANTS.ANOMALY.TYPES),
+      required: true
+    },
+    field: {
+      type: String,
+      default: 'moistureLevel'
+    },
+    severity: {
+      type: String,
+      enum: ['critical', 'warning', 'info'],
+      default: 'warning'
+    },
+    message: {
+      type: String,
+      required: true
+    },
+    score: Number // rate (%/min), z-score or window length (hours), depending on type
+  }],
   metadata: {
     deviceInfo: {
       firmware: String,
@@ -99,7 +150,9 @@ const sensorReadingSchema = new mongoose.Schema({
     networkInfo: {
       ssid: String,
       rssi: Number,
-      ip: String
+      ip: String,
+      snr: Number, // LoRaWAN gateway signal-to-noise ratio (dB)
+      gatewayId: String
     },
     location: {
       latitude: Number,
@@ -120,14 +173,15 @@ const sensorReadingSchema = new mongoose.Schema({
 });
 
 // Indexes for performance
-sensorReadingSchema.index({ sensorId: 1, timestamp: -1 });
+// Unique per sensor and timestamp so re-uploaded buffered readings are deduplicated
+sensorReadingSchema.index({ sensorId: 1, timestamp: -1 }, { unique: true });
 sensorReadingSchema.index({ farmId: 1, timestamp: -1 });
 sensorReadingSchema.index({ timestamp: -1 });
 sensorReadingSchema.index({ processed: 1 });
 sensorReadingSchema.index({ 'alerts.acknowledged': 1 });
 
-// TTL index to automatically delete old readings (keep for 1 year)
-sensorReadingSchema.index({ timestamp: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+// Old readings are archived and deleted per farm retention policy (see
+// retentionService); hourly and daily aggregates are kept in ReadingRollup
 
 // Virtual for moisture status
 sensorReadingSchema.virtual('moistureStatus').get(function() {
@@ -157,30 +211,106 @@ sensorReadingSchema.virtual('signalQuality').get(function() {
   return 'poor';
 });
 
-// Pre-save middleware to determine data quality
-sensorReadingSchema.pre('save', function(next) {
+// Determine data quality from a reading's values
+const calculateQuality = (readings) => {
   let qualityScore = 100;
   
   // Check signal strength
-  if (this.readings.signalStrength) {
-    if (this.readings.signalStrength < -80) qualityScore -= 20;
-    else if (this.readings.signalStrength < -70) qualityScore -= 10;
+  if (readings.signalStrength) {
+    if (readings.signalStrength < -80) qualityScore -= 20;
+    else if (readings.signalStrength < -70) qualityScore -= 10;
   }
   
   // Check battery level
-  if (this.readings.batteryLevel < 20) qualityScore -= 15;
-  else if (this.readings.batteryLevel < 40) qualityScore -= 5;
+  if (readings.batteryLevel < 20) qualityScore -= 15;
+  else if (readings.batteryLevel < 40) qualityScore -= 5;
   
   // Check for missing optional readings
-  if (!this.readings.temperature) qualityScore -= 5;
-  if (!this.readings.humidity) qualityScore -= 5;
+  if (!readings.temperature) qualityScore -= 5;
+  if (!readings.humidity) qualityScore -= 5;
   
   // Determine quality based on score
-  if (qualityScore >= 90) this.quality = 'excellent';
-  else if (qualityScore >= 75) this.quality = 'good';
-  else if (qualityScore >= 60) this.quality = 'fair';
-  else this.quality = 'poor';
+  if (qualityScore >= 90) return 'excellent';
+  if (qualityScore >= 75) return 'good';
+  if (qualityScore >= 60) return 'fair';
+  return 'poor';
+};
+
+// Build alerts for a reading against its sensor's thresholds
+const buildAlerts = (readings, sensor) => {
+  const alerts = [];
+  
+  // Check moisture levels
+  if (sensor.alerts.moistureThreshold.enabled) {
+    if (readings.moistureLevel <= sensor.alerts.moistureThreshold.low) {
+      alerts.push({
+        type: 'low_moisture',
+        severity: 'critical',
+        message: `Critical moisture level: ${readings.moistureLevel}%`
+      });
+    } else if (readings.moistureLevel >= sensor.alerts.moistureThreshold.high) {
+      alerts.push({
+        type: 'high_moisture',
+        severity: 'warning',
+        message: `High moisture level: ${readings.moistureLevel}%`
+      });
+    }
+  }
+  
+  // Check battery level
+  if (sensor.alerts.lowBattery.enabled) {
+    if (readings.batteryLevel <= sensor.alerts.lowBattery.threshold) {
+      alerts.push({
+        type: 'low_battery',
+        severity: readings.batteryLevel <= 10 ? 'critical' : 'warning',
+        message: `Low battery: ${readings.batteryLevel}%`
+      });
+    }
+  }
+  
+  // Check for sensor errors (unrealistic values)
+  if (readings.moistureLevel < 0 || readings.moistureLevel > 100) {
+    alerts.push({
+      type: 'sensor_error',
+      severity: 'critical',
+      message: 'Invalid moisture reading detected'
+    });
+  }
+  
+  // Check if calibration is needed (very old calibration)
+  const daysSinceCalibration = (Date.now() - sensor.calibration.lastCalibrated) / (1000 * 60 * 60 * 24);
+  if (daysSinceCalibration > 180) { // 6 months
+    alerts.push({
+      type: 'calibration_needed',
+      severity: 'info',
+      message: 'Sensor calibration is overdue'
+    });
+  }
+  
+  return alerts;
+};
+
+// Downgrade quality and raise sensor_error alerts for detected anomalies
+// (anomalies are set by the ingestion service before saving)
+const applyAnomalies = (reading) => {
+  if (!reading.anomalies || reading.anomalies.length === 0) return;
+  
+  // A reading that only deviates from the baseline may still be real
+  const outlierOnly = reading.anomalies.every(anomaly => anomaly.type === CONSTANTS.ANOMALY.TYPES.OUTLIER);
+  reading.quality = outlierOnly && reading.quality !== 'poor' ? 'fair' : 'poor';
   
+  reading.anomalies.forEach(anomaly => {
+    reading.alerts.push({
+      type: 'sensor_error',
+      severity: anomaly.severity,
+      message: anomaly.message
+    });
+  });
+};
+
+// Pre-save middleware to determine data quality
+sensorReadingSchema.pre('save', function(next) {
+  this.quality = calculateQuality(this.readings);
   next();
 });
 
@@ -192,54 +322,8 @@ sensorReadingSchema.pre('save', async function(next) {
     
     if (!sensor) return next();
     
-    this.alerts = [];
-    
-    // Check moisture levels
-    if (sensor.alerts.moistureThreshold.enabled) {
-      if (this.readings.moistureLevel <= sensor.alerts.moistureThreshold.low) {
-        this.alerts.push({
-          type: 'low_moisture',
-          severity: 'critical',
-          message: `Critical moisture level: ${this.readings.moistureLevel}%`
-        });
-      } else if (this.readings.moistureLevel >= sensor.alerts.moistureThreshold.high) {
-        this.alerts.push({
-          type: 'high_moisture',
-          severity: 'warning',
-          message: `High moisture level: ${this.readings.moistureLevel}%`
-        });
-      }
-    }
-    
-    // Check battery level
-    if (sensor.alerts.lowBattery.enabled) {
-      if (this.readings.batteryLevel <= sensor.alerts.lowBattery.threshold) {
-        this.alerts.push({
-          type: 'low_battery',
-          severity: this.readings.batteryLevel <= 10 ? 'critical' : 'warning',
-          message: `Low battery: ${this.readings.batteryLevel}%`
-        });
-      }
-    }
-    
-    // Check for sensor errors (unrealistic values)
-    if (this.readings.moistureLevel < 0 || this.readings.moistureLevel > 100) {
-      this.alerts.push({
-        type: 'sensor_error',
-        severity: 'critical',
-        message: 'Invalid moisture reading detected'
-      });
-    }
-    
-    // Check if calibration is needed (very old calibration)
-    const daysSinceCalibration = (Date.now() - sensor.calibration.lastCalibrated) / (1000 * 60 * 60 * 24);
-    if (daysSinceCalibration > 180) { // 6 months
-      this.alerts.push({
-        type: 'calibration_needed',
-        severity: 'info',
-        message: 'Sensor calibration is overdue'
-      });
-    }
+    this.alerts = buildAlerts(this.readings, sensor);
+    applyAnomalies(this);
     
     next();
   } catch (error) {
@@ -260,7 +344,7 @@ sensorReadingSchema.post('save', async function(doc) {
           batteryLevel: doc.readings.batteryLevel,
           timestamp: doc.timestamp
         },
-        'connectivity.lastSeen': doc.timestamp,
+        'connectivity.lastSeen': new Date(), // time of contact, not of the (possibly buffered) reading
         'connectivity.signalStrength': doc.readings.signalStrength
       }
     });
@@ -269,6 +353,11 @@ sensorReadingSchema.post('save', async function(doc) {
   }
 });
 
+// Static helpers shared with bulk ingestion (insertMany skips save hooks)
+sensorReadingSchema.statics.calculateQuality = calculateQuality;
+sensorReadingSchema.statics.buildAlerts = buildAlerts;
+sensorReadingSchema.statics.applyAnomalies = applyAnomalies;
+
 // Static method to get latest readings for a sensor
 sensorReadingSchema.statics.getLatestBySensor = function(sensorId, limit = 10) {
   return this.find({ sensorId })
@@ -322,6 +411,41 @@ sensorReadingSchema.statics.getAverages = function(sensorId, startDate, endDate)
   ]);
 };
 
+// Static method to recompute moisture for readings since a date with new calibration values
+// Only readings with rawData.moistureRaw are affected; the first pre-recalibration
+// moistureLevel is kept in calibration.originalMoistureLevel. Mirrors
+// helpers.convertMoistureToPercentage inside a single update pipeline.
+sensorReadingSchema.statics.recalibrateSince = function(sensorId, since, dryValue, wetValue) {
+  const percentage = {
+    $multiply: [
+      { $divide: [{ $subtract: [dryValue, '$rawData.moistureRaw'] }, dryValue - wetValue] },
+      100
+    ]
+  };
+  
+  return this.updateMany(
+    {
+      sensorId,
+      timestamp: { $gte: new Date(since) },
+      'rawData.moistureRaw': { $type: 'number' }
+    },
+    [
+      {
+        $set: {
+          'calibration.originalMoistureLevel': {
+            $ifNull: ['$calibration.originalMoistureLevel', '$readings.moistureLevel']
+          },
+          'readings.moistureLevel': { $round: [{ $max: [0, { $min: [100, percentage] }] }, 0] },
+          'calibration.dryValue': dryValue,
+          'calibration.wetValue': wetValue,
+          'calibration.derived': true,
+          'calibration.recalibratedAt': new Date()
+        }
+      }
+    ]
+  );
+};
+
 // Static method to get unprocessed readings
 sensorReadingSchema.statics.getUnprocessed = function(limit = 100) {
   return this.find({ processed: false })
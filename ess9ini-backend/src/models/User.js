@@ -223,6 +223,19 @@ userSchema.statics.findActive = function() {
   return this.find({ isActive: true });
 };
 
+// Static method to find the active users of a farm (owner and members)
+userSchema.statics.findByFarm = async function(farmId) {
+  const Farm = mongoose.model('Farm');
+  const farm = await Farm.findById(farmId).select('owner');
+  
+  if (!farm) return [];
+  
+  return this.find({
+    $or: [{ _id: farm.owner }, { farmId }],
+    isActive: true
+  });
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
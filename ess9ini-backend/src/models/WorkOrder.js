@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const CONSTANTS = require('../config/constants');
+
+const { TYPES, SOURCES, STATUS, PRIORITIES } = CONSTANTS.WORK_ORDERS;
+
+const OPEN_STATUSES = [STATUS.OPEN, STATUS.IN_PROGRESS];
+
+const workOrderSchema = new mongoose.Schema({
+  farmId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farm',
+    required: [true, 'Farm ID is required']
+  },
+  sensorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sensor',
+    required: [true, 'Sensor ID is required']
+  },
+  type: {
+    type: String,
+    enum: Object.values(TYPES),
+    required: [true, 'Work order type is required']
+  },
+  source: {
+    type: String,
+    enum: Object.values(SOURCES),
+    default: SOURCES.MANUAL
+  },
+  title: {
+    type: String,
+    required: [true, 'Work order title is required'],
+    trim: true,
+    maxlength: [150, 'Title cannot exceed 150 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  priority: {
+    type: String,
+    enum: PRIORITIES,
+    default: 'normal'
+  },
+  status: {
+    type: String,
+    enum: Object.values(STATUS),
+    default: STATUS.OPEN
+  },
+  dueDate: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: Date,
+  startedAt: Date,
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolution: {
+    notes: {
+      type: String,
+      maxlength: [500, 'Resolution notes cannot exceed 500 characters']
+    },
+    cost: {
+      type: Number,
+      min: [0, 'Cost cannot be negative']
+    }
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed // condition that triggered an automatic order
+  },
+  history: [{
+    status: {
+      type: String,
+      enum: Object.values(STATUS),
+      required: true
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    message: String
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+workOrderSchema.index({ farmId: 1, status: 1, createdAt: -1 });
+workOrderSchema.index({ sensorId: 1, type: 1, status: 1 });
+workOrderSchema.index({ assignedTo: 1, status: 1 });
+
+// Virtual for open state
+workOrderSchema.virtual('isOpen').get(function() {
+  return OPEN_STATUSES.includes(this.status);
+});
+
+// Virtual for overdue state
+workOrderSchema.virtual('isOverdue').get(function() {
+  return this.isOpen && !!this.dueDate && this.dueDate < new Date();
+});
+
+// Record a status change in the history
+workOrderSchema.methods.transition = function(status, userId, message) {
+  this.status = status;
+  this.history.push({ status, by: userId, message });
+};
+
+// Static method to find the open order of a type for a sensor
+workOrderSchema.statics.findOpen = function(sensorId, type) {
+  return this.findOne({ sensorId, type, status: { $in: OPEN_STATUSES } });
+};
+
+// Static method to cancel every open order of a sensor (e.g. retired hardware)
+workOrderSchema.statics.cancelOpen = function(sensorId, message) {
+  return this.updateMany(
+    { sensorId, status: { $in: OPEN_STATUSES } },
+    {
+      $set: { status: STATUS.CANCELLED },
+      $push: { history: { status: STATUS.CANCELLED, date: new Date(), message } }
+    }
+  );
+};
+
+// Static method to get a technician's queue: open orders assigned to them,
+// started ones first, then most urgent, then by due date
+workOrderSchema.statics.getQueue = async function(userId) {
+  const orders = await this.find({ assignedTo: userId, status: { $in: OPEN_STATUSES } })
+    .populate('sensorId', 'name deviceId location status')
+    .populate('farmId', 'name location');
+
+  const started = (order) => (order.status === STATUS.IN_PROGRESS ? 1 : 0);
+  const rank = (order) => PRIORITIES.indexOf(order.priority);
+  const due = (order) => (order.dueDate ? order.dueDate.getTime() : Infinity);
+
+  return orders.sort((a, b) =>
+    started(b) - started(a) ||
+    rank(b) - rank(a) ||
+    due(a) - due(b) ||
+    a.createdAt - b.createdAt);
+};
+
+module.exports = mongoose.model('WorkOrder', workOrderSchema);
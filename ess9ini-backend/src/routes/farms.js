@@ -1,26 +1,39 @@
 const express = require('express');
-const { authenticate, checkFarmAccess } = require('../middleware/auth');
+const farmController = require('../controllers/farmController');
+const retentionController = require('../controllers/retentionController');
+const inventoryController = require('../controllers/inventoryController');
+const actuatorController = require('../controllers/actuatorController');
+const { authenticate } = require('../middleware/auth');
+const { farmValidations } = require('../middleware/validation');
+const { uploadLimiter } = require('../middleware/rateLimiter');
+const { inventoryUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
 // All routes are protected
 router.use(authenticate);
 
-// Placeholder routes - will be implemented later
-router.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Farms endpoint - Coming soon',
-    data: []
-  });
-});
-
-router.get('/:farmId', checkFarmAccess, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Get farm by ID - Coming soon',
-    data: null
-  });
-});
+router.get('/', farmController.getAllFarms);
+router.post('/', farmValidations.create, farmController.createFarm);
+router.get('/:id', farmController.getFarmById);
+router.get('/:id/overview', farmController.getFarmOverview);
+router.get('/:id/alerts', farmController.getFarmAlerts);
+router.put('/:id', farmValidations.update, farmController.updateFarm);
+router.delete('/:id', farmController.deleteFarm);
+router.post('/:id/zones', farmValidations.addZone, farmController.addZone);
+router.delete('/:id/zones/:zoneId', farmController.removeZone);
+router.get('/:id/root-zone', farmController.getRootZones);
+router.get('/:id/root-zone/profile', farmValidations.rootZoneProfile, farmController.getZoneProfile);
+router.get('/:id/battery-replacements', farmValidations.batteryReplacements, farmController.getBatteryReplacements);
+router.get('/:id/sensors/export', farmValidations.inventoryExport, inventoryController.exportInventory);
+router.post('/:id/sensors/import', uploadLimiter, inventoryUpload, farmValidations.inventoryImport, inventoryController.importInventory);
+router.get('/:id/retention', retentionController.getRetention);
+router.put('/:id/retention', farmValidations.retention, retentionController.updateRetention);
+router.get('/:id/actuators', actuatorController.getActuators);
+router.put('/:id/actuators', farmValidations.actuators, actuatorController.updateActuators);
+router.post('/:id/actuators/secret', actuatorController.rotateControllerSecret);
+router.get('/:id/archives', retentionController.getArchives);
+router.get('/:id/archives/:archiveId/download', retentionController.downloadArchive);
+router.post('/:id/archives/:archiveId/restore', farmValidations.restoreArchive, retentionController.restoreArchive);
 
 module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const firmwareController = require('../controllers/firmwareController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { firmwareValidations } = require('../middleware/validation');
+const { uploadLimiter } = require('../middleware/rateLimiter');
+const { firmwareUpload } = require('../middleware/upload');
+const CONSTANTS = require('../config/constants');
+
+const router = express.Router();
+
+// Firmware management is restricted to administrators
+router.use(authenticate);
+router.use(authorize(CONSTANTS.USER_ROLES.ADMIN));
+
+router.get('/', firmwareController.getReleases);
+router.post('/', uploadLimiter, firmwareUpload, firmwareValidations.upload, firmwareController.uploadRelease);
+router.get('/:id', firmwareController.getRelease);
+router.put('/:id/rollout', firmwareValidations.rollout, firmwareController.updateRollout);
+router.post('/:id/pause', firmwareValidations.pause, firmwareController.pauseRollout);
+router.post('/:id/resume', firmwareController.resumeRollout);
+router.delete('/:id', firmwareController.deleteRelease);
+
+module.exports = router;
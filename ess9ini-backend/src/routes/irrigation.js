@@ -1,5 +1,7 @@
 const express = require('express');
-const { authenticate, checkFarmAccess } = require('../middleware/auth');
+const irrigationController = require('../controllers/irrigationController');
+const { authenticate } = require('../middleware/auth');
+const { irrigationValidations } = require('../middleware/validation');
 const { irrigationLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
@@ -7,29 +9,12 @@ const router = express.Router();
 // All routes are protected
 router.use(authenticate);
 
-// Placeholder routes - will be implemented later
-router.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Irrigation endpoint - Coming soon',
-    data: []
-  });
-});
-
-router.post('/start', irrigationLimiter, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Start irrigation - Coming soon',
-    data: null
-  });
-});
-
-router.post('/:id/stop', irrigationLimiter, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Stop irrigation - Coming soon',
-    data: null
-  });
-});
+router.get('/', irrigationController.getAllIrrigationEvents);
+router.get('/upcoming/:farmId', irrigationValidations.upcoming, irrigationController.getUpcomingIrrigations);
+router.get('/recommendations/:farmId', irrigationController.getIrrigationRecommendations);
+router.post('/start', irrigationLimiter, irrigationValidations.start, irrigationController.startIrrigation);
+router.post('/schedule', irrigationLimiter, irrigationValidations.schedule, irrigationController.scheduleIrrigation);
+router.get('/:id', irrigationController.getIrrigationEventById);
+router.post('/:id/stop', irrigationLimiter, irrigationValidations.complete, irrigationController.stopIrrigation);
 
 module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const lorawanController = require('../controllers/lorawanController');
+const { validateWebhookSecret } = require('../middleware/auth');
+
+const router = express.Router();
+
+// LoRaWAN network server webhooks (shared secret instead of user token)
+router.post('/:network(ttn|chirpstack)/uplink', validateWebhookSecret('LORAWAN_WEBHOOK_SECRET'), lorawanController.receiveUplink);
+
+module.exports = router;
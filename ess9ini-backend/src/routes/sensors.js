@@ -1,35 +1,49 @@
 const express = require('express');
-const { authenticate, checkSensorAccess } = require('../middleware/auth');
+const sensorController = require('../controllers/sensorController');
+const calibrationController = require('../controllers/calibrationController');
+const commandController = require('../controllers/commandController');
+const firmwareController = require('../controllers/firmwareController');
+const { authenticate, checkSensorAccess, validateApiKey } = require('../middleware/auth');
+const { sensorValidations, firmwareValidations } = require('../middleware/validation');
 const { sensorDataLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
-// All routes are protected
-router.use(authenticate);
+// IoT device routes (per-device API key instead of user token)
+router.post('/:id/readings', sensorDataLimiter, validateApiKey, sensorValidations.addReading, sensorController.addSensorReading);
+router.post('/:id/readings/batch', sensorDataLimiter, validateApiKey, sensorController.addSensorReadingsBatch);
+router.get('/:id/calibration/device', sensorDataLimiter, validateApiKey, calibrationController.getDeviceCalibration);
+router.post('/:id/calibration/samples', sensorDataLimiter, validateApiKey, sensorValidations.calibrationSamples, calibrationController.addCalibrationSamples);
+router.get('/:id/commands/pending', sensorDataLimiter, validateApiKey, commandController.getPendingCommands);
+router.post('/:id/commands/:commandId/ack', sensorDataLimiter, validateApiKey, sensorValidations.commandAck, commandController.acknowledgeCommand);
+router.get('/:id/firmware/update', sensorDataLimiter, validateApiKey, firmwareController.checkForUpdate);
+router.get('/:id/firmware/:releaseId/download', sensorDataLimiter, validateApiKey, firmwareController.downloadFirmware);
+router.post('/:id/firmware/:releaseId/report', sensorDataLimiter, validateApiKey, firmwareValidations.report, firmwareController.reportUpdate);
 
-// Placeholder routes - will be implemented later
-router.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Sensors endpoint - Coming soon',
-    data: []
-  });
-});
+// Protected routes
+router.use(authenticate); // All routes after this middleware are protected
 
-router.get('/:id', checkSensorAccess, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Get sensor by ID - Coming soon',
-    data: null
-  });
-});
-
-router.post('/:id/readings', sensorDataLimiter, checkSensorAccess, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Add sensor reading - Coming soon',
-    data: null
-  });
-});
+router.get('/', sensorController.getAllSensors);
+router.post('/', sensorValidations.create, sensorController.createSensor);
+router.get('/timeseries', sensorValidations.timeseries, sensorController.getTimeSeries);
+router.get('/:id', checkSensorAccess, sensorController.getSensorById);
+router.put('/:id', checkSensorAccess, sensorController.updateSensor);
+router.delete('/:id', checkSensorAccess, sensorController.deleteSensor);
+router.get('/:id/readings', checkSensorAccess, sensorController.getSensorReadings);
+router.get('/:id/drift', checkSensorAccess, sensorController.getSensorDrift);
+router.get('/:id/profile', checkSensorAccess, sensorValidations.profile, sensorController.getSensorProfile);
+router.get('/:id/battery', checkSensorAccess, sensorController.getBatteryForecast);
+router.post('/:id/replace', checkSensorAccess, sensorValidations.replace, sensorController.replaceSensor);
+router.post('/:id/calibrate', checkSensorAccess, sensorValidations.calibrate, sensorController.calibrateSensor);
+router.get('/:id/calibration', checkSensorAccess, calibrationController.getCalibration);
+router.post('/:id/calibration', checkSensorAccess, calibrationController.startCalibration);
+router.delete('/:id/calibration', checkSensorAccess, calibrationController.cancelCalibration);
+router.put('/:id/calibration/phase', checkSensorAccess, sensorValidations.calibrationPhase, calibrationController.markCalibrationPhase);
+router.post('/:id/calibration/complete', checkSensorAccess, sensorValidations.completeCalibration, calibrationController.completeCalibration);
+router.get('/:id/calibration/history', checkSensorAccess, calibrationController.getCalibrationHistory);
+router.get('/:id/commands', checkSensorAccess, commandController.getCommands);
+router.post('/:id/commands', checkSensorAccess, sensorValidations.queueCommand, commandController.queueCommand);
+router.post('/:id/api-key/rotate', checkSensorAccess, sensorValidations.apiKey, sensorController.rotateApiKey);
+router.delete('/:id/api-key', checkSensorAccess, sensorValidations.apiKey, sensorController.revokeApiKey);
 
 module.exports = router;
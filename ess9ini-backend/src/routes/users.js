@@ -1,5 +1,7 @@
 const express = require('express');
+const userController = require('../controllers/userController');
 const { authenticate, authorize } = require('../middleware/auth');
+const { userValidations } = require('../middleware/validation');
 const CONSTANTS = require('../config/constants');
 
 const router = express.Router();
@@ -7,21 +9,13 @@ const router = express.Router();
 // All routes are protected
 router.use(authenticate);
 
-// Placeholder routes - will be implemented later
-router.get('/', authorize(CONSTANTS.USER_ROLES.ADMIN), (req, res) => {
-  res.json({
-    success: true,
-    message: 'Users endpoint - Coming soon',
-    data: []
-  });
-});
+// Admin routes
+router.get('/', authorize(CONSTANTS.USER_ROLES.ADMIN), userController.getAllUsers);
+router.get('/stats', authorize(CONSTANTS.USER_ROLES.ADMIN), userController.getUserStats);
+router.delete('/:id', authorize(CONSTANTS.USER_ROLES.ADMIN), userController.deleteUser);
 
-router.get('/:id', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Get user by ID - Coming soon',
-    data: null
-  });
-});
+// Self or admin routes
+router.get('/:id', userController.getUserById);
+router.put('/:id', userValidations.updateProfile, userController.updateUser);
 
 module.exports = router;
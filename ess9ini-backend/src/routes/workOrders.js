@@ -0,0 +1,20 @@
+const express = require('express');
+const workOrderController = require('../controllers/workOrderController');
+const { authenticate } = require('../middleware/auth');
+const { workOrderValidations } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(authenticate);
+
+router.get('/', workOrderValidations.list, workOrderController.getWorkOrders);
+router.get('/queue', workOrderController.getQueue);
+router.post('/', workOrderValidations.create, workOrderController.createWorkOrder);
+router.get('/:id', workOrderController.getWorkOrder);
+router.put('/:id/assign', workOrderValidations.assign, workOrderController.assignWorkOrder);
+router.post('/:id/start', workOrderController.startWorkOrder);
+router.post('/:id/complete', workOrderValidations.complete, workOrderController.completeWorkOrder);
+router.post('/:id/cancel', workOrderValidations.cancel, workOrderController.cancelWorkOrder);
+
+module.exports = router;
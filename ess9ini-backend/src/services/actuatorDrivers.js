@@ -0,0 +1,153 @@
+/**
+ * Irrigation actuator drivers
+ * Each driver sends an actuator command (an ordered list of relay switches)
+ * to the farm's hardware and resolves with the hardware's confirmation
+ * `{ success, message }`, or rejects when it cannot be reached or does not
+ * answer in time. A `state` command switches nothing and is answered with
+ * the relay states `{ success, states: [{ channel, state }] }`.
+ *
+ * - simulated: confirms after a short delay, for local testing
+ *   (ACTUATOR_SIMULATED_FAILURE_RATE makes a share of commands fail)
+ * - mqtt: relay board on the MQTT broker; commands are published to
+ *   `<prefix>/<farmId>/<controllerId>/actuators` and the board answers on
+ *   `.../confirmations` with `{ commandId, success, message, states }`
+ * - http: relay controller with an HTTP API; commands are POSTed to its URL,
+ *   which answers `{ success: true }` once the relays have switched
+ */
+
+const axios = require('axios');
+const CONSTANTS = require('../config/constants');
+
+// MQTT commands waiting for the board's confirmation, by command ID
+const pending = new Map();
+
+// Relay states of the simulated hardware, by farm (all off after a restart)
+const simulatedRelays = new Map();
+
+const timeoutError = (timeout) => {
+  const error = new Error(`No confirmation from the irrigation hardware within ${timeout / 1000}s`);
+  error.code = 'ACTUATOR_TIMEOUT';
+  return error;
+};
+
+const unreachableError = (message) => {
+  const error = new Error(message);
+  error.code = 'ACTUATOR_UNREACHABLE';
+  return error;
+};
+
+const simulated = {
+  send: (farm, command, timeout) => new Promise((resolve, reject) => {
+    const failureRate = parseFloat(process.env.ACTUATOR_SIMULATED_FAILURE_RATE) || 0;
+
+    if (CONSTANTS.ACTUATORS.SIMULATED_DELAY > timeout) {
+      setTimeout(() => reject(timeoutError(timeout)), timeout);
+      return;
+    }
+
+    setTimeout(() => {
+      const relays = simulatedRelays.get(farm._id.toString()) || new Map();
+
+      if (command.action === 'state') {
+        resolve({ success: true, states: [...relays].map(([channel, state]) => ({ channel, state })) });
+        return;
+      }
+
+      if (Math.random() < failureRate) {
+        resolve({ success: false, message: 'Simulated relay failure' });
+        return;
+      }
+
+      command.actions.forEach(action => relays.set(action.channel, action.state));
+      simulatedRelays.set(farm._id.toString(), relays);
+      resolve({ success: true, message: `Switched ${command.actions.length} relays` });
+    }, CONSTANTS.ACTUATORS.SIMULATED_DELAY);
+  })
+};
+
+const mqtt = {
+  send: (farm, command, timeout) => new Promise((resolve, reject) => {
+    // Required lazily: mqttService routes confirmations back to this module
+    const { publishToDevice } = require('./mqttService');
+    const { controllerId } = farm.settings.actuators;
+
+    if (!controllerId) {
+      reject(unreachableError('No MQTT relay board configured for this farm'));
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      pending.delete(command.id);
+      reject(timeoutError(timeout));
+    }, timeout);
+
+    pending.set(command.id, {
+      farmId: farm._id.toString(),
+      controllerId: controllerId.toUpperCase(),
+      resolve: (result) => {
+        clearTimeout(timer);
+        pending.delete(command.id);
+        resolve(result);
+      }
+    });
+
+    if (!publishToDevice({ farmId: farm._id, deviceId: controllerId }, 'actuators', command)) {
+      clearTimeout(timer);
+      pending.delete(command.id);
+      reject(unreachableError('MQTT broker is not connected'));
+    }
+  }),
+
+  // Match a confirmation published by a relay board to its pending command
+  handleConfirmation: (farmId, controllerId, payload) => {
+    const entry = pending.get(payload.commandId);
+
+    if (!entry || entry.farmId !== farmId || entry.controllerId !== controllerId.toUpperCase()) {
+      return false;
+    }
+
+    entry.resolve({ success: payload.success === true, message: payload.message, states: payload.states });
+    return true;
+  }
+};
+
+const http = {
+  send: async (farm, command, timeout) => {
+    const { url, token } = farm.settings.actuators;
+
+    if (!url) {
+      throw unreachableError('No HTTP relay controller configured for this farm');
+    }
+
+    try {
+      const response = await axios.post(url, command, {
+        timeout,
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      });
+
+      return { success: response.data?.success === true, message: response.data?.message, states: response.data?.states };
+    } catch (error) {
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        throw timeoutError(timeout);
+      }
+      if (error.response) {
+        return { success: false, message: error.response.data?.message || `Controller answered ${error.response.status}` };
+      }
+      throw unreachableError(`Relay controller unreachable: ${error.message}`);
+    }
+  }
+};
+
+const drivers = {
+  [CONSTANTS.ACTUATORS.DRIVERS.SIMULATED]: simulated,
+  [CONSTANTS.ACTUATORS.DRIVERS.MQTT]: mqtt,
+  [CONSTANTS.ACTUATORS.DRIVERS.HTTP]: http
+};
+
+// Get the driver registered under a name
+const getDriver = (name) => drivers[name];
+
+module.exports = {
+  getDriver,
+  handleConfirmation: mqtt.handleConfirmation
+};
@@ -0,0 +1,260 @@
+/**
+ * Irrigation actuators
+ * Turns starting and stopping an irrigation into relay commands for the
+ * farm's zone valves, main pump and master valve, sends them through the
+ * farm's driver (see actuatorDrivers) and waits for the hardware to confirm.
+ *
+ * Opening goes master valve, zone valves, then pump, so the pump never runs
+ * against closed valves; closing goes the other way. When the hardware does
+ * not confirm in time, or reports a failure, the irrigation event is marked
+ * failed and the farm is alerted. A failed start is followed by a best-effort
+ * shutdown in case some relays did switch.
+ *
+ * Farms without a driver have irrigation recorded only, as before.
+ */
+
+const crypto = require('crypto');
+const Alert = require('../models/Alert');
+const IrrigationEvent = require('../models/IrrigationEvent');
+const Farm = require('../models/Farm');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const notificationService = require('./notificationService');
+const actuatorDrivers = require('./actuatorDrivers');
+const CONSTANTS = require('../config/constants');
+
+const { TYPES, STATES, COMMAND_STATUS } = CONSTANTS.ACTUATORS;
+
+// Relay switches for the zones of an irrigation, in switching order
+const buildActions = (config, zones, state) => {
+  const valves = zones.map(zone => {
+    const valve = config.valves.find(item => item.zone === zone);
+    if (!valve) {
+      throw new AppError(`No valve configured for zone ${zone}`, 400, 'VALVE_NOT_CONFIGURED');
+    }
+    return { actuator: TYPES.ZONE_VALVE, zone, channel: valve.channel, state };
+  });
+
+  const master = config.masterValve?.channel !== undefined
+    ? [{ actuator: TYPES.MASTER_VALVE, channel: config.masterValve.channel, state }]
+    : [];
+  const pump = config.pump?.channel !== undefined
+    ? [{ actuator: TYPES.PUMP, channel: config.pump.channel, state }]
+    : [];
+
+  return state === STATES.ON
+    ? [...master, ...valves, ...pump]
+    : [...pump, ...valves, ...master];
+};
+
+// Whether irrigation on this farm drives real (or simulated) hardware
+const hasDriver = (farm) => !!farm.settings?.actuators?.driver;
+
+// Check that every zone of an irrigation has a valve before creating it
+const checkZones = (farm, zones) => {
+  if (hasDriver(farm)) buildActions(farm.settings.actuators, zones, STATES.ON);
+};
+
+// Actuator settings of a farm, with the HTTP token (not selected by default)
+const loadConfig = async (farm) => {
+  return farm.settings.actuators.driver === CONSTANTS.ACTUATORS.DRIVERS.HTTP
+    ? (await Farm.findById(farm._id).select('+settings.actuators.token')).settings.actuators
+    : farm.settings.actuators;
+};
+
+// Send a command and wait for the hardware to confirm it. Returns the
+// actuation record (never throws for hardware failures).
+const execute = async (farm, event, action) => {
+  const config = await loadConfig(farm);
+
+  const command = {
+    id: crypto.randomUUID(),
+    action,
+    irrigationId: event._id.toString(),
+    actions: buildActions(config, event.zones, action === 'start' ? STATES.ON : STATES.OFF)
+  };
+
+  const record = {
+    commandId: command.id,
+    action,
+    driver: config.driver,
+    status: COMMAND_STATUS.SENT,
+    sentAt: new Date()
+  };
+
+  try {
+    const result = await actuatorDrivers.getDriver(config.driver).send(
+      { _id: farm._id, settings: { actuators: config } },
+      command,
+      config.timeout * 1000
+    );
+
+    record.status = result.success ? COMMAND_STATUS.CONFIRMED : COMMAND_STATUS.FAILED;
+    record.message = result.message;
+  } catch (error) {
+    record.status = error.code === 'ACTUATOR_TIMEOUT' ? COMMAND_STATUS.TIMEOUT : COMMAND_STATUS.FAILED;
+    record.message = error.message;
+  }
+
+  if (record.status === COMMAND_STATUS.CONFIRMED) {
+    record.confirmedAt = new Date();
+  }
+
+  logger.info('Actuator command', {
+    farmId: farm._id,
+    irrigationId: event._id,
+    commandId: command.id,
+    action,
+    driver: config.driver,
+    status: record.status,
+    message: record.message
+  });
+
+  return record;
+};
+
+// Read the relay states of a farm's hardware: Map<channel, state>, or null
+// when there is no driver or the hardware does not answer
+const readState = async (farm) => {
+  if (!hasDriver(farm)) return null;
+
+  const config = await loadConfig(farm);
+  const command = { id: crypto.randomUUID(), action: 'state', actions: [] };
+
+  try {
+    const result = await actuatorDrivers.getDriver(config.driver).send(
+      { _id: farm._id, settings: { actuators: config } },
+      command,
+      config.timeout * 1000
+    );
+
+    if (!result.success || !Array.isArray(result.states)) return null;
+    return new Map(result.states.map(({ channel, state }) => [channel, state]));
+  } catch (error) {
+    logger.warn('Actuator state not available', { farmId: farm._id, error: error.message });
+    return null;
+  }
+};
+
+// Whether any valve of an irrigation's zones is open in the given relay states
+const isIrrigating = (farm, event, states) => {
+  return event.zones.some(zone => {
+    const valve = farm.settings.actuators.valves.find(item => item.zone === zone);
+    return !!valve && states.get(valve.channel) === STATES.ON;
+  });
+};
+
+// Mark the event failed, alert the farm and report the failure to the caller
+const failIrrigation = async (farm, event, record, reason, severity) => {
+  const message = `${reason}: ${record.message || record.status}`;
+
+  // Retried shutdowns of a failed event only record the new command
+  if (event.status === CONSTANTS.IRRIGATION_STATUS.FAILED) {
+    await event.save();
+  } else {
+    await event.fail(message, severity);
+  }
+
+  const { alert, created } = await Alert.raise({
+    farmId: farm._id,
+    type: CONSTANTS.ALERT_KINDS.ACTUATOR_FAILURE,
+    category: CONSTANTS.ALERT_CATEGORIES.IRRIGATION,
+    severity,
+    message: `${message} (${farm.name})`,
+    data: {
+      irrigationId: event._id,
+      commandId: record.commandId,
+      action: record.action,
+      driver: record.driver,
+      status: record.status
+    }
+  });
+
+  if (created) {
+    logger.alert(alert.type, alert.severity, alert.message, farm._id);
+    await notificationService.sendAlert(alert, await User.findByFarm(farm._id));
+  }
+
+  return record.status === COMMAND_STATUS.TIMEOUT
+    ? new AppError(message, 504, 'ACTUATOR_TIMEOUT')
+    : new AppError(message, 502, 'ACTUATOR_FAILED');
+};
+
+// Close everything again after a failed start, in case some relays switched
+const shutdownAfterFailure = async (farm, event) => {
+  const record = await execute(farm, event, 'stop');
+  await IrrigationEvent.updateOne({ _id: event._id }, { $push: { actuation: record } });
+
+  if (record.status !== COMMAND_STATUS.CONFIRMED) {
+    logger.warn('Shutdown after failed irrigation start not confirmed', {
+      farmId: farm._id,
+      irrigationId: event._id,
+      status: record.status
+    });
+  }
+};
+
+// Open the valves and start the pump for an irrigation, then mark it running
+const startIrrigation = async (farm, event) => {
+  if (!hasDriver(farm)) {
+    return event.start();
+  }
+
+  const record = await execute(farm, event, 'start');
+  event.actuation.push(record);
+
+  if (record.status !== COMMAND_STATUS.CONFIRMED) {
+    const error = await failIrrigation(farm, event, record, 'Irrigation could not be started', CONSTANTS.ALERT_TYPES.WARNING);
+
+    shutdownAfterFailure(farm, event).catch(shutdownError => {
+      logger.error('Shutdown after failed irrigation start failed', { irrigationId: event._id, error: shutdownError.message });
+    });
+
+    throw error;
+  }
+
+  await event.start();
+  await Alert.resolveOpenForFarm(farm._id, CONSTANTS.ALERT_KINDS.ACTUATOR_FAILURE, 'Irrigation hardware confirmed a command');
+  return event;
+};
+
+// Stop the pump and close the valves of an irrigation, then mark it completed.
+// Also retries the shutdown of a failed irrigation whose hardware may still be on.
+// Without a reported water use, it is estimated from the time run.
+const stopIrrigation = async (farm, event, { waterUsed, moistureReadings } = {}) => {
+  if (!hasDriver(farm)) {
+    return event.complete(waterUsed ?? event.estimateWaterUsed(), moistureReadings);
+  }
+
+  const record = await execute(farm, event, 'stop');
+  event.actuation.push(record);
+
+  if (record.status !== COMMAND_STATUS.CONFIRMED) {
+    throw await failIrrigation(
+      farm,
+      event,
+      record,
+      'Irrigation could not be stopped, water may still be running',
+      CONSTANTS.ALERT_TYPES.CRITICAL
+    );
+  }
+
+  await Alert.resolveOpenForFarm(farm._id, CONSTANTS.ALERT_KINDS.ACTUATOR_FAILURE, 'Irrigation hardware confirmed a command');
+
+  // A failed start never ran: keep it failed, only record the shutdown
+  if (event.status === CONSTANTS.IRRIGATION_STATUS.FAILED && !event.schedule.actualStartTime) {
+    return event.save();
+  }
+
+  return event.complete(waterUsed ?? event.estimateWaterUsed(), moistureReadings);
+};
+
+module.exports = {
+  hasDriver,
+  checkZones,
+  readState,
+  isIrrigating,
+  startIrrigation,
+  stopIrrigation
+};
@@ -0,0 +1,275 @@
+/**
+ * Reading anomaly detection
+ * Checks each new moisture reading against the sensor's own recent history:
+ * rate-of-change limits (spikes), identical values over a long window (stuck
+ * probe), readings pinned at 0% / 100% (flatline, e.g. a disconnected or
+ * shorted probe) and a z-score against a rolling baseline. Running or recent
+ * irrigation in the sensor's zone explains rising moisture, so those readings
+ * are not reported as spikes or outliers.
+ */
+
+const SensorReading = require('../models/SensorReading');
+const IrrigationEvent = require('../models/IrrigationEvent');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const { logger } = require('../utils/logger');
+const { parseZoneNumber } = require('../utils/helpers');
+const notificationService = require('./notificationService');
+const CONSTANTS = require('../config/constants');
+
+const { TYPES } = CONSTANTS.ANOMALY;
+const LIMITS = CONSTANTS.ANOMALY;
+
+// Anomalies that make a reading unfit for the baseline and rate checks
+const DISTORTING = [TYPES.SPIKE, TYPES.OUTLIER];
+
+// Irrigation events of the sensor's farm (and zone, when known) around a time range
+const loadIrrigations = (sensor, from, to) => {
+  const zone = parseZoneNumber(sensor.location?.zone);
+  const query = {
+    farmId: sensor.farmId,
+    'schedule.actualStartTime': { $lte: to },
+    $or: [
+      { status: CONSTANTS.IRRIGATION_STATUS.RUNNING },
+      { 'schedule.actualEndTime': { $gte: new Date(from.getTime() - LIMITS.IRRIGATION_GRACE) } }
+    ]
+  };
+  if (zone !== null) query.zones = zone;
+
+  return IrrigationEvent.find(query).select('schedule status zones').lean();
+};
+
+// Whether irrigation explains moisture changes at a given time
+const isIrrigating = (irrigations, time) => {
+  return irrigations.some(event => {
+    const start = event.schedule.actualStartTime;
+    const end = event.schedule.actualEndTime
+      || (event.status === CONSTANTS.IRRIGATION_STATUS.RUNNING ? time : null);
+
+    return start <= time && end && time.getTime() <= end.getTime() + LIMITS.IRRIGATION_GRACE;
+  });
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const stdDev = (values) => {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / values.length);
+};
+
+// Rate of change against the previous trustworthy reading
+const checkSpike = (point, previous, irrigating) => {
+  if (!previous) return null;
+
+  const delta = point.moisture - previous.moisture;
+  if (Math.abs(delta) < LIMITS.MIN_JUMP) return null;
+
+  const minutes = Math.max((point.time - previous.time) / 60000, 1);
+  const rate = Math.abs(delta) / minutes;
+
+  if (delta > 0 && !irrigating && rate > LIMITS.MAX_RISE_PER_MINUTE) {
+    return {
+      type: TYPES.SPIKE,
+      severity: 'warning',
+      score: Math.round(rate * 10) / 10,
+      message: `Moisture jumped from ${previous.moisture}% to ${point.moisture}% in ${Math.round(minutes)} min with no irrigation running`
+    };
+  }
+
+  if (delta < 0 && rate > LIMITS.MAX_DROP_PER_MINUTE) {
+    return {
+      type: TYPES.SPIKE,
+      severity: 'warning',
+      score: Math.round(rate * 10) / 10,
+      message: `Moisture dropped from ${previous.moisture}% to ${point.moisture}% in ${Math.round(minutes)} min, faster than soil can dry`
+    };
+  }
+
+  return null;
+};
+
+// Consecutive readings pinned at the ends of the scale
+const checkFlatline = (point, history, irrigating) => {
+  const pinned = (p) => p.moisture === 0 || p.moisture === 100;
+  if (!pinned(point) || (point.moisture === 100 && irrigating)) return null;
+
+  const recent = history.slice(-(LIMITS.FLATLINE_MIN_READINGS - 1));
+  if (recent.length < LIMITS.FLATLINE_MIN_READINGS - 1 || !recent.every(p => p.moisture === point.moisture)) {
+    return null;
+  }
+
+  return {
+    type: TYPES.FLATLINE,
+    severity: 'critical',
+    score: LIMITS.FLATLINE_MIN_READINGS,
+    message: `Moisture pinned at ${point.moisture}% for ${LIMITS.FLATLINE_MIN_READINGS} readings, probe may be disconnected or shorted`
+  };
+};
+
+// The same value for the whole stuck window
+// Raw probe values are compared when available (they rarely repeat exactly)
+const checkStuck = (point, history) => {
+  const windowStart = point.time - LIMITS.STUCK_WINDOW;
+  const window = history.filter(p => p.time >= windowStart);
+  const oldest = window[0];
+
+  if (window.length + 1 < LIMITS.STUCK_MIN_READINGS || !oldest) return null;
+  if (point.time - oldest.time < LIMITS.STUCK_WINDOW * 0.9) return null;
+
+  const useRaw = point.raw !== undefined && window.every(p => p.raw !== undefined);
+  const value = (p) => (useRaw ? p.raw : p.moisture);
+
+  if (!window.every(p => value(p) === value(point))) return null;
+
+  // Pinned values are reported as a flatline instead
+  if (point.moisture === 0 || point.moisture === 100) return null;
+
+  const hours = Math.round((point.time - oldest.time) / 3600000);
+  return {
+    type: TYPES.STUCK_VALUE,
+    severity: 'warning',
+    score: hours,
+    message: `Moisture has read exactly ${point.moisture}%${useRaw ? ` (raw ${point.raw})` : ''} for ${hours} hours, probe may be stuck or corroded`
+  };
+};
+
+// Deviation from the rolling baseline
+const checkOutlier = (point, history, irrigating) => {
+  if (irrigating) return null;
+
+  const baseline = history
+    .filter(p => p.time >= point.time - LIMITS.BASELINE_WINDOW && !p.distorted)
+    .map(p => p.moisture);
+
+  if (baseline.length < LIMITS.BASELINE_MIN_READINGS) return null;
+
+  const avg = mean(baseline);
+  const z = (point.moisture - avg) / Math.max(stdDev(baseline), LIMITS.MIN_STD_DEV);
+
+  if (Math.abs(z) <= LIMITS.Z_SCORE_THRESHOLD) return null;
+
+  return {
+    type: TYPES.OUTLIER,
+    severity: 'info',
+    score: Math.round(z * 10) / 10,
+    message: `Moisture ${point.moisture}% is ${Math.abs(Math.round(z * 10) / 10)} standard deviations from the ${Math.round(avg)}% average of the last 24 hours`
+  };
+};
+
+// Detect anomalies for new readings of a sensor
+// Readings are analysed in timestamp order, each against the stored history
+// plus the earlier readings of the same batch. Sets reading.anomalies.
+const detect = async (sensor, readings) => {
+  if (readings.length === 0) return readings;
+
+  const ordered = [...readings].sort((a, b) => a.timestamp - b.timestamp);
+  const first = ordered[0].timestamp;
+  const last = ordered[ordered.length - 1].timestamp;
+  const since = new Date(first.getTime() - Math.max(LIMITS.BASELINE_WINDOW, LIMITS.STUCK_WINDOW));
+
+  const [stored, irrigations] = await Promise.all([
+    SensorReading.find({ sensorId: sensor._id, timestamp: { $gte: since, $lte: last } })
+      .sort({ timestamp: 1 })
+      .select('timestamp readings.moistureLevel rawData.moistureRaw anomalies.type')
+      .lean(),
+    loadIrrigations(sensor, since, last)
+  ]);
+
+  const toPoint = (doc) => ({
+    time: doc.timestamp.getTime(),
+    moisture: doc.readings.moistureLevel,
+    raw: doc.rawData?.moistureRaw ?? undefined,
+    distorted: (doc.anomalies || []).some(anomaly => DISTORTING.includes(anomaly.type))
+  });
+
+  const history = stored.map(toPoint);
+
+  for (const reading of ordered) {
+    const point = toPoint(reading);
+    const before = history.filter(p => p.time < point.time);
+    const previous = [...before].reverse().find(p => !p.distorted);
+    const irrigating = isIrrigating(irrigations, reading.timestamp);
+
+    const flatline = checkFlatline(point, before, irrigating);
+    const anomalies = [
+      checkSpike(point, previous, irrigating),
+      flatline,
+      flatline ? null : checkStuck(point, before),
+      checkOutlier(point, before, irrigating)
+    ].filter(Boolean);
+
+    // A spike is usually also an outlier; report the more specific one
+    reading.anomalies = anomalies.some(a => a.type === TYPES.SPIKE)
+      ? anomalies.filter(a => a.type !== TYPES.OUTLIER)
+      : anomalies;
+
+    point.distorted = reading.anomalies.some(anomaly => DISTORTING.includes(anomaly.type));
+    history.push(point);
+    history.sort((a, b) => a.time - b.time);
+  }
+
+  return readings;
+};
+
+// Raise a sensor_error alert for anomalous readings, or resolve the open one
+// once the sensor has sent enough clean readings in a row
+const reportAnomalies = async (sensor, readings) => {
+  const anomalous = readings.filter(reading => reading.anomalies?.length > 0);
+
+  if (anomalous.length > 0) {
+    const latest = anomalous.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+    const [main] = [...latest.anomalies].sort((a, b) =>
+      ['critical', 'warning', 'info'].indexOf(a.severity) - ['critical', 'warning', 'info'].indexOf(b.severity)
+    );
+
+    logger.sensor('ANOMALY', sensor._id, sensor.deviceId, {
+      readings: anomalous.length,
+      types: [...new Set(anomalous.flatMap(r => r.anomalies.map(a => a.type)))]
+    });
+
+    // Outliers alone are informational and only flagged on the reading
+    if (main.type === TYPES.OUTLIER) return;
+
+    const { alert, created } = await Alert.raise({
+      farmId: sensor.farmId,
+      sensorId: sensor._id,
+      type: CONSTANTS.ALERT_KINDS.SENSOR_ERROR,
+      category: CONSTANTS.ALERT_CATEGORIES.SENSOR,
+      severity: main.severity,
+      message: `Sensor ${sensor.name} (${sensor.deviceId}): ${main.message}`,
+      data: { anomaly: main.type, readingTimestamp: latest.timestamp, score: main.score }
+    });
+
+    if (created) {
+      logger.alert(alert.type, alert.severity, alert.message, sensor.farmId);
+      await notificationService.sendAlert(alert, await User.findByFarm(sensor.farmId));
+    }
+    return;
+  }
+
+  const open = await Alert.exists({
+    sensorId: sensor._id,
+    type: CONSTANTS.ALERT_KINDS.SENSOR_ERROR,
+    status: { $ne: CONSTANTS.ALERT_STATUS.RESOLVED }
+  });
+  if (!open) return;
+
+  const recent = await SensorReading.find({ sensorId: sensor._id })
+    .sort({ timestamp: -1 })
+    .limit(LIMITS.RECOVERY_READINGS)
+    .select('anomalies.type')
+    .lean();
+
+  const clean = recent.length === LIMITS.RECOVERY_READINGS &&
+    recent.every(reading => !(reading.anomalies || []).some(a => a.type !== TYPES.OUTLIER));
+
+  if (clean) {
+    await Alert.resolveOpen(sensor._id, CONSTANTS.ALERT_KINDS.SENSOR_ERROR,
+      `Sensor sent ${LIMITS.RECOVERY_READINGS} consecutive readings without anomalies`);
+  }
+};
+
+module.exports = {
+  detect,
+  reportAnomalies
+};
@@ -0,0 +1,308 @@
+/**
+ * Battery life forecasting
+ * Fits each sensor's discharge curve (daily battery level rollups since the
+ * battery was last replaced) and projects the days until it runs empty. The
+ * observed drain is normalised by the conditions it was measured in (sampling
+ * interval and temperature) and re-scaled to the current sampling interval and
+ * the recent temperature. Sensors without enough history fall back to a
+ * nominal drain from their rated battery capacity.
+ *
+ * A periodic pass stores the forecast on every sensor and raises a
+ * `battery_replacement` alert the farm's lead time before the battery is
+ * expected to run out, resolving it once a fresh battery is detected.
+ */
+
+const Sensor = require('../models/Sensor');
+const Farm = require('../models/Farm');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const ReadingRollup = require('../models/ReadingRollup');
+const { logger } = require('../utils/logger');
+const notificationService = require('./notificationService');
+const CONSTANTS = require('../config/constants');
+
+const { BATTERY_FORECAST: FORECAST } = CONSTANTS;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let batteryTimer = null;
+let running = false;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Least squares line through [x, y] points, with its r²
+const fitLine = (points) => {
+  const mx = mean(points.map(([x]) => x));
+  const my = mean(points.map(([, y]) => y));
+  const sxx = points.reduce((sum, [x]) => sum + (x - mx) ** 2, 0);
+  const sxy = points.reduce((sum, [x, y]) => sum + (x - mx) * (y - my), 0);
+  const syy = points.reduce((sum, [, y]) => sum + (y - my) ** 2, 0);
+
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const r2 = sxx > 0 && syy > 0 ? (sxy * sxy) / (sxx * syy) : 0;
+  return { slope, r2 };
+};
+
+// Relative drain at a temperature: cold cuts the usable capacity, heat adds
+// self-discharge (1 between 20°C and 35°C)
+const temperatureFactor = (temperature) => {
+  if (typeof temperature !== 'number') return 1;
+  return 1 + FORECAST.COLD_FACTOR * Math.max(0, 20 - temperature) + FORECAST.HEAT_FACTOR * Math.max(0, temperature - 35);
+};
+
+// Relative drain at a sampling interval (1 at the reference interval)
+const samplingFactor = (interval) => {
+  return (1 - FORECAST.TRANSMISSION_SHARE) + FORECAST.TRANSMISSION_SHARE * (FORECAST.REFERENCE_INTERVAL / interval);
+};
+
+// Daily battery history, limited to the current battery: a level jumping up
+// marks a replacement (or recharge) and restarts the curve
+const loadDischargeCurve = async (sensor, now) => {
+  const rollups = await ReadingRollup.getSeries(
+    { sensorId: sensor._id, farmId: sensor.farmId },
+    CONSTANTS.ROLLUPS.GRANULARITY.DAY,
+    new Date(now.getTime() - FORECAST.WINDOW),
+    now
+  );
+
+  const days = rollups
+    .map(rollup => rollup.toPoint())
+    .filter(point => point.batteryLevel)
+    .map(point => ({
+      timestamp: point.timestamp,
+      level: point.batteryLevel.avg,
+      readings: point.batteryLevel.count,
+      temperature: point.temperature?.avg
+    }));
+
+  let start = 0;
+  for (let i = 1; i < days.length; i++) {
+    if (days[i].level - days[i - 1].level >= FORECAST.REPLACED_RISE) start = i;
+  }
+
+  return days.slice(start);
+};
+
+// Forecast a sensor's battery life
+const forecastSensor = async (sensor, now = new Date()) => {
+  const curve = await loadDischargeCurve(sensor, now);
+  const level = sensor.statistics?.lastReading?.batteryLevel ?? curve[curve.length - 1]?.level;
+  if (typeof level !== 'number') return null;
+
+  // Conditions ahead: current sampling interval, last week's temperature
+  const recent = curve.filter(day => day.timestamp >= now.getTime() - FORECAST.RECENT_TEMPERATURE &&
+    typeof day.temperature === 'number');
+  const temperature = recent.length > 0 ? mean(recent.map(day => day.temperature)) : sensor.statistics?.lastReading?.temperature;
+  const interval = sensor.configuration?.samplingInterval || FORECAST.REFERENCE_INTERVAL;
+  const expected = temperatureFactor(temperature) * samplingFactor(interval);
+
+  let method;
+  let drainPerDay;
+  let confidence;
+  let observed = null;
+
+  if (curve.length >= FORECAST.MIN_DAYS) {
+    const { slope, r2 } = fitLine(curve.map(day => [day.timestamp.getTime() / DAY_MS, day.level]));
+
+    // Conditions the curve was measured in; partial days skew the interval,
+    // hence the median
+    const observedInterval = median(curve.map(day => DAY_MS / 1000 / day.readings));
+    const observedTemperature = mean(curve.map(day => temperatureFactor(day.temperature)));
+    const factor = observedTemperature * samplingFactor(observedInterval);
+    const span = (curve[curve.length - 1].timestamp - curve[0].timestamp) / DAY_MS;
+
+    method = FORECAST.METHODS.DISCHARGE_CURVE;
+    drainPerDay = -slope >= FORECAST.MIN_DRAIN ? (-slope * expected) / factor : 0;
+    confidence = r2 >= 0.8 && span >= 7 ? 'high' : r2 >= 0.5 ? 'medium' : 'low';
+    observed = { drainPerDay: round(-slope, 3), interval: Math.round(observedInterval), factor: round(factor, 3), r2: round(r2, 2) };
+  } else {
+    const capacity = sensor.specifications?.batteryCapacity || 3000;
+
+    method = FORECAST.METHODS.NOMINAL;
+    drainPerDay = (FORECAST.NOMINAL_DRAW / capacity) * 100 * expected;
+    confidence = 'low';
+  }
+
+  const dateIn = (days) => new Date(now.getTime() + days * DAY_MS);
+  const daysRemaining = drainPerDay > 0 ? Math.max(0, (level - FORECAST.EMPTY_LEVEL) / drainPerDay) : null;
+  const threshold = sensor.alerts?.lowBattery?.threshold ?? CONSTANTS.BATTERY_THRESHOLDS.LOW;
+
+  return {
+    method,
+    level,
+    drainPerDay: round(drainPerDay, 3),
+    daysRemaining: daysRemaining === null ? null : round(daysRemaining),
+    emptyAt: daysRemaining === null ? null : dateIn(daysRemaining),
+    replaceBy: daysRemaining === null ? null : dateIn(Math.max(0, (level - threshold) / drainPerDay)),
+    confidence,
+    factors: {
+      samplingInterval: interval,
+      temperature: typeof temperature === 'number' ? round(temperature) : null,
+      expected: round(expected, 3),
+      observed
+    },
+    curve: curve.map(day => ({ timestamp: day.timestamp, level: round(day.level) })),
+    forecastAt: now
+  };
+};
+
+// Store a forecast and raise / resolve the replacement alert
+const applyForecast = async (sensor, forecast, farm) => {
+  await Sensor.updateOne(
+    { _id: sensor._id },
+    {
+      $set: {
+        batteryForecast: {
+          method: forecast.method,
+          level: forecast.level,
+          drainPerDay: forecast.drainPerDay,
+          daysRemaining: forecast.daysRemaining,
+          emptyAt: forecast.emptyAt,
+          replaceBy: forecast.replaceBy,
+          confidence: forecast.confidence,
+          forecastAt: forecast.forecastAt
+        }
+      }
+    }
+  );
+
+  const settings = farm?.settings?.alerts?.lowBattery;
+  const leadDays = settings?.leadDays ?? FORECAST.LEAD_DAYS;
+  const { daysRemaining } = forecast;
+
+  // Resolve with some margin so a forecast hovering around the lead time
+  // does not flap
+  if (daysRemaining === null || daysRemaining > leadDays * 1.5) {
+    await Alert.resolveOpen(sensor._id, CONSTANTS.ALERT_KINDS.BATTERY_REPLACEMENT, 'Battery no longer expected to run out soon');
+    return;
+  }
+  if (daysRemaining > leadDays) return;
+  if (!sensor.alerts.lowBattery.enabled || settings?.enabled === false) return;
+
+  const days = Math.floor(daysRemaining);
+  const { alert, created } = await Alert.raise({
+    farmId: sensor.farmId,
+    sensorId: sensor._id,
+    type: CONSTANTS.ALERT_KINDS.BATTERY_REPLACEMENT,
+    category: CONSTANTS.ALERT_CATEGORIES.BATTERY,
+    severity: daysRemaining <= leadDays / 4 ? CONSTANTS.ALERT_TYPES.CRITICAL : CONSTANTS.ALERT_TYPES.WARNING,
+    message: `Battery of sensor ${sensor.name} (${sensor.deviceId}) is expected to run out in ${days} day${days === 1 ? '' : 's'} (${forecast.level}% left)`,
+    data: {
+      level: forecast.level,
+      drainPerDay: forecast.drainPerDay,
+      daysRemaining,
+      emptyAt: forecast.emptyAt,
+      method: forecast.method,
+      confidence: forecast.confidence
+    }
+  });
+
+  if (created) {
+    logger.alert(alert.type, alert.severity, alert.message, sensor.farmId);
+    await notificationService.sendAlert(alert, await User.findByFarm(sensor.farmId));
+  }
+};
+
+// Batteries of a farm expected to run out within `days`, soonest first
+const getReplacementPlan = async (farm, days = FORECAST.PLANNING_DAYS, now = new Date()) => {
+  const sensors = await Sensor.find({ farmId: farm._id, isActive: true });
+  const forecasts = await Promise.all(sensors.map(async sensor => ({ sensor, forecast: await forecastSensor(sensor, now) })));
+
+  const due = forecasts
+    .filter(({ forecast }) => forecast && forecast.daysRemaining !== null && forecast.daysRemaining <= days)
+    .sort((a, b) => a.forecast.daysRemaining - b.forecast.daysRemaining)
+    .map(({ sensor, forecast }) => ({
+      sensorId: sensor._id,
+      name: sensor.name,
+      deviceId: sensor.deviceId,
+      zone: sensor.location?.zone,
+      batteryCapacity: sensor.specifications?.batteryCapacity,
+      level: forecast.level,
+      drainPerDay: forecast.drainPerDay,
+      daysRemaining: forecast.daysRemaining,
+      emptyAt: forecast.emptyAt,
+      replaceBy: forecast.replaceBy,
+      method: forecast.method,
+      confidence: forecast.confidence
+    }));
+
+  return {
+    days,
+    sensors: due,
+    count: due.length,
+    unknown: forecasts.filter(({ forecast }) => !forecast).length // never reported a battery level
+  };
+};
+
+// Forecast every active sensor
+const checkBatteries = async (now = new Date()) => {
+  const farms = new Map();
+  let forecasted = 0;
+  let due = 0;
+
+  const cursor = Sensor.find({ isActive: true, 'statistics.lastReading.batteryLevel': { $exists: true } }).cursor();
+  for await (const sensor of cursor) {
+    try {
+      const farmId = sensor.farmId.toString();
+      if (!farms.has(farmId)) farms.set(farmId, await Farm.findById(sensor.farmId).select('settings.alerts'));
+
+      const forecast = await forecastSensor(sensor, now);
+      if (!forecast) continue;
+
+      await applyForecast(sensor, forecast, farms.get(farmId));
+      forecasted++;
+      if (forecast.daysRemaining !== null && forecast.daysRemaining <= FORECAST.PLANNING_DAYS) due++;
+    } catch (error) {
+      logger.error('Battery forecast failed', { sensorId: sensor._id, error: error.message });
+    }
+  }
+
+  return { forecasted, due };
+};
+
+// Run one forecast pass, skipping if the previous one is still running
+const runCheck = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const result = await checkBatteries();
+    logger.info('Battery forecast completed', result);
+  } catch (error) {
+    logger.error('Battery forecast pass failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Start the periodic battery forecast
+const startBatteryMonitor = () => {
+  if (batteryTimer) return;
+
+  batteryTimer = setInterval(runCheck, FORECAST.CHECK_INTERVAL);
+  runCheck();
+
+  logger.info('Battery forecast monitor started', { interval: FORECAST.CHECK_INTERVAL });
+};
+
+// Stop the periodic battery forecast
+const stopBatteryMonitor = () => {
+  if (batteryTimer) {
+    clearInterval(batteryTimer);
+    batteryTimer = null;
+  }
+};
+
+module.exports = {
+  forecastSensor,
+  getReplacementPlan,
+  checkBatteries,
+  startBatteryMonitor,
+  stopBatteryMonitor
+};
@@ -0,0 +1,149 @@
+/**
+ * Guided probe calibration service
+ * A technician opens a session, marks the "probe in air" (dry) and "probe in
+ * saturated soil" (wet) phases while the device streams raw samples over HTTP
+ * or MQTT, and applies the proposed values once both phases are stable
+ */
+
+const mongoose = require('mongoose');
+const CalibrationSession = require('../models/CalibrationSession');
+const { AppError } = require('../middleware/errorHandler');
+const { validatePayload, calibrationSampleRules } = require('../middleware/validation');
+const { logger } = require('../utils/logger');
+const rollupService = require('./rollupService');
+const CONSTANTS = require('../config/constants');
+
+// Open a calibration session for a sensor
+const startSession = async (sensor, userId) => {
+  if (await CalibrationSession.findActive(sensor._id)) {
+    throw new AppError('A calibration session is already in progress for this sensor', 409, 'CALIBRATION_IN_PROGRESS');
+  }
+
+  const session = new CalibrationSession({
+    sensorId: sensor._id,
+    farmId: sensor.farmId,
+    startedBy: userId,
+    previousCalibration: {
+      dryValue: sensor.calibration.dryValue,
+      wetValue: sensor.calibration.wetValue
+    }
+  });
+  session.touch();
+
+  try {
+    await session.save();
+  } catch (error) {
+    // Another session was opened concurrently
+    if (error.code === 11000) {
+      throw new AppError('A calibration session is already in progress for this sensor', 409, 'CALIBRATION_IN_PROGRESS');
+    }
+    throw error;
+  }
+
+  logger.sensor('CALIBRATION_STARTED', sensor._id, sensor.deviceId, { sessionId: session._id, userId });
+  return session;
+};
+
+// Get the active session for a sensor or fail
+const getActiveSession = async (sensor) => {
+  const session = await CalibrationSession.findActive(sensor._id);
+
+  if (!session) {
+    throw new AppError('No calibration session in progress for this sensor', 404, 'NO_ACTIVE_CALIBRATION');
+  }
+
+  return session;
+};
+
+// Validate and record raw samples streamed by the device
+const recordSamples = async (sensor, payload) => {
+  const errors = await validatePayload(calibrationSampleRules, payload);
+
+  if (errors.length > 0) {
+    const error = new AppError('Validation failed', 400, 'VALIDATION_ERROR');
+    error.errors = errors;
+    throw error;
+  }
+
+  // Devices may upload batches in parallel: on a version conflict the session
+  // is reloaded and the samples added again
+  let session;
+  for (let attempt = 1; ; attempt++) {
+    session = await getActiveSession(sensor);
+
+    try {
+      await session.addSamples(payload.samples.map(Number));
+      break;
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError)) throw error;
+
+      if (attempt >= CONSTANTS.CALIBRATION.SAMPLE_SAVE_ATTEMPTS) {
+        throw new AppError('Calibration session is busy, send the samples again', 409, 'CALIBRATION_CONFLICT');
+      }
+    }
+  }
+
+  return {
+    sessionId: session._id,
+    phase: session.currentPhase,
+    accepted: session.currentPhase ? payload.samples.length : 0,
+    analysis: session.currentPhase ? session.phases[session.currentPhase].analysis : null
+  };
+};
+
+// Apply the session result to the sensor
+// Values not supplied by the technician fall back to the proposed ones
+const completeSession = async (session, sensor, userId, options = {}) => {
+  const proposal = session.proposal;
+  const dryValue = options.dryValue !== undefined ? Number(options.dryValue) : proposal.dryValue;
+  const wetValue = options.wetValue !== undefined ? Number(options.wetValue) : proposal.wetValue;
+
+  if (dryValue === null || wetValue === null) {
+    throw new AppError('Both phases need stable readings before the calibration can be applied', 400, 'CALIBRATION_NOT_READY');
+  }
+
+  // Capacitive probes read higher in air than in water
+  if (dryValue <= wetValue) {
+    throw new AppError('Dry value must be higher than wet value; check that the phases were not swapped', 400, 'CALIBRATION_INVERTED');
+  }
+
+  const notes = options.notes || `Guided calibration (${session.phases.dry.analysis.stableCount} dry / ${session.phases.wet.analysis.stableCount} wet stable samples)`;
+
+  await sensor.calibrate(dryValue, wetValue, userId, notes, { recalculateSince: options.recalculateSince });
+  if (sensor.$locals.recalibration) {
+    await rollupService.rebuild(sensor, sensor.$locals.recalibration.since);
+  }
+  await session.complete(dryValue, wetValue, userId, notes);
+
+  logger.sensor('CALIBRATION_COMPLETED', sensor._id, sensor.deviceId, {
+    sessionId: session._id,
+    dryValue,
+    wetValue,
+    overridden: session.result.overridden
+  });
+
+  return session;
+};
+
+// Summary sent to devices so firmware knows when to stream raw samples
+const deviceStatus = (session) => {
+  if (!session) {
+    return { active: false, phase: null };
+  }
+
+  return {
+    active: true,
+    phase: session.currentPhase,
+    sessionId: session._id,
+    expiresAt: session.expiresAt,
+    maxSamplesPerUpload: CONSTANTS.CALIBRATION.MAX_SAMPLES_PER_UPLOAD
+  };
+};
+
+module.exports = {
+  startSession,
+  getActiveSession,
+  recordSamples,
+  completeSession,
+  deviceStatus
+};
@@ -0,0 +1,171 @@
+/**
+ * Device command (downlink) service
+ * Queues remote configuration commands for a sensor, hands them to the device
+ * when it polls over HTTP or MQTT, and records the device acknowledgement.
+ * Every status change is kept in the command history.
+ */
+
+const Sensor = require('../models/Sensor');
+const DeviceCommand = require('../models/DeviceCommand');
+const { AppError } = require('../middleware/errorHandler');
+const { validatePayload, commandAckRules } = require('../middleware/validation');
+const { logger } = require('../utils/logger');
+const CONSTANTS = require('../config/constants');
+
+const { TYPES, STATUS } = CONSTANTS.DEVICE_COMMANDS;
+
+// Fill command parameters the device needs but the user may omit
+const buildParams = (sensor, type, params = {}) => {
+  switch (type) {
+    case TYPES.SET_SAMPLING_INTERVAL:
+      return { interval: Number(params.interval) };
+    case TYPES.SET_THRESHOLDS:
+      return {
+        low: Number(params.low ?? sensor.alerts.moistureThreshold.low),
+        high: Number(params.high ?? sensor.alerts.moistureThreshold.high),
+        battery: Number(params.battery ?? sensor.alerts.lowBattery.threshold)
+      };
+    case TYPES.RECALIBRATE:
+      return {
+        dryValue: Number(params.dryValue ?? sensor.calibration.dryValue),
+        wetValue: Number(params.wetValue ?? sensor.calibration.wetValue)
+      };
+    default:
+      return {};
+  }
+};
+
+// Reflect an acknowledged configuration change on the sensor document
+const applyToSensor = async (command) => {
+  // Moisture is derived from the calibration: record it like a manual calibration
+  if (command.type === TYPES.RECALIBRATE) {
+    const sensor = await Sensor.findById(command.sensorId);
+    if (sensor) {
+      await sensor.calibrate(command.params.dryValue, command.params.wetValue, command.issuedBy, 'Recalibrated by device command');
+    }
+    return;
+  }
+
+  const update = {};
+
+  if (command.type === TYPES.SET_SAMPLING_INTERVAL) {
+    update['configuration.samplingInterval'] = command.params.interval;
+  } else if (command.type === TYPES.SET_THRESHOLDS) {
+    update['alerts.moistureThreshold.low'] = command.params.low;
+    update['alerts.moistureThreshold.high'] = command.params.high;
+    update['alerts.lowBattery.threshold'] = command.params.battery;
+  }
+
+  if (Object.keys(update).length > 0) {
+    await Sensor.updateOne({ _id: command.sensorId }, { $set: update });
+  }
+};
+
+// Notify MQTT devices right away (they may also poll)
+const pushToDevice = (sensor, command) => {
+  // Required lazily: the MQTT bridge depends on this service
+  const { publishToDevice } = require('./mqttService');
+  publishToDevice(sensor, 'downlink', { commands: [command.toDevicePayload()] });
+};
+
+// Queue a command for a sensor
+const queueCommand = async (sensor, userId, { type, params, ttl }) => {
+  const minutes = Number(ttl) || CONSTANTS.DEVICE_COMMANDS.DEFAULT_TTL;
+  const commandParams = buildParams(sensor, type, params);
+
+  if (type === TYPES.SET_THRESHOLDS && commandParams.low >= commandParams.high) {
+    throw new AppError('High threshold must be greater than low threshold', 400, 'INVALID_THRESHOLDS');
+  }
+
+  if (type === TYPES.RECALIBRATE && commandParams.dryValue === commandParams.wetValue) {
+    throw new AppError('Dry and wet values must be different', 400, 'INVALID_CALIBRATION');
+  }
+
+  const command = new DeviceCommand({
+    sensorId: sensor._id,
+    farmId: sensor.farmId,
+    type,
+    params: commandParams,
+    issuedBy: userId,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+  command.transition(STATUS.QUEUED, 'Queued');
+  await command.save();
+
+  logger.sensor('COMMAND_QUEUED', sensor._id, sensor.deviceId, { commandId: command._id, type });
+
+  pushToDevice(sensor, command);
+  return command;
+};
+
+// Hand pending commands to a polling device and mark them delivered
+const fetchPending = async (sensor, channel) => {
+  await DeviceCommand.settleStale(sensor._id);
+  const commands = await DeviceCommand.findDeliverable(sensor._id);
+
+  for (const command of commands) {
+    command.markDelivered(channel);
+    await command.save();
+  }
+
+  return commands.map(command => command.toDevicePayload());
+};
+
+// Record the device's result for a command
+// Re-sending the same acknowledgement is accepted, so devices can retry safely
+const acknowledgeCommand = async (sensor, commandId, { success, message, result }, channel) => {
+  const command = await DeviceCommand.findOne({ _id: commandId, sensorId: sensor._id });
+
+  if (!command) {
+    throw new AppError('Command not found', 404, 'COMMAND_NOT_FOUND');
+  }
+
+  const resultStatus = success ? STATUS.ACKED : STATUS.FAILED;
+  if (command.status === resultStatus && command.result?.acknowledgedAt) {
+    return command;
+  }
+
+  if (!command.isOpen) {
+    throw new AppError(`Command is already ${command.status}`, 409, 'COMMAND_CLOSED');
+  }
+
+  // Pushed over MQTT and executed without a poll
+  if (command.status === STATUS.QUEUED) {
+    command.markDelivered(channel);
+  }
+
+  command.acknowledge(Boolean(success), message, result);
+  await command.save();
+
+  if (success) {
+    await applyToSensor(command);
+  }
+
+  logger.sensor('COMMAND_RESULT', sensor._id, sensor.deviceId, {
+    commandId: command._id,
+    type: command.type,
+    status: command.status
+  });
+
+  return command;
+};
+
+// Validate an acknowledgement payload (non-HTTP channels) and record it
+const ingestAcknowledgement = async (sensor, payload, channel) => {
+  const errors = await validatePayload(commandAckRules, payload);
+
+  if (errors.length > 0) {
+    const error = new AppError('Validation failed', 400, 'VALIDATION_ERROR');
+    error.errors = errors;
+    throw error;
+  }
+
+  return acknowledgeCommand(sensor, payload.commandId, payload, channel);
+};
+
+module.exports = {
+  queueCommand,
+  fetchPending,
+  acknowledgeCommand,
+  ingestAcknowledgement
+};
@@ -0,0 +1,381 @@
+/**
+ * Probe drift detection
+ * Fixed thresholds cannot see a probe slowly drifting over a season, so each
+ * sensor is compared with its zone peers (same location.zone, same depth when
+ * enough peers share it). Comparisons are made a couple of hours after the
+ * zone was wetted (irrigation end, or a zone-wide rise with no irrigation,
+ * i.e. rain), when probes in the same soil should read alike. A sensor whose
+ * offset from the peer median is large and keeps growing is flagged and a
+ * calibration_needed alert is raised with the evidence.
+ */
+
+const Sensor = require('../models/Sensor');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const ReadingRollup = require('../models/ReadingRollup');
+const IrrigationEvent = require('../models/IrrigationEvent');
+const { logger } = require('../utils/logger');
+const { parseZoneNumber } = require('../utils/helpers');
+const notificationService = require('./notificationService');
+const CONSTANTS = require('../config/constants');
+
+const { STATUS } = CONSTANTS.DRIFT;
+const LIMITS = CONSTANTS.DRIFT;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+let driftTimer = null;
+let running = false;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Least squares slope of offsets over time, in % points per day
+const slopePerDay = (points) => {
+  const xs = points.map(p => p.time.getTime() / DAY_MS);
+  const ys = points.map(p => p.offset);
+  const xMean = mean(xs);
+  const yMean = mean(ys);
+
+  const denominator = xs.reduce((sum, x) => sum + (x - xMean) ** 2, 0);
+  if (denominator === 0) return 0;
+
+  return xs.reduce((sum, x, i) => sum + (x - xMean) * (ys[i] - yMean), 0) / denominator;
+};
+
+// Hourly average moisture per sensor: Map<sensorId, Map<bucketTime, avg>>
+const loadSensorSeries = async (sensors, from) => {
+  const rollups = await ReadingRollup.find({
+    scope: CONSTANTS.ROLLUPS.SCOPE.SENSOR,
+    sensorId: { $in: sensors.map(sensor => sensor._id) },
+    granularity: CONSTANTS.ROLLUPS.GRANULARITY.HOUR,
+    bucket: { $gte: from }
+  }).select('sensorId bucket channels.moistureLevel').lean();
+
+  const series = new Map();
+  rollups.forEach(rollup => {
+    const stats = rollup.channels?.moistureLevel;
+    if (!stats?.count) return;
+
+    const id = rollup.sensorId.toString();
+    if (!series.has(id)) series.set(id, new Map());
+    series.get(id).set(rollup.bucket.getTime(), stats.sum / stats.count);
+  });
+
+  return series;
+};
+
+// Times at which the zone was wetted: irrigation ends, and zone-wide rises
+// with no irrigation running (rain)
+const findWettingEvents = async (farmId, zone, from, now) => {
+  const query = {
+    farmId,
+    status: CONSTANTS.IRRIGATION_STATUS.COMPLETED,
+    'schedule.actualEndTime': { $gte: from, $lte: now }
+  };
+  const zoneNumber = parseZoneNumber(zone);
+  if (zoneNumber !== null) query.zones = zoneNumber;
+
+  const [irrigations, zoneRollups] = await Promise.all([
+    IrrigationEvent.find(query).select('schedule').lean(),
+    ReadingRollup.getSeries({ farmId, zone }, CONSTANTS.ROLLUPS.GRANULARITY.HOUR, from, now)
+  ]);
+
+  const events = irrigations.map(event => ({
+    time: event.schedule.actualEndTime,
+    source: 'irrigation',
+    irrigationId: event._id
+  }));
+
+  const irrigating = (time) => irrigations.some(event =>
+    event.schedule.actualStartTime - HOUR_MS <= time && time <= event.schedule.actualEndTime.getTime() + LIMITS.SETTLE_TIME
+  );
+
+  const points = zoneRollups
+    .map(rollup => rollup.toPoint())
+    .filter(point => point.moistureLevel)
+    .map(point => ({ time: point.timestamp.getTime(), value: point.moistureLevel.avg }));
+
+  points.forEach((point, i) => {
+    const earlier = points.slice(0, i).filter(p => p.time >= point.time - LIMITS.RAIN_RISE_HOURS * HOUR_MS);
+    if (earlier.length === 0) return;
+
+    const rise = point.value - Math.min(...earlier.map(p => p.value));
+    if (rise >= LIMITS.RAIN_RISE && !irrigating(point.time)) {
+      events.push({ time: new Date(point.time + HOUR_MS), source: 'rain', rise: round(rise) });
+    }
+  });
+
+  // One event per wetting (consecutive rising hours, irrigation followed by rain)
+  const wettings = [];
+  events.sort((a, b) => a.time - b.time).forEach(event => {
+    const last = wettings[wettings.length - 1];
+    if (!last || event.time - last.time >= LIMITS.EVENT_SPACING) wettings.push(event);
+  });
+
+  return wettings;
+};
+
+// Average of a sensor's hourly values in the comparison window after an event
+const sampleAfter = (series, time) => {
+  if (!series) return null;
+
+  const start = time.getTime() + LIMITS.SETTLE_TIME;
+  const end = start + LIMITS.SAMPLE_WINDOW;
+  const values = [];
+
+  series.forEach((value, bucket) => {
+    if (bucket >= start && bucket < end) values.push(value);
+  });
+
+  return values.length > 0 ? mean(values) : null;
+};
+
+// Peers of a sensor: same depth when enough share it, otherwise the whole zone
+const peersOf = (sensor, zoneSensors) => {
+  const others = zoneSensors.filter(s => !s._id.equals(sensor._id));
+  const sameDepth = others.filter(s => s.location?.depth === sensor.location?.depth);
+
+  return sameDepth.length >= LIMITS.MIN_PEERS ? sameDepth : others;
+};
+
+// Recalibration hint: shifting both calibration points by the offset
+// (in raw units) cancels a pure offset drift until the probe is recalibrated
+const suggestionFor = (sensor, offset) => {
+  const { dryValue, wetValue } = sensor.calibration || {};
+  const suggestion = {
+    action: 'recalibrate',
+    message: `Reads ${Math.abs(round(offset))} points ${offset > 0 ? 'above' : 'below'} its zone peers after irrigation and rain, recalibrate the probe`
+  };
+
+  if (typeof dryValue === 'number' && typeof wetValue === 'number' && dryValue !== wetValue) {
+    const shift = (offset * (dryValue - wetValue)) / 100;
+    suggestion.offsetCorrection = {
+      dryValue: Math.round(dryValue - shift),
+      wetValue: Math.round(wetValue - shift)
+    };
+  }
+
+  return suggestion;
+};
+
+// Decide a sensor's drift status from its offsets at the wetting events
+const evaluate = (sensor, offsets, peers) => {
+  const result = { status: STATUS.INSUFFICIENT_DATA, events: offsets.length, peers: peers.length, evidence: offsets };
+
+  if (peers.length < LIMITS.MIN_PEERS || offsets.length < LIMITS.MIN_EVENTS) return result;
+
+  const span = (offsets[offsets.length - 1].time - offsets[0].time) / DAY_MS;
+  if (span < LIMITS.MIN_SPAN_DAYS) return result;
+
+  const recent = mean(offsets.slice(-3).map(o => o.offset));
+  const early = mean(offsets.slice(0, 3).map(o => o.offset));
+  const trend = slopePerDay(offsets) * 30;
+
+  result.offset = round(recent);
+  result.trend = round(trend);
+
+  const growing = Math.abs(recent) >= LIMITS.MIN_OFFSET &&
+    Math.abs(recent) - Math.abs(early) >= LIMITS.MIN_GROWTH &&
+    Math.sign(trend) === Math.sign(recent) &&
+    Math.abs(trend) >= LIMITS.MIN_TREND;
+
+  // Once flagged, a sensor stays flagged until it is back close to its peers
+  const stillOff = sensor.drift?.status === STATUS.DRIFTING && Math.abs(recent) >= LIMITS.RECOVERY_OFFSET;
+
+  result.status = growing || stillOff ? STATUS.DRIFTING : STATUS.OK;
+  if (result.status === STATUS.DRIFTING) result.suggestion = suggestionFor(sensor, recent);
+
+  return result;
+};
+
+// Analyse every sensor of a farm zone
+// Returns Map<sensorId, result>
+const analyzeZone = async (farmId, zone, now = new Date()) => {
+  const from = new Date(now.getTime() - LIMITS.ANALYSIS_WINDOW);
+  const sensors = await Sensor.find({ farmId, 'location.zone': zone, isActive: true })
+    .select('name deviceId farmId location calibration drift');
+
+  const [series, events] = await Promise.all([
+    loadSensorSeries(sensors, from),
+    findWettingEvents(farmId, zone, from, now)
+  ]);
+
+  const results = new Map();
+
+  sensors.forEach(sensor => {
+    const peers = peersOf(sensor, sensors);
+    const offsets = [];
+
+    events
+      .filter(event => event.time >= sensor.calibration.lastCalibrated)
+      .forEach(event => {
+        const value = sampleAfter(series.get(sensor._id.toString()), event.time);
+        const peerValues = peers
+          .map(peer => sampleAfter(series.get(peer._id.toString()), event.time))
+          .filter(v => v !== null);
+
+        if (value === null || peerValues.length < LIMITS.MIN_PEERS) return;
+
+        const peerMedian = median(peerValues);
+        offsets.push({
+          ...event,
+          value: round(value),
+          peerMedian: round(peerMedian),
+          offset: round(value - peerMedian)
+        });
+      });
+
+    results.set(sensor._id.toString(), {
+      sensor,
+      peerIds: peers.map(peer => peer._id),
+      ...evaluate(sensor, offsets, peers)
+    });
+  });
+
+  return results;
+};
+
+// Analyse a single sensor (against its zone)
+const analyzeSensor = async (sensor, now = new Date()) => {
+  if (!sensor.location?.zone) {
+    return { status: STATUS.INSUFFICIENT_DATA, events: 0, peers: 0, evidence: [], reason: 'Sensor has no zone' };
+  }
+
+  const results = await analyzeZone(sensor.farmId, sensor.location.zone, now);
+  const result = results.get(sensor._id.toString());
+
+  if (!result) {
+    return { status: STATUS.INSUFFICIENT_DATA, events: 0, peers: 0, evidence: [], reason: 'Sensor is inactive' };
+  }
+
+  return {
+    status: result.status,
+    offset: result.offset,
+    trend: result.trend,
+    events: result.events,
+    peers: result.peerIds,
+    evidence: result.evidence,
+    suggestion: result.suggestion
+  };
+};
+
+// Store a result on the sensor and raise or resolve its calibration_needed alert
+const applyResult = async (result, now = new Date()) => {
+  const { sensor } = result;
+
+  await Sensor.updateOne(
+    { _id: sensor._id },
+    {
+      $set: {
+        drift: {
+          status: result.status,
+          offset: result.offset,
+          trend: result.trend,
+          events: result.events,
+          peers: result.peers,
+          analyzedAt: now
+        }
+      }
+    }
+  );
+
+  if (result.status === STATUS.OK) {
+    await Alert.resolveOpen(sensor._id, CONSTANTS.ALERT_KINDS.CALIBRATION_NEEDED, 'Sensor back in line with its zone peers');
+    return;
+  }
+  if (result.status !== STATUS.DRIFTING) return;
+
+  const { alert, created } = await Alert.raise({
+    farmId: sensor.farmId,
+    sensorId: sensor._id,
+    type: CONSTANTS.ALERT_KINDS.CALIBRATION_NEEDED,
+    category: CONSTANTS.ALERT_CATEGORIES.SENSOR,
+    severity: CONSTANTS.ALERT_TYPES.WARNING,
+    message: `Sensor ${sensor.name} (${sensor.deviceId}) is drifting: ${result.suggestion.message}`,
+    data: {
+      offset: result.offset,
+      trend: result.trend,
+      peers: result.peerIds,
+      events: result.evidence.slice(-LIMITS.MAX_EVIDENCE),
+      suggestion: result.suggestion
+    }
+  });
+
+  if (created) {
+    logger.alert(alert.type, alert.severity, alert.message, sensor.farmId);
+    await notificationService.sendAlert(alert, await User.findByFarm(sensor.farmId));
+  }
+};
+
+// One drift pass over every zone with sensors
+const checkDrift = async (now = new Date()) => {
+  const zones = await Sensor.aggregate([
+    { $match: { isActive: true, 'location.zone': { $nin: [null, ''] } } },
+    { $group: { _id: { farmId: '$farmId', zone: '$location.zone' }, sensors: { $sum: 1 } } },
+    { $match: { sensors: { $gt: LIMITS.MIN_PEERS } } }
+  ]);
+
+  let drifting = 0;
+
+  for (const { _id: { farmId, zone } } of zones) {
+    try {
+      for (const result of (await analyzeZone(farmId, zone, now)).values()) {
+        await applyResult(result, now);
+        if (result.status === STATUS.DRIFTING) drifting++;
+      }
+    } catch (error) {
+      logger.error('Drift analysis failed', { farmId, zone, error: error.message });
+    }
+  }
+
+  return { zones: zones.length, drifting };
+};
+
+// Run a pass, never overlapping a previous one
+const runCheck = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const result = await checkDrift();
+    logger.info('Sensor drift analysis completed', result);
+  } catch (error) {
+    logger.error('Sensor drift pass failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Start the periodic drift analysis
+const startDriftMonitor = () => {
+  if (driftTimer) return;
+
+  driftTimer = setInterval(runCheck, LIMITS.CHECK_INTERVAL);
+  runCheck();
+
+  logger.info('Sensor drift monitor started', { interval: LIMITS.CHECK_INTERVAL });
+};
+
+// Stop the periodic drift analysis
+const stopDriftMonitor = () => {
+  if (driftTimer) {
+    clearInterval(driftTimer);
+    driftTimer = null;
+  }
+};
+
+module.exports = {
+  analyzeZone,
+  analyzeSensor,
+  checkDrift,
+  startDriftMonitor,
+  stopDriftMonitor
+};
@@ -0,0 +1,29 @@
+/**
+ * Farm access
+ * Loads the farm a request is about and checks the user may manage it: its
+ * owner, or any admin.
+ */
+
+const Farm = require('../models/Farm');
+const { AppError } = require('../middleware/errorHandler');
+const CONSTANTS = require('../config/constants');
+
+// Load the farm of the request (req.params.id) if the user owns it (or any
+// farm for admins)
+const findOwnedFarm = async (req) => {
+  const farm = await Farm.findById(req.params.id);
+
+  if (!farm) {
+    throw new AppError('Farm not found', 404, 'FARM_NOT_FOUND');
+  }
+
+  if (req.user.role !== CONSTANTS.USER_ROLES.ADMIN && farm.owner.toString() !== req.user.userId.toString()) {
+    throw new AppError('Not authorized to access this farm', 403, 'UNAUTHORIZED');
+  }
+
+  return farm;
+};
+
+module.exports = {
+  findOwnedFarm
+};
@@ -0,0 +1,274 @@
+/**
+ * Firmware (OTA) release service
+ * Stores firmware images per target sensor model, decides which devices are
+ * offered an update under a staged rollout, and pauses a rollout on its own
+ * when too many devices report a failed update
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Sensor = require('../models/Sensor');
+const User = require('../models/User');
+const FirmwareRelease = require('../models/FirmwareRelease');
+const FirmwareUpdate = require('../models/FirmwareUpdate');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { compareVersions, generateSlug } = require('../utils/helpers');
+const notificationService = require('./notificationService');
+const CONSTANTS = require('../config/constants');
+
+const { ROLLOUT_STATUS, UPDATE_STATUS } = CONSTANTS.FIRMWARE;
+
+// Firmware images live outside the public uploads folder
+const STORAGE_DIR = process.env.FIRMWARE_STORAGE_DIR || path.join(process.cwd(), 'storage', 'firmware');
+
+const filePath = (release) => path.join(STORAGE_DIR, release.file.storedName);
+
+// Store an uploaded image and register the release
+const createRelease = async (file, { version, model, notes }, userId) => {
+  if (!file) {
+    throw new AppError('Firmware file is required', 400, 'FILE_REQUIRED');
+  }
+
+  const releaseExists = () => new AppError(`Version ${version} already exists for model ${model}`, 409, 'RELEASE_EXISTS');
+  if (await FirmwareRelease.exists({ model, version })) {
+    throw releaseExists();
+  }
+
+  const checksum = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const storedName = `${generateSlug(model)}-${generateSlug(version)}-${checksum.substring(0, 12)}.bin`;
+
+  // The image gets its final name only once the release is registered, so an
+  // upload racing an existing release never replaces (or removes) its file
+  const tempPath = path.join(STORAGE_DIR, `${storedName}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+  await fs.promises.mkdir(STORAGE_DIR, { recursive: true });
+  await fs.promises.writeFile(tempPath, file.buffer);
+
+  let release;
+  try {
+    release = await FirmwareRelease.create({
+      version,
+      model,
+      notes,
+      file: {
+        originalName: file.originalname,
+        storedName,
+        size: file.size,
+        checksum
+      },
+      createdBy: userId
+    });
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+
+    if (error.code === 11000) {
+      throw releaseExists();
+    }
+    throw error;
+  }
+
+  try {
+    await fs.promises.rename(tempPath, filePath(release));
+  } catch (error) {
+    await release.deleteOne();
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+
+  logger.info('Firmware release uploaded', { releaseId: release._id, model, version, size: file.size });
+  return release;
+};
+
+// Delete a release that was never rolled out
+const deleteRelease = async (release) => {
+  if (release.rollout.status !== ROLLOUT_STATUS.DRAFT) {
+    throw new AppError('Only draft releases can be deleted', 409, 'RELEASE_IN_USE');
+  }
+
+  await fs.promises.unlink(filePath(release)).catch(() => {});
+  await release.deleteOne();
+};
+
+// Start or adjust a staged rollout
+// Other active releases for the same model are completed, so devices are
+// only ever offered one release at a time
+const updateRollout = async (release, options, userId) => {
+  const { percentage, farms, failureThreshold, minReports } = options;
+
+  if (percentage !== undefined) release.rollout.percentage = Number(percentage);
+  if (farms !== undefined) release.rollout.farms = farms;
+  if (failureThreshold !== undefined) release.rollout.failureThreshold = Number(failureThreshold);
+  if (minReports !== undefined) release.rollout.minReports = Number(minReports);
+
+  // Naming farms without a percentage targets every device on those farms
+  if (percentage === undefined && farms?.length > 0 && release.rollout.percentage === 0) {
+    release.rollout.percentage = 100;
+  }
+
+  release.rollout.status = ROLLOUT_STATUS.ACTIVE;
+  release.rollout.startedAt = release.rollout.startedAt || new Date();
+  release.rollout.pausedAt = undefined;
+  release.rollout.pauseReason = undefined;
+  release.rollout.updatedBy = userId;
+  await release.save();
+
+  await FirmwareRelease.updateMany(
+    { _id: { $ne: release._id }, model: release.model, 'rollout.status': ROLLOUT_STATUS.ACTIVE },
+    { $set: { 'rollout.status': ROLLOUT_STATUS.COMPLETED } }
+  );
+
+  logger.info('Firmware rollout updated', {
+    releaseId: release._id,
+    version: release.version,
+    percentage: release.rollout.percentage,
+    farms: release.rollout.farms.length
+  });
+
+  return release;
+};
+
+// Pause a rollout by hand
+const pauseRollout = async (release, reason, userId) => {
+  if (release.rollout.status !== ROLLOUT_STATUS.ACTIVE) {
+    throw new AppError(`Rollout is ${release.rollout.status}`, 409, 'ROLLOUT_NOT_ACTIVE');
+  }
+
+  await release.pauseRollout(reason || 'Paused by administrator', userId);
+  logger.info('Firmware rollout paused', { releaseId: release._id, version: release.version, userId });
+  return release;
+};
+
+// Resume a paused rollout with its current targeting
+const resumeRollout = async (release, userId) => {
+  if (release.rollout.status !== ROLLOUT_STATUS.PAUSED) {
+    throw new AppError('Only paused rollouts can be resumed', 409, 'ROLLOUT_NOT_PAUSED');
+  }
+
+  return updateRollout(release, {}, userId);
+};
+
+// Find the update a device should install, if any
+const checkForUpdate = async (sensor, currentVersion) => {
+  const installed = currentVersion || sensor.connectivity.firmware?.version || '0.0.0';
+  const releases = await FirmwareRelease.findActiveForModel(sensor.specifications.model);
+
+  const candidates = releases
+    .filter(release => compareVersions(release.version, installed) > 0 && release.targets(sensor))
+    .sort((a, b) => compareVersions(b.version, a.version));
+
+  const release = candidates[0];
+  if (!release) return null;
+
+  // A device that already reported on this release is not offered it again
+  const existing = await FirmwareUpdate.findOne({ releaseId: release._id, sensorId: sensor._id });
+  if (existing && [UPDATE_STATUS.SUCCEEDED, UPDATE_STATUS.FAILED].includes(existing.status)) {
+    return null;
+  }
+
+  if (!existing) {
+    await FirmwareUpdate.create({
+      releaseId: release._id,
+      sensorId: sensor._id,
+      farmId: sensor.farmId,
+      fromVersion: installed
+    });
+  }
+
+  return release;
+};
+
+// Resolve the image a device may download
+const getDownload = async (sensor, releaseId) => {
+  const release = await FirmwareRelease.findById(releaseId);
+
+  if (!release || release.model !== sensor.specifications.model) {
+    throw new AppError('Firmware release not found', 404, 'RELEASE_NOT_FOUND');
+  }
+
+  if (release.rollout.status !== ROLLOUT_STATUS.ACTIVE) {
+    throw new AppError(`Rollout is ${release.rollout.status}`, 409, 'ROLLOUT_NOT_ACTIVE');
+  }
+
+  const update = await FirmwareUpdate.findOneAndUpdate(
+    { releaseId: release._id, sensorId: sensor._id, status: { $in: [UPDATE_STATUS.OFFERED, UPDATE_STATUS.DOWNLOADING] } },
+    { $set: { status: UPDATE_STATUS.DOWNLOADING, downloadedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!update) {
+    throw new AppError('This update was not offered to the device', 403, 'UPDATE_NOT_OFFERED');
+  }
+
+  return { release, path: filePath(release) };
+};
+
+// Pause the rollout when the failure rate crosses the release threshold
+const evaluateRollout = async (release) => {
+  if (release.rollout.status !== ROLLOUT_STATUS.ACTIVE) return;
+
+  const stats = await FirmwareUpdate.getReleaseStats(release._id);
+  if (stats.reported < release.rollout.minReports || stats.failureRate <= release.rollout.failureThreshold) {
+    return;
+  }
+
+  const reason = `Failure rate ${Math.round(stats.failureRate * 100)}% over ${stats.reported} reports exceeded ${Math.round(release.rollout.failureThreshold * 100)}%`;
+  await release.pauseRollout(reason);
+
+  logger.warn('Firmware rollout paused automatically', {
+    releaseId: release._id,
+    model: release.model,
+    version: release.version,
+    reason
+  });
+
+  const admins = await User.find({ role: CONSTANTS.USER_ROLES.ADMIN, isActive: true });
+  await notificationService.sendSystemNotification(
+    'Firmware Rollout Paused',
+    `Rollout of ${release.model} firmware ${release.version} was paused: ${reason}`,
+    admins,
+    { releaseId: release._id }
+  );
+};
+
+// Record the outcome reported by a device
+const reportResult = async (sensor, releaseId, { success, message }) => {
+  const release = await FirmwareRelease.findById(releaseId);
+  const update = release && await FirmwareUpdate.findOne({ releaseId, sensorId: sensor._id });
+
+  if (!update) {
+    throw new AppError('No update in progress for this release', 404, 'UPDATE_NOT_FOUND');
+  }
+
+  update.status = success ? UPDATE_STATUS.SUCCEEDED : UPDATE_STATUS.FAILED;
+  update.reportedAt = new Date();
+  update.error = success ? undefined : (message || 'Update failed');
+  await update.save();
+
+  if (success) {
+    await Sensor.updateOne(
+      { _id: sensor._id },
+      { $set: { 'connectivity.firmware.version': release.version, 'connectivity.firmware.lastUpdate': new Date() } }
+    );
+  }
+
+  logger.sensor(success ? 'FIRMWARE_UPDATED' : 'FIRMWARE_FAILED', sensor._id, sensor.deviceId, {
+    releaseId: release._id,
+    version: release.version,
+    error: update.error
+  });
+
+  await evaluateRollout(release);
+  return update;
+};
+
+module.exports = {
+  createRelease,
+  deleteRelease,
+  updateRollout,
+  pauseRollout,
+  resumeRollout,
+  checkForUpdate,
+  getDownload,
+  reportResult
+};
@@ -0,0 +1,305 @@
+/**
+ * Sensor data ingestion service
+ * Single entry point for readings arriving over HTTP or MQTT, so every channel
+ * goes through the same validation, alerting and statistics update path
+ */
+
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const { AppError } = require('../middleware/errorHandler');
+const { validatePayload, sensorReadingRules } = require('../middleware/validation');
+const { logger } = require('../utils/logger');
+const { convertMoistureToPercentage } = require('../utils/helpers');
+const { isDuplicateKeyError } = require('../utils/database');
+const { markOnline } = require('./sensorMonitorService');
+const anomalyService = require('./anomalyService');
+const rollupService = require('./rollupService');
+const CONSTANTS = require('../config/constants');
+
+// Find the active sensor registered under a device ID
+const findSensorByDeviceId = (deviceId) => {
+  return Sensor.findOne({
+    deviceId: String(deviceId).toUpperCase(),
+    isActive: true
+  });
+};
+
+// Depth profile of a multi-depth probe, shallowest first
+// Raw values are converted with the sensor's calibration, like rawData.moistureRaw
+const buildProfile = (sensor, profile) => {
+  const { dryValue, wetValue } = sensor.calibration;
+
+  return profile.map(entry => {
+    const point = { depth: Number(entry.depth) };
+
+    if (entry.moistureRaw !== undefined && entry.moistureRaw !== null) {
+      point.moistureRaw = Number(entry.moistureRaw);
+      point.moistureLevel = convertMoistureToPercentage(point.moistureRaw, dryValue, wetValue);
+    } else {
+      point.moistureLevel = Number(entry.moistureLevel);
+    }
+
+    return point;
+  }).sort((a, b) => a.depth - b.depth);
+};
+
+// Map an ingestion payload onto SensorReading fields
+// When the device sends rawData.moistureRaw, moistureLevel is derived from the
+// sensor's current calibration instead of trusting a device-computed value.
+// Multi-depth probes may send only a profile: moistureLevel is then the
+// moisture at the sensor's main depth (or the shallowest one)
+const buildReadingData = (sensor, payload) => {
+  const readings = { ...payload.readings };
+  const moistureRaw = payload.rawData?.moistureRaw;
+  const profile = Array.isArray(payload.profile) ? buildProfile(sensor, payload.profile) : undefined;
+  let calibration;
+
+  if (moistureRaw !== undefined && moistureRaw !== null) {
+    const { dryValue, wetValue } = sensor.calibration;
+
+    readings.moistureLevel = convertMoistureToPercentage(Number(moistureRaw), dryValue, wetValue);
+    calibration = { dryValue, wetValue, derived: true };
+  } else if (profile?.length && (readings.moistureLevel === undefined || readings.moistureLevel === null)) {
+    const main = profile.find(point => point.depth === sensor.location?.depth) || profile[0];
+    readings.moistureLevel = main.moistureLevel;
+  }
+
+  return {
+    sensorId: sensor._id,
+    farmId: sensor.farmId,
+    readings,
+    profile,
+    rawData: payload.rawData,
+    calibration,
+    timestamp: payload.timestamp,
+    metadata: payload.metadata
+  };
+};
+
+// Persist a reading for a sensor
+// Anomalies are detected against the sensor's history before saving, alerts
+// are generated by the SensorReading pre-save hook and sensor
+// statistics/lastSeen are updated by its post-save hook
+const recordReading = async (sensor, payload) => {
+  const reading = new SensorReading(buildReadingData(sensor, payload));
+  await anomalyService.detect(sensor, [reading]);
+  
+  try {
+    await reading.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('A reading with this timestamp already exists', 409, 'DUPLICATE_READING');
+    }
+    throw error;
+  }
+
+  logger.sensor('READING', sensor._id, sensor.deviceId, {
+    readingId: reading._id,
+    alerts: reading.alerts.length
+  });
+  
+  await anomalyService.reportAnomalies(sensor, [reading]);
+  await rollupService.recordReadings(sensor, [reading]);
+
+  // Data is back: don't wait for the monitor to bring the sensor online
+  if (sensor.status === CONSTANTS.SENSOR_STATUS.OFFLINE) {
+    await markOnline(sensor);
+  }
+
+  return reading;
+};
+
+// Validate a raw payload (non-HTTP channels) and record it
+const ingestPayload = async (sensor, payload) => {
+  const errors = await validatePayload(sensorReadingRules, payload);
+
+  if (errors.length > 0) {
+    const error = new AppError('Validation failed', 400, 'VALIDATION_ERROR');
+    error.errors = errors;
+    throw error;
+  }
+
+  return recordReading(sensor, payload);
+};
+
+// Record a batch of buffered readings for one sensor
+// Deduplicates on (sensorId, timestamp), reports a result per item and
+// inserts in bulk, computing anomalies, quality and alerts without the
+// per-document save hooks. Sensor statistics are updated once, from the newest sample.
+const recordBatch = async (sensor, samples) => {
+  const results = samples.map((sample, index) => ({ index, status: 'pending' }));
+  const candidates = [];
+  const seen = new Set();
+
+  // Validate every item and drop duplicates within the batch
+  for (const [index, sample] of samples.entries()) {
+    const errors = await validatePayload(sensorReadingRules, sample || {});
+
+    if (!sample || !sample.timestamp) {
+      errors.push({ field: 'timestamp', message: 'Timestamp is required for batch readings' });
+    }
+
+    if (errors.length > 0) {
+      results[index] = { index, status: 'invalid', errors };
+      continue;
+    }
+
+    const reading = new SensorReading(buildReadingData(sensor, sample));
+    const validationError = reading.validateSync();
+
+    if (validationError) {
+      results[index] = {
+        index,
+        status: 'invalid',
+        errors: Object.values(validationError.errors).map(err => ({ field: err.path, message: err.message }))
+      };
+      continue;
+    }
+
+    const key = reading.timestamp.getTime();
+    if (seen.has(key)) {
+      results[index] = { index, status: 'duplicate', timestamp: reading.timestamp };
+      continue;
+    }
+
+    seen.add(key);
+    candidates.push({ index, reading });
+  }
+
+  // Drop readings that were already uploaded
+  const existing = candidates.length > 0
+    ? await SensorReading.find({
+        sensorId: sensor._id,
+        timestamp: { $in: candidates.map(c => c.reading.timestamp) }
+      }).select('timestamp').lean()
+    : [];
+  const existingTimes = new Set(existing.map(doc => doc.timestamp.getTime()));
+
+  const toInsert = [];
+  for (const candidate of candidates) {
+    if (existingTimes.has(candidate.reading.timestamp.getTime())) {
+      results[candidate.index] = { index: candidate.index, status: 'duplicate', timestamp: candidate.reading.timestamp };
+      continue;
+    }
+
+    toInsert.push(candidate);
+  }
+
+  await anomalyService.detect(sensor, toInsert.map(c => c.reading));
+
+  for (const { reading } of toInsert) {
+    reading.quality = SensorReading.calculateQuality(reading.readings);
+    reading.alerts = SensorReading.buildAlerts(reading.readings, sensor);
+    SensorReading.applyAnomalies(reading);
+  }
+
+  // Bulk insert; duplicate key errors from concurrent uploads are reported per item
+  const failed = new Map();
+  if (toInsert.length > 0) {
+    try {
+      // Documents were validated above, so skip re-validation and hydration
+      const docs = toInsert.map(c => c.reading.initializeTimestamps().toObject({ virtuals: false }));
+      await SensorReading.insertMany(docs, { ordered: false, lean: true });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+
+      for (const writeError of error.writeErrors) {
+        failed.set(writeError.index, isDuplicateKeyError(writeError) ? 'duplicate' : 'failed');
+      }
+    }
+  }
+
+  const inserted = [];
+  toInsert.forEach((candidate, position) => {
+    const status = failed.get(position);
+    const { reading } = candidate;
+
+    if (status) {
+      results[candidate.index] = { index: candidate.index, status, timestamp: reading.timestamp };
+      return;
+    }
+
+    inserted.push(reading);
+    results[candidate.index] = {
+      index: candidate.index,
+      status: 'created',
+      readingId: reading._id,
+      timestamp: reading.timestamp,
+      alerts: reading.alerts.length
+    };
+  });
+
+  if (inserted.length > 0) {
+    await updateSensorStatistics(sensor, inserted);
+    await anomalyService.reportAnomalies(sensor, inserted);
+    await rollupService.recordReadings(sensor, inserted);
+
+    if (sensor.status === CONSTANTS.SENSOR_STATUS.OFFLINE) {
+      await markOnline(sensor);
+    }
+  }
+
+  const summary = {
+    received: samples.length,
+    created: inserted.length,
+    duplicates: results.filter(r => r.status === 'duplicate').length,
+    invalid: results.filter(r => r.status === 'invalid').length,
+    failed: results.filter(r => r.status === 'failed').length
+  };
+
+  logger.sensor('BATCH', sensor._id, sensor.deviceId, summary);
+
+  return { summary, results };
+};
+
+// Update sensor statistics after a bulk insert
+// lastReading only moves forward, so an old backfill never hides a newer reading
+const updateSensorStatistics = async (sensor, readings) => {
+  const newest = readings.reduce((latest, reading) =>
+    reading.timestamp > latest.timestamp ? reading : latest
+  );
+
+  const update = {
+    $inc: { 'statistics.totalReadings': readings.length },
+    $set: { 'connectivity.lastSeen': new Date() }
+  };
+
+  const currentTimestamp = sensor.statistics.lastReading?.timestamp;
+  if (!currentTimestamp || newest.timestamp > currentTimestamp) {
+    update.$set['statistics.lastReading'] = {
+      moistureLevel: newest.readings.moistureLevel,
+      temperature: newest.readings.temperature,
+      batteryLevel: newest.readings.batteryLevel,
+      timestamp: newest.timestamp
+    };
+
+    if (newest.readings.signalStrength !== undefined) {
+      update.$set['connectivity.signalStrength'] = newest.readings.signalStrength;
+    }
+  }
+
+  await Sensor.updateOne({ _id: sensor._id }, update);
+};
+
+// Validate the batch envelope
+const validateBatch = (samples) => {
+  if (!Array.isArray(samples) || samples.length === 0) {
+    throw new AppError('Samples must be a non-empty array', 400, 'VALIDATION_ERROR');
+  }
+
+  if (samples.length > CONSTANTS.INGESTION.MAX_BATCH_SIZE) {
+    throw new AppError(
+      `A batch cannot contain more than ${CONSTANTS.INGESTION.MAX_BATCH_SIZE} readings`,
+      413,
+      'BATCH_TOO_LARGE'
+    );
+  }
+};
+
+module.exports = {
+  findSensorByDeviceId,
+  recordReading,
+  ingestPayload,
+  recordBatch,
+  validateBatch
+};
@@ -0,0 +1,355 @@
+/**
+ * Bulk sensor inventory
+ * Imports and exports a farm's sensors as a CSV or Excel sheet with one row per
+ * sensor and one column per field (dotted paths such as `location.zone` or
+ * `calibration.dryValue`). Rows are matched to existing sensors by device ID:
+ * matched sensors are updated, the others created. Every row is validated
+ * against the Sensor schema first and nothing is written unless all rows are
+ * valid; a dry run only returns that report.
+ */
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const Sensor = require('../models/Sensor');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { getPath, toCsvRow, parseCsvRow, withTransaction } = require('../utils/database');
+const CONSTANTS = require('../config/constants');
+
+const { INVENTORY } = CONSTANTS;
+
+// Columns of an inventory sheet, in export order
+const COLUMNS = [
+  { field: 'deviceId', type: 'string' },
+  { field: 'name', type: 'string' },
+  { field: 'type', type: 'string' },
+  { field: 'location.x', type: 'number' },
+  { field: 'location.y', type: 'number' },
+  { field: 'location.zone', type: 'string' },
+  { field: 'location.depth', type: 'number' },
+  { field: 'location.depths', type: 'list' },
+  { field: 'location.coordinates.latitude', type: 'number' },
+  { field: 'location.coordinates.longitude', type: 'number' },
+  { field: 'specifications.model', type: 'string' },
+  { field: 'specifications.manufacturer', type: 'string' },
+  { field: 'specifications.version', type: 'string' },
+  { field: 'specifications.batteryCapacity', type: 'number' },
+  { field: 'calibration.dryValue', type: 'number' },
+  { field: 'calibration.wetValue', type: 'number' },
+  { field: 'connectivity.protocol', type: 'string' },
+  { field: 'connectivity.devEui', type: 'string' },
+  { field: 'configuration.samplingInterval', type: 'number' },
+  { field: 'alerts.lowBattery.threshold', type: 'number' },
+  { field: 'alerts.offline.timeout', type: 'number' },
+  { field: 'alerts.moistureThreshold.low', type: 'number' },
+  { field: 'alerts.moistureThreshold.high', type: 'number' },
+  { field: 'maintenance.installDate', type: 'date' },
+  { field: 'maintenance.maintenanceInterval', type: 'number' },
+  { field: 'isActive', type: 'boolean' }
+];
+
+const COLUMN_TYPES = new Map(COLUMNS.map(column => [column.field, column.type]));
+
+const BOOLEANS = {
+  true: true, yes: true, 1: true, oui: true,
+  false: false, no: false, 0: false, non: false
+};
+
+// Sheet cell value -> field value; throws a message for the row report
+const CONVERTERS = {
+  string: (value) => String(value).trim(),
+  number: (value) => {
+    const number = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+    if (!Number.isFinite(number)) throw new Error('must be a number');
+    return number;
+  },
+  date: (value) => {
+    const date = value instanceof Date ? value : new Date(String(value).trim());
+    if (Number.isNaN(date.getTime())) throw new Error('must be a date (YYYY-MM-DD)');
+    return date;
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') return value;
+    const key = String(value).trim().toLowerCase();
+    if (!(key in BOOLEANS)) throw new Error('must be true or false');
+    return BOOLEANS[key];
+  },
+  list: (value) => String(value).split(INVENTORY.LIST_SEPARATOR).map(item => item.trim()).filter(Boolean).map(CONVERTERS.number)
+};
+
+// Plain value of an Excel cell (rich text, formulas and links included)
+const cellValue = (value) => {
+  if (value === null || value === undefined || value instanceof Date || typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return cellValue(value.result);
+  if ('text' in value) return value.text;
+  return null;
+};
+
+const isBlank = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+const formatOf = (filename) => path.extname(filename || '').slice(1).toLowerCase();
+
+// Header and data rows of a CSV file; Excel in French or Arabic locales saves
+// semicolon-separated files, detected from the header line
+const readCsv = (buffer) => {
+  const lines = buffer.toString('utf8').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headerLine = lines.shift() || '';
+  const delimiter = !headerLine.includes(',') && headerLine.includes(';') ? ';' : ',';
+
+  return {
+    header: parseCsvRow(headerLine, delimiter).map(name => name.trim()),
+    rows: lines
+      .map((line, i) => ({ row: i + 2, values: parseCsvRow(line, delimiter) }))
+      .filter(({ values }) => values.some(value => !isBlank(value)))
+  };
+};
+
+// Header and data rows of the first worksheet of an Excel file
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new AppError('File is not a valid Excel workbook', 400, 'INVALID_FILE');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { header: [], rows: [] };
+
+  const header = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+    header[column - 1] = String(cellValue(cell.value) ?? '').trim();
+  });
+
+  const rows = [];
+  sheet.eachRow((sheetRow, number) => {
+    if (number === 1) return;
+    const values = header.map((name, i) => cellValue(sheetRow.getCell(i + 1).value));
+    if (values.some(value => !isBlank(value))) rows.push({ row: number, values });
+  });
+
+  return { header, rows };
+};
+
+// Parse an uploaded inventory into field values per row
+const parseInventory = async (file) => {
+  const format = formatOf(file.originalname);
+  const { header, rows } = format === INVENTORY.FORMATS.XLSX ? await readXlsx(file.buffer) : readCsv(file.buffer);
+
+  const unknown = header.filter(name => name && !COLUMN_TYPES.has(name));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown columns: ${unknown.join(', ')}`, 400, 'UNKNOWN_COLUMNS');
+  }
+  if (!header.includes('deviceId')) {
+    throw new AppError('A deviceId column is required', 400, 'MISSING_DEVICE_ID_COLUMN');
+  }
+  if (rows.length === 0) {
+    throw new AppError('The inventory has no sensor rows', 400, 'EMPTY_INVENTORY');
+  }
+  if (rows.length > INVENTORY.MAX_ROWS) {
+    throw new AppError(`An inventory cannot have more than ${INVENTORY.MAX_ROWS} sensors`, 400, 'TOO_MANY_ROWS');
+  }
+
+  return rows.map(({ row, values }) => {
+    const fields = {};
+    const errors = [];
+
+    header.forEach((field, i) => {
+      if (!field || isBlank(values[i])) return;
+      try {
+        fields[field] = CONVERTERS[COLUMN_TYPES.get(field)](values[i]);
+      } catch (error) {
+        errors.push({ field, message: `${field} ${error.message}` });
+      }
+    });
+
+    return { row, fields, errors };
+  });
+};
+
+// Sensor for a row: the existing one with the row applied, or a new one
+// Blank cells leave existing values (or the schema defaults) untouched
+const buildSensor = (farm, fields, existing) => {
+  const sensor = existing || new Sensor({ farmId: farm._id });
+  Object.entries(fields).forEach(([field, value]) => sensor.set(field, value));
+  return sensor;
+};
+
+// Validate every row of an inventory against the farm's sensors
+const validateRows = async (farm, rows, { upsert }) => {
+  const deviceIds = rows.map(({ fields }) => fields.deviceId?.toUpperCase()).filter(Boolean);
+  const devEuis = rows.map(({ fields }) => fields['connectivity.devEui']?.toUpperCase()).filter(Boolean);
+
+  const existing = await Sensor.find({ deviceId: { $in: deviceIds } });
+  const existingById = new Map(existing.map(sensor => [sensor.deviceId, sensor]));
+  const devEuiOwners = new Map(
+    (await Sensor.find({ 'connectivity.devEui': { $in: devEuis } }).select('deviceId connectivity.devEui'))
+      .map(sensor => [sensor.connectivity.devEui, sensor.deviceId])
+  );
+
+  const seenDeviceIds = new Map();
+  const seenDevEuis = new Map();
+
+  return Promise.all(rows.map(async ({ row, fields, errors }) => {
+    const deviceId = fields.deviceId?.toUpperCase();
+    const devEui = fields['connectivity.devEui']?.toUpperCase();
+    const result = { row, deviceId: deviceId || null, action: null, errors: [...errors], sensor: null };
+
+    if (!deviceId) {
+      result.errors.push({ field: 'deviceId', message: 'Device ID is required' });
+      return result;
+    }
+
+    if (seenDeviceIds.has(deviceId)) {
+      result.errors.push({ field: 'deviceId', message: `Device ID already used on row ${seenDeviceIds.get(deviceId)}` });
+    } else {
+      seenDeviceIds.set(deviceId, row);
+    }
+
+    if (devEui) {
+      if (seenDevEuis.has(devEui)) {
+        result.errors.push({ field: 'connectivity.devEui', message: `DevEUI already used on row ${seenDevEuis.get(devEui)}` });
+      } else {
+        seenDevEuis.set(devEui, row);
+      }
+      if (devEuiOwners.has(devEui) && devEuiOwners.get(devEui) !== deviceId) {
+        result.errors.push({ field: 'connectivity.devEui', message: `DevEUI belongs to sensor ${devEuiOwners.get(devEui)}` });
+      }
+    }
+
+    const current = existingById.get(deviceId);
+    if (current) {
+      if (current.farmId.toString() !== farm._id.toString()) {
+        result.errors.push({ field: 'deviceId', message: 'Device ID is registered on another farm' });
+      } else if (current.status === CONSTANTS.SENSOR_STATUS.RETIRED) {
+        result.errors.push({ field: 'deviceId', message: 'Sensor has been replaced and cannot be updated' });
+      } else if (!upsert) {
+        result.errors.push({ field: 'deviceId', message: 'A sensor with this device ID already exists' });
+      }
+      if (result.errors.length > 0) return result;
+    }
+
+    const sensor = buildSensor(farm, fields, current);
+    try {
+      await sensor.validate();
+    } catch (error) {
+      if (!error.errors) throw error;
+      // Cells that could not be read already have an error
+      const unreadable = new Set(errors.map(({ field }) => field));
+      Object.values(error.errors)
+        .filter(({ path: field }) => !unreadable.has(field))
+        .forEach(({ path: field, message }) => result.errors.push({ field, message }));
+    }
+
+    if (result.errors.length === 0) {
+      result.sensor = sensor;
+      result.action = !current ? 'create' : sensor.isModified() ? 'update' : 'unchanged';
+    }
+
+    return result;
+  }));
+};
+
+// Import an inventory file into a farm
+// Returns the per-row report; `committed` is false on a dry run or when any
+// row is invalid. New sensors get an API key, returned once in their row.
+const importInventory = async (farm, file, { dryRun = false, upsert = true } = {}, userId) => {
+  const rows = await parseInventory(file);
+  const results = await validateRows(farm, rows, { upsert });
+  const invalid = results.filter(result => result.errors.length > 0);
+
+  const summary = {
+    rows: results.length,
+    create: results.filter(result => result.action === 'create').length,
+    update: results.filter(result => result.action === 'update').length,
+    unchanged: results.filter(result => result.action === 'unchanged').length,
+    invalid: invalid.length
+  };
+
+  const committed = !dryRun && invalid.length === 0;
+
+  if (committed) {
+    // All or nothing: a failing write (e.g. a device ID registered meanwhile)
+    // rolls back the whole import
+    await withTransaction([async (session) => {
+      for (const result of results) {
+        if (result.action === 'unchanged') continue;
+
+        result.sensor.$session(session);
+        if (result.action === 'create') {
+          result.apiKey = await result.sensor.issueApiKey(userId, 'Inventory import');
+        } else {
+          await result.sensor.save();
+        }
+      }
+    }]);
+
+    logger.info('Sensor inventory imported', { farmId: farm._id, userId, ...summary });
+  }
+
+  return {
+    dryRun,
+    committed,
+    summary,
+    rows: results.map(({ row, deviceId, action, errors, sensor, apiKey }) => ({
+      row,
+      deviceId,
+      action,
+      sensorId: committed && sensor ? sensor._id : undefined,
+      apiKey,
+      errors
+    }))
+  };
+};
+
+// Export a farm's sensors (retired hardware excluded) as a CSV or Excel file
+// Returns { buffer, contentType, filename }
+const exportInventory = async (farm, format = INVENTORY.FORMATS.CSV) => {
+  const sensors = await Sensor.find({ farmId: farm._id, status: { $ne: CONSTANTS.SENSOR_STATUS.RETIRED } })
+    .sort({ 'location.zone': 1, deviceId: 1 })
+    .lean();
+
+  const valuesOf = (sensor) => COLUMNS.map(({ field, type }) => {
+    const value = getPath(sensor, field);
+    return type === 'list' && Array.isArray(value) ? value.join(INVENTORY.LIST_SEPARATOR) : value;
+  });
+
+  const filename = `sensors-${farm._id}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  if (format === INVENTORY.FORMATS.XLSX) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Sensors', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+    sheet.columns = COLUMNS.map(({ field, type }) => ({
+      header: field,
+      key: field,
+      width: Math.max(field.length + 2, 12),
+      style: type === 'date' ? { numFmt: 'yyyy-mm-dd' } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sensors.forEach(sensor => sheet.addRow(valuesOf(sensor)));
+
+    return {
+      buffer: Buffer.from(await workbook.xlsx.writeBuffer()),
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      filename
+    };
+  }
+
+  // The byte order mark makes Excel read the file (Arabic names) as UTF-8
+  const csv = '\uFEFF' + toCsvRow(COLUMNS.map(({ field }) => field)) + sensors.map(sensor => toCsvRow(valuesOf(sensor))).join('');
+
+  return {
+    buffer: Buffer.from(csv, 'utf8'),
+    contentType: 'text/csv; charset=utf-8',
+    filename
+  };
+};
+
+module.exports = {
+  COLUMNS,
+  parseInventory,
+  importInventory,
+  exportInventory
+};
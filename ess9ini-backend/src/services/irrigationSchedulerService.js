@@ -0,0 +1,326 @@
+/**
+ * Irrigation scheduler
+ * Starts pending scheduled irrigations (POST /api/irrigation/schedule) at their
+ * start time, and turns each farm's recurring schedule
+ * (settings.autoIrrigation.schedule, in Africa/Tunis time) into irrigation
+ * events as their occurrences come due.
+ *
+ * Survives restarts: each recurring occurrence is stored once (unique per
+ * schedule entry and local day), the farm records up to when occurrences have
+ * been created so a restart catches up on those it missed, and events are
+ * claimed atomically before being started so none starts twice. Irrigations
+ * that could not start on time are marked failed, or with the farm's run_late
+ * policy started late within its maxDelay.
+ */
+
+const Farm = require('../models/Farm');
+const IrrigationEvent = require('../models/IrrigationEvent');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+const { fromLocalTime, toLocalDate, formatDateForTunisia } = require('../utils/helpers');
+const actuatorService = require('./actuatorService');
+const notificationService = require('./notificationService');
+const CONSTANTS = require('../config/constants');
+
+const { GRACE, MAX_CATCH_UP, CLAIM_TIMEOUT, MISSED_POLICIES, WEEKDAYS } = CONSTANTS.IRRIGATION_SCHEDULER;
+const { PENDING } = CONSTANTS.IRRIGATION_STATUS;
+
+const DAY = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+let schedulerTimer = null;
+let running = false;
+
+// Occurrences of a recurring schedule entry in (from, to]
+const occurrencesBetween = (entry, from, to) => {
+  if (!TIME_PATTERN.test(entry.time || '') || !entry.duration) return [];
+
+  const days = (entry.days || []).map(day => day.toLowerCase());
+  const occurrences = [];
+
+  for (let day = new Date(`${toLocalDate(from).date}T00:00:00Z`); ; day = new Date(day.getTime() + DAY)) {
+    const date = day.toISOString().slice(0, 10);
+    const startTime = fromLocalTime(date, entry.time);
+    if (startTime > to) break;
+
+    if (startTime > from && (days.length === 0 || days.includes(WEEKDAYS[day.getUTCDay()]))) {
+      occurrences.push({ date, startTime });
+    }
+  }
+
+  return occurrences;
+};
+
+// Store one occurrence as a pending event; false if it already exists
+const createOccurrence = async (farm, entry, { date, startTime }) => {
+  try {
+    await IrrigationEvent.create({
+      farmId: farm._id,
+      userId: farm.owner,
+      type: CONSTANTS.IRRIGATION_TYPES.SCHEDULED,
+      status: PENDING,
+      duration: entry.duration,
+      zones: entry.zones?.length ? entry.zones : farm.location.zones.map(zone => zone.id),
+      schedule: { startTime },
+      trigger: { reason: 'scheduled' },
+      occurrence: { scheduleId: entry._id, date }
+    });
+    return true;
+  } catch (error) {
+    // Created before a restart
+    if (error.code === 11000) return false;
+
+    logger.error('Recurring irrigation could not be created', {
+      farmId: farm._id,
+      scheduleId: entry._id,
+      date,
+      error: error.message
+    });
+    return false;
+  }
+};
+
+// Create the recurring occurrences that came due since the last pass
+const expandSchedules = async (now) => {
+  // Farms that turned automatic irrigation off start afresh when turning it on again
+  await Farm.updateMany(
+    { 'settings.autoIrrigation.enabled': { $ne: true }, 'settings.autoIrrigation.scheduledUntil': { $exists: true } },
+    { $unset: { 'settings.autoIrrigation.scheduledUntil': 1 } }
+  );
+
+  const farms = await Farm.find({
+    isActive: true,
+    'settings.autoIrrigation.enabled': true,
+    'settings.autoIrrigation.schedule.0': { $exists: true }
+  });
+
+  let created = 0;
+
+  for (const farm of farms) {
+    const { schedule, scheduledUntil } = farm.settings.autoIrrigation;
+    const from = new Date(Math.max(scheduledUntil ? scheduledUntil.getTime() : now.getTime(), now.getTime() - MAX_CATCH_UP));
+
+    for (const entry of schedule) {
+      for (const occurrence of occurrencesBetween(entry, from, now)) {
+        if (await createOccurrence(farm, entry, occurrence)) created++;
+      }
+    }
+
+    await Farm.updateOne({ _id: farm._id }, { $set: { 'settings.autoIrrigation.scheduledUntil': now } });
+  }
+
+  return created;
+};
+
+// Take a pending event for this process; null if another pass already did
+// Events taken to be started also take the farm's in-progress slot (null if
+// another irrigation of the farm holds it)
+const claim = async (event, now, starting = false) => {
+  const update = starting ? { claimedAt: now, inProgress: true } : { claimedAt: now };
+
+  try {
+    return await IrrigationEvent.findOneAndUpdate(
+      { _id: event._id, status: PENDING, claimedAt: { $exists: false } },
+      { $set: update },
+      { new: true }
+    );
+  } catch (error) {
+    if (starting && error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Fail an event that was not started in time and tell the farm
+const missEvent = async (farm, event, now) => {
+  const claimed = await claim(event, now);
+  if (!claimed) return false;
+
+  const message = `Scheduled irrigation of ${formatDateForTunisia(event.schedule.startTime)} was not started on time`;
+  await claimed.fail(message);
+
+  logger.warn('Scheduled irrigation missed', { farmId: farm._id, irrigationId: event._id, startTime: event.schedule.startTime });
+
+  await notificationService.sendSystemNotification(
+    'Irrigation missed',
+    `${message} (${farm.name})`,
+    await User.findByFarm(farm._id),
+    { farmId: farm._id, irrigationId: event._id }
+  );
+
+  return true;
+};
+
+// Start a due event, or apply the farm's missed policy if it is too late
+// Returns 'started', 'missed', 'failed' or 'waiting' (farm busy)
+const dispatch = async (event, now) => {
+  const farm = await Farm.findById(event.farmId);
+  if (!farm) {
+    await event.cancel('Farm not found');
+    return 'failed';
+  }
+
+  const { missedPolicy, maxDelay } = farm.settings.autoIrrigation;
+  const allowedDelay = missedPolicy === MISSED_POLICIES.RUN_LATE ? Math.max(maxDelay * 60 * 1000, GRACE) : GRACE;
+
+  if (now - event.schedule.startTime > allowedDelay) {
+    return (await missEvent(farm, event, now)) ? 'missed' : 'waiting';
+  }
+
+  // One irrigation at a time per farm: try again next pass
+  if (await IrrigationEvent.findInProgress(farm._id)) {
+    return 'waiting';
+  }
+
+  const claimed = await claim(event, now, true);
+  if (!claimed) return 'waiting';
+
+  try {
+    await actuatorService.startIrrigation(farm, claimed);
+    logger.info('Scheduled irrigation started', { farmId: farm._id, irrigationId: claimed._id, delay: now - claimed.schedule.startTime });
+    return 'started';
+  } catch (error) {
+    // Hardware failures already failed the event; anything else did not get that far
+    if (claimed.status === PENDING) await claimed.fail(error.message);
+
+    logger.warn('Scheduled irrigation failed to start', { farmId: farm._id, irrigationId: claimed._id, error: error.message });
+    return 'failed';
+  }
+};
+
+// Fail events whose start never finished (restart): claimed by a scheduler
+// pass, or manual and automatic starts (claimed when created, or older ones
+// created before they were)
+// Some relays may have switched before the interruption: send a shutdown,
+// which the watchdog retries until the hardware confirms it
+const failInterrupted = async (now) => {
+  const cutoff = new Date(now.getTime() - CLAIM_TIMEOUT);
+  const events = await IrrigationEvent.find({
+    status: PENDING,
+    $or: [
+      { claimedAt: { $lte: cutoff } },
+      { claimedAt: { $exists: false }, 'trigger.reason': { $ne: 'scheduled' }, createdAt: { $lte: cutoff } }
+    ]
+  });
+
+  for (const event of events) {
+    await event.fail('Interrupted while starting (server restart), check the valves');
+
+    const farm = await Farm.findById(event.farmId);
+    if (!farm || !actuatorService.hasDriver(farm)) continue;
+
+    try {
+      await actuatorService.stopIrrigation(farm, event);
+    } catch (error) {
+      logger.warn('Shutdown after interrupted irrigation start failed', { farmId: farm._id, irrigationId: event._id, error: error.message });
+    }
+  }
+
+  return events.length;
+};
+
+// Create due recurring occurrences and start (or fail) every due scheduled event
+const runScheduler = async (now = new Date()) => {
+  const summary = { interrupted: 0, created: 0, started: 0, missed: 0, failed: 0, waiting: 0 };
+
+  summary.interrupted = await failInterrupted(now);
+  summary.created = await expandSchedules(now);
+
+  const due = await IrrigationEvent.find({
+    status: PENDING,
+    'trigger.reason': 'scheduled',
+    claimedAt: { $exists: false },
+    'schedule.startTime': { $lte: now }
+  }).sort({ 'schedule.startTime': 1 });
+
+  for (const event of due) {
+    try {
+      summary[await dispatch(event, now)]++;
+    } catch (error) {
+      summary.failed++;
+      logger.error('Scheduled irrigation dispatch failed', { irrigationId: event._id, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+// Irrigations planned for a farm over the next days: pending scheduled events
+// and the recurring occurrences still to come
+const getUpcoming = async (farm, days, now = new Date()) => {
+  const to = new Date(now.getTime() + days * DAY);
+
+  const pending = await IrrigationEvent.find({
+    farmId: farm._id,
+    status: PENDING,
+    'trigger.reason': 'scheduled',
+    'schedule.startTime': { $lte: to }
+  }).sort({ 'schedule.startTime': 1 });
+
+  const upcoming = pending.map(event => ({
+    irrigationId: event._id,
+    startTime: event.schedule.startTime,
+    duration: event.duration,
+    zones: event.zones,
+    scheduleId: event.occurrence?.scheduleId
+  }));
+
+  const { enabled, schedule, scheduledUntil } = farm.settings.autoIrrigation;
+  if (enabled) {
+    const from = scheduledUntil && scheduledUntil > now ? scheduledUntil : now;
+
+    for (const entry of schedule) {
+      for (const { startTime } of occurrencesBetween(entry, from, to)) {
+        upcoming.push({
+          startTime,
+          duration: entry.duration,
+          zones: entry.zones?.length ? entry.zones : farm.location.zones.map(zone => zone.id),
+          scheduleId: entry._id
+        });
+      }
+    }
+  }
+
+  return upcoming.sort((a, b) => a.startTime - b.startTime);
+};
+
+// Run one pass, skipping if the previous one is still running
+const runCheck = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const summary = await runScheduler();
+    if (summary.interrupted || summary.created || summary.started || summary.missed || summary.failed) {
+      logger.info('Irrigation scheduler pass completed', summary);
+    }
+  } catch (error) {
+    logger.error('Irrigation scheduler pass failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Start the irrigation scheduler
+const startIrrigationScheduler = () => {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(runCheck, CONSTANTS.IRRIGATION_SCHEDULER.CHECK_INTERVAL);
+  runCheck();
+
+  logger.info('Irrigation scheduler started', { interval: CONSTANTS.IRRIGATION_SCHEDULER.CHECK_INTERVAL });
+};
+
+// Stop the irrigation scheduler
+const stopIrrigationScheduler = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+};
+
+module.exports = {
+  runScheduler,
+  getUpcoming,
+  startIrrigationScheduler,
+  stopIrrigationScheduler
+};
@@ -0,0 +1,203 @@
+/**
+ * Irrigation watchdog
+ * Stops running irrigations once their duration has elapsed, so a forgotten
+ * stop does not leave the valves open, and hard-stops anything running past
+ * the 480-minute maximum. Shutdowns the hardware did not confirm are retried
+ * every few minutes until it does.
+ *
+ * After a restart it first reconciles the irrigations recorded as running
+ * with the relay states reported by the hardware: those found off are
+ * completed at the time they were due to end (or now, if earlier), with the
+ * water used estimated from the time run. Those still on, or whose hardware
+ * does not answer, are left to the regular checks.
+ */
+
+const Farm = require('../models/Farm');
+const IrrigationEvent = require('../models/IrrigationEvent');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+const actuatorService = require('./actuatorService');
+const notificationService = require('./notificationService');
+const CONSTANTS = require('../config/constants');
+
+const { MAX_RUNTIME, SHUTDOWN_RETRY, RECONCILE_ATTEMPTS } = CONSTANTS.IRRIGATION_WATCHDOG;
+const { RUNNING } = CONSTANTS.IRRIGATION_STATUS;
+
+let watchdogTimer = null;
+let running = false;
+
+// Running events to reconcile with the hardware after a restart (ID -> attempts)
+let reconcileQueue = null;
+
+const startedAt = (event) => event.schedule.actualStartTime || event.schedule.startTime;
+
+// Stop an irrigation through its actuators (failures are alerted by actuatorService)
+const stopEvent = async (farm, event) => {
+  try {
+    await actuatorService.stopIrrigation(farm, event);
+    return true;
+  } catch (error) {
+    logger.warn('Watchdog could not stop irrigation', { farmId: farm._id, irrigationId: event._id, error: error.message });
+    return false;
+  }
+};
+
+// Complete the running events the hardware reports as off, once after a restart
+const reconcile = async (now) => {
+  if (!reconcileQueue) {
+    const events = await IrrigationEvent.find({ status: RUNNING }).select('_id');
+    reconcileQueue = new Map(events.map(event => [event._id.toString(), 0]));
+  }
+
+  let reconciled = 0;
+  const states = new Map(); // relay states per farm, read once per pass
+
+  for (const [id, attempts] of reconcileQueue) {
+    const event = await IrrigationEvent.findById(id);
+    const farm = event && event.status === RUNNING ? await Farm.findById(event.farmId) : null;
+
+    if (!farm || !actuatorService.hasDriver(farm)) {
+      reconcileQueue.delete(id);
+      continue;
+    }
+
+    const farmId = farm._id.toString();
+    if (!states.has(farmId)) states.set(farmId, await actuatorService.readState(farm));
+    const relays = states.get(farmId);
+
+    if (!relays) {
+      if (attempts + 1 >= RECONCILE_ATTEMPTS) {
+        reconcileQueue.delete(id);
+        logger.warn('Irrigation state unknown after restart, left running', { farmId, irrigationId: id });
+      } else {
+        reconcileQueue.set(id, attempts + 1);
+      }
+      continue;
+    }
+
+    reconcileQueue.delete(id);
+    if (actuatorService.isIrrigating(farm, event, relays)) continue;
+
+    const dueEnd = new Date(startedAt(event).getTime() + event.duration * 60 * 1000);
+    const endTime = dueEnd < now ? dueEnd : now;
+
+    event.notes = event.notes
+      ? `${event.notes}\nValves found closed after a server restart`
+      : 'Valves found closed after a server restart';
+    await event.complete(event.estimateWaterUsed(endTime), undefined, endTime);
+
+    logger.info('Irrigation reconciled after restart', { farmId, irrigationId: id, endTime });
+    reconciled++;
+  }
+
+  return reconciled;
+};
+
+// Stop running irrigations whose duration has elapsed, or past the maximum runtime
+const stopElapsed = async (now) => {
+  const events = await IrrigationEvent.find({ status: RUNNING });
+  let stopped = 0;
+  let hardStopped = 0;
+
+  for (const event of events) {
+    const runtime = now - startedAt(event);
+    const overrun = runtime >= MAX_RUNTIME * 60 * 1000;
+    if (!overrun && runtime < event.duration * 60 * 1000) continue;
+
+    const farm = await Farm.findById(event.farmId);
+    if (!farm) continue;
+
+    if (!overrun) {
+      if (await stopEvent(farm, event)) stopped++;
+      continue;
+    }
+
+    const message = `Irrigation on ${farm.name} ran past ${MAX_RUNTIME} minutes and was stopped`;
+    event.notes = event.notes ? `${event.notes}\nHard stop: over ${MAX_RUNTIME} minutes` : `Hard stop: over ${MAX_RUNTIME} minutes`;
+
+    if (await stopEvent(farm, event)) {
+      hardStopped++;
+      logger.warn('Irrigation hard-stopped', { farmId: farm._id, irrigationId: event._id, runtime });
+
+      await notificationService.sendSystemNotification(
+        'Irrigation stopped',
+        message,
+        await User.findByFarm(farm._id),
+        { farmId: farm._id, irrigationId: event._id }
+      );
+    }
+  }
+
+  return { stopped, hardStopped };
+};
+
+// Retry the shutdown of failed irrigations whose last command was not confirmed
+const retryShutdowns = async (now) => {
+  const events = await IrrigationEvent.findNeedingShutdown();
+
+  let retried = 0;
+
+  for (const event of events) {
+    const last = event.actuation[event.actuation.length - 1];
+    if (now - last.sentAt < SHUTDOWN_RETRY) continue;
+
+    const farm = await Farm.findById(event.farmId);
+    if (!farm || !actuatorService.hasDriver(farm)) continue;
+
+    await stopEvent(farm, event);
+    retried++;
+  }
+
+  return retried;
+};
+
+// Reconcile after a restart, stop elapsed irrigations and retry unconfirmed shutdowns
+const runWatchdog = async (now = new Date()) => {
+  const reconciled = await reconcile(now);
+  const { stopped, hardStopped } = await stopElapsed(now);
+  const retried = await retryShutdowns(now);
+
+  return { reconciled, stopped, hardStopped, retried };
+};
+
+// Run one pass, skipping if the previous one is still running
+const runCheck = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const summary = await runWatchdog();
+    if (summary.reconciled || summary.stopped || summary.hardStopped || summary.retried) {
+      logger.info('Irrigation watchdog pass completed', summary);
+    }
+  } catch (error) {
+    logger.error('Irrigation watchdog pass failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Start the irrigation watchdog
+const startIrrigationWatchdog = () => {
+  if (watchdogTimer) return;
+
+  watchdogTimer = setInterval(runCheck, CONSTANTS.IRRIGATION_WATCHDOG.CHECK_INTERVAL);
+  runCheck();
+
+  logger.info('Irrigation watchdog started', { interval: CONSTANTS.IRRIGATION_WATCHDOG.CHECK_INTERVAL });
+};
+
+// Stop the irrigation watchdog (it reconciles again when restarted)
+const stopIrrigationWatchdog = () => {
+  if (watchdogTimer) {
+    clearInterval(watchdogTimer);
+    watchdogTimer = null;
+  }
+  reconcileQueue = null;
+};
+
+module.exports = {
+  runWatchdog,
+  startIrrigationWatchdog,
+  stopIrrigationWatchdog
+};
@@ -0,0 +1,196 @@
+/**
+ * LoRaWAN uplink service
+ * Normalizes The Things Network v3 and ChirpStack webhook uplinks, decodes the
+ * application payload with the decoder registered for the sensor's model
+ * (Cayenne LPP by default) and records the reading through the normal
+ * ingestion pipeline
+ */
+
+const Sensor = require('../models/Sensor');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const cayenneLpp = require('../utils/cayenneLpp');
+const ingestionService = require('./ingestionService');
+
+// Ess9ini channel layout for Cayenne LPP payloads
+const CAYENNE_CHANNELS = {
+  1: ['readings', 'moistureLevel'],
+  2: ['readings', 'temperature'],
+  3: ['readings', 'humidity'],
+  4: ['readings', 'batteryLevel'],
+  5: ['rawData', 'moistureRaw'],
+  6: ['readings', 'lightIntensity'],
+  7: ['readings', 'ph']
+};
+
+// Built-in decoder: Cayenne LPP mapped onto an ingestion payload
+const decodeCayenneLpp = (bytes) => {
+  const payload = { readings: {}, rawData: {} };
+
+  for (const record of cayenneLpp.decode(bytes)) {
+    if (record.type === 'gps') {
+      payload.metadata = { location: { latitude: record.value.latitude, longitude: record.value.longitude } };
+      continue;
+    }
+
+    const target = CAYENNE_CHANNELS[record.channel];
+    if (target && typeof record.value === 'number') {
+      payload[target[0]][target[1]] = record.value;
+    }
+  }
+
+  return payload;
+};
+
+// Payload decoders by sensor model (specifications.model)
+// A decoder receives the raw bytes and { fPort, sensor } and returns
+// { readings, rawData, metadata } in the ingestion payload format
+const decoders = new Map();
+
+const registerDecoder = (model, decoder) => {
+  decoders.set(model, decoder);
+};
+
+const getDecoder = (model) => decoders.get(model) || decodeCayenneLpp;
+
+// Pick the gateway that heard the uplink best
+const bestGateway = (gateways = []) => {
+  return gateways.reduce((best, gateway) => {
+    if (typeof gateway.rssi !== 'number') return best;
+    return !best || gateway.rssi > best.rssi ? gateway : best;
+  }, null);
+};
+
+// DevEUIs are hex, except in ChirpStack v3 protobuf-JSON where they are base64
+const normalizeDevEui = (devEui) => {
+  if (!devEui) return null;
+
+  const value = String(devEui);
+  if (/^[0-9A-Fa-f]{16}$/.test(value)) return value.toUpperCase();
+
+  const bytes = Buffer.from(value, 'base64');
+  return bytes.length === 8 ? bytes.toString('hex').toUpperCase() : value.toUpperCase();
+};
+
+// Normalize a The Things Network v3 uplink message
+const parseTtnUplink = (body) => {
+  const message = body.uplink_message;
+  if (!message) return null;
+
+  const gateway = bestGateway((message.rx_metadata || []).map(meta => ({
+    gatewayId: meta.gateway_ids?.gateway_id,
+    rssi: meta.rssi ?? meta.channel_rssi,
+    snr: meta.snr
+  })));
+
+  return {
+    devEui: normalizeDevEui(body.end_device_ids?.dev_eui),
+    fPort: message.f_port,
+    fCnt: message.f_cnt,
+    data: message.frm_payload,
+    receivedAt: message.received_at || body.received_at,
+    gateway
+  };
+};
+
+// Normalize a ChirpStack uplink event (v4, with v3 field names as fallback)
+const parseChirpstackUplink = (body) => {
+  if (body.data === undefined && body.fPort === undefined) return null;
+
+  const gateway = bestGateway((body.rxInfo || []).map(info => ({
+    gatewayId: info.gatewayId || info.gatewayID,
+    rssi: info.rssi,
+    snr: info.snr ?? info.loRaSNR
+  })));
+
+  return {
+    devEui: normalizeDevEui(body.deviceInfo?.devEui || body.devEUI),
+    fPort: body.fPort,
+    fCnt: body.fCnt,
+    data: body.data,
+    receivedAt: body.time || body.rxInfo?.[0]?.time || body.rxInfo?.[0]?.gwTime,
+    gateway
+  };
+};
+
+const parsers = {
+  ttn: parseTtnUplink,
+  chirpstack: parseChirpstackUplink
+};
+
+// Build the ingestion payload for a decoded uplink
+const buildPayload = (sensor, uplink, decoded) => {
+  const readings = { ...decoded.readings };
+
+  // LoRaWAN RSSI can go below the -120 dBm floor the schemas accept
+  if (uplink.gateway) {
+    readings.signalStrength = Math.min(0, Math.max(-120, Math.round(uplink.gateway.rssi)));
+  }
+
+  // Many LoRa devices only report battery every few uplinks
+  if (readings.batteryLevel === undefined && sensor.statistics?.lastReading?.batteryLevel !== undefined) {
+    readings.batteryLevel = sensor.statistics.lastReading.batteryLevel;
+  }
+
+  return {
+    readings,
+    rawData: decoded.rawData && Object.keys(decoded.rawData).length > 0 ? decoded.rawData : undefined,
+    timestamp: uplink.receivedAt ? new Date(uplink.receivedAt).toISOString() : undefined,
+    metadata: {
+      ...decoded.metadata,
+      networkInfo: uplink.gateway ? {
+        rssi: uplink.gateway.rssi,
+        snr: uplink.gateway.snr,
+        gatewayId: uplink.gateway.gatewayId
+      } : undefined
+    }
+  };
+};
+
+// Handle an uplink webhook from a LoRaWAN network server
+// Returns null for messages that are not uplinks (joins, acks, status events)
+const handleUplink = async (network, body) => {
+  const uplink = parsers[network](body || {});
+  if (!uplink) return null;
+
+  if (!uplink.devEui || !uplink.data) {
+    throw new AppError('Uplink must include the device EUI and a payload', 400, 'INVALID_UPLINK');
+  }
+
+  const { devEui } = uplink;
+  const sensor = await Sensor.findOne({ 'connectivity.devEui': devEui, isActive: true });
+
+  if (!sensor) {
+    throw new AppError(`No active sensor registered for DevEUI ${devEui}`, 404, 'SENSOR_NOT_FOUND');
+  }
+
+  let decoded;
+  try {
+    const decoder = getDecoder(sensor.specifications.model);
+    decoded = decoder(Buffer.from(uplink.data, 'base64'), { fPort: uplink.fPort, sensor });
+  } catch (error) {
+    logger.warn('LoRaWAN payload decoding failed', { devEui, fPort: uplink.fPort, error: error.message });
+    throw new AppError(`Payload decoding failed: ${error.message}`, 422, 'DECODING_FAILED');
+  }
+
+  const reading = await ingestionService.ingestPayload(sensor, buildPayload(sensor, uplink, decoded));
+
+  // Keep the latest SNR on the sensor next to signalStrength
+  if (uplink.gateway?.snr !== undefined) {
+    await Sensor.updateOne({ _id: sensor._id }, { $set: { 'connectivity.snr': uplink.gateway.snr } });
+  }
+
+  logger.sensor('LORAWAN_UPLINK', sensor._id, sensor.deviceId, {
+    network,
+    fCnt: uplink.fCnt,
+    gatewayId: uplink.gateway?.gatewayId
+  });
+
+  return { sensor, reading };
+};
+
+module.exports = {
+  registerDecoder,
+  decodeCayenneLpp,
+  handleUplink
+};
@@ -0,0 +1,314 @@
+/**
+ * Closed-loop moisture irrigation
+ * For farms with automatic irrigation on, watches each zone's root-zone
+ * moisture (see rootZoneService) and irrigates a zone when it drops below its
+ * start level, until it reaches the zone's targetMoisture or the maximum
+ * duration.
+ *
+ * The start level is the farm's moistureThreshold, kept at least `hysteresis`
+ * points under the zone target so the loop does not chatter. A zone rests
+ * `minOffTime` minutes after an irrigation (or a failed start) so the water
+ * can reach the sensors, and automatic irrigation stops at the farm's daily
+ * water cap. Zones share the pump and master valve, so they are irrigated one
+ * at a time, driest first, and never while a failed irrigation may still have
+ * valves open. Only trusted readings count (no anomalies, no drifting or
+ * failing sensors).
+ *
+ * Every automatic event records the readings that triggered it in
+ * trigger.moistureLevels, and the rise per sensor in results.moistureIncrease.
+ */
+
+const Farm = require('../models/Farm');
+const IrrigationEvent = require('../models/IrrigationEvent');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+const { startOfPeriod, toLocalDate } = require('../utils/helpers');
+const rootZoneService = require('./rootZoneService');
+const actuatorService = require('./actuatorService');
+const notificationService = require('./notificationService');
+const CONSTANTS = require('../config/constants');
+
+const { PENDING, RUNNING, COMPLETED, FAILED } = CONSTANTS.IRRIGATION_STATUS;
+const LOW_MOISTURE = 'low_moisture';
+const DEFAULT_FLOW_RATE = IrrigationEvent.schema.path('settings.flowRate').defaultValue;
+
+let controlTimer = null;
+let running = false;
+
+// Local day on which each farm was last told its daily cap was reached
+const capNotified = new Map();
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Whether a zone's root-zone moisture is recent enough to act on
+const isFresh = (rootZone, now) => {
+  return rootZone.rootZoneMoisture !== null &&
+    !!rootZone.measuredAt &&
+    now - rootZone.measuredAt <= CONSTANTS.MOISTURE_CONTROL.MAX_READING_AGE;
+};
+
+// Moisture below which a zone is irrigated
+const startLevel = (farm, rootZone) => {
+  const { moistureThreshold, moistureControl } = farm.settings.autoIrrigation;
+  return Math.min(moistureThreshold, rootZone.targetMoisture - moistureControl.hysteresis);
+};
+
+// Readings of a zone, as stored in trigger.moistureLevels
+const snapshot = (rootZone) => {
+  return rootZone.readings
+    .filter(reading => typeof reading.moistureLevel === 'number')
+    .map(reading => ({
+      zone: rootZone.zoneId,
+      sensorId: reading.sensorId,
+      moistureLevel: reading.moistureLevel,
+      timestamp: reading.timestamp
+    }));
+};
+
+// Rise per sensor since the readings that triggered the event
+const moistureIncrease = (event, rootZone, now) => {
+  return event.trigger.moistureLevels
+    .map(before => {
+      const after = rootZone.readings.find(reading => reading.sensorId.toString() === before.sensorId?.toString());
+      if (typeof after?.moistureLevel !== 'number') return null;
+
+      return {
+        zone: before.zone,
+        sensorId: before.sensorId,
+        beforeMoisture: before.moistureLevel,
+        afterMoisture: after.moistureLevel,
+        increase: round(after.moistureLevel - before.moistureLevel),
+        timestamp: now
+      };
+    })
+    .filter(Boolean);
+};
+
+// Water used by the farm's automatic irrigations since local midnight
+const waterUsedToday = async (farm, now) => {
+  const events = await IrrigationEvent.find({
+    farmId: farm._id,
+    'trigger.reason': LOW_MOISTURE,
+    status: { $in: [RUNNING, COMPLETED, FAILED] },
+    'schedule.startTime': { $gte: startOfPeriod(now, 'day') }
+  });
+
+  return events.reduce((sum, event) => {
+    return sum + (event.status === RUNNING ? event.estimateWaterUsed(now) : event.results.waterUsed || 0);
+  }, 0);
+};
+
+// Zones irrigated, or that failed to start, within the minimum off time
+const restingZones = async (farm, now) => {
+  const since = new Date(now.getTime() - farm.settings.autoIrrigation.moistureControl.minOffTime * 60 * 1000);
+
+  const events = await IrrigationEvent.find({
+    farmId: farm._id,
+    $or: [
+      { 'schedule.actualEndTime': { $gte: since } },
+      { status: FAILED, updatedAt: { $gte: since } }
+    ]
+  }).select('zones');
+
+  return new Set(events.flatMap(event => event.zones));
+};
+
+// Tell the farm once a day that automatic irrigation reached its cap
+const notifyCapReached = async (farm, cap, now) => {
+  const today = toLocalDate(now).date;
+  if (capNotified.get(farm._id.toString()) === today) return;
+  capNotified.set(farm._id.toString(), today);
+
+  logger.info('Daily automatic irrigation cap reached', { farmId: farm._id, cap });
+
+  await notificationService.sendSystemNotification(
+    'Daily irrigation cap reached',
+    `Automatic irrigation on ${farm.name} used its ${cap} L for today and resumes tomorrow`,
+    await User.findByFarm(farm._id),
+    { farmId: farm._id, dailyWaterCap: cap }
+  );
+};
+
+// Start an automatic irrigation of one zone; null if the farm is already busy
+const startZone = async (farm, rootZone, level, duration, now) => {
+  const event = new IrrigationEvent({
+    farmId: farm._id,
+    userId: farm.owner,
+    type: CONSTANTS.IRRIGATION_TYPES.AUTOMATIC,
+    status: PENDING,
+    duration,
+    zones: [rootZone.zoneId],
+    schedule: { startTime: now },
+    trigger: {
+      reason: LOW_MOISTURE,
+      moistureLevels: snapshot(rootZone)
+    },
+    claimedAt: now,
+    notes: `Root-zone moisture ${rootZone.rootZoneMoisture}% below ${level}% (target ${rootZone.targetMoisture}%)`
+  });
+
+  try {
+    await event.save();
+  } catch (error) {
+    // Another irrigation of the farm took its in-progress slot meanwhile
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  try {
+    await actuatorService.startIrrigation(farm, event);
+    logger.info('Automatic irrigation started', {
+      farmId: farm._id,
+      irrigationId: event._id,
+      zone: rootZone.zoneId,
+      moisture: rootZone.rootZoneMoisture,
+      duration
+    });
+  } catch (error) {
+    // Hardware failures already failed the event
+    if (event.status === PENDING) await event.fail(error.message);
+    logger.warn('Automatic irrigation failed to start', { farmId: farm._id, zone: rootZone.zoneId, error: error.message });
+  }
+
+  return event;
+};
+
+// Stop the farm's automatic irrigation once its zone reached the target or it
+// ran its maximum duration (the watchdog would too, without the moisture rise)
+const stopIfDone = async (farm, event, rootZones, now) => {
+  const rootZone = rootZones.get(event.zones[0]);
+  const reached = !!rootZone && isFresh(rootZone, now) && rootZone.rootZoneMoisture >= rootZone.targetMoisture;
+  const elapsed = now - event.schedule.actualStartTime >= event.duration * 60 * 1000;
+  if (!reached && !elapsed) return false;
+
+  try {
+    await actuatorService.stopIrrigation(farm, event, {
+      moistureReadings: rootZone ? moistureIncrease(event, rootZone, now) : undefined
+    });
+    logger.info('Automatic irrigation stopped', {
+      farmId: farm._id,
+      irrigationId: event._id,
+      zone: event.zones[0],
+      moisture: rootZone?.rootZoneMoisture,
+      reason: reached ? 'target reached' : 'maximum duration'
+    });
+    return true;
+  } catch (error) {
+    logger.warn('Automatic irrigation could not be stopped', { farmId: farm._id, irrigationId: event._id, error: error.message });
+    return false;
+  }
+};
+
+// One control step for a farm: stop the running automatic irrigation when
+// done, or start the driest zone below its start level
+// Returns 'started', 'stopped' or null
+const controlFarm = async (farm, now = new Date()) => {
+  const zones = await rootZoneService.getFarmRootZones(farm, now, { trustedOnly: true });
+  const rootZones = new Map(zones.filter(zone => zone.zoneId !== null).map(zone => [zone.zoneId, zone]));
+
+  // One irrigation at a time: wait for running irrigations, those being
+  // started and due scheduled ones (stale pending events are failed by the
+  // scheduler)
+  const busy = await IrrigationEvent.findOne({
+    farmId: farm._id,
+    $or: [
+      { status: RUNNING },
+      { status: PENDING, claimedAt: { $exists: true } },
+      { status: PENDING, 'trigger.reason': 'scheduled', 'schedule.startTime': { $lte: now } }
+    ]
+  });
+
+  if (busy) {
+    const stopped = busy.status === RUNNING && busy.trigger.reason === LOW_MOISTURE &&
+      await stopIfDone(farm, busy, rootZones, now);
+    return stopped ? 'stopped' : null;
+  }
+
+  // Nor while a failed irrigation may still have valves open
+  const unsafe = await IrrigationEvent.findNeedingShutdown({ farmId: farm._id }).limit(1);
+  if (unsafe.length > 0) return null;
+
+  const resting = await restingZones(farm, now);
+  const candidates = [...rootZones.values()]
+    .filter(zone => isFresh(zone, now) && zone.targetMoisture !== null && !resting.has(zone.zoneId))
+    .map(zone => ({ zone, level: startLevel(farm, zone) }))
+    .filter(({ zone, level }) => zone.rootZoneMoisture < level)
+    .filter(({ zone }) => {
+      try {
+        actuatorService.checkZones(farm, [zone.zoneId]);
+        return true;
+      } catch (error) {
+        return false; // no valve for this zone
+      }
+    })
+    .sort((a, b) => (b.level - b.zone.rootZoneMoisture) - (a.level - a.zone.rootZoneMoisture));
+
+  if (candidates.length === 0) return null;
+
+  const { maxDuration, dailyWaterCap } = farm.settings.autoIrrigation.moistureControl;
+  let duration = maxDuration;
+
+  if (dailyWaterCap !== undefined && dailyWaterCap !== null) {
+    const remaining = dailyWaterCap - await waterUsedToday(farm, now);
+    duration = Math.min(maxDuration, Math.floor(remaining / DEFAULT_FLOW_RATE));
+
+    if (duration < 1) {
+      await notifyCapReached(farm, dailyWaterCap, now);
+      return null;
+    }
+  }
+
+  const { zone, level } = candidates[0];
+  const event = await startZone(farm, zone, level, duration, now);
+  return event ? 'started' : null;
+};
+
+// Run one control step for every farm on automatic irrigation
+const runCheck = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const farms = await Farm.find({
+      isActive: true,
+      'settings.autoIrrigation.enabled': true,
+      'settings.autoIrrigation.moistureControl.enabled': true
+    });
+
+    for (const farm of farms) {
+      try {
+        await controlFarm(farm);
+      } catch (error) {
+        logger.error('Moisture control failed', { farmId: farm._id, error: error.message });
+      }
+    }
+  } catch (error) {
+    logger.error('Moisture control pass failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Start the moisture control loop
+const startMoistureControl = () => {
+  if (controlTimer) return;
+
+  controlTimer = setInterval(runCheck, CONSTANTS.MOISTURE_CONTROL.CHECK_INTERVAL);
+  runCheck();
+
+  logger.info('Moisture control started', { interval: CONSTANTS.MOISTURE_CONTROL.CHECK_INTERVAL });
+};
+
+// Stop the moisture control loop
+const stopMoistureControl = () => {
+  if (controlTimer) {
+    clearInterval(controlTimer);
+    controlTimer = null;
+  }
+};
+
+module.exports = {
+  controlFarm,
+  startMoistureControl,
+  stopMoistureControl
+};
@@ -0,0 +1,364 @@
+/**
+ * MQTT ingestion bridge for field devices (ESP32 / LoRa gateways)
+ *
+ * Devices publish JSON readings to `<prefix>/<farmId>/<deviceId>/readings`
+ * using the same payload as POST /api/sensors/:id/readings (or buffered
+ * batches to `.../batch` like POST /api/sensors/:id/readings/batch, or raw
+ * calibration samples to `.../calibration`), and receive the result on the
+ * same topic suffixed with `/ack`.
+ *
+ * Queued device commands are pushed to `.../downlink`; devices can also ask
+ * for pending ones by publishing to `.../commands` and report each result
+ * to `.../results`.
+ *
+ * Irrigation relay boards (see actuatorDrivers) receive valve / pump commands
+ * on `<prefix>/<farmId>/<controllerId>/actuators` and confirm them on
+ * `.../confirmations`.
+ *
+ * Runs against an external broker (MQTT_BROKER_URL, e.g. a local Mosquitto)
+ * or an embedded Aedes broker (MQTT_EMBEDDED_BROKER=true) so the farm can
+ * operate without a cloud service. On the embedded broker each device logs in
+ * with its deviceId and its own API key, relay boards with their controller ID
+ * and their farm's relay board secret, and each may only use its own topics.
+ * An external broker cannot tell devices apart, so there every device message
+ * carries the device's own API key in an `apiKey` field, and every relay board
+ * confirmation the board's secret in a `secret` field.
+ */
+
+const net = require('net');
+const crypto = require('crypto');
+const mqtt = require('mqtt');
+const Sensor = require('../models/Sensor');
+const Farm = require('../models/Farm');
+const { logger } = require('../utils/logger');
+const ingestionService = require('./ingestionService');
+const calibrationService = require('./calibrationService');
+const commandService = require('./commandService');
+
+// MQTT configuration
+const TOPIC_PREFIX = process.env.MQTT_TOPIC_PREFIX || 'ess9ini';
+const BROKER_URL = process.env.MQTT_BROKER_URL;
+const EMBEDDED_BROKER = process.env.MQTT_EMBEDDED_BROKER === 'true';
+const EMBEDDED_PORT = parseInt(process.env.MQTT_PORT) || 1883;
+
+// Credentials used by the backend's own client on the embedded broker
+const BRIDGE_USERNAME = 'ess9ini-bridge';
+const BRIDGE_SECRET = crypto.randomBytes(24).toString('hex');
+
+// Channel relay boards confirm actuator commands on
+const CONFIRMATIONS_CHANNEL = 'confirmations';
+
+let broker = null;
+let brokerServer = null;
+let client = null;
+
+// Build a device topic
+const deviceTopic = (farmId, deviceId, channel) => {
+  return `${TOPIC_PREFIX}/${farmId}/${deviceId}/${channel}`;
+};
+
+// Parse `<prefix>/<farmId>/<deviceId>/<channel>`
+const parseTopic = (topic) => {
+  const parts = topic.split('/');
+
+  if (parts.length !== 4 || parts[0] !== TOPIC_PREFIX) {
+    return null;
+  }
+
+  const [, farmId, deviceId, channel] = parts;
+  return { farmId, deviceId, channel };
+};
+
+// Publish the ingestion result back to the device
+const publishAck = (route, result) => {
+  if (!client || !client.connected) return;
+
+  const topic = `${deviceTopic(route.farmId, route.deviceId, route.channel)}/ack`;
+  client.publish(topic, JSON.stringify({ ...result, timestamp: new Date().toISOString() }), { qos: 1 });
+};
+
+// Publish a message to a sensor's topic (used for command downlinks)
+const publishToDevice = (sensor, channel, payload) => {
+  if (!client || !client.connected) return false;
+
+  const topic = deviceTopic(sensor.farmId.toString(), sensor.deviceId, channel);
+  client.publish(topic, JSON.stringify({ ...payload, timestamp: new Date().toISOString() }), { qos: 1 });
+  return true;
+};
+
+// Take a credential (device API key, relay board secret) out of a message payload
+const takeCredential = (payload, field) => {
+  if (!payload || typeof payload !== 'object' || payload[field] === undefined) return null;
+
+  const value = payload[field];
+  delete payload[field];
+  return value ? String(value) : null;
+};
+
+// Resolve the sensor behind a device topic, acknowledging failures
+const resolveSensor = async (route, payload) => {
+  const apiKey = takeCredential(payload, 'apiKey');
+
+  // The embedded broker only lets authenticated devices publish to their own
+  // topics; on an external broker each message must carry the device's key
+  const sensor = EMBEDDED_BROKER
+    ? await ingestionService.findSensorByDeviceId(route.deviceId)
+    : apiKey && await Sensor.authenticateDevice({ deviceId: route.deviceId.toUpperCase() }, apiKey);
+
+  if (!sensor && !EMBEDDED_BROKER) {
+    logger.security('MQTT device key rejected', { deviceId: route.deviceId, farmId: route.farmId });
+    publishAck(route, { success: false, code: 'INVALID_API_KEY', message: 'Invalid API key' });
+    return null;
+  }
+
+  if (!sensor) {
+    publishAck(route, { success: false, code: 'SENSOR_NOT_FOUND', message: 'Sensor not found' });
+    return null;
+  }
+
+  if (sensor.farmId.toString() !== route.farmId) {
+    logger.security('MQTT farm mismatch', { deviceId: route.deviceId, farmId: route.farmId });
+    publishAck(route, { success: false, code: 'FARM_MISMATCH', message: 'Device does not belong to this farm' });
+    return null;
+  }
+
+  return sensor;
+};
+
+// Handle a single reading published by a device
+const handleReading = async (sensor, route, payload) => {
+  const reading = await ingestionService.ingestPayload(sensor, payload);
+  publishAck(route, { success: true, readingId: reading._id });
+};
+
+// Handle a batch of buffered readings published by a device
+const handleBatch = async (sensor, route, payload) => {
+  ingestionService.validateBatch(payload.samples);
+  const { summary, results } = await ingestionService.recordBatch(sensor, payload.samples);
+  publishAck(route, { success: true, summary, results });
+};
+
+// Handle raw samples streamed during a guided calibration session
+const handleCalibration = async (sensor, route, payload) => {
+  const result = await calibrationService.recordSamples(sensor, payload);
+  publishAck(route, { success: true, ...result });
+};
+
+// Deliver pending commands when the device asks for them
+const handleCommandPoll = async (sensor, route) => {
+  const commands = await commandService.fetchPending(sensor, 'mqtt');
+  publishToDevice(sensor, 'downlink', { commands });
+};
+
+// Record a command result reported by the device
+const handleCommandResult = async (sensor, route, payload) => {
+  const command = await commandService.ingestAcknowledgement(sensor, payload, 'mqtt');
+  publishAck(route, { success: true, commandId: command._id, status: command.status });
+};
+
+const channelHandlers = {
+  readings: handleReading,
+  batch: handleBatch,
+  calibration: handleCalibration,
+  commands: handleCommandPoll,
+  results: handleCommandResult
+};
+
+// Hand a relay board's confirmation to the waiting actuator command
+// On an external broker the confirmation must carry the board's secret
+const handleActuatorConfirmation = async (route, message) => {
+  try {
+    // Required lazily: the MQTT actuator driver publishes through this module
+    const { handleConfirmation } = require('./actuatorDrivers');
+    const payload = JSON.parse(message.toString());
+    const secret = takeCredential(payload, 'secret');
+
+    if (!EMBEDDED_BROKER) {
+      const farm = secret && await Farm.authenticateController(route.deviceId, secret);
+
+      if (!farm || farm._id.toString() !== route.farmId) {
+        logger.security('MQTT controller secret rejected', { controllerId: route.deviceId, farmId: route.farmId });
+        return;
+      }
+    }
+
+    if (!handleConfirmation(route.farmId, route.deviceId, payload)) {
+      logger.warn('MQTT actuator confirmation ignored', { controllerId: route.deviceId, commandId: payload.commandId });
+    }
+  } catch (error) {
+    logger.warn('MQTT actuator confirmation rejected', { controllerId: route.deviceId, error: error.message });
+  }
+};
+
+// Dispatch incoming messages by topic channel
+const handleMessage = async (topic, message) => {
+  const route = parseTopic(topic);
+  if (!route) return;
+
+  if (route.channel === CONFIRMATIONS_CHANNEL) {
+    await handleActuatorConfirmation(route, message);
+    return;
+  }
+
+  if (!channelHandlers[route.channel]) return;
+
+  try {
+    const payload = JSON.parse(message.toString());
+
+    const sensor = await resolveSensor(route, payload);
+    if (!sensor) return;
+
+    await channelHandlers[route.channel](sensor, route, payload);
+  } catch (error) {
+    const code = error instanceof SyntaxError ? 'INVALID_PAYLOAD' : (error.code || 'INGESTION_ERROR');
+
+    logger.warn('MQTT message rejected', {
+      deviceId: route.deviceId,
+      channel: route.channel,
+      code,
+      error: error.message
+    });
+
+    publishAck(route, { success: false, code, message: error.message, errors: error.errors });
+  }
+};
+
+// Check that a topic lives under the authenticated device's own namespace
+const isOwnTopic = (mqttClient, topic) => {
+  const prefix = `${TOPIC_PREFIX}/${mqttClient.farmId}/${mqttClient.deviceId}/`;
+  return topic.toUpperCase().startsWith(prefix.toUpperCase()) && !/[+#]/.test(topic);
+};
+
+// Start the embedded Aedes broker
+const startEmbeddedBroker = () => {
+  return new Promise((resolve, reject) => {
+    broker = require('aedes')();
+
+    // Devices authenticate with their deviceId as username and their API key as
+    // password, relay boards with their controller ID and their secret
+    broker.authenticate = (mqttClient, username, password, callback) => {
+      const secret = password ? password.toString() : null;
+
+      if (username === BRIDGE_USERNAME) {
+        return callback(null, secret === BRIDGE_SECRET);
+      }
+
+      if (!username || !secret) {
+        return callback(null, false);
+      }
+
+      Farm.authenticateController(username, secret)
+        .then(async farm => {
+          if (farm) {
+            mqttClient.deviceId = username;
+            mqttClient.farmId = farm._id.toString();
+            return callback(null, true);
+          }
+
+          const sensor = await Sensor.authenticateDevice({ deviceId: username.toUpperCase() }, secret);
+          if (!sensor) {
+            logger.security('MQTT device authentication failed', { deviceId: username });
+            return callback(null, false);
+          }
+
+          mqttClient.deviceId = sensor.deviceId;
+          mqttClient.farmId = sensor.farmId.toString();
+          callback(null, true);
+        })
+        .catch(error => callback(error, false));
+    };
+
+    // Devices may only publish to their own topics
+    broker.authorizePublish = (mqttClient, packet, callback) => {
+      if (!mqttClient || !mqttClient.deviceId) return callback(null);
+      callback(isOwnTopic(mqttClient, packet.topic) ? null : new Error('Topic not allowed'));
+    };
+
+    // Devices may only subscribe to their own topics
+    broker.authorizeSubscribe = (mqttClient, subscription, callback) => {
+      if (!mqttClient || !mqttClient.deviceId) return callback(null, subscription);
+      callback(null, isOwnTopic(mqttClient, subscription.topic) ? subscription : null);
+    };
+
+    brokerServer = net.createServer(broker.handle);
+    brokerServer.once('error', reject);
+    brokerServer.listen(EMBEDDED_PORT, () => {
+      logger.info(`Embedded MQTT broker listening on port ${EMBEDDED_PORT}`);
+      resolve();
+    });
+  });
+};
+
+// Start the MQTT ingestion bridge
+const startMqttIngestion = async () => {
+  if (client) return client;
+
+  let url = BROKER_URL;
+  const options = {
+    clientId: `ess9ini-backend-${process.pid}`,
+    reconnectPeriod: 5000,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD
+  };
+
+  if (EMBEDDED_BROKER) {
+    await startEmbeddedBroker();
+    url = `mqtt://localhost:${EMBEDDED_PORT}`;
+    options.username = BRIDGE_USERNAME;
+    options.password = BRIDGE_SECRET;
+  }
+
+  if (!url) {
+    logger.info('MQTT ingestion disabled (set MQTT_BROKER_URL or MQTT_EMBEDDED_BROKER=true)');
+    return null;
+  }
+
+  client = mqtt.connect(url, options);
+
+  client.on('connect', () => {
+    const topics = [...Object.keys(channelHandlers), CONFIRMATIONS_CHANNEL]
+      .map(channel => deviceTopic('+', '+', channel));
+
+    client.subscribe(topics, { qos: 1 }, (error) => {
+      if (error) {
+        logger.error('MQTT subscribe failed', { topics, error: error.message });
+        return;
+      }
+      logger.info('MQTT ingestion subscribed', { topics });
+    });
+  });
+
+  client.on('message', handleMessage);
+
+  client.on('error', (error) => {
+    logger.error('MQTT client error', { error: error.message });
+  });
+
+  return client;
+};
+
+// Stop the bridge and the embedded broker
+const stopMqttIngestion = async () => {
+  if (client) {
+    await client.endAsync();
+    client = null;
+  }
+
+  if (broker) {
+    await new Promise(resolve => broker.close(resolve));
+    broker = null;
+  }
+
+  if (brokerServer) {
+    await new Promise(resolve => brokerServer.close(resolve));
+    brokerServer = null;
+  }
+};
+
+module.exports = {
+  deviceTopic,
+  parseTopic,
+  publishToDevice,
+  startMqttIngestion,
+  stopMqttIngestion
+};
@@ -0,0 +1,103 @@
+/**
+ * Sensor hardware replacement
+ * Swaps a dead or faulty device for a new one at the same position: the new
+ * sensor takes over the location, zone, thresholds and configuration, the old
+ * one is retired (API key revoked, open alerts resolved, pending commands
+ * expired, open work orders cancelled) and both are linked, so history
+ * queries can follow the position across devices as one continuous series.
+ */
+
+const Sensor = require('../models/Sensor');
+const DeviceCommand = require('../models/DeviceCommand');
+const WorkOrder = require('../models/WorkOrder');
+const Alert = require('../models/Alert');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const CONSTANTS = require('../config/constants');
+
+// Replace a sensor with new hardware
+// Returns the new sensor and its API key (only available now)
+const replaceSensor = async (oldSensor, data, userId) => {
+  if (oldSensor.status === CONSTANTS.SENSOR_STATUS.RETIRED) {
+    throw new AppError('Sensor has already been replaced', 400, 'SENSOR_RETIRED');
+  }
+  if (data.deviceId.toUpperCase() === oldSensor.deviceId) {
+    throw new AppError('The new device must have a different device ID', 400, 'SAME_DEVICE');
+  }
+
+  const now = new Date();
+  const reason = data.reason ? `: ${data.reason}` : '';
+  const old = oldSensor.toObject();
+
+  // Without new calibration values the old ones are kept, with their date
+  const calibration = data.calibration
+    ? { dryValue: data.calibration.dryValue, wetValue: data.calibration.wetValue, lastCalibrated: now, calibratedBy: userId }
+    : { ...old.calibration, notes: `Carried over from ${oldSensor.deviceId}` };
+
+  const sensor = new Sensor({
+    farmId: oldSensor.farmId,
+    deviceId: data.deviceId,
+    name: data.name || oldSensor.name,
+    type: oldSensor.type,
+    location: old.location,
+    specifications: { ...old.specifications, ...data.specifications },
+    connectivity: {
+      protocol: data.connectivity?.protocol || old.connectivity.protocol,
+      devEui: data.connectivity?.devEui
+    },
+    calibration,
+    configuration: old.configuration,
+    alerts: old.alerts,
+    replacement: { replaces: oldSensor._id },
+    maintenance: {
+      installDate: now,
+      lastMaintenance: now,
+      maintenanceInterval: old.maintenance.maintenanceInterval,
+      notes: [{
+        type: 'replacement',
+        description: `Replaces ${oldSensor.deviceId}${reason}`,
+        technician: userId,
+        cost: data.cost
+      }]
+    }
+  });
+
+  // Saves the new sensor (fails on a duplicate device ID before the old one is touched)
+  const apiKey = await sensor.issueApiKey(userId, `Replacement for ${oldSensor.deviceId}`);
+
+  // Retire the old hardware; its DevEUI is released for the new device
+  oldSensor.status = CONSTANTS.SENSOR_STATUS.RETIRED;
+  oldSensor.isActive = false;
+  oldSensor.replacement.replacedBy = sensor._id;
+  oldSensor.replacement.retiredAt = now;
+  oldSensor.connectivity.devEui = undefined;
+  oldSensor.maintenance.notes.push({
+    type: 'replacement',
+    description: `Replaced by ${sensor.deviceId}${reason}`,
+    technician: userId
+  });
+  await oldSensor.revokeApiKey(userId, `Replaced by ${sensor.deviceId}`);
+
+  await Promise.all(Object.values(CONSTANTS.ALERT_KINDS).map(type =>
+    Alert.resolveOpen(oldSensor._id, type, `Sensor replaced by ${sensor.deviceId}`)));
+  await DeviceCommand.expireOpen(oldSensor._id, `Sensor replaced by ${sensor.deviceId}`);
+  await WorkOrder.cancelOpen(oldSensor._id, `Sensor replaced by ${sensor.deviceId}`);
+
+  logger.sensor('REPLACED', oldSensor._id, oldSensor.deviceId, { replacedBy: sensor.deviceId, userId });
+
+  return { sensor, apiKey, retired: oldSensor };
+};
+
+// Hardware changes along a lineage (Sensor.getLineage), to mark on series
+const hardwareChanges = (lineage) => {
+  return lineage.slice(1).map((segment, i) => ({
+    at: segment.from,
+    from: { sensorId: lineage[i].sensor._id, deviceId: lineage[i].sensor.deviceId },
+    to: { sensorId: segment.sensor._id, deviceId: segment.sensor.deviceId }
+  }));
+};
+
+module.exports = {
+  replaceSensor,
+  hardwareChanges
+};
@@ -0,0 +1,266 @@
+/**
+ * Raw reading retention
+ * Deletes each farm's readings once they are older than its retention policy
+ * (settings.retention.days, 90 days for a small farm up to 5 years for
+ * research plots). With archiving enabled, readings are first exported to a
+ * gzip compressed NDJSON or CSV file a week before they expire, and only
+ * archived readings are ever deleted. Readings stored after their period was
+ * archived (backfills, redelivered uplinks) go into the next archive.
+ * Archives can be re-imported; restored readings are kept for
+ * RESTORE_KEEP_DAYS before expiring again.
+ *
+ * Hourly and daily rollups are not affected by retention.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Farm = require('../models/Farm');
+const SensorReading = require('../models/SensorReading');
+const ReadingArchive = require('../models/ReadingArchive');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { startOfPeriod } = require('../utils/helpers');
+const { cleanupOldDocuments, exportDocuments, importDocuments } = require('../utils/database');
+const CONSTANTS = require('../config/constants');
+
+const { RETENTION } = CONSTANTS;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Archives live outside the public uploads folder
+const STORAGE_DIR = process.env.ARCHIVE_STORAGE_DIR || path.join(process.cwd(), 'storage', 'archives');
+
+// Columns of CSV archives (NDJSON archives keep the whole reading)
+const CSV_COLUMNS = [
+  '_id',
+  'sensorId',
+  'farmId',
+  'timestamp',
+  ...CONSTANTS.ROLLUPS.CHANNELS.map(channel => `readings.${channel}`),
+  'rawData.moistureRaw',
+  'rawData.temperatureRaw',
+  'rawData.humidityRaw',
+  'rawData.phRaw',
+  'rawData.lightRaw',
+  'quality'
+];
+
+let retentionTimer = null;
+let running = false;
+
+const filePath = (archive) => path.join(STORAGE_DIR, archive.farmId.toString(), archive.file.storedName);
+
+const dateStamp = (date) => date.toISOString().substring(0, 10).replace(/-/g, '');
+
+// Readings restored from an archive are spared until RESTORE_KEEP_DAYS after the restore
+const notRecentlyRestored = (now) => ({
+  $or: [
+    { restoredAt: { $exists: false } },
+    { restoredAt: { $lt: new Date(now.getTime() - RETENTION.RESTORE_KEEP_DAYS * DAY_MS) } }
+  ]
+});
+
+// Export a farm's readings before `until` that are not archived yet: those
+// from `archivedUntil` on, and those stored since the last archive run started
+// Returns the new archive (if any) and when this run started: every reading
+// before `until` stored earlier is archived
+const archiveFarm = async (farm, until) => {
+  const { archivedUntil, archivedAt } = farm.settings?.retention || {};
+  const startedAt = new Date();
+
+  const query = {
+    farmId: farm._id,
+    timestamp: { $lt: until },
+    restoredAt: { $exists: false }
+  };
+  // Without archivedAt (archived before it was recorded) everything is checked again
+  if (archivedUntil && archivedAt) {
+    query.$or = [{ timestamp: { $gte: archivedUntil } }, { createdAt: { $gte: archivedAt } }];
+  }
+
+  const first = await SensorReading.findOne(query).sort({ timestamp: 1 }).select('timestamp').lean();
+  let archive = null;
+
+  if (first) {
+    const from = archivedUntil && archivedUntil < first.timestamp ? archivedUntil : first.timestamp;
+    const format = farm.settings?.retention?.archive?.format || RETENTION.ARCHIVE_FORMATS.NDJSON;
+    const storedName = `readings-${dateStamp(from)}-${dateStamp(until)}-${Date.now()}.${format}.gz`;
+
+    const { count, size, checksum } = await exportDocuments(
+      SensorReading,
+      query,
+      path.join(STORAGE_DIR, farm._id.toString(), storedName),
+      { format, columns: CSV_COLUMNS, sort: { timestamp: 1 } }
+    );
+
+    archive = await ReadingArchive.create({
+      farmId: farm._id,
+      from,
+      to: until,
+      format,
+      count,
+      file: { storedName, size, checksum }
+    });
+
+    logger.info('Readings archived', { farmId: farm._id, archiveId: archive._id, from, to: until, count, size });
+  }
+
+  const archivedTo = archivedUntil && archivedUntil > until ? archivedUntil : until;
+  await Farm.updateOne(
+    { _id: farm._id },
+    { $set: { 'settings.retention.archivedUntil': archivedTo, 'settings.retention.archivedAt': startedAt } }
+  );
+
+  return { archive, archivedAt: startedAt };
+};
+
+// Archive and delete the expired readings of a farm
+const applyRetention = async (farm, now = new Date()) => {
+  const policy = farm.settings?.retention || {};
+  const days = policy.days || RETENTION.DEFAULT_DAYS;
+  const filter = { farmId: farm._id, ...notRecentlyRestored(now) };
+  let archive = null;
+
+  if (policy.archive?.enabled !== false) {
+    const until = startOfPeriod(farm.getRetentionCutoff(now).getTime() + RETENTION.ARCHIVE_LEAD_DAYS * DAY_MS, 'day');
+    const result = await archiveFarm(farm, until);
+    archive = result.archive;
+
+    // Only archived readings may be deleted
+    filter.timestamp = { $lt: until };
+    filter.createdAt = { $lt: result.archivedAt };
+  }
+
+  const { deletedCount } = await cleanupOldDocuments(SensorReading, 'timestamp', days, filter);
+
+  if (deletedCount > 0) {
+    logger.info('Expired readings deleted', { farmId: farm._id, days, deleted: deletedCount });
+  }
+
+  return { archive, deleted: deletedCount };
+};
+
+// One retention pass over all farms
+// A failing farm (e.g. archive storage full) keeps its readings and is retried next pass
+const runRetention = async (now = new Date()) => {
+  const farms = await Farm.find({}).select('name settings.retention');
+  let archived = 0;
+  let deleted = 0;
+
+  for (const farm of farms) {
+    try {
+      const result = await applyRetention(farm, now);
+      if (result.archive) archived++;
+      deleted += result.deleted;
+    } catch (error) {
+      logger.error('Reading retention failed', { farmId: farm._id, error: error.message });
+    }
+  }
+
+  return { farms: farms.length, archived, deleted };
+};
+
+// The fixed one-year TTL index was replaced by per-farm retention
+const dropLegacyTtlIndex = async () => {
+  try {
+    const indexes = await SensorReading.collection.indexes();
+    const ttl = indexes.find(index => index.expireAfterSeconds !== undefined);
+
+    if (ttl) {
+      await SensorReading.collection.dropIndex(ttl.name);
+      logger.info('Dropped reading TTL index', { index: ttl.name });
+    }
+  } catch (error) {
+    // The collection does not exist yet on a fresh database
+    if (error.codeName !== 'NamespaceNotFound') {
+      logger.warn('Could not check reading TTL index', { error: error.message });
+    }
+  }
+};
+
+// Check an archive file is present and intact
+const verifyArchive = async (archive) => {
+  const file = filePath(archive);
+
+  if (!fs.existsSync(file)) {
+    throw new AppError('Archive file not found in storage', 404, 'ARCHIVE_FILE_MISSING');
+  }
+
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(file)) {
+    hash.update(chunk);
+  }
+
+  if (hash.digest('hex') !== archive.file.checksum) {
+    throw new AppError('Archive file is corrupted (checksum mismatch)', 409, 'ARCHIVE_CORRUPTED');
+  }
+
+  return file;
+};
+
+// Re-import an archive, optionally only readings within [from, to)
+// Readings still stored are skipped
+const restoreArchive = async (archive, { from, to } = {}, userId) => {
+  const file = await verifyArchive(archive);
+  const restoredAt = new Date();
+
+  const totals = await importDocuments(SensorReading, file, {
+    format: archive.format,
+    batchSize: RETENTION.IMPORT_BATCH,
+    transform: (reading) => {
+      const timestamp = new Date(reading.timestamp);
+      if ((from && timestamp < new Date(from)) || (to && timestamp >= new Date(to))) return null;
+      return { ...reading, restoredAt };
+    }
+  });
+
+  archive.restores.push({ restoredAt, restoredBy: userId, ...totals });
+  await archive.save();
+
+  logger.info('Reading archive restored', { archiveId: archive._id, farmId: archive.farmId, ...totals });
+  return { ...totals, keptUntil: new Date(restoredAt.getTime() + RETENTION.RESTORE_KEEP_DAYS * DAY_MS) };
+};
+
+// Run a pass, never overlapping a previous one
+const runCheck = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const result = await runRetention();
+    if (result.archived > 0 || result.deleted > 0) {
+      logger.info('Reading retention pass completed', result);
+    }
+  } catch (error) {
+    logger.error('Reading retention pass failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Start the periodic retention job
+const startRetentionJob = () => {
+  if (retentionTimer) return;
+
+  retentionTimer = setInterval(runCheck, RETENTION.CHECK_INTERVAL);
+  dropLegacyTtlIndex().then(runCheck);
+
+  logger.info('Reading retention job started', { interval: RETENTION.CHECK_INTERVAL });
+};
+
+// Stop the periodic retention job
+const stopRetentionJob = () => {
+  if (retentionTimer) {
+    clearInterval(retentionTimer);
+    retentionTimer = null;
+  }
+};
+
+module.exports = {
+  applyRetention,
+  runRetention,
+  verifyArchive,
+  restoreArchive,
+  startRetentionJob,
+  stopRetentionJob
+};
@@ -0,0 +1,266 @@
+/**
+ * Reading rollup service
+ * Maintains hourly and daily min/avg/max/count aggregates of every reading
+ * channel, per sensor and per farm zone, as readings are stored. Rollups are
+ * kept indefinitely so long-range history (e.g. comparing olive seasons year
+ * over year) survives the raw reading TTL. Also keeps the sensor's
+ * statistics.averages up to date from the rollups.
+ */
+
+const Sensor = require('../models/Sensor');
+const Farm = require('../models/Farm');
+const SensorReading = require('../models/SensorReading');
+const ReadingRollup = require('../models/ReadingRollup');
+const { logger } = require('../utils/logger');
+const { startOfPeriod } = require('../utils/helpers');
+const CONSTANTS = require('../config/constants');
+
+const { GRANULARITY, SCOPE, CHANNELS } = CONSTANTS.ROLLUPS;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sensorKey = (sensor) => ({ scope: SCOPE.SENSOR, sensorId: sensor._id, farmId: sensor.farmId, zone: null });
+
+const zoneKey = (farmId, zone) => ({ scope: SCOPE.ZONE, sensorId: null, farmId, zone });
+
+// Rollups a sensor's readings contribute to
+const rollupKeys = (sensor) => {
+  const keys = [sensorKey(sensor)];
+  if (sensor.location?.zone) keys.push(zoneKey(sensor.farmId, sensor.location.zone));
+  return keys;
+};
+
+// Merge readings into one partial aggregate per rollup bucket
+const aggregate = (keys, readings) => {
+  const buckets = new Map();
+
+  for (const reading of readings) {
+    for (const granularity of Object.values(GRANULARITY)) {
+      const bucket = startOfPeriod(reading.timestamp, granularity);
+
+      for (const key of keys) {
+        const id = `${key.scope}:${key.sensorId}:${key.zone}:${granularity}:${bucket.getTime()}`;
+        if (!buckets.has(id)) {
+          buckets.set(id, { filter: { ...key, granularity, bucket }, channels: {} });
+        }
+
+        const { channels } = buckets.get(id);
+        CHANNELS.forEach(channel => {
+          const value = reading.readings?.[channel];
+          if (typeof value !== 'number' || Number.isNaN(value)) return;
+
+          const stats = channels[channel] || (channels[channel] = { min: value, max: value, sum: 0, count: 0 });
+          stats.min = Math.min(stats.min, value);
+          stats.max = Math.max(stats.max, value);
+          stats.sum += value;
+          stats.count += 1;
+        });
+      }
+    }
+  }
+
+  return [...buckets.values()].filter(entry => Object.keys(entry.channels).length > 0);
+};
+
+// Upsert operations adding partial aggregates to the stored buckets
+const toOperations = (entries) => entries.map(({ filter, channels }) => {
+  const update = { $inc: {}, $min: {}, $max: {} };
+
+  Object.entries(channels).forEach(([channel, stats]) => {
+    update.$inc[`channels.${channel}.sum`] = stats.sum;
+    update.$inc[`channels.${channel}.count`] = stats.count;
+    update.$min[`channels.${channel}.min`] = stats.min;
+    update.$max[`channels.${channel}.max`] = stats.max;
+  });
+
+  return { updateOne: { filter, update, upsert: true } };
+});
+
+// Weighted average of a channel over rollup buckets
+const averageOf = (rollups, channel) => {
+  const totals = rollups.reduce((acc, rollup) => {
+    const stats = rollup.channels?.[channel];
+    if (stats?.count) {
+      acc.sum += stats.sum;
+      acc.count += stats.count;
+    }
+    return acc;
+  }, { sum: 0, count: 0 });
+
+  return totals.count > 0 ? Math.round((totals.sum / totals.count) * 10) / 10 : undefined;
+};
+
+// Recompute statistics.averages (last 24 hours, 7 days and 30 days)
+const refreshAverages = async (sensor, now = new Date()) => {
+  const key = sensorKey(sensor);
+  const [hourly, daily] = await Promise.all([
+    ReadingRollup.getSeries(key, GRANULARITY.HOUR, startOfPeriod(now.getTime() - DAY_MS, GRANULARITY.HOUR)),
+    ReadingRollup.getSeries(key, GRANULARITY.DAY, startOfPeriod(now.getTime() - 29 * DAY_MS, GRANULARITY.DAY))
+  ]);
+
+  const weekStart = startOfPeriod(now.getTime() - 6 * DAY_MS, GRANULARITY.DAY);
+  const weekly = daily.filter(rollup => rollup.bucket >= weekStart);
+
+  const averages = {};
+  [['moisture', 'moistureLevel'], ['temperature', 'temperature']].forEach(([name, channel]) => {
+    averages[name] = {
+      daily: averageOf(hourly, channel),
+      weekly: averageOf(weekly, channel),
+      monthly: averageOf(daily, channel)
+    };
+  });
+
+  await Sensor.updateOne(
+    { _id: sensor._id },
+    { $set: { 'statistics.averages': { ...averages, updatedAt: now } } }
+  );
+
+  return averages;
+};
+
+// Add newly stored readings of a sensor to its rollups
+// Called after the readings are saved; a failure is logged rather than
+// failing ingestion (rebuild() can recompute the rollups)
+const recordReadings = async (sensor, readings) => {
+  if (readings.length === 0) return;
+
+  try {
+    await ReadingRollup.bulkWrite(toOperations(aggregate(rollupKeys(sensor), readings)), { ordered: false });
+
+    const updatedAt = sensor.statistics?.averages?.updatedAt;
+    if (!updatedAt || Date.now() - updatedAt.getTime() >= CONSTANTS.ROLLUPS.AVERAGES_REFRESH) {
+      await refreshAverages(sensor);
+    }
+  } catch (error) {
+    logger.error('Reading rollup update failed', {
+      sensorId: sensor._id,
+      readings: readings.length,
+      error: error.message
+    });
+  }
+};
+
+// Stream stored readings into freshly cleared rollups
+const replay = async (keys, query) => {
+  const cursor = SensorReading.find(query)
+    .select('timestamp readings')
+    .lean()
+    .cursor({ batchSize: CONSTANTS.ROLLUPS.REBUILD_BATCH });
+
+  let batch = [];
+  let count = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await ReadingRollup.bulkWrite(toOperations(aggregate(keys, batch)), { ordered: false });
+    count += batch.length;
+    batch = [];
+  };
+
+  for await (const reading of cursor) {
+    batch.push(reading);
+    if (batch.length >= CONSTANTS.ROLLUPS.REBUILD_BATCH) await flush();
+  }
+  await flush();
+
+  return count;
+};
+
+// Recompute a sensor's rollups (and its zone's) from the raw readings since a date,
+// e.g. after a retroactive recalibration changed stored moisture values
+// Buckets older than the farm's raw reading retention are left untouched,
+// since their readings no longer exist
+const rebuild = async (sensor, since) => {
+  const farm = await Farm.findById(sensor.farmId).select('settings.retention');
+  const cutoff = farm
+    ? farm.getRetentionCutoff()
+    : new Date(Date.now() - CONSTANTS.RETENTION.DEFAULT_DAYS * DAY_MS);
+  const retentionStart = startOfPeriod(cutoff.getTime() + DAY_MS, GRANULARITY.DAY);
+  const from = new Date(Math.max(startOfPeriod(since, GRANULARITY.DAY).getTime(), retentionStart.getTime()));
+
+  await ReadingRollup.deleteMany({ ...sensorKey(sensor), bucket: { $gte: from } });
+  const readings = await replay([sensorKey(sensor)], { sensorId: sensor._id, timestamp: { $gte: from } });
+
+  const zone = sensor.location?.zone;
+  if (zone) {
+    const zoneSensors = await Sensor.find({ farmId: sensor.farmId, 'location.zone': zone }).select('_id');
+
+    await ReadingRollup.deleteMany({ ...zoneKey(sensor.farmId, zone), bucket: { $gte: from } });
+    await replay([zoneKey(sensor.farmId, zone)], {
+      sensorId: { $in: zoneSensors.map(s => s._id) },
+      timestamp: { $gte: from }
+    });
+  }
+
+  await refreshAverages(sensor);
+
+  logger.info('Reading rollups rebuilt', { sensorId: sensor._id, zone, from, readings });
+  return { from, readings };
+};
+
+// Rollup granularity suited to a history range, or null for raw readings
+const resolutionFor = (startDate, endDate = new Date()) => {
+  const span = new Date(endDate) - new Date(startDate);
+
+  if (span > CONSTANTS.ROLLUPS.DAILY_AFTER) return GRANULARITY.DAY;
+  if (span > CONSTANTS.ROLLUPS.HOURLY_AFTER) return GRANULARITY.HOUR;
+  return null;
+};
+
+// Rollup series of a sensor, or of a zone ({ farmId, zone }), over a time range
+const getSeries = async (key, granularity, startDate, endDate) => {
+  const rollups = await ReadingRollup.getSeries(
+    key,
+    granularity,
+    startDate ? startOfPeriod(startDate, granularity) : undefined,
+    endDate
+  );
+
+  return rollups.map(rollup => rollup.toPoint());
+};
+
+// Combine two series points of the same bucket (a bucket spanning a hardware swap)
+const mergePoints = (a, b) => {
+  const point = { timestamp: a.timestamp };
+
+  CHANNELS.forEach(channel => {
+    const [x, y] = [a[channel], b[channel]];
+    if (!x || !y) {
+      if (x || y) point[channel] = x || y;
+      return;
+    }
+
+    point[channel] = {
+      min: Math.min(x.min, y.min),
+      max: Math.max(x.max, y.max),
+      avg: Math.round(((x.avg * x.count + y.avg * y.count) / (x.count + y.count)) * 100) / 100,
+      count: x.count + y.count
+    };
+  });
+
+  return point;
+};
+
+// Rollup series of a sensor position across hardware swaps (Sensor.getLineage)
+const getLineageSeries = async (lineage, granularity, startDate, endDate) => {
+  const points = new Map();
+
+  for (const { sensor } of lineage) {
+    const series = await getSeries({ sensorId: sensor._id, farmId: sensor.farmId }, granularity, startDate, endDate);
+
+    series.forEach(point => {
+      const time = point.timestamp.getTime();
+      points.set(time, points.has(time) ? mergePoints(points.get(time), point) : point);
+    });
+  }
+
+  return [...points.values()].sort((a, b) => a.timestamp - b.timestamp);
+};
+
+module.exports = {
+  recordReadings,
+  refreshAverages,
+  rebuild,
+  resolutionFor,
+  getSeries,
+  getLineageSeries
+};
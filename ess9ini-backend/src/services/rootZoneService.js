@@ -0,0 +1,311 @@
+/**
+ * Root-zone moisture
+ * Combines every depth measured in a farm zone (multi-depth probes, and
+ * single-depth sensors at location.depth) into one depth-weighted moisture
+ * over the crop's root zone, and builds depth x time profiles showing how
+ * irrigation water moves down the soil after each irrigation.
+ */
+
+const mongoose = require('mongoose');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const Alert = require('../models/Alert');
+const IrrigationEvent = require('../models/IrrigationEvent');
+const { parseZoneNumber } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { bucketTimes, countBuckets } = require('./timeseriesService');
+const CONSTANTS = require('../config/constants');
+
+const { ROOT_ZONE } = CONSTANTS;
+const HOUR_MS = 60 * 60 * 1000;
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Soil layer each measured depth stands for, down to the root depth: from
+// halfway to the depth above to halfway to the depth below, the deepest one
+// extending to the root depth
+const layersFor = (depths, rootDepth) => {
+  const inside = [...new Set(depths)].filter(depth => depth <= rootDepth).sort((a, b) => a - b);
+
+  return inside.map((depth, i) => {
+    const top = i === 0 ? 0 : (inside[i - 1] + depth) / 2;
+    const bottom = i === inside.length - 1 ? rootDepth : (depth + inside[i + 1]) / 2;
+    return { depth, top, bottom, weight: round((bottom - top) / rootDepth, 3) };
+  });
+};
+
+// Depth-weighted moisture from moisture values per depth (Map<depth, number[]>)
+const computeRootZone = (valuesByDepth, rootDepth) => {
+  const layers = layersFor([...valuesByDepth.keys()], rootDepth).map(layer => {
+    const values = valuesByDepth.get(layer.depth);
+    return { ...layer, moisture: round(mean(values)), sensors: values.length };
+  });
+
+  const rootZoneMoisture = layers.length > 0
+    ? round(layers.reduce((sum, layer) => sum + layer.weight * layer.moisture, 0) /
+      layers.reduce((sum, layer) => sum + layer.weight, 0))
+    : null;
+
+  const belowRootZone = [...valuesByDepth.entries()]
+    .filter(([depth]) => depth > rootDepth)
+    .sort(([a], [b]) => a - b)
+    .map(([depth, values]) => ({ depth, moisture: round(mean(values)), sensors: values.length }));
+
+  return { rootZoneMoisture, layers, belowRootZone };
+};
+
+// Moisture per depth of a reading: the probe profile, or the single value at
+// the sensor's depth
+const pointsOf = (reading, sensor) => {
+  if (reading.profile?.length) {
+    return reading.profile.map(point => ({ depth: point.depth, moisture: point.moistureLevel }));
+  }
+  return [{ depth: sensor.location?.depth ?? 15, moisture: reading.moistureLevel }];
+};
+
+// Sensors whose readings cannot be trusted: drifting, or with an open
+// sensor_error alert
+const findUntrustedSensors = async (farm) => {
+  const [drifting, failing] = await Promise.all([
+    Sensor.find({ farmId: farm._id, 'drift.status': CONSTANTS.DRIFT.STATUS.DRIFTING }).select('_id'),
+    Alert.find({
+      farmId: farm._id,
+      type: CONSTANTS.ALERT_KINDS.SENSOR_ERROR,
+      status: { $ne: CONSTANTS.ALERT_STATUS.RESOLVED }
+    }).select('sensorId')
+  ]);
+
+  return new Set([
+    ...drifting.map(sensor => sensor._id.toString()),
+    ...failing.filter(alert => alert.sensorId).map(alert => alert.sensorId.toString())
+  ]);
+};
+
+// Root-zone moisture of every zone of a farm, from each sensor's latest reading
+// With `trustedOnly` (automatic irrigation), untrusted sensors and readings
+// flagged with anomalies are left out
+const getFarmRootZones = async (farm, now = new Date(), { trustedOnly = false } = {}) => {
+  let sensors = await Sensor.find({ farmId: farm._id, isActive: true, 'location.zone': { $nin: [null, ''] } })
+    .select('name deviceId location');
+
+  if (trustedOnly) {
+    const untrusted = await findUntrustedSensors(farm);
+    sensors = sensors.filter(sensor => !untrusted.has(sensor._id.toString()));
+  }
+
+  const latest = await SensorReading.aggregate([
+    {
+      $match: {
+        sensorId: { $in: sensors.map(sensor => sensor._id) },
+        timestamp: { $gte: new Date(now.getTime() - ROOT_ZONE.CURRENT_WINDOW) },
+        ...(trustedOnly ? { 'anomalies.0': { $exists: false } } : {})
+      }
+    },
+    { $sort: { timestamp: -1 } },
+    {
+      $group: {
+        _id: '$sensorId',
+        timestamp: { $first: '$timestamp' },
+        moistureLevel: { $first: '$readings.moistureLevel' },
+        profile: { $first: '$profile' }
+      }
+    }
+  ]);
+  const latestBySensor = new Map(latest.map(reading => [reading._id.toString(), reading]));
+
+  const zones = new Map();
+  sensors.forEach(sensor => {
+    const zone = sensor.location.zone;
+    if (!zones.has(zone)) zones.set(zone, []);
+    zones.get(zone).push(sensor);
+  });
+
+  return [...zones.entries()].map(([zone, zoneSensors]) => {
+    const farmZone = farm.findZone(zone);
+    const rootDepth = farm.getRootDepth(farmZone);
+    const valuesByDepth = new Map();
+    const readingTimes = [];
+    const readings = [];
+
+    zoneSensors.forEach(sensor => {
+      const reading = latestBySensor.get(sensor._id.toString());
+      if (!reading) return;
+
+      readingTimes.push(reading.timestamp);
+      readings.push({ sensorId: sensor._id, moistureLevel: reading.moistureLevel, timestamp: reading.timestamp });
+      pointsOf(reading, sensor).forEach(({ depth, moisture }) => {
+        if (!valuesByDepth.has(depth)) valuesByDepth.set(depth, []);
+        valuesByDepth.get(depth).push(moisture);
+      });
+    });
+
+    return {
+      zone,
+      zoneId: farmZone?.id ?? null,
+      cropType: farmZone?.cropType || farm.primaryCrop,
+      rootDepth,
+      targetMoisture: farmZone?.targetMoisture ?? null,
+      ...computeRootZone(valuesByDepth, rootDepth),
+      sensors: zoneSensors.length,
+      reporting: readingTimes.length,
+      measuredAt: readingTimes.length > 0 ? new Date(Math.min(...readingTimes)) : null,
+      readings
+    };
+  });
+};
+
+// How far down each irrigation's water got, and how fast
+// Arrival is the first bucket WETTING_RISE points above the pre-irrigation level
+const trackWettingFronts = (irrigations, times, series) => {
+  return irrigations.map(event => {
+    const start = event.schedule.actualStartTime.getTime();
+    const end = start + ROOT_ZONE.WETTING_WINDOW;
+
+    const depths = series.map(({ depth, values }) => {
+      const before = times.map((time, i) => [time, values[i]]).filter(([time, value]) => time < start && value !== null);
+      const after = times.map((time, i) => [time, values[i]]).filter(([time, value]) => time >= start && time <= end && value !== null);
+
+      if (before.length === 0 || after.length === 0) return { depth, baseline: null, arrivedAt: null, lagHours: null };
+
+      const baseline = before[before.length - 1][1];
+      const arrival = after.find(([, value]) => value >= baseline + ROOT_ZONE.WETTING_RISE);
+      const peak = after.reduce((best, point) => (point[1] > best[1] ? point : best));
+
+      return {
+        depth,
+        baseline,
+        arrivedAt: arrival ? new Date(arrival[0]) : null,
+        lagHours: arrival ? round((arrival[0] - start) / HOUR_MS) : null,
+        peak: peak[1],
+        peakAt: new Date(peak[0]),
+        rise: round(peak[1] - baseline)
+      };
+    });
+
+    return {
+      irrigationId: event._id,
+      startedAt: event.schedule.actualStartTime,
+      endedAt: event.schedule.actualEndTime || null,
+      depths
+    };
+  });
+};
+
+// Depth x time moisture profile of sensors (one probe or a whole zone)
+// with the root-zone moisture over time and the wetting front of each irrigation
+const getProfile = async ({ farm, sensors, zone, from, to, bucket = ROOT_ZONE.PROFILE_BUCKET }) => {
+  to = to || new Date();
+  from = from || new Date(to.getTime() - ROOT_ZONE.PROFILE_RANGE);
+
+  if (countBuckets(from, to, bucket) > CONSTANTS.TIMESERIES.MAX_POINTS) {
+    throw new AppError(
+      `Range too long for ${bucket} buckets (max ${CONSTANTS.TIMESERIES.MAX_POINTS} points), use a larger bucket`,
+      400,
+      'TOO_MANY_POINTS'
+    );
+  }
+
+  const { times, offset } = bucketTimes(from, to, bucket);
+  const size = CONSTANTS.TIMESERIES.BUCKETS[bucket];
+  const start = new Date(times[0]);
+  const timestamp = { $toLong: '$timestamp' };
+
+  const rows = await SensorReading.aggregate([
+    {
+      $match: {
+        sensorId: { $in: sensors.map(sensor => new mongoose.Types.ObjectId(sensor._id)) },
+        timestamp: { $gte: start, $lte: to }
+      }
+    },
+    {
+      $project: {
+        sensorId: 1,
+        timestamp: 1,
+        points: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$profile', []] } }, 0] },
+            '$profile',
+            [{ depth: null, moistureLevel: '$readings.moistureLevel' }] // single-depth sensor
+          ]
+        }
+      }
+    },
+    { $unwind: '$points' },
+    {
+      $group: {
+        _id: {
+          bucket: { $subtract: [timestamp, { $mod: [{ $add: [timestamp, offset] }, size] }] },
+          sensorId: '$sensorId',
+          depth: '$points.depth'
+        },
+        moisture: { $avg: '$points.moistureLevel' }
+      }
+    }
+  ]);
+
+  // Average the sensors measuring the same depth
+  const sensorDepth = new Map(sensors.map(sensor => [sensor._id.toString(), sensor.location?.depth ?? 15]));
+  const cells = new Map();
+  rows.forEach(row => {
+    const depth = row._id.depth ?? sensorDepth.get(row._id.sensorId.toString());
+    const key = `${depth}:${row._id.bucket}`;
+    if (!cells.has(key)) cells.set(key, { depth, bucket: row._id.bucket, values: [] });
+    cells.get(key).values.push(row.moisture);
+  });
+
+  const depths = [...new Set([...cells.values()].map(cell => cell.depth))].sort((a, b) => a - b);
+  const series = depths.map(depth => ({
+    depth,
+    values: times.map(time => {
+      const cell = cells.get(`${depth}:${time}`);
+      return cell ? round(mean(cell.values)) : null;
+    })
+  }));
+
+  const farmZone = farm.findZone(zone);
+  const rootDepth = farm.getRootDepth(farmZone);
+  const rootZone = times.map((time, i) => {
+    const valuesByDepth = new Map();
+    series.forEach(({ depth, values }) => {
+      if (values[i] !== null) valuesByDepth.set(depth, [values[i]]);
+    });
+    return computeRootZone(valuesByDepth, rootDepth).rootZoneMoisture;
+  });
+
+  const irrigationQuery = {
+    farmId: farm._id,
+    'schedule.actualStartTime': { $gte: start, $lte: to }
+  };
+  const zoneNumber = farmZone?.id ?? parseZoneNumber(zone);
+  if (zoneNumber !== null && zoneNumber !== undefined) irrigationQuery.zones = zoneNumber;
+
+  const irrigations = await IrrigationEvent.find(irrigationQuery)
+    .sort({ 'schedule.actualStartTime': 1 })
+    .select('schedule zones')
+    .lean();
+
+  return {
+    zone: zone || null,
+    rootDepth,
+    from: start,
+    to,
+    bucket,
+    timestamps: times.map(time => new Date(time)),
+    depths,
+    series,
+    rootZone,
+    irrigations: trackWettingFronts(irrigations, times, series)
+  };
+};
+
+module.exports = {
+  layersFor,
+  computeRootZone,
+  getFarmRootZones,
+  getProfile
+};
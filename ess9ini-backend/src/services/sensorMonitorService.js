@@ -0,0 +1,201 @@
+/**
+ * Sensor connectivity monitor
+ * Periodically moves sensors that stopped reporting (past their own
+ * alerts.offline.timeout) to `offline` and back to `active` once data arrives
+ * again, raising and resolving `sensor_offline` alerts on the way. Every
+ * offline interval is recorded on the sensor so statistics.uptime reflects
+ * the real availability over the monitoring window.
+ *
+ * All state lives in the database, so the monitor can be restarted at any time.
+ */
+
+const Sensor = require('../models/Sensor');
+const Farm = require('../models/Farm');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const { logger } = require('../utils/logger');
+const notificationService = require('./notificationService');
+const CONSTANTS = require('../config/constants');
+
+const { SENSOR_STATUS, ALERT_KINDS } = CONSTANTS;
+
+let monitorTimer = null;
+let running = false;
+let lastUptimeRefresh = 0;
+
+// Offline alerts can be switched off per sensor and per farm
+const offlineAlertsEnabled = async (sensor, farmCache) => {
+  if (!sensor.alerts.offline.enabled) return false;
+
+  const farmId = sensor.farmId.toString();
+  if (!farmCache.has(farmId)) {
+    farmCache.set(farmId, await Farm.findById(sensor.farmId).select('name owner settings.alerts'));
+  }
+
+  const farm = farmCache.get(farmId);
+  return Boolean(farm) && farm.settings?.alerts?.sensorOffline?.enabled !== false;
+};
+
+// Store the uptime over the monitoring window and drop outages that left it
+const refreshUptime = async (sensor, now = new Date()) => {
+  const windowStart = new Date(now.getTime() - CONSTANTS.SENSOR_MONITOR.UPTIME_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const uptime = sensor.computeUptime(now);
+
+  await Sensor.updateOne(
+    { _id: sensor._id },
+    {
+      $set: { 'statistics.uptime': uptime },
+      $pull: { 'statistics.outages': { endedAt: { $lt: windowStart } } }
+    }
+  );
+
+  return uptime;
+};
+
+// Mark a silent sensor offline
+// The outage starts at the last contact with the device
+const markOffline = async (sensor, farmCache = new Map()) => {
+  const since = sensor.connectivity.lastSeen;
+
+  const updated = await Sensor.findOneAndUpdate(
+    { _id: sensor._id, status: SENSOR_STATUS.ACTIVE },
+    {
+      $set: { status: SENSOR_STATUS.OFFLINE, 'connectivity.offlineSince': since },
+      $push: { 'statistics.outages': { startedAt: since } }
+    },
+    { new: true }
+  );
+
+  // Already handled (or put in maintenance) meanwhile
+  if (!updated) return null;
+
+  await refreshUptime(updated);
+  logger.sensor('OFFLINE', updated._id, updated.deviceId, { lastSeen: since });
+
+  if (await offlineAlertsEnabled(updated, farmCache)) {
+    const { alert, created } = await Alert.raise({
+      farmId: updated.farmId,
+      sensorId: updated._id,
+      type: ALERT_KINDS.SENSOR_OFFLINE,
+      category: CONSTANTS.ALERT_CATEGORIES.SENSOR,
+      severity: CONSTANTS.ALERT_TYPES.WARNING,
+      message: `Sensor ${updated.name} (${updated.deviceId}) has not reported since ${since.toISOString()}`,
+      data: { lastSeen: since, timeout: updated.alerts.offline.timeout }
+    });
+
+    if (created) {
+      logger.alert(alert.type, alert.severity, alert.message, updated.farmId);
+      await notificationService.sendAlert(alert, await User.findByFarm(updated.farmId));
+    }
+  }
+
+  return updated;
+};
+
+// Return an offline sensor to active and close its outage
+const markOnline = async (sensor, at = new Date()) => {
+  const updated = await Sensor.findOneAndUpdate(
+    { _id: sensor._id, status: SENSOR_STATUS.OFFLINE },
+    {
+      $set: { status: SENSOR_STATUS.ACTIVE, 'statistics.outages.$[open].endedAt': at },
+      $unset: { 'connectivity.offlineSince': 1 }
+    },
+    { new: true, arrayFilters: [{ 'open.endedAt': { $exists: false } }] }
+  );
+
+  if (!updated) return null;
+
+  const since = sensor.connectivity.offlineSince;
+  const minutes = since ? Math.round((at - since) / 60000) : null;
+  const resolution = minutes !== null ? `Sensor reported again after ${minutes} minutes offline` : 'Sensor reported again';
+
+  await refreshUptime(updated, at);
+  await Alert.resolveOpen(updated._id, ALERT_KINDS.SENSOR_OFFLINE, resolution);
+  logger.sensor('ONLINE', updated._id, updated.deviceId, { offlineSince: since, minutesOffline: minutes });
+
+  return updated;
+};
+
+// Recompute uptime for sensors with recorded outages (or a stale value)
+const refreshAllUptime = async () => {
+  const now = new Date();
+  const sensors = await Sensor.find({
+    isActive: true,
+    $or: [
+      { 'statistics.outages.0': { $exists: true } },
+      { 'statistics.uptime': { $lt: 100 } }
+    ]
+  }).select('createdAt statistics.outages statistics.uptime');
+
+  for (const sensor of sensors) {
+    await refreshUptime(sensor, now);
+  }
+
+  return sensors.length;
+};
+
+// One monitor pass
+const checkSensors = async () => {
+  const farmCache = new Map();
+  let offline = 0;
+  let recovered = 0;
+
+  for (const sensor of await Sensor.findRecovered()) {
+    if (await markOnline(sensor, sensor.connectivity.lastSeen)) recovered++;
+  }
+
+  for (const sensor of await Sensor.findOffline()) {
+    if (await markOffline(sensor, farmCache)) offline++;
+  }
+
+  if (Date.now() - lastUptimeRefresh >= CONSTANTS.SENSOR_MONITOR.UPTIME_REFRESH) {
+    await refreshAllUptime();
+    lastUptimeRefresh = Date.now();
+  }
+
+  if (offline > 0 || recovered > 0) {
+    logger.info('Sensor connectivity updated', { offline, recovered });
+  }
+
+  return { offline, recovered };
+};
+
+// Run a pass, never overlapping a previous one
+const runCheck = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await checkSensors();
+  } catch (error) {
+    logger.error('Sensor monitor pass failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Start the periodic monitor
+const startSensorMonitor = () => {
+  if (monitorTimer) return;
+
+  monitorTimer = setInterval(runCheck, CONSTANTS.SENSOR_MONITOR.CHECK_INTERVAL);
+  runCheck();
+
+  logger.info('Sensor monitor started', { interval: CONSTANTS.SENSOR_MONITOR.CHECK_INTERVAL });
+};
+
+// Stop the periodic monitor
+const stopSensorMonitor = () => {
+  if (monitorTimer) {
+    clearInterval(monitorTimer);
+    monitorTimer = null;
+  }
+};
+
+module.exports = {
+  markOffline,
+  markOnline,
+  checkSensors,
+  startSensorMonitor,
+  stopSensorMonitor
+};
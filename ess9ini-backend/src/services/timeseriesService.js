@@ -0,0 +1,265 @@
+/**
+ * Time-series query service
+ * Builds chart-ready series for one or more sensors, or a whole farm zone:
+ * every series shares the same bucket timestamps, buckets without data are
+ * null and listed as gaps, and gaps can optionally be interpolated. Hourly
+ * and daily min/avg/max come from the reading rollups; other bucket sizes and
+ * the last value are aggregated from the raw readings.
+ */
+
+const mongoose = require('mongoose');
+const Sensor = require('../models/Sensor');
+const SensorReading = require('../models/SensorReading');
+const ReadingRollup = require('../models/ReadingRollup');
+const rollupService = require('./rollupService');
+const { hardwareChanges } = require('./replacementService');
+const { getTimeZoneOffset } = require('../utils/helpers');
+const CONSTANTS = require('../config/constants');
+
+const { BUCKETS, CHANNELS } = CONSTANTS.TIMESERIES;
+
+// Rollup granularity matching a bucket size
+const ROLLUP_BUCKETS = {
+  '1h': CONSTANTS.ROLLUPS.GRANULARITY.HOUR,
+  '1d': CONSTANTS.ROLLUPS.GRANULARITY.DAY
+};
+
+const round = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : null);
+
+// Bucket start containing a time; buckets are aligned to local (Africa/Tunis) time
+const bucketStart = (time, size, offset) => Math.floor((time + offset) / size) * size - offset;
+
+// Aligned bucket start times covering [from, to]
+const bucketTimes = (from, to, bucket) => {
+  const size = BUCKETS[bucket];
+  const offset = getTimeZoneOffset(from) * 60 * 1000;
+  const times = [];
+
+  for (let time = bucketStart(from.getTime(), size, offset); time <= to.getTime(); time += size) {
+    times.push(time);
+  }
+
+  return { times, offset };
+};
+
+// Number of buckets a query would return per series
+const countBuckets = (from, to, bucket) => {
+  const size = BUCKETS[bucket];
+  return Math.floor((to - from) / size) + 1;
+};
+
+// Smallest bucket size keeping a range within the point limit
+const defaultBucket = (from, to) => {
+  return Object.keys(BUCKETS).find(bucket => countBuckets(from, to, bucket) <= CONSTANTS.TIMESERIES.MAX_POINTS)
+    || '1d';
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+// Aggregate raw readings per bucket and per series: each sensor series
+// ({ id, sensorIds }) covers every device of its position, a zone is one series
+// Returns Map<seriesKey, Map<bucketTime, { [channel_aggregate]: value }>>
+const fromReadings = async ({ sensorIds, series, from, to, bucket, offset, channels, aggregates }) => {
+  const size = BUCKETS[bucket];
+  const timestamp = { $toLong: '$timestamp' };
+
+  const seriesKey = series
+    ? {
+      $switch: {
+        branches: series.map(({ id, sensorIds: ids }) => ({ case: { $in: ['$sensorId', ids.map(toObjectId)] }, then: id })),
+        default: null
+      }
+    }
+    : 'zone';
+
+  const group = {
+    _id: {
+      bucket: { $subtract: [timestamp, { $mod: [{ $add: [timestamp, offset] }, size] }] },
+      series: seriesKey
+    }
+  };
+
+  channels.forEach(channel => {
+    const field = `$readings.${CHANNELS[channel]}`;
+
+    aggregates.forEach(aggregate => {
+      const name = `${channel}_${aggregate}`;
+      if (aggregate === 'last') {
+        // Latest reading carrying the channel: documents compare field by
+        // field, and missing values ($gt null fails) never win
+        group[name] = { $max: { $cond: [{ $gt: [field, null] }, { t: '$timestamp', v: field }, null] } };
+      } else {
+        group[name] = { [`$${aggregate}`]: field };
+      }
+    });
+  });
+
+  const rows = await SensorReading.aggregate([
+    {
+      $match: {
+        sensorId: { $in: sensorIds.map(toObjectId) },
+        timestamp: { $gte: from, $lte: to }
+      }
+    },
+    { $group: group }
+  ]);
+
+  const result = new Map();
+  rows.forEach(row => {
+    const key = row._id.series;
+    if (!result.has(key)) result.set(key, new Map());
+
+    const values = {};
+    channels.forEach(channel => aggregates.forEach(aggregate => {
+      const value = row[`${channel}_${aggregate}`];
+      values[`${channel}_${aggregate}`] = aggregate === 'last' ? value?.v : value;
+    }));
+    result.get(key).set(row._id.bucket, values);
+  });
+
+  return result;
+};
+
+// Read hourly / daily rollups of each series (sensor series follow their lineage)
+const fromRollups = async ({ keys, from, to, bucket, channels, aggregates }) => {
+  const result = new Map();
+
+  await Promise.all(keys.map(async ({ id, key, lineage }) => {
+    const points = lineage
+      ? await rollupService.getLineageSeries(lineage, ROLLUP_BUCKETS[bucket], from, to)
+      : (await ReadingRollup.getSeries(key, ROLLUP_BUCKETS[bucket], from, to)).map(rollup => rollup.toPoint());
+    const buckets = new Map();
+
+    points.forEach(point => {
+      const values = {};
+
+      channels.forEach(channel => aggregates.forEach(aggregate => {
+        values[`${channel}_${aggregate}`] = point[CHANNELS[channel]]?.[aggregate];
+      }));
+      buckets.set(point.timestamp.getTime(), values);
+    });
+
+    result.set(id, buckets);
+  }));
+
+  return result;
+};
+
+// Contiguous runs of missing buckets
+const findGaps = (values, times, size) => {
+  const gaps = [];
+  let start = null;
+
+  values.forEach((value, i) => {
+    if (value === null && start === null) start = i;
+    if (value !== null && start !== null) {
+      gaps.push({ from: new Date(times[start]), to: new Date(times[i - 1] + size), buckets: i - start });
+      start = null;
+    }
+  });
+
+  if (start !== null) {
+    gaps.push({ from: new Date(times[start]), to: new Date(times[times.length - 1] + size), buckets: values.length - start });
+  }
+
+  return gaps;
+};
+
+// Fill gaps between known values; leading and trailing gaps stay null
+const interpolate = (values, method) => {
+  if (method === 'none') return values;
+
+  const filled = [...values];
+  let previous = null;
+
+  for (let i = 0; i < filled.length; i++) {
+    if (filled[i] !== null) {
+      previous = i;
+      continue;
+    }
+    if (previous === null) continue;
+
+    let next = i;
+    while (next < filled.length && filled[next] === null) next++;
+    if (next === filled.length) break;
+
+    for (let j = i; j < next; j++) {
+      filled[j] = method === 'previous'
+        ? filled[previous]
+        : round(filled[previous] + ((filled[next] - filled[previous]) * (j - previous)) / (next - previous));
+    }
+    i = next - 1;
+  }
+
+  return filled;
+};
+
+// Build aligned series
+// Either `sensors` (documents) or `zone` ({ farmId, zone, sensors }) is queried;
+// a sensor series continues across hardware replacements at its position
+const query = async ({ sensors, zone, from, to, bucket, channels, aggregates, interpolation = 'none' }) => {
+  const { times, offset } = bucketTimes(from, to, bucket);
+  const size = BUCKETS[bucket];
+  const useRollups = Boolean(ROLLUP_BUCKETS[bucket]) && !aggregates.includes('last');
+
+  const targets = zone
+    ? [{ id: 'zone', key: { farmId: zone.farmId, zone: zone.zone }, info: { zone: zone.zone, farmId: zone.farmId } }]
+    : await Promise.all(sensors.map(async sensor => {
+      const lineage = await Sensor.getLineage(sensor);
+      return {
+        id: sensor._id.toString(),
+        lineage,
+        sensorIds: lineage.map(({ sensor: member }) => member._id.toString()),
+        info: { sensorId: sensor._id, name: sensor.name, deviceId: sensor.deviceId, hardwareChanges: hardwareChanges(lineage) }
+      };
+    }));
+
+  const start = new Date(times[0]);
+  const data = useRollups
+    ? await fromRollups({ keys: targets, from: start, to, bucket, channels, aggregates })
+    : await fromReadings({
+      sensorIds: zone ? zone.sensors.map(sensor => sensor._id) : targets.flatMap(target => target.sensorIds),
+      series: zone ? null : targets.map(({ id, sensorIds }) => ({ id, sensorIds })),
+      from: start,
+      to,
+      bucket,
+      offset,
+      channels,
+      aggregates
+    });
+
+  const series = [];
+  targets.forEach(target => {
+    const buckets = data.get(target.id) || new Map();
+
+    channels.forEach(channel => aggregates.forEach(aggregate => {
+      const raw = times.map(time => round(buckets.get(time)?.[`${channel}_${aggregate}`]));
+
+      series.push({
+        ...target.info,
+        channel,
+        aggregate,
+        values: interpolate(raw, interpolation),
+        gaps: findGaps(raw, times, size)
+      });
+    }));
+  });
+
+  return {
+    from: start,
+    to,
+    bucket,
+    interpolation,
+    source: useRollups ? 'rollup' : 'raw',
+    timestamps: times.map(time => new Date(time)),
+    series
+  };
+};
+
+module.exports = {
+  query,
+  bucketTimes,
+  countBuckets,
+  defaultBucket,
+  interpolate
+};
@@ -0,0 +1,302 @@
+/**
+ * Technician work orders
+ * Turns sensor conditions that need someone in the field (overdue maintenance,
+ * low battery, offline, drift) into work orders, and tracks manual and
+ * automatic orders through open / in progress / done. Closing an order records
+ * it in the sensor's maintenance log, which moves its next maintenance date.
+ *
+ * A periodic pass opens one order per sensor and condition, and cancels
+ * automatic orders nobody has started once their condition has cleared.
+ */
+
+const Sensor = require('../models/Sensor');
+const User = require('../models/User');
+const WorkOrder = require('../models/WorkOrder');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const notificationService = require('./notificationService');
+const CONSTANTS = require('../config/constants');
+
+const { TYPES, SOURCES, STATUS, NOTE_TYPES } = CONSTANTS.WORK_ORDERS;
+
+let workOrderTimer = null;
+let running = false;
+
+const sensorLabel = (sensor) => `${sensor.name} (${sensor.deviceId})`;
+
+// Sensor conditions that open an automatic work order
+const CONDITIONS = [
+  {
+    type: TYPES.MAINTENANCE,
+    find: () => Sensor.findNeedingMaintenance(),
+    describe: (sensor) => ({
+      title: `Scheduled maintenance of ${sensorLabel(sensor)}`,
+      description: `Maintenance was due on ${sensor.maintenance.nextMaintenance.toISOString().slice(0, 10)}`,
+      priority: 'normal',
+      dueDate: sensor.maintenance.nextMaintenance,
+      data: { nextMaintenance: sensor.maintenance.nextMaintenance }
+    })
+  },
+  {
+    type: TYPES.LOW_BATTERY,
+    // At or below the sensor's threshold, or expected to get there (battery forecast)
+    find: (now) => Sensor.find({
+      isActive: true,
+      'alerts.lowBattery.enabled': true,
+      $or: [
+        {
+          $expr: {
+            $and: [
+              { $isNumber: '$statistics.lastReading.batteryLevel' },
+              { $lte: ['$statistics.lastReading.batteryLevel', '$alerts.lowBattery.threshold'] }
+            ]
+          }
+        },
+        { 'batteryForecast.replaceBy': { $lte: now } }
+      ]
+    }),
+    describe: (sensor) => {
+      const level = sensor.statistics.lastReading?.batteryLevel;
+      return {
+        title: `Replace battery of ${sensorLabel(sensor)}`,
+        description: `Battery at ${level ?? '?'}%` +
+          (sensor.batteryForecast?.emptyAt ? `, expected to run out on ${sensor.batteryForecast.emptyAt.toISOString().slice(0, 10)}` : ''),
+        priority: level !== undefined && level <= sensor.alerts.lowBattery.threshold / 2 ? 'high' : 'normal',
+        dueDate: sensor.batteryForecast?.emptyAt,
+        data: { batteryLevel: level, emptyAt: sensor.batteryForecast?.emptyAt }
+      };
+    }
+  },
+  {
+    type: TYPES.OFFLINE,
+    find: () => Sensor.find({ isActive: true, status: CONSTANTS.SENSOR_STATUS.OFFLINE }),
+    describe: (sensor) => ({
+      title: `Bring ${sensorLabel(sensor)} back online`,
+      description: `No data since ${(sensor.connectivity.offlineSince || sensor.connectivity.lastSeen).toISOString()}`,
+      priority: 'high',
+      data: { offlineSince: sensor.connectivity.offlineSince, lastSeen: sensor.connectivity.lastSeen }
+    })
+  },
+  {
+    type: TYPES.DRIFT,
+    find: () => Sensor.find({ isActive: true, 'drift.status': CONSTANTS.DRIFT.STATUS.DRIFTING }),
+    describe: (sensor) => ({
+      title: `Check and recalibrate ${sensorLabel(sensor)}`,
+      description: `Reads ${sensor.drift.offset} % points from its zone peers after wetting events`,
+      priority: 'normal',
+      data: { offset: sensor.drift.offset, trend: sensor.drift.trend, peers: sensor.drift.peers }
+    })
+  }
+];
+
+// Let the technician know an order was assigned to them
+const notifyAssignee = async (order, technician) => {
+  await notificationService.sendSystemNotification(
+    'New work order',
+    `${order.title} has been assigned to you`,
+    [technician],
+    { workOrderId: order._id, sensorId: order.sensorId, priority: order.priority }
+  );
+};
+
+// Load an active technician to assign orders to
+const findTechnician = async (technicianId) => {
+  const technician = await User.findById(technicianId);
+
+  if (!technician || !technician.isActive || technician.role !== CONSTANTS.USER_ROLES.TECHNICIAN) {
+    throw new AppError('Work orders can only be assigned to an active technician', 400, 'INVALID_TECHNICIAN');
+  }
+
+  return technician;
+};
+
+// Create a work order by hand for a sensor
+const createWorkOrder = async (sensor, data, userId) => {
+  if (sensor.status === CONSTANTS.SENSOR_STATUS.RETIRED) {
+    throw new AppError('Sensor has been replaced', 400, 'SENSOR_RETIRED');
+  }
+
+  const technician = data.assignedTo ? await findTechnician(data.assignedTo) : null;
+
+  const order = new WorkOrder({
+    farmId: sensor.farmId,
+    sensorId: sensor._id,
+    type: data.type || TYPES.REPAIR,
+    source: SOURCES.MANUAL,
+    title: data.title,
+    description: data.description,
+    priority: data.priority,
+    dueDate: data.dueDate,
+    createdBy: userId
+  });
+  order.transition(STATUS.OPEN, userId, 'Created');
+
+  if (technician) {
+    order.assignedTo = technician._id;
+    order.assignedAt = new Date();
+    order.history.push({ status: STATUS.OPEN, by: userId, message: `Assigned to ${technician.fullName}` });
+  }
+
+  await order.save();
+  if (technician) await notifyAssignee(order, technician);
+
+  return order;
+};
+
+// Assign (or reassign) an open order to a technician
+const assignWorkOrder = async (order, technicianId, userId) => {
+  if (!order.isOpen) {
+    throw new AppError('Work order is already closed', 400, 'WORK_ORDER_CLOSED');
+  }
+
+  const technician = await findTechnician(technicianId);
+
+  order.assignedTo = technician._id;
+  order.assignedAt = new Date();
+  order.history.push({ status: order.status, by: userId, message: `Assigned to ${technician.fullName}` });
+  await order.save();
+
+  await notifyAssignee(order, technician);
+  return order;
+};
+
+// Start working on an open order
+const startWorkOrder = async (order, userId) => {
+  if (order.status !== STATUS.OPEN) {
+    throw new AppError(`Work order is ${order.status.replace('_', ' ')}`, 400, 'INVALID_STATUS');
+  }
+
+  order.startedAt = new Date();
+  order.transition(STATUS.IN_PROGRESS, userId, 'Work started');
+  return order.save();
+};
+
+// Close an order as done and record it in the sensor's maintenance log
+// (which updates lastMaintenance, and so the next maintenance date)
+const completeWorkOrder = async (order, { notes, cost, noteType }, userId) => {
+  if (!order.isOpen) {
+    throw new AppError('Work order is already closed', 400, 'WORK_ORDER_CLOSED');
+  }
+
+  const sensor = await Sensor.findById(order.sensorId);
+  if (sensor) {
+    await sensor.addMaintenanceRecord({
+      type: noteType || NOTE_TYPES[order.type],
+      description: (notes ? `${order.title}: ${notes}` : order.title).slice(0, 500),
+      technician: userId,
+      cost
+    });
+  }
+
+  const now = new Date();
+  order.startedAt = order.startedAt || now;
+  order.completedAt = now;
+  order.completedBy = userId;
+  order.resolution = { notes, cost };
+  order.transition(STATUS.DONE, userId, 'Completed');
+  await order.save();
+
+  logger.sensor('MAINTENANCE', order.sensorId, sensor?.deviceId, { workOrderId: order._id, type: order.type, cost });
+
+  return order;
+};
+
+// Cancel an open order
+const cancelWorkOrder = async (order, reason, userId) => {
+  if (!order.isOpen) {
+    throw new AppError('Work order is already closed', 400, 'WORK_ORDER_CLOSED');
+  }
+
+  order.transition(STATUS.CANCELLED, userId, reason || 'Cancelled');
+  return order.save();
+};
+
+// Open orders for current sensor conditions and cancel unstarted automatic
+// orders whose condition has cleared
+const generateWorkOrders = async (now = new Date()) => {
+  let created = 0;
+  let cancelled = 0;
+
+  for (const condition of CONDITIONS) {
+    const sensors = await condition.find(now);
+
+    for (const sensor of sensors) {
+      try {
+        if (await WorkOrder.findOpen(sensor._id, condition.type)) continue;
+
+        const order = new WorkOrder({
+          farmId: sensor.farmId,
+          sensorId: sensor._id,
+          type: condition.type,
+          source: SOURCES.AUTOMATIC,
+          ...condition.describe(sensor)
+        });
+        order.transition(STATUS.OPEN, undefined, 'Created automatically');
+        await order.save();
+        created++;
+      } catch (error) {
+        logger.error('Work order creation failed', { sensorId: sensor._id, type: condition.type, error: error.message });
+      }
+    }
+
+    const cleared = await WorkOrder.updateMany(
+      {
+        type: condition.type,
+        source: SOURCES.AUTOMATIC,
+        status: STATUS.OPEN,
+        sensorId: { $nin: sensors.map(sensor => sensor._id) }
+      },
+      {
+        $set: { status: STATUS.CANCELLED },
+        $push: { history: { status: STATUS.CANCELLED, date: now, message: 'Condition cleared before work started' } }
+      }
+    );
+    cancelled += cleared.modifiedCount;
+  }
+
+  return { created, cancelled };
+};
+
+// Run one pass, skipping if the previous one is still running
+const runCheck = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const result = await generateWorkOrders();
+    logger.info('Work order check completed', result);
+  } catch (error) {
+    logger.error('Work order check failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Start the periodic work order check
+const startWorkOrderJob = () => {
+  if (workOrderTimer) return;
+
+  workOrderTimer = setInterval(runCheck, CONSTANTS.WORK_ORDERS.CHECK_INTERVAL);
+  runCheck();
+
+  logger.info('Work order job started', { interval: CONSTANTS.WORK_ORDERS.CHECK_INTERVAL });
+};
+
+// Stop the periodic work order check
+const stopWorkOrderJob = () => {
+  if (workOrderTimer) {
+    clearInterval(workOrderTimer);
+    workOrderTimer = null;
+  }
+};
+
+module.exports = {
+  createWorkOrder,
+  assignWorkOrder,
+  startWorkOrder,
+  completeWorkOrder,
+  cancelWorkOrder,
+  generateWorkOrders,
+  startWorkOrderJob,
+  stopWorkOrderJob
+};
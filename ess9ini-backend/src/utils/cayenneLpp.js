@@ -0,0 +1,88 @@
+/**
+ * Cayenne LPP (Low Power Payload) decoder
+ * Each record is <channel:1 byte><type:1 byte><data:n bytes>, big-endian
+ * https://docs.mydevices.com/docs/lorawan/cayenne-lpp
+ */
+
+// Data types: size in bytes, signedness and scale
+const LPP_TYPES = {
+  0: { name: 'digitalInput', size: 1, signed: false, scale: 1 },
+  1: { name: 'digitalOutput', size: 1, signed: false, scale: 1 },
+  2: { name: 'analogInput', size: 2, signed: true, scale: 0.01 },
+  3: { name: 'analogOutput', size: 2, signed: true, scale: 0.01 },
+  100: { name: 'genericSensor', size: 4, signed: false, scale: 1 },
+  101: { name: 'illuminance', size: 2, signed: false, scale: 1 },
+  102: { name: 'presence', size: 1, signed: false, scale: 1 },
+  103: { name: 'temperature', size: 2, signed: true, scale: 0.1 },
+  104: { name: 'humidity', size: 1, signed: false, scale: 0.5 },
+  113: { name: 'accelerometer', size: 6, signed: true, scale: 0.001, axes: ['x', 'y', 'z'] },
+  115: { name: 'barometer', size: 2, signed: false, scale: 0.1 },
+  116: { name: 'voltage', size: 2, signed: false, scale: 0.01 },
+  120: { name: 'percentage', size: 1, signed: false, scale: 1 },
+  134: { name: 'gyrometer', size: 6, signed: true, scale: 0.01, axes: ['x', 'y', 'z'] },
+  136: { name: 'gps', size: 9 }
+};
+
+// Read an n-byte big-endian integer
+const readInt = (buffer, offset, size, signed) => {
+  return signed ? buffer.readIntBE(offset, size) : buffer.readUIntBE(offset, size);
+};
+
+// Round away floating point noise introduced by the scale factors
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Decode one record's data bytes
+const decodeValue = (type, buffer, offset) => {
+  if (type.name === 'gps') {
+    return {
+      latitude: round(buffer.readIntBE(offset, 3) * 0.0001),
+      longitude: round(buffer.readIntBE(offset + 3, 3) * 0.0001),
+      altitude: round(buffer.readIntBE(offset + 6, 3) * 0.01)
+    };
+  }
+
+  if (type.axes) {
+    const axisSize = type.size / type.axes.length;
+    return type.axes.reduce((value, axis, index) => {
+      value[axis] = round(readInt(buffer, offset + index * axisSize, axisSize, type.signed) * type.scale);
+      return value;
+    }, {});
+  }
+
+  return round(readInt(buffer, offset, type.size, type.signed) * type.scale);
+};
+
+// Decode a Cayenne LPP buffer into [{ channel, type, value }]
+const decode = (buffer) => {
+  const records = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    if (offset + 2 > buffer.length) {
+      throw new Error(`Truncated Cayenne LPP header at byte ${offset}`);
+    }
+
+    const channel = buffer[offset];
+    const typeId = buffer[offset + 1];
+    const type = LPP_TYPES[typeId];
+
+    if (!type) {
+      throw new Error(`Unsupported Cayenne LPP type ${typeId} on channel ${channel}`);
+    }
+
+    offset += 2;
+    if (offset + type.size > buffer.length) {
+      throw new Error(`Truncated Cayenne LPP ${type.name} value on channel ${channel}`);
+    }
+
+    records.push({ channel, type: type.name, value: decodeValue(type, buffer, offset) });
+    offset += type.size;
+  }
+
+  return records;
+};
+
+module.exports = {
+  LPP_TYPES,
+  decode
+};
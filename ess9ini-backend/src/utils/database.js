@@ -1,3 +1,10 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const mongoose = require('mongoose');
 
 /**
@@ -143,6 +150,13 @@ const bulkWrite = async (Model, operations, options = {}) => {
   return await Model.bulkWrite(operations, { ...defaultOptions, ...options });
 };
 
+// Whether an insertMany write error is a duplicate key error
+// Mongoose copies the driver's WriteError into a plain object, which keeps the
+// server error under `err` but drops the `code` getter
+const isDuplicateKeyError = (writeError) => {
+  return (writeError.err?.code ?? writeError.code) === 11000;
+};
+
 // Index management
 const createIndexes = async (Model, indexes) => {
   try {
@@ -179,13 +193,13 @@ const healthCheck = async () => {
   }
 };
 
-// Clean up old documents
-const cleanupOldDocuments = async (Model, field = 'createdAt', daysOld = 365) => {
+// Clean up old documents (optionally only those matching a filter)
+const cleanupOldDocuments = async (Model, field = 'createdAt', daysOld = 365, filter = {}) => {
   const cutoffDate = new Date();
   cutoffDate.setDate(cutoffDate.getDate() - daysOld);
   
   const result = await Model.deleteMany({
-    [field]: { $lt: cutoffDate }
+    $and: [filter, { [field]: { $lt: cutoffDate } }]
   });
   
   console.log(`🧹 Cleaned up ${result.deletedCount} old documents from ${Model.modelName}`);
@@ -218,8 +232,6 @@ const getCollectionStats = async (Model) => {
 const backupCollection = async (Model, filename) => {
   try {
     const documents = await Model.find({}).lean();
-    const fs = require('fs');
-    const path = require('path');
     
     const backupDir = path.join(process.cwd(), 'backups');
     if (!fs.existsSync(backupDir)) {
@@ -237,6 +249,177 @@ const backupCollection = async (Model, filename) => {
   }
 };
 
+// Read a dotted path ("readings.moistureLevel") from a document
+const getPath = (doc, field) => field.split('.').reduce((value, key) => value?.[key], doc);
+
+// Set a dotted path on a document
+const setPath = (doc, field, value) => {
+  const keys = field.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => (obj[key] = obj[key] || {}), doc);
+  target[last] = value;
+};
+
+// Format one CSV row
+const toCsvRow = (values) => values.map(value => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\n';
+
+// Split one CSV row, honouring quoted values
+const parseCsvRow = (line, delimiter = ',') => {
+  const values = [];
+  let value = '';
+  let quoted = false;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      values.push(value);
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  values.push(value);
+  
+  return values;
+};
+
+// Join lines into CSV records: a quoted value may span several lines
+// (an odd number of quotes so far leaves a value open)
+async function* csvRecords(lines) {
+  let record = null;
+  let quotes = 0;
+  
+  for await (const line of lines) {
+    record = record === null ? line : `${record}\n${line}`;
+    quotes += line.split('"').length - 1;
+    
+    if (quotes % 2 === 0) {
+      yield record;
+      record = null;
+      quotes = 0;
+    }
+  }
+  if (record !== null) yield record;
+}
+
+// Stream matching documents to a gzip compressed NDJSON or CSV file
+// CSV files only keep the given columns (dotted paths). The file is written
+// under a temporary name first, so an interrupted export never looks complete.
+const exportDocuments = async (Model, query, filePath, options = {}) => {
+  const { format = 'ndjson', columns = [], sort = { _id: 1 } } = options;
+  const cursor = Model.find(query).sort(sort).lean().cursor();
+  const hash = crypto.createHash('sha256');
+  const tempPath = `${filePath}.tmp`;
+  let count = 0;
+  let size = 0;
+  
+  async function* lines() {
+    if (format === 'csv') yield toCsvRow(columns);
+    
+    for await (const doc of cursor) {
+      count++;
+      yield format === 'csv'
+        ? toCsvRow(columns.map(field => getPath(doc, field)))
+        : JSON.stringify(doc) + '\n';
+    }
+  }
+  
+  const measure = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  
+  try {
+    await pipeline(Readable.from(lines()), zlib.createGzip(), measure, fs.createWriteStream(tempPath));
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+  
+  return { count, size, checksum: hash.digest('hex') };
+};
+
+// Insert the documents of a file written by exportDocuments
+// `transform` may adjust each document or return null to skip it. Documents
+// already present (duplicate key) are skipped; documents failing validation
+// are counted as failed
+const importDocuments = async (Model, filePath, options = {}) => {
+  const { format = 'ndjson', batchSize = 1000, transform = (doc) => doc } = options;
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+  const totals = { inserted: 0, duplicates: 0, failed: 0 };
+  let columns = null;
+  let batch = [];
+  
+  const flush = async () => {
+    if (batch.length === 0) return;
+    
+    try {
+      const result = await Model.insertMany(batch, { ordered: false, rawResult: true });
+      totals.inserted += result.insertedCount;
+      totals.failed += result.mongoose?.validationErrors?.length || 0;
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      
+      const duplicates = error.writeErrors.filter(isDuplicateKeyError).length;
+      totals.inserted += error.insertedDocs?.length || 0;
+      totals.duplicates += duplicates;
+      totals.failed += error.writeErrors.length - duplicates + (error.mongoose?.validationErrors?.length || 0);
+    }
+    batch = [];
+  };
+  
+  for await (const line of format === 'csv' ? csvRecords(lines) : lines) {
+    if (!line.trim()) continue;
+    
+    let doc;
+    if (format === 'csv') {
+      if (!columns) {
+        columns = parseCsvRow(line);
+        continue;
+      }
+      doc = {};
+      parseCsvRow(line).forEach((value, i) => {
+        if (value !== '' && columns[i]) setPath(doc, columns[i], value);
+      });
+    } else {
+      doc = JSON.parse(line);
+    }
+    
+    doc = transform(doc);
+    if (!doc) continue;
+    
+    batch.push(doc);
+    if (batch.length >= batchSize) await flush();
+  }
+  await flush();
+  
+  return totals;
+};
+
 module.exports = {
   isConnected,
   getConnectionStatus,
@@ -249,9 +432,16 @@ module.exports = {
   aggregateWithLookup,
   withTransaction,
   bulkWrite,
+  isDuplicateKeyError,
   createIndexes,
   healthCheck,
   cleanupOldDocuments,
   getCollectionStats,
-  backupCollection
+  backupCollection,
+  getPath,
+  setPath,
+  toCsvRow,
+  parseCsvRow,
+  exportDocuments,
+  importDocuments
 };
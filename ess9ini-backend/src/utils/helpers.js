@@ -95,6 +95,51 @@ const formatDateForTunisia = (date, format = 'full') => {
   return new Date(date).toLocaleString('en-GB', options);
 };
 
+// Offset of a time zone from UTC at a given instant, in minutes (Africa/Tunis: 60)
+const getTimeZoneOffset = (date, timeZone = CONSTANTS.TUNISIA.TIMEZONE) => {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(new Date(date))
+    .find(part => part.type === 'timeZoneName').value;
+  
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!match) return 0; // "GMT" means UTC
+  
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+// Start of the hour or (local) day containing a date
+const startOfPeriod = (date, unit, timeZone = CONSTANTS.TUNISIA.TIMEZONE) => {
+  const time = new Date(date).getTime();
+  const offset = getTimeZoneOffset(time, timeZone) * 60 * 1000;
+  const size = unit === 'day' ? 24 * 60 * 60 * 1000 : 60 * 60 * 1000;
+  
+  return new Date(Math.floor((time + offset) / size) * size - offset);
+};
+
+// Instant of a local date ("YYYY-MM-DD") and time ("HH:MM") in a time zone
+const fromLocalTime = (date, time, timeZone = CONSTANTS.TUNISIA.TIMEZONE) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const utc = Date.UTC(year, month - 1, day, hours, minutes);
+  
+  return new Date(utc - getTimeZoneOffset(utc, timeZone) * 60 * 1000);
+};
+
+// Local date ("YYYY-MM-DD") and weekday (0 = Sunday) of an instant in a time zone
+const toLocalDate = (date, timeZone = CONSTANTS.TUNISIA.TIMEZONE) => {
+  const time = new Date(date).getTime();
+  const local = new Date(time + getTimeZoneOffset(time, timeZone) * 60 * 1000);
+  
+  return { date: local.toISOString().slice(0, 10), weekday: local.getUTCDay() };
+};
+
+// Irrigation zone number of a free-text sensor zone ("3", "Zone 3")
+const parseZoneNumber = (zone) => {
+  const match = String(zone || '').match(/\d+/);
+  return match ? parseInt(match[0]) : null;
+};
+
 // Get time difference in human readable format
 const getTimeDifference = (date1, date2 = new Date()) => {
   const diff = Math.abs(date2 - date1);
@@ -254,6 +299,29 @@ const generateSlug = (str) => {
     .replace(/^-+|-+$/g, '');
 };
 
+// Compare two semantic versions ("1.4.2", "v2.0.0-beta.1")
+// Returns a negative number, zero or a positive number like a sort comparator
+const compareVersions = (a, b) => {
+  const parse = (version) => {
+    const [core, prerelease] = String(version).replace(/^v/i, '').split('-', 2);
+    return { parts: core.split('.').map(part => parseInt(part) || 0), prerelease };
+  };
+
+  const left = parse(a);
+  const right = parse(b);
+
+  for (let i = 0; i < Math.max(left.parts.length, right.parts.length); i++) {
+    const diff = (left.parts[i] || 0) - (right.parts[i] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  // A release ranks above its pre-releases
+  if (left.prerelease === right.prerelease) return 0;
+  if (!left.prerelease) return 1;
+  if (!right.prerelease) return -1;
+  return left.prerelease < right.prerelease ? -1 : 1;
+};
+
 // Check if object is empty
 const isEmpty = (obj) => {
   if (obj === null || obj === undefined) return true;
@@ -274,6 +342,11 @@ module.exports = {
   calculateDistance,
   toRadians,
   formatDateForTunisia,
+  getTimeZoneOffset,
+  startOfPeriod,
+  fromLocalTime,
+  toLocalDate,
+  parseZoneNumber,
   getTimeDifference,
   sanitizeString,
   generateDeviceId,
@@ -288,5 +361,6 @@ module.exports = {
   retry,
   formatFileSize,
   generateSlug,
+  compareVersions,
   isEmpty
 };
@@ -0,0 +1,131 @@
+const Alert = require('../src/models/Alert');
+const IrrigationEvent = require('../src/models/IrrigationEvent');
+const mqttService = require('../src/services/mqttService');
+const actuatorService = require('../src/services/actuatorService');
+const { handleConfirmation } = require('../src/services/actuatorDrivers');
+const CONSTANTS = require('../src/config/constants');
+const { buildFarm, buildEvent, stubSaves } = require('./helpers/irrigation');
+
+const { COMMAND_STATUS, STATES } = CONSTANTS.ACTUATORS;
+const { RUNNING, COMPLETED, FAILED } = CONSTANTS.IRRIGATION_STATUS;
+
+// Relay board on the MQTT broker: answers every command with `reply(command)`
+// (no answer when it returns undefined) and keeps the commands it received
+const useRelayBoard = (farm, reply) => {
+  const commands = [];
+
+  jest.spyOn(mqttService, 'publishToDevice').mockImplementation((device, channel, command) => {
+    commands.push(command);
+    const answer = reply(command);
+    if (answer) {
+      setImmediate(() => handleConfirmation(farm._id.toString(), device.deviceId, { commandId: command.id, ...answer }));
+    }
+    return true;
+  });
+
+  return commands;
+};
+
+// Let the background shutdown after a failed start run
+const settle = async () => {
+  for (let i = 0; i < 3; i++) await new Promise(resolve => setImmediate(resolve));
+};
+
+describe('actuatorService', () => {
+  let farm;
+  let event;
+
+  beforeEach(() => {
+    farm = buildFarm();
+    event = buildEvent(farm);
+    stubSaves();
+    jest.spyOn(IrrigationEvent, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Alert, 'raise').mockResolvedValue({ alert: {}, created: false });
+    jest.spyOn(Alert, 'resolveOpenForFarm').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('starts an irrigation once the relay board confirms, opening the master valve first and the pump last', async () => {
+    const commands = useRelayBoard(farm, () => ({ success: true }));
+
+    await actuatorService.startIrrigation(farm, event);
+
+    expect(event.status).toBe(RUNNING);
+    expect(event.actuation).toHaveLength(1);
+    expect(event.actuation[0].status).toBe(COMMAND_STATUS.CONFIRMED);
+    expect(commands[0].actions.map(action => [action.channel, action.state])).toEqual([
+      [0, STATES.ON], [2, STATES.ON], [1, STATES.ON]
+    ]);
+  });
+
+  it('fails the irrigation and shuts the relays again when the board reports a failure', async () => {
+    const commands = useRelayBoard(farm, command => ({ success: command.action === 'stop', message: 'Relay 2 stuck' }));
+
+    await expect(actuatorService.startIrrigation(farm, event)).rejects.toMatchObject({ statusCode: 502, code: 'ACTUATOR_FAILED' });
+
+    expect(event.status).toBe(FAILED);
+    expect(event.actuation[0].status).toBe(COMMAND_STATUS.FAILED);
+    expect(Alert.raise).toHaveBeenCalledWith(expect.objectContaining({ severity: CONSTANTS.ALERT_TYPES.WARNING }));
+
+    await settle();
+    expect(commands.map(command => command.action)).toEqual(['start', 'stop']);
+    expect(IrrigationEvent.updateOne).toHaveBeenCalledWith(
+      { _id: event._id },
+      { $push: { actuation: expect.objectContaining({ action: 'stop', status: COMMAND_STATUS.CONFIRMED }) } }
+    );
+  });
+
+  it('fails the irrigation when the board does not answer in time', async () => {
+    jest.useFakeTimers();
+    useRelayBoard(farm, () => undefined);
+
+    const started = actuatorService.startIrrigation(farm, event);
+    const failed = expect(started).rejects.toMatchObject({ statusCode: 504, code: 'ACTUATOR_TIMEOUT' });
+    await jest.advanceTimersByTimeAsync(farm.settings.actuators.timeout * 1000);
+    await failed;
+
+    expect(event.status).toBe(FAILED);
+    expect(event.actuation[0].status).toBe(COMMAND_STATUS.TIMEOUT);
+
+    // Let the shutdown after the failed start time out too
+    await jest.advanceTimersByTimeAsync(farm.settings.actuators.timeout * 1000);
+  });
+
+  it('leaves an unconfirmed stop to be retried, and completes the irrigation once a retry is confirmed', async () => {
+    let stopConfirmed = false;
+    useRelayBoard(farm, () => ({ success: stopConfirmed }));
+    await event.start();
+
+    await expect(actuatorService.stopIrrigation(farm, event)).rejects.toMatchObject({ code: 'ACTUATOR_FAILED' });
+
+    expect(event.status).toBe(FAILED);
+    expect(event.needsShutdown).toBe(true);
+    expect(Alert.raise).toHaveBeenCalledWith(expect.objectContaining({ severity: CONSTANTS.ALERT_TYPES.CRITICAL }));
+
+    stopConfirmed = true;
+    await actuatorService.stopIrrigation(farm, event);
+
+    expect(event.needsShutdown).toBe(false);
+    expect(event.status).toBe(COMPLETED);
+    expect(event.actuation.map(record => record.status)).toEqual([COMMAND_STATUS.FAILED, COMMAND_STATUS.CONFIRMED]);
+  });
+
+  it('ignores confirmations published by another controller', async () => {
+    jest.useFakeTimers();
+    const commands = useRelayBoard(farm, () => undefined);
+
+    const started = actuatorService.startIrrigation(farm, event);
+    const failed = expect(started).rejects.toMatchObject({ code: 'ACTUATOR_TIMEOUT' });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(handleConfirmation(farm._id.toString(), 'relay-2', { commandId: commands[0].id, success: true })).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(farm.settings.actuators.timeout * 1000);
+    await failed;
+    await jest.advanceTimersByTimeAsync(farm.settings.actuators.timeout * 1000);
+  });
+});
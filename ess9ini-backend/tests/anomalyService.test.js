@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const SensorReading = require('../src/models/SensorReading');
+const IrrigationEvent = require('../src/models/IrrigationEvent');
+const anomalyService = require('../src/services/anomalyService');
+const CONSTANTS = require('../src/config/constants');
+const { query } = require('./helpers/mongo');
+
+const { TYPES } = CONSTANTS.ANOMALY;
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2025, 7, 7, 0, 0);
+
+const sensor = { _id: new mongoose.Types.ObjectId(), farmId: new mongoose.Types.ObjectId(), location: { zone: 'Zone 1' } };
+
+const stored = (minutes, moistureLevel, extra = {}) => ({
+  timestamp: new Date(START + minutes * MINUTE),
+  readings: { moistureLevel },
+  ...extra
+});
+
+const reading = (minutes, moistureLevel) => new SensorReading({
+  sensorId: sensor._id,
+  farmId: sensor.farmId,
+  readings: { moistureLevel },
+  timestamp: new Date(START + minutes * MINUTE)
+});
+
+const types = (doc) => doc.anomalies.map(anomaly => anomaly.type);
+
+describe('anomaly detection', () => {
+  let history;
+  let irrigations;
+
+  beforeEach(() => {
+    history = [];
+    irrigations = [];
+    jest.spyOn(SensorReading, 'find').mockImplementation(() => query(history));
+    jest.spyOn(IrrigationEvent, 'find').mockImplementation(() => query(irrigations));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('flags a fast moisture rise with no irrigation running as a spike', async () => {
+    history = [stored(0, 30), stored(15, 30)];
+    const next = reading(20, 55);
+
+    await anomalyService.detect(sensor, [next]);
+
+    expect(types(next)).toEqual([TYPES.SPIKE]);
+  });
+
+  it('accepts the same rise while the zone is irrigated', async () => {
+    history = [stored(0, 30), stored(15, 30)];
+    irrigations = [{
+      status: CONSTANTS.IRRIGATION_STATUS.RUNNING,
+      zones: [1],
+      schedule: { actualStartTime: new Date(START + 10 * MINUTE) }
+    }];
+    const next = reading(20, 55);
+
+    await anomalyService.detect(sensor, [next]);
+
+    expect(types(next)).toEqual([]);
+  });
+
+  it('flags readings pinned at 0% as a flatline', async () => {
+    const batch = [reading(0, 0), reading(15, 0), reading(30, 0)];
+
+    await anomalyService.detect(sensor, batch);
+
+    expect(types(batch[1])).toEqual([]);
+    expect(types(batch[2])).toEqual([TYPES.FLATLINE]);
+  });
+
+  it('flags a value that has not changed for the whole stuck window', async () => {
+    history = Array.from({ length: 12 }, (_, hour) => stored(hour * 60, 37));
+    const next = reading(12 * 60, 37);
+
+    await anomalyService.detect(sensor, [next]);
+
+    expect(types(next)).toEqual([TYPES.STUCK_VALUE]);
+  });
+
+  it('flags a reading far from the rolling baseline as an outlier', async () => {
+    history = Array.from({ length: 24 }, (_, hour) => stored(hour * 60, 40 + (hour % 2)));
+    const next = reading(24 * 60 + 60, 62);
+
+    await anomalyService.detect(sensor, [next]);
+
+    expect(types(next)).toEqual([TYPES.OUTLIER]);
+  });
+
+  it('judges each batch reading against the earlier ones, ignoring spikes as a baseline', async () => {
+    history = [stored(0, 30)];
+    const batch = [reading(5, 60), reading(10, 31)];
+
+    await anomalyService.detect(sensor, batch);
+
+    expect(types(batch[0])).toEqual([TYPES.SPIKE]);
+    expect(types(batch[1])).toEqual([]);
+  });
+});
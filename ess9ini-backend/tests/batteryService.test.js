@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const Alert = require('../src/models/Alert');
+const Farm = require('../src/models/Farm');
+const ReadingRollup = require('../src/models/ReadingRollup');
+const Sensor = require('../src/models/Sensor');
+const User = require('../src/models/User');
+const notificationService = require('../src/services/notificationService');
+const { forecastSensor, checkBatteries } = require('../src/services/batteryService');
+const CONSTANTS = require('../src/config/constants');
+const { useMemoryModel, query } = require('./helpers/mongo');
+
+const { METHODS } = CONSTANTS.BATTERY_FORECAST;
+const { GRANULARITY, SCOPE } = CONSTANTS.ROLLUPS;
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-08-07T00:00:00Z');
+
+describe('batteryService', () => {
+  const farmId = new mongoose.Types.ObjectId();
+  let rollups;
+
+  const buildSensor = (name, batteryLevel, overrides = {}) => new Sensor({
+    farmId,
+    deviceId: name,
+    name,
+    statistics: { lastReading: { batteryLevel } },
+    ...overrides
+  });
+
+  // Daily battery rollups, one level per day up to today, sampled every 5 minutes at 25°C
+  const dailyLevels = (sensor, levels) => {
+    levels.forEach((level, i) => {
+      const count = 288;
+      rollups.push(new ReadingRollup({
+        scope: SCOPE.SENSOR,
+        sensorId: sensor._id,
+        farmId,
+        zone: null,
+        granularity: GRANULARITY.DAY,
+        bucket: new Date(NOW.getTime() - (levels.length - 1 - i) * DAY),
+        channels: {
+          batteryLevel: { min: level, max: level, sum: level * count, count },
+          temperature: { min: 25, max: 25, sum: 25 * count, count }
+        }
+      }));
+    });
+  };
+
+  // An old battery running low, replaced, then a fresh one losing 1% a day
+  const replacedBattery = (sensor) => dailyLevels(sensor, [30, 25, 20, 90, 89, 88, 87, 86, 85, 84, 83, 82, 81]);
+
+  beforeEach(() => {
+    rollups = [];
+    useMemoryModel(ReadingRollup, rollups);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('forecastSensor', () => {
+    it('fits the discharge curve of the current battery', async () => {
+      const sensor = buildSensor('SM-A', 81);
+      replacedBattery(sensor);
+
+      const forecast = await forecastSensor(sensor, NOW);
+
+      expect(forecast).toMatchObject({
+        method: METHODS.DISCHARGE_CURVE,
+        level: 81,
+        drainPerDay: 1,
+        daysRemaining: 76,
+        confidence: 'high',
+        factors: { samplingInterval: 300, temperature: 25, expected: 1, observed: { drainPerDay: 1, interval: 300, r2: 1 } }
+      });
+      expect(forecast.curve).toHaveLength(10);
+      expect(forecast.emptyAt).toEqual(new Date(NOW.getTime() + 76 * DAY));
+      expect(forecast.replaceBy).toEqual(new Date(NOW.getTime() + 61 * DAY));
+    });
+
+    it('scales the observed drain to a faster sampling interval', async () => {
+      const sensor = buildSensor('SM-A', 81, { configuration: { samplingInterval: 60 } });
+      replacedBattery(sensor);
+
+      const forecast = await forecastSensor(sensor, NOW);
+
+      // 40% of the drain is fixed, the transmission share runs five times as often
+      expect(forecast.drainPerDay).toBe(3.4);
+      expect(forecast.factors.expected).toBe(3.4);
+    });
+
+    it('falls back to the rated capacity without enough history', async () => {
+      const sensor = buildSensor('SM-A', 50);
+
+      const forecast = await forecastSensor(sensor, NOW);
+
+      // 30 mAh a day out of 3000 mAh
+      expect(forecast).toMatchObject({ method: METHODS.NOMINAL, drainPerDay: 1, daysRemaining: 45, confidence: 'low' });
+    });
+
+    it('has no forecast for a sensor that never reported its battery', async () => {
+      expect(await forecastSensor(buildSensor('SM-A', undefined), NOW)).toBeNull();
+    });
+  });
+
+  describe('checkBatteries', () => {
+    let sensors;
+
+    beforeEach(() => {
+      const farm = new Farm({ _id: farmId, name: 'Test Farm', owner: new mongoose.Types.ObjectId() });
+
+      sensors = [buildSensor('SM-LOW', 15), buildSensor('SM-FRESH', 81)];
+      dailyLevels(sensors[0], [24, 23, 22, 21, 20, 19, 18, 17, 16, 15]);
+      replacedBattery(sensors[1]);
+
+      jest.spyOn(Sensor, 'find').mockImplementation(() => ({ cursor: () => sensors }));
+      jest.spyOn(Sensor, 'updateOne').mockResolvedValue({});
+      jest.spyOn(Farm, 'findById').mockImplementation(() => query(farm));
+      jest.spyOn(User, 'findByFarm').mockResolvedValue([]);
+      jest.spyOn(Alert, 'raise').mockImplementation(async data => ({ alert: data, created: true }));
+      jest.spyOn(Alert, 'resolveOpen').mockResolvedValue({});
+      jest.spyOn(notificationService, 'sendAlert').mockResolvedValue();
+    });
+
+    it('stores each forecast and asks for a replacement within the lead time', async () => {
+      const result = await checkBatteries(NOW);
+
+      expect(result).toEqual({ forecasted: 2, due: 1 });
+      expect(Sensor.updateOne).toHaveBeenCalledWith(
+        { _id: sensors[0]._id },
+        { $set: { batteryForecast: expect.objectContaining({ daysRemaining: 10, method: METHODS.DISCHARGE_CURVE }) } }
+      );
+
+      expect(Alert.raise).toHaveBeenCalledTimes(1);
+      expect(Alert.raise).toHaveBeenCalledWith(expect.objectContaining({
+        sensorId: sensors[0]._id,
+        type: CONSTANTS.ALERT_KINDS.BATTERY_REPLACEMENT,
+        severity: CONSTANTS.ALERT_TYPES.WARNING
+      }));
+      expect(notificationService.sendAlert).toHaveBeenCalledTimes(1);
+
+      // A fresh battery resolves any replacement alert left open
+      expect(Alert.resolveOpen).toHaveBeenCalledWith(sensors[1]._id, CONSTANTS.ALERT_KINDS.BATTERY_REPLACEMENT, expect.any(String));
+    });
+
+    it('follows the farm lead time', async () => {
+      jest.spyOn(Farm, 'findById').mockImplementation(() => query(new Farm({
+        _id: farmId,
+        name: 'Test Farm',
+        owner: new mongoose.Types.ObjectId(),
+        settings: { alerts: { lowBattery: { leadDays: 7 } } }
+      })));
+
+      await checkBatteries(NOW);
+
+      // Ten days left is outside a week's lead time, but not far enough to resolve
+      expect(Alert.raise).not.toHaveBeenCalled();
+      expect(Alert.resolveOpen).not.toHaveBeenCalledWith(sensors[0]._id, expect.anything(), expect.anything());
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const CalibrationSession = require('../src/models/CalibrationSession');
+const { recordSamples } = require('../src/services/calibrationService');
+const CONSTANTS = require('../src/config/constants');
+
+const { PHASES } = CONSTANTS.CALIBRATION;
+
+const buildSession = (sensor) => new CalibrationSession({
+  sensorId: sensor._id,
+  farmId: sensor.farmId,
+  startedBy: new mongoose.Types.ObjectId(),
+  currentPhase: PHASES.DRY,
+  expiresAt: new Date(Date.now() + 60 * 1000)
+});
+
+const versionError = (session) => new mongoose.Error.VersionError(session, 0, ['phases.dry.samples']);
+
+describe('recordSamples', () => {
+  const sensor = { _id: new mongoose.Types.ObjectId(), farmId: new mongoose.Types.ObjectId() };
+  let loaded;
+
+  beforeEach(() => {
+    loaded = [];
+    jest.spyOn(CalibrationSession, 'findActive').mockImplementation(async () => {
+      const session = buildSession(sensor);
+      loaded.push(session);
+      return session;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds the samples again to the reloaded session after a concurrent upload', async () => {
+    jest.spyOn(CalibrationSession.prototype, 'save')
+      .mockImplementationOnce(function() { return Promise.reject(versionError(this)); })
+      .mockImplementation(function() { return Promise.resolve(this); });
+
+    const result = await recordSamples(sensor, { samples: [812, 814] });
+
+    expect(loaded).toHaveLength(2);
+    expect(result).toMatchObject({ phase: PHASES.DRY, accepted: 2 });
+    expect(loaded[1].phases.dry.samples.map(sample => sample.value)).toEqual([812, 814]);
+  });
+
+  it('answers a conflict when the session keeps changing', async () => {
+    jest.spyOn(CalibrationSession.prototype, 'save')
+      .mockImplementation(function() { return Promise.reject(versionError(this)); });
+
+    await expect(recordSamples(sensor, { samples: [812] }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'CALIBRATION_CONFLICT' });
+    expect(loaded).toHaveLength(CONSTANTS.CALIBRATION.SAMPLE_SAVE_ATTEMPTS);
+  });
+});
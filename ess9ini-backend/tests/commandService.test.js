@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Sensor = require('../src/models/Sensor');
+const Alert = require('../src/models/Alert');
+const DeviceCommand = require('../src/models/DeviceCommand');
+const commandService = require('../src/services/commandService');
+const CONSTANTS = require('../src/config/constants');
+
+const { TYPES, STATUS } = CONSTANTS.DEVICE_COMMANDS;
+
+const buildSensor = () => new Sensor({
+  farmId: new mongoose.Types.ObjectId(),
+  deviceId: 'ESP32-001',
+  name: 'Probe 1',
+  location: { x: 1, y: 1 },
+  specifications: { model: 'SMS-100' },
+  calibration: { dryValue: 800, wetValue: 300 }
+});
+
+const deliveredCommand = (sensor, type, params) => {
+  const command = new DeviceCommand({
+    sensorId: sensor._id,
+    farmId: sensor.farmId,
+    type,
+    params,
+    issuedBy: new mongoose.Types.ObjectId(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  command.transition(STATUS.QUEUED, 'Queued');
+  command.markDelivered('http');
+  return command;
+};
+
+describe('acknowledgeCommand', () => {
+  let sensor;
+
+  beforeEach(() => {
+    sensor = buildSensor();
+    jest.spyOn(Sensor, 'findById').mockResolvedValue(sensor);
+    jest.spyOn(Sensor.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(DeviceCommand.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(Alert, 'resolveOpen').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies an acknowledged recalibration to the sensor calibration', async () => {
+    const command = deliveredCommand(sensor, TYPES.RECALIBRATE, { dryValue: 760, wetValue: 280 });
+    jest.spyOn(DeviceCommand, 'findOne').mockResolvedValue(command);
+
+    await commandService.acknowledgeCommand(sensor, command._id, { success: true }, 'http');
+
+    expect(command.status).toBe(STATUS.ACKED);
+    expect(sensor.calibration.dryValue).toBe(760);
+    expect(sensor.calibration.wetValue).toBe(280);
+    expect(sensor.calibration.calibratedBy).toEqual(command.issuedBy);
+    expect(Sensor.prototype.save).toHaveBeenCalled();
+  });
+
+  it('keeps the calibration when the device reports a failed recalibration', async () => {
+    const command = deliveredCommand(sensor, TYPES.RECALIBRATE, { dryValue: 760, wetValue: 280 });
+    jest.spyOn(DeviceCommand, 'findOne').mockResolvedValue(command);
+
+    await commandService.acknowledgeCommand(sensor, command._id, { success: false, message: 'Probe not in water' }, 'http');
+
+    expect(command.status).toBe(STATUS.FAILED);
+    expect(sensor.calibration.dryValue).toBe(800);
+    expect(sensor.calibration.wetValue).toBe(300);
+  });
+});
+
+describe('queueCommand', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects a recalibration with equal dry and wet values', async () => {
+    const sensor = buildSensor();
+
+    await expect(commandService.queueCommand(sensor, new mongoose.Types.ObjectId(), {
+      type: TYPES.RECALIBRATE,
+      params: { dryValue: 500, wetValue: 500 }
+    })).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_CALIBRATION' });
+  });
+});
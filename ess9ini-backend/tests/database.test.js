@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const SensorReading = require('../src/models/SensorReading');
+const { exportDocuments, importDocuments } = require('../src/utils/database');
+const { useUniqueCollection, useMemoryModel } = require('./helpers/mongo');
+
+const reading = (minutes) => ({
+  _id: new mongoose.Types.ObjectId().toString(),
+  sensorId: new mongoose.Types.ObjectId().toString(),
+  farmId: new mongoose.Types.ObjectId().toString(),
+  readings: { moistureLevel: 40, batteryLevel: 90 },
+  timestamp: new Date(Date.UTC(2025, 7, 7, 10, minutes)).toISOString()
+});
+
+const writeArchive = (dir, docs) => {
+  const file = path.join(dir, 'readings.ndjson.gz');
+  fs.writeFileSync(file, zlib.gzipSync(docs.map(doc => JSON.stringify(doc)).join('\n') + '\n'));
+  return file;
+};
+
+describe('importDocuments', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ess9ini-import-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('skips documents that are already stored and counts them as duplicates', async () => {
+    const stored = useUniqueCollection(SensorReading, doc => doc._id.toString());
+    const docs = [reading(0), reading(5), reading(10)];
+    const file = writeArchive(dir, docs);
+
+    await importDocuments(SensorReading, file);
+    const totals = await importDocuments(SensorReading, writeArchive(dir, [...docs, reading(15)]));
+
+    expect(totals).toEqual({ inserted: 1, duplicates: 3, failed: 0 });
+    expect(stored).toHaveLength(4);
+  });
+
+  it('counts documents failing validation as failed', async () => {
+    const stored = useUniqueCollection(SensorReading, doc => doc._id.toString());
+    const existing = reading(0);
+    const invalid = { ...reading(5), sensorId: undefined };
+    await importDocuments(SensorReading, writeArchive(dir, [existing]));
+
+    const totals = await importDocuments(SensorReading, writeArchive(dir, [existing, invalid, reading(10)]));
+
+    expect(totals).toEqual({ inserted: 1, duplicates: 1, failed: 1 });
+    expect(stored).toHaveLength(2);
+  });
+
+  it('restores CSV archives whose values span several lines', async () => {
+    const columns = ['_id', 'sensorId', 'farmId', 'timestamp', 'readings.moistureLevel', 'readings.batteryLevel', 'metadata.deviceInfo.firmware'];
+    const docs = [
+      { ...reading(0), metadata: { deviceInfo: { firmware: '2.1.0\nbuild "7", beta' } } },
+      { ...reading(5), metadata: { deviceInfo: { firmware: '2.1.1' } } }
+    ];
+    useMemoryModel(SensorReading, docs);
+    const stored = useUniqueCollection(SensorReading, doc => doc._id.toString());
+    const file = path.join(dir, 'readings.csv.gz');
+
+    await exportDocuments(SensorReading, {}, file, { format: 'csv', columns });
+    const totals = await importDocuments(SensorReading, file, { format: 'csv' });
+
+    expect(totals).toEqual({ inserted: 2, duplicates: 0, failed: 0 });
+    expect(stored.map(doc => doc.metadata.deviceInfo.firmware)).toEqual(['2.1.0\nbuild "7", beta', '2.1.1']);
+  });
+});
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Alert = require('../src/models/Alert');
+const IrrigationEvent = require('../src/models/IrrigationEvent');
+const ReadingRollup = require('../src/models/ReadingRollup');
+const Sensor = require('../src/models/Sensor');
+const User = require('../src/models/User');
+const notificationService = require('../src/services/notificationService');
+const { analyzeZone, checkDrift } = require('../src/services/driftService');
+const CONSTANTS = require('../src/config/constants');
+const { useMemoryModel, query } = require('./helpers/mongo');
+
+const { STATUS } = CONSTANTS.DRIFT;
+const { GRANULARITY, SCOPE } = CONSTANTS.ROLLUPS;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = new Date('2025-08-07T12:00:00Z');
+
+describe('driftService', () => {
+  const farmId = new mongoose.Types.ObjectId();
+  let sensors;
+  let rollups;
+  let irrigations;
+
+  const buildSensor = (name) => new Sensor({
+    farmId,
+    deviceId: name,
+    name,
+    location: { zone: 'North' },
+    calibration: { dryValue: 3000, wetValue: 1000, lastCalibrated: new Date(NOW.getTime() - 60 * DAY) }
+  });
+
+  // Hourly sensor rollups over the comparison window after an irrigation ending at `end`
+  const settleReadings = (sensor, end, moisture) => {
+    for (let hours = 2; hours < 6; hours++) {
+      rollups.push({
+        scope: SCOPE.SENSOR,
+        sensorId: sensor._id,
+        farmId,
+        zone: null,
+        granularity: GRANULARITY.HOUR,
+        bucket: new Date(end.getTime() + hours * HOUR),
+        channels: { moistureLevel: { min: moisture, max: moisture, sum: moisture * 2, count: 2 } }
+      });
+    }
+  };
+
+  beforeEach(() => {
+    sensors = ['SM-A', 'SM-B', 'SM-C', 'SM-D'].map(buildSensor);
+    rollups = [];
+    irrigations = [];
+
+    // Six irrigations five days apart; the first probe reads a little higher each time
+    for (let i = 0; i < 6; i++) {
+      const end = new Date(NOW.getTime() - (30 - 5 * i) * DAY);
+      irrigations.push({ _id: new mongoose.Types.ObjectId(), schedule: { actualStartTime: new Date(end.getTime() - HOUR), actualEndTime: end } });
+      settleReadings(sensors[0], end, 50 + 3 * i);
+      sensors.slice(1).forEach(sensor => settleReadings(sensor, end, 50));
+    }
+
+    useMemoryModel(ReadingRollup, rollups);
+    jest.spyOn(Sensor, 'find').mockImplementation(() => query(sensors));
+    jest.spyOn(IrrigationEvent, 'find').mockImplementation(() => query(irrigations));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('flags a probe whose offset from its peers keeps growing after wetting events', async () => {
+    const results = await analyzeZone(farmId, 'North', NOW);
+
+    const drifting = results.get(sensors[0]._id.toString());
+    expect(drifting).toMatchObject({ status: STATUS.DRIFTING, events: 6, offset: 12, trend: 18 });
+    expect(drifting.evidence.map(event => event.offset)).toEqual([0, 3, 6, 9, 12, 15]);
+    // Shifting both calibration points by the offset (raw units) cancels it
+    expect(drifting.suggestion.offsetCorrection).toEqual({ dryValue: 2760, wetValue: 760 });
+
+    sensors.slice(1).forEach(sensor => {
+      expect(results.get(sensor._id.toString()).status).toBe(STATUS.OK);
+    });
+  });
+
+  it('only compares wetting events since the last calibration', async () => {
+    sensors[0].calibration.lastCalibrated = new Date(NOW.getTime() - 12 * DAY);
+
+    const results = await analyzeZone(farmId, 'North', NOW);
+
+    expect(results.get(sensors[0]._id.toString())).toMatchObject({ status: STATUS.INSUFFICIENT_DATA, events: 2 });
+  });
+
+  it('stores the results and raises a calibration alert for drifting probes', async () => {
+    jest.spyOn(Sensor, 'aggregate').mockResolvedValue([{ _id: { farmId, zone: 'North' }, sensors: 4 }]);
+    jest.spyOn(Sensor, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Alert, 'raise').mockImplementation(async data => ({ alert: data, created: true }));
+    jest.spyOn(Alert, 'resolveOpen').mockResolvedValue({});
+    jest.spyOn(User, 'findByFarm').mockResolvedValue([]);
+    jest.spyOn(notificationService, 'sendAlert').mockResolvedValue();
+
+    expect(await checkDrift(NOW)).toEqual({ zones: 1, drifting: 1 });
+
+    expect(Sensor.updateOne).toHaveBeenCalledTimes(4);
+    expect(Alert.raise).toHaveBeenCalledWith(expect.objectContaining({
+      sensorId: sensors[0]._id,
+      type: CONSTANTS.ALERT_KINDS.CALIBRATION_NEEDED
+    }));
+    expect(Alert.resolveOpen).toHaveBeenCalledTimes(3);
+    expect(notificationService.sendAlert).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'firmware-'));
+process.env.FIRMWARE_STORAGE_DIR = STORAGE_DIR;
+
+const mongoose = require('mongoose');
+const FirmwareRelease = require('../src/models/FirmwareRelease');
+const { createRelease } = require('../src/services/firmwareService');
+
+const upload = (content) => ({
+  originalname: 'probe.bin',
+  buffer: Buffer.from(content),
+  size: content.length
+});
+
+describe('createRelease', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(FirmwareRelease, 'exists').mockResolvedValue(null);
+    jest.spyOn(FirmwareRelease, 'create').mockImplementation(async data => new FirmwareRelease(data));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.readdirSync(STORAGE_DIR).forEach(name => fs.unlinkSync(path.join(STORAGE_DIR, name)));
+  });
+
+  afterAll(() => {
+    fs.rmSync(STORAGE_DIR, { recursive: true, force: true });
+  });
+
+  it('stores the image under its release name', async () => {
+    const release = await createRelease(upload('image'), { model: 'SM-100', version: '1.2.0' }, userId);
+
+    expect(fs.readdirSync(STORAGE_DIR)).toEqual([release.file.storedName]);
+    expect(fs.readFileSync(path.join(STORAGE_DIR, release.file.storedName), 'utf8')).toBe('image');
+  });
+
+  it('refuses an existing version without touching its image', async () => {
+    const release = await createRelease(upload('image'), { model: 'SM-100', version: '1.2.0' }, userId);
+    FirmwareRelease.exists.mockResolvedValue({ _id: release._id });
+
+    await expect(createRelease(upload('image'), { model: 'SM-100', version: '1.2.0' }, userId))
+      .rejects.toMatchObject({ statusCode: 409, code: 'RELEASE_EXISTS' });
+    expect(FirmwareRelease.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the served image when a concurrent upload of the same version loses', async () => {
+    const release = await createRelease(upload('image'), { model: 'SM-100', version: '1.2.0' }, userId);
+    // Same content and name, registered after the existence check
+    FirmwareRelease.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    await expect(createRelease(upload('image'), { model: 'SM-100', version: '1.2.0' }, userId))
+      .rejects.toMatchObject({ statusCode: 409, code: 'RELEASE_EXISTS' });
+
+    expect(fs.readdirSync(STORAGE_DIR)).toEqual([release.file.storedName]);
+    expect(fs.readFileSync(path.join(STORAGE_DIR, release.file.storedName), 'utf8')).toBe('image');
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Irrigation fixtures
+ * Farms with relay hardware and irrigation events as the actuator, scheduler,
+ * watchdog and moisture control tests use them. Documents are never saved:
+ * `save` resolves with the document itself.
+ */
+
+const mongoose = require('mongoose');
+const Farm = require('../../src/models/Farm');
+const IrrigationEvent = require('../../src/models/IrrigationEvent');
+const CONSTANTS = require('../../src/config/constants');
+
+// A farm with two zones, each on its own valve behind a master valve and a pump
+const buildFarm = (actuators = {}, { settings, ...overrides } = {}) => new Farm({
+  name: 'Test Farm',
+  owner: new mongoose.Types.ObjectId(),
+  location: {
+    zones: [
+      { id: 1, name: 'North', area: 1, cropType: CONSTANTS.CROP_TYPES.CITRUS, targetMoisture: 60 },
+      { id: 2, name: 'South', area: 1, cropType: CONSTANTS.CROP_TYPES.CITRUS, targetMoisture: 60 }
+    ]
+  },
+  settings: {
+    ...settings,
+    actuators: {
+      driver: CONSTANTS.ACTUATORS.DRIVERS.MQTT,
+      controllerId: 'relay-1',
+      timeout: 5,
+      masterValve: { channel: 0 },
+      pump: { channel: 1 },
+      valves: [{ zone: 1, channel: 2 }, { zone: 2, channel: 3 }],
+      ...actuators
+    }
+  },
+  ...overrides
+});
+
+const buildEvent = (farm, overrides = {}) => new IrrigationEvent({
+  farmId: farm._id,
+  userId: farm.owner,
+  type: CONSTANTS.IRRIGATION_TYPES.MANUAL,
+  zones: [1],
+  duration: 30,
+  waterAmount: { planned: 150 },
+  schedule: { startTime: new Date() },
+  trigger: { reason: 'manual' },
+  ...overrides
+});
+
+// Make document saves resolve without a database
+const stubSaves = () => {
+  const resolveSelf = function() { return Promise.resolve(this); };
+  jest.spyOn(Farm.prototype, 'save').mockImplementation(resolveSelf);
+  jest.spyOn(IrrigationEvent.prototype, 'save').mockImplementation(resolveSelf);
+};
+
+module.exports = {
+  buildFarm,
+  buildEvent,
+  stubSaves
+};
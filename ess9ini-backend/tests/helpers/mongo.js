@@ -0,0 +1,177 @@
+/**
+ * Test doubles for the MongoDB driver
+ * There is no database in the test run: models are exercised with their
+ * queries stubbed, bulk inserts go through an in-memory collection that
+ * enforces a unique index and fails the way the driver does, and models whose
+ * queries matter keep their documents in memory, matched with MongoDB query
+ * semantics (sift), with upserting bulk writes applied to them.
+ */
+
+const sift = require('sift');
+const { MongoBulkWriteError } = require('mongodb');
+const { WriteError, BulkWriteResult } = require('mongodb/lib/bulk/common');
+
+// Replace a model's driver collection insertMany with one that keeps the
+// documents in memory, unique on `key(doc)`. Duplicates are reported like an
+// unordered bulk insert on a unique index (E11000 per document).
+const useUniqueCollection = (Model, key) => {
+  const docs = [];
+  const keys = new Set();
+
+  jest.spyOn(Model.collection, 'insertMany').mockImplementation(async (batch) => {
+    const writeErrors = [];
+    const insertedIds = {};
+
+    batch.forEach((doc, index) => {
+      if (keys.has(key(doc))) {
+        writeErrors.push(new WriteError({
+          index,
+          code: 11000,
+          errmsg: `E11000 duplicate key error collection: ${Model.collection.name} dup key: ${key(doc)}`
+        }));
+        return;
+      }
+
+      keys.add(key(doc));
+      docs.push(doc);
+      insertedIds[index] = doc._id;
+    });
+
+    const bulkResult = {
+      ok: 1,
+      writeErrors,
+      writeConcernErrors: [],
+      insertedIds: Object.entries(insertedIds).map(([index, _id]) => ({ index: Number(index), _id })),
+      nInserted: batch.length - writeErrors.length,
+      nUpserted: 0,
+      nMatched: 0,
+      nModified: 0,
+      nRemoved: 0,
+      upserted: []
+    };
+    const result = new BulkWriteResult(bulkResult, false);
+
+    if (writeErrors.length > 0) {
+      throw new MongoBulkWriteError({
+        message: writeErrors[0].errmsg,
+        code: writeErrors[0].code,
+        writeErrors
+      }, result);
+    }
+
+    return result;
+  });
+
+  return docs;
+};
+
+// Sort documents like a single-key MongoDB sort ({ field: 1 | -1 })
+const sortBy = (docs, sort) => {
+  const [[field, order]] = Object.entries(sort);
+  return [...docs].sort((a, b) => (a[field] < b[field] ? -order : a[field] > b[field] ? order : 0));
+};
+
+// Keep a model's documents in memory: find / findOne / exists / deleteMany
+// answer with the matching documents, findOneAndUpdate applies a `$set` to
+// the first one. Returns the (live) document array.
+const useMemoryModel = (Model, docs = []) => {
+  // Documents are matched on their stored fields (Mongoose documents expose
+  // theirs through getters, which sift does not see)
+  const matching = (filter = {}) => {
+    const test = sift(filter);
+    return docs.filter(doc => test(doc.toObject ? doc.toObject({ virtuals: false }) : doc));
+  };
+
+  const chain = (filter, single) => {
+    let sort = null;
+    const run = () => {
+      const found = sort ? sortBy(matching(filter), sort) : matching(filter);
+      return single ? found[0] || null : found;
+    };
+
+    const result = {
+      sort: (value) => { sort = value; return result; },
+      select: () => result,
+      lean: () => result,
+      limit: () => result,
+      cursor: () => run(),
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+    };
+    return result;
+  };
+
+  jest.spyOn(Model, 'find').mockImplementation(filter => chain(filter, false));
+  jest.spyOn(Model, 'findOne').mockImplementation(filter => chain(filter, true));
+  jest.spyOn(Model, 'exists').mockImplementation(async (filter) => {
+    const [doc] = matching(filter);
+    return doc ? { _id: doc._id } : null;
+  });
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const [doc] = matching(filter);
+    if (!doc) return null;
+
+    Object.entries(update.$set || {}).forEach(([field, value]) => {
+      if (doc.set) doc.set(field, value);
+      else doc[field] = value;
+    });
+    return doc;
+  });
+  jest.spyOn(Model, 'deleteMany').mockImplementation(async (filter) => {
+    const deleted = matching(filter);
+    deleted.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+    return { deletedCount: deleted.length };
+  });
+
+  return docs;
+};
+
+// Apply a model's bulkWrite updateOne upserts ($set, $inc, $min, $max on
+// dotted paths) to in-memory plain documents. Returns the (live) array.
+const useMemoryBulkWrite = (Model, docs = []) => {
+  const operators = {
+    $set: (current, value) => value,
+    $inc: (current, value) => (current || 0) + value,
+    $min: (current, value) => (current === undefined ? value : Math.min(current, value)),
+    $max: (current, value) => (current === undefined ? value : Math.max(current, value))
+  };
+
+  const get = (doc, field) => field.split('.').reduce((value, key) => value?.[key], doc);
+  const set = (doc, field, value) => {
+    const keys = field.split('.');
+    const last = keys.pop();
+    keys.reduce((obj, key) => (obj[key] = obj[key] || {}), doc)[last] = value;
+  };
+
+  jest.spyOn(Model, 'bulkWrite').mockImplementation(async (operations) => {
+    operations.forEach(({ updateOne: { filter, update, upsert } }) => {
+      let doc = docs.find(sift(filter));
+      if (!doc && !upsert) return;
+      if (!doc) docs.push(doc = { ...filter });
+
+      Object.entries(operators).forEach(([operator, apply]) => {
+        Object.entries(update[operator] || {}).forEach(([field, value]) => {
+          set(doc, field, apply(get(doc, field), value));
+        });
+      });
+    });
+    return { ok: 1 };
+  });
+
+  return docs;
+};
+
+// A query result that also answers the chained select / sort / lean calls
+const query = (value) => {
+  const chain = Promise.resolve(value);
+  ['select', 'sort', 'lean', 'limit', 'populate'].forEach(method => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+module.exports = {
+  useUniqueCollection,
+  useMemoryModel,
+  useMemoryBulkWrite,
+  query
+};
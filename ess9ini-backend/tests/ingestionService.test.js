@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const Sensor = require('../src/models/Sensor');
+const SensorReading = require('../src/models/SensorReading');
+const ingestionService = require('../src/services/ingestionService');
+const anomalyService = require('../src/services/anomalyService');
+const rollupService = require('../src/services/rollupService');
+const { useUniqueCollection, query } = require('./helpers/mongo');
+
+const buildSensor = () => new Sensor({
+  farmId: new mongoose.Types.ObjectId(),
+  deviceId: 'ESP32-001',
+  name: 'Probe 1',
+  location: { x: 1, y: 1, zone: 'Zone 1' },
+  specifications: { model: 'SMS-100' },
+  calibration: { dryValue: 800, wetValue: 300 }
+});
+
+const sample = (minutes, moistureLevel = 40) => ({
+  readings: { moistureLevel, batteryLevel: 90 },
+  timestamp: new Date(Date.UTC(2025, 7, 7, 10, minutes)).toISOString()
+});
+
+describe('recordBatch', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = useUniqueCollection(SensorReading, doc => `${doc.sensorId}:${doc.timestamp.getTime()}`);
+    jest.spyOn(SensorReading, 'find').mockReturnValue(query([]));
+    jest.spyOn(Sensor, 'updateOne').mockResolvedValue({});
+    jest.spyOn(anomalyService, 'detect').mockResolvedValue();
+    jest.spyOn(anomalyService, 'reportAnomalies').mockResolvedValue();
+    jest.spyOn(rollupService, 'recordReadings').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates every new sample and drops duplicates within the batch', async () => {
+    const sensor = buildSensor();
+
+    const { summary, results } = await ingestionService.recordBatch(sensor, [sample(0), sample(5), sample(0)]);
+
+    expect(summary).toMatchObject({ received: 3, created: 2, duplicates: 1, failed: 0 });
+    expect(results.map(result => result.status)).toEqual(['created', 'created', 'duplicate']);
+    expect(stored).toHaveLength(2);
+  });
+
+  it('reports samples inserted concurrently by another upload as duplicates', async () => {
+    const sensor = buildSensor();
+
+    // The first upload is still in flight when the second checks for existing readings
+    await ingestionService.recordBatch(sensor, [sample(0)]);
+    const { summary, results } = await ingestionService.recordBatch(sensor, [sample(0), sample(10)]);
+
+    expect(summary).toMatchObject({ created: 1, duplicates: 1, failed: 0 });
+    expect(results.map(result => result.status)).toEqual(['duplicate', 'created']);
+    expect(stored).toHaveLength(2);
+  });
+
+  it('skips samples that were already uploaded', async () => {
+    const sensor = buildSensor();
+    SensorReading.find.mockReturnValue(query([{ timestamp: new Date(sample(0).timestamp) }]));
+
+    const { summary } = await ingestionService.recordBatch(sensor, [sample(0), sample(5)]);
+
+    expect(summary).toMatchObject({ created: 1, duplicates: 1 });
+    expect(stored).toHaveLength(1);
+  });
+});
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Farm = require('../src/models/Farm');
+const Sensor = require('../src/models/Sensor');
+const { importInventory } = require('../src/services/inventoryService');
+const { useMemoryModel } = require('./helpers/mongo');
+
+const csvFile = (lines) => ({ originalname: 'sensors.csv', buffer: Buffer.from(lines.join('\n'), 'utf8') });
+
+describe('importInventory', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let farm;
+  let session;
+  let existing;
+
+  const inventory = csvFile([
+    'deviceId,name,specifications.model,location.x,location.y,location.zone,location.depths,calibration.dryValue,calibration.wetValue',
+    'SM-NEW,East probe,SMP-3,40,10,East,15;30;60,3000,1000',
+    'sm-001,North probe,SMP-1,10,10,North,,2950,1050',
+    'SM-002,South probe,SMP-1,10,40,South,,3000,1000'
+  ]);
+
+  // A sensor as loaded from the database
+  const storedSensor = (farmId, deviceId, name, x, y, zone) => Sensor.hydrate(new Sensor({
+    farmId,
+    deviceId,
+    name,
+    specifications: { model: 'SMP-1' },
+    location: { x, y, zone },
+    calibration: { dryValue: 3000, wetValue: 1000 }
+  }).toObject());
+
+  beforeEach(() => {
+    farm = new Farm({ name: 'Test Farm', owner: userId });
+    existing = [
+      storedSensor(farm._id, 'SM-001', 'North probe', 10, 10, 'North'),
+      storedSensor(farm._id, 'SM-002', 'South probe', 10, 40, 'South')
+    ];
+    useMemoryModel(Sensor, existing);
+
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn().mockResolvedValue(),
+      abortTransaction: jest.fn().mockResolvedValue(),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Sensor.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only reports what would change on a dry run', async () => {
+    const result = await importInventory(farm, inventory, { dryRun: true }, userId);
+
+    expect(result).toMatchObject({ dryRun: true, committed: false, summary: { rows: 3, create: 1, update: 1, unchanged: 1, invalid: 0 } });
+    expect(result.rows.map(row => [row.row, row.deviceId, row.action, row.sensorId])).toEqual([
+      [2, 'SM-NEW', 'create', undefined],
+      [3, 'SM-001', 'update', undefined],
+      [4, 'SM-002', 'unchanged', undefined]
+    ]);
+    expect(mongoose.startSession).not.toHaveBeenCalled();
+    expect(Sensor.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('writes nothing unless every row is valid', async () => {
+    existing.push(storedSensor(new mongoose.Types.ObjectId(), 'SM-900', 'Neighbour probe', 0, 0, 'North'));
+
+    const result = await importInventory(farm, csvFile([
+      'deviceId,name,specifications.model,location.x,location.y,calibration.dryValue,calibration.wetValue',
+      'SM-NEW,East probe,SMP-3,40,10,3000,1000',
+      'SM-003,West probe,SMP-3,0,10,dry,1000',
+      'SM-NEW,East probe again,SMP-3,40,10,3000,1000',
+      'SM-900,Neighbour probe,SMP-1,0,0,3000,1000'
+    ]), {}, userId);
+
+    expect(result).toMatchObject({ committed: false, summary: { create: 1, invalid: 3 } });
+    expect(result.rows.map(row => row.errors.map(error => error.message))).toEqual([
+      [],
+      ['calibration.dryValue must be a number'],
+      ['Device ID already used on row 2'],
+      ['Device ID is registered on another farm']
+    ]);
+    expect(Sensor.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('creates and updates every sensor in one transaction', async () => {
+    const result = await importInventory(farm, inventory, {}, userId);
+
+    expect(result).toMatchObject({ committed: true, summary: { create: 1, update: 1, unchanged: 1 } });
+    expect(result.rows[0].apiKey).toEqual(expect.any(String));
+    expect(result.rows[1].apiKey).toBeUndefined();
+
+    const saved = Sensor.prototype.save.mock.contexts;
+    expect(saved.map(sensor => sensor.deviceId)).toEqual(['SM-NEW', 'SM-001']);
+    expect(saved[0]).toMatchObject({ farmId: farm._id, name: 'East probe', location: { zone: 'East', depths: [15, 30, 60] } });
+    expect(saved[1].calibration).toMatchObject({ dryValue: 2950, wetValue: 1050 });
+    saved.forEach(sensor => expect(sensor.$session()).toBe(session));
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  it('rolls the whole import back when a write fails', async () => {
+    Sensor.prototype.save
+      .mockImplementationOnce(function() { return Promise.resolve(this); })
+      .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    await expect(importInventory(farm, inventory, {}, userId)).rejects.toMatchObject({ code: 11000 });
+
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,81 @@
+const Farm = require('../src/models/Farm');
+const IrrigationEvent = require('../src/models/IrrigationEvent');
+const actuatorService = require('../src/services/actuatorService');
+const { startIrrigation } = require('../src/controllers/irrigationController');
+const CONSTANTS = require('../src/config/constants');
+const { useMemoryModel } = require('./helpers/mongo');
+const { buildFarm, stubSaves } = require('./helpers/irrigation');
+
+const { RUNNING, COMPLETED } = CONSTANTS.IRRIGATION_STATUS;
+
+// Run a catchAsync handler to its response or error
+const call = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(body => resolve({ status: res.status.mock.calls[0][0], body }))
+  };
+  handler(req, res, error => resolve({ error }));
+});
+
+describe('startIrrigation', () => {
+  let farm;
+  let events;
+
+  beforeEach(() => {
+    farm = buildFarm();
+
+    stubSaves();
+    events = useMemoryModel(IrrigationEvent);
+    // In-memory partial unique index on farmId for events in progress
+    jest.spyOn(IrrigationEvent, 'create').mockImplementation(async (data) => {
+      const event = new IrrigationEvent(data);
+      await event.validate();
+
+      const taken = events.some(other => other.inProgress && other.farmId.equals(event.farmId));
+      if (event.inProgress && taken) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+      events.push(event);
+      return event;
+    });
+
+    jest.spyOn(Farm, 'findById').mockResolvedValue(farm);
+    jest.spyOn(actuatorService, 'startIrrigation').mockImplementation((_, event) => event.start());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const request = () => ({
+    body: { farmId: farm._id.toString(), duration: 10, zones: [1] },
+    user: { userId: farm.owner, role: 'farmer' }
+  });
+
+  it('starts a single irrigation when two starts race', async () => {
+    // Both requests find the farm idle before either creates its event
+    jest.spyOn(IrrigationEvent, 'findInProgress').mockResolvedValue(null);
+
+    const results = await Promise.all([call(startIrrigation, request()), call(startIrrigation, request())]);
+
+    const started = results.filter(result => result.status === 201);
+    const rejected = results.filter(result => result.error);
+    expect(started).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].error).toMatchObject({ statusCode: 400, code: 'IRRIGATION_ACTIVE' });
+    expect(actuatorService.startIrrigation).toHaveBeenCalledTimes(1);
+    expect(events).toHaveLength(1);
+    expect(events[0].status).toBe(RUNNING);
+  });
+
+  it('frees the farm once the irrigation has ended', async () => {
+    const { body } = await call(startIrrigation, request());
+    const event = body.data.event;
+    expect(event.inProgress).toBe(true);
+
+    event.status = COMPLETED;
+    await event.validate();
+
+    expect(event.inProgress).toBeUndefined();
+    expect((await call(startIrrigation, request())).status).toBe(201);
+  });
+});
@@ -0,0 +1,171 @@
+const Farm = require('../src/models/Farm');
+const IrrigationEvent = require('../src/models/IrrigationEvent');
+const User = require('../src/models/User');
+const actuatorService = require('../src/services/actuatorService');
+const notificationService = require('../src/services/notificationService');
+const { runScheduler } = require('../src/services/irrigationSchedulerService');
+const CONSTANTS = require('../src/config/constants');
+const { useMemoryModel } = require('./helpers/mongo');
+const { buildFarm, buildEvent, stubSaves } = require('./helpers/irrigation');
+
+const { PENDING, RUNNING, FAILED } = CONSTANTS.IRRIGATION_STATUS;
+const { MISSED_POLICIES, CLAIM_TIMEOUT } = CONSTANTS.IRRIGATION_SCHEDULER;
+
+const DAY = 24 * 60 * 60 * 1000;
+// 11:00 in Tunis
+const NOW = new Date('2025-08-07T10:00:00Z');
+
+describe('runScheduler', () => {
+  let farm;
+  let events;
+
+  beforeEach(() => {
+    farm = buildFarm({}, {
+      settings: {
+        autoIrrigation: {
+          enabled: true,
+          // 06:00 in Tunis every day
+          schedule: [{ time: '06:00', duration: 30, zones: [1] }],
+          missedPolicy: MISSED_POLICIES.RUN_LATE,
+          maxDelay: 12 * 60
+        }
+      }
+    });
+
+    stubSaves();
+    events = useMemoryModel(IrrigationEvent);
+    jest.spyOn(IrrigationEvent, 'create').mockImplementation(async (data) => {
+      const exists = events.some(event => event.occurrence?.scheduleId?.equals(data.occurrence.scheduleId) &&
+        event.occurrence.date === data.occurrence.date);
+      if (exists) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+      const event = new IrrigationEvent(data);
+      events.push(event);
+      return event;
+    });
+
+    jest.spyOn(Farm, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Farm, 'find').mockResolvedValue([farm]);
+    jest.spyOn(Farm, 'findById').mockResolvedValue(farm);
+    jest.spyOn(Farm, 'updateOne').mockImplementation(async (filter, update) => {
+      Object.entries(update.$set).forEach(([field, value]) => farm.set(field, value));
+    });
+    jest.spyOn(User, 'findByFarm').mockResolvedValue([]);
+    jest.spyOn(notificationService, 'sendSystemNotification').mockResolvedValue();
+    jest.spyOn(actuatorService, 'startIrrigation').mockImplementation((_, event) => event.start());
+    jest.spyOn(actuatorService, 'stopIrrigation').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('catches up on the occurrences of the last day after a restart, once', async () => {
+    farm.settings.autoIrrigation.scheduledUntil = new Date(NOW.getTime() - 3 * DAY);
+
+    const first = await runScheduler(NOW);
+
+    expect(first).toMatchObject({ created: 1, started: 1, missed: 0 });
+    expect(events).toHaveLength(1);
+    expect(events[0].occurrence.date).toBe('2025-08-07');
+    expect(events[0].status).toBe(RUNNING);
+    expect(farm.settings.autoIrrigation.scheduledUntil).toEqual(NOW);
+
+    // A pass that did not record scheduledUntil does not create it again either
+    farm.settings.autoIrrigation.scheduledUntil = new Date(NOW.getTime() - 3 * DAY);
+    const second = await runScheduler(NOW);
+
+    expect(second).toMatchObject({ created: 0, started: 0 });
+    expect(events).toHaveLength(1);
+  });
+
+  it('fails occurrences that are too late with the fail policy', async () => {
+    farm.settings.autoIrrigation.missedPolicy = MISSED_POLICIES.FAIL;
+    farm.settings.autoIrrigation.scheduledUntil = new Date(NOW.getTime() - DAY);
+
+    const summary = await runScheduler(NOW);
+
+    expect(summary).toMatchObject({ created: 1, started: 0, missed: 1 });
+    expect(events[0].status).toBe(FAILED);
+    expect(actuatorService.startIrrigation).not.toHaveBeenCalled();
+  });
+
+  it('starts a due event once when two passes overlap', async () => {
+    events.push(buildEvent(farm, { trigger: { reason: 'scheduled' }, schedule: { startTime: new Date(NOW.getTime() - 60 * 1000) } }));
+    farm.settings.autoIrrigation.enabled = false;
+
+    await Promise.all([runScheduler(NOW), runScheduler(NOW)]);
+
+    expect(actuatorService.startIrrigation).toHaveBeenCalledTimes(1);
+    expect(events[0].status).toBe(RUNNING);
+  });
+
+  it('waits while another irrigation of the farm is being started', async () => {
+    const starting = buildEvent(farm, { claimedAt: NOW });
+    const due = buildEvent(farm, { trigger: { reason: 'scheduled' }, schedule: { startTime: new Date(NOW.getTime() - 60 * 1000) } });
+    events.push(starting, due);
+    farm.settings.autoIrrigation.enabled = false;
+
+    const summary = await runScheduler(NOW);
+
+    expect(summary).toMatchObject({ started: 0, waiting: 1 });
+    expect(due.status).toBe(PENDING);
+    expect(due.claimedAt).toBeUndefined();
+  });
+
+  it('waits when another irrigation takes the farm first', async () => {
+    const due = buildEvent(farm, { trigger: { reason: 'scheduled' }, schedule: { startTime: new Date(NOW.getTime() - 60 * 1000) } });
+    events.push(due);
+    farm.settings.autoIrrigation.enabled = false;
+    // A manual start holds the farm's in-progress slot, unseen by the busy check
+    IrrigationEvent.findOneAndUpdate.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    const summary = await runScheduler(NOW);
+
+    expect(summary).toMatchObject({ started: 0, waiting: 1 });
+    expect(actuatorService.startIrrigation).not.toHaveBeenCalled();
+    expect(due.status).toBe(PENDING);
+  });
+
+  it('fails starts interrupted by a restart and shuts their relays', async () => {
+    const interrupted = buildEvent(farm, {
+      trigger: { reason: 'scheduled' },
+      schedule: { startTime: new Date(NOW.getTime() - CLAIM_TIMEOUT - 60 * 1000) },
+      claimedAt: new Date(NOW.getTime() - CLAIM_TIMEOUT - 1000)
+    });
+    events.push(interrupted);
+    farm.settings.autoIrrigation.enabled = false;
+    actuatorService.stopIrrigation.mockRejectedValue(new Error('No confirmation from the irrigation hardware within 5s'));
+
+    const summary = await runScheduler(NOW);
+
+    expect(summary.interrupted).toBe(1);
+    expect(interrupted.status).toBe(FAILED);
+    expect(actuatorService.stopIrrigation).toHaveBeenCalledWith(farm, interrupted);
+  });
+
+  it('fails manual and automatic starts left pending without a claim', async () => {
+    const stale = buildEvent(farm, { trigger: { reason: 'low_moisture' }, createdAt: new Date(NOW.getTime() - CLAIM_TIMEOUT - 1000) });
+    const recent = buildEvent(farm, { createdAt: new Date(NOW.getTime() - 1000) });
+    events.push(stale, recent);
+    farm.settings.autoIrrigation.enabled = false;
+
+    const summary = await runScheduler(NOW);
+
+    expect(summary.interrupted).toBe(1);
+    expect(stale.status).toBe(FAILED);
+    expect(recent.status).toBe(PENDING);
+  });
+
+  it('only records interrupted starts on farms without hardware', async () => {
+    farm.settings.actuators.driver = undefined;
+    const interrupted = buildEvent(farm, { claimedAt: new Date(NOW.getTime() - CLAIM_TIMEOUT - 1000) });
+    events.push(interrupted);
+    farm.settings.autoIrrigation.enabled = false;
+
+    await runScheduler(NOW);
+
+    expect(interrupted.status).toBe(FAILED);
+    expect(actuatorService.stopIrrigation).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+const Farm = require('../src/models/Farm');
+const IrrigationEvent = require('../src/models/IrrigationEvent');
+const User = require('../src/models/User');
+const actuatorService = require('../src/services/actuatorService');
+const notificationService = require('../src/services/notificationService');
+const { runWatchdog, stopIrrigationWatchdog } = require('../src/services/irrigationWatchdogService');
+const CONSTANTS = require('../src/config/constants');
+const { query } = require('./helpers/mongo');
+const { buildFarm, buildEvent, stubSaves } = require('./helpers/irrigation');
+
+const { RUNNING, COMPLETED, FAILED } = CONSTANTS.IRRIGATION_STATUS;
+const { COMMAND_STATUS, STATES } = CONSTANTS.ACTUATORS;
+const { RECONCILE_ATTEMPTS, SHUTDOWN_RETRY, MAX_RUNTIME } = CONSTANTS.IRRIGATION_WATCHDOG;
+
+const MINUTE = 60 * 1000;
+const NOW = new Date('2025-08-07T10:00:00Z');
+
+// An irrigation of zone 1 (relay channel 2) that started `minutes` ago
+const runningEvent = (farm, minutes, duration) => {
+  const startTime = new Date(NOW.getTime() - minutes * MINUTE);
+  return buildEvent(farm, {
+    status: RUNNING,
+    duration,
+    schedule: { startTime, actualStartTime: startTime }
+  });
+};
+
+describe('runWatchdog', () => {
+  let farm;
+  let events;
+
+  beforeEach(() => {
+    farm = buildFarm();
+    events = [];
+
+    stubSaves();
+    // Failed events are selected by their last command ($expr), here by needsShutdown
+    jest.spyOn(IrrigationEvent, 'find').mockImplementation(filter => query(
+      filter.status === FAILED ? events.filter(event => event.needsShutdown) : events.filter(event => event.status === filter.status)
+    ));
+    jest.spyOn(IrrigationEvent, 'findById').mockImplementation(async id => events.find(event => event._id.equals(id)) || null);
+    jest.spyOn(Farm, 'findById').mockResolvedValue(farm);
+    jest.spyOn(User, 'findByFarm').mockResolvedValue([]);
+    jest.spyOn(notificationService, 'sendSystemNotification').mockResolvedValue();
+    jest.spyOn(actuatorService, 'readState').mockResolvedValue(new Map());
+    jest.spyOn(actuatorService, 'stopIrrigation').mockImplementation((_, event) => event.complete(event.estimateWaterUsed()));
+  });
+
+  afterEach(() => {
+    // Forget the reconciliation, as after a restart
+    stopIrrigationWatchdog();
+    jest.restoreAllMocks();
+  });
+
+  it('completes irrigations found off after a restart at the time they were due to end', async () => {
+    const event = runningEvent(farm, 40, 30);
+    events.push(event);
+
+    const summary = await runWatchdog(NOW);
+
+    expect(summary).toMatchObject({ reconciled: 1, stopped: 0 });
+    expect(event.status).toBe(COMPLETED);
+    expect(event.schedule.actualEndTime).toEqual(new Date(NOW.getTime() - 10 * MINUTE));
+    expect(event.results.waterUsed).toBe(30 * event.settings.flowRate);
+    expect(event.notes).toMatch(/found closed after a server restart/);
+    expect(actuatorService.stopIrrigation).not.toHaveBeenCalled();
+  });
+
+  it('leaves irrigations still on to the regular checks', async () => {
+    const elapsed = runningEvent(farm, 40, 30);
+    events.push(elapsed);
+    actuatorService.readState.mockResolvedValue(new Map([[2, STATES.ON]]));
+
+    const summary = await runWatchdog(NOW);
+
+    expect(summary).toMatchObject({ reconciled: 0, stopped: 1 });
+    expect(actuatorService.stopIrrigation).toHaveBeenCalledWith(farm, elapsed);
+  });
+
+  it('keeps asking hardware that does not answer, then leaves the irrigation running', async () => {
+    const event = runningEvent(farm, 10, 60);
+    events.push(event);
+    actuatorService.readState.mockResolvedValue(null);
+
+    for (let i = 0; i < RECONCILE_ATTEMPTS + 2; i++) {
+      await runWatchdog(NOW);
+    }
+
+    expect(actuatorService.readState).toHaveBeenCalledTimes(RECONCILE_ATTEMPTS);
+    expect(event.status).toBe(RUNNING);
+  });
+
+  it('reconciles only once per restart', async () => {
+    events.push(runningEvent(farm, 10, 60));
+    actuatorService.readState.mockResolvedValue(new Map([[2, STATES.ON]]));
+
+    await runWatchdog(NOW);
+    await runWatchdog(NOW);
+    expect(actuatorService.readState).toHaveBeenCalledTimes(1);
+
+    stopIrrigationWatchdog();
+    await runWatchdog(NOW);
+    expect(actuatorService.readState).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not reconcile farms without hardware', async () => {
+    farm.settings.actuators.driver = undefined;
+    const event = runningEvent(farm, 10, 60);
+    events.push(event);
+
+    const summary = await runWatchdog(NOW);
+
+    expect(summary.reconciled).toBe(0);
+    expect(actuatorService.readState).not.toHaveBeenCalled();
+    expect(event.status).toBe(RUNNING);
+  });
+
+  it('hard-stops irrigations running past the maximum runtime and tells the farm', async () => {
+    const event = runningEvent(farm, MAX_RUNTIME + 1, 480);
+    events.push(event);
+    actuatorService.readState.mockResolvedValue(new Map([[2, STATES.ON]]));
+
+    const summary = await runWatchdog(NOW);
+
+    expect(summary).toMatchObject({ stopped: 0, hardStopped: 1 });
+    expect(event.notes).toMatch(/Hard stop/);
+    expect(notificationService.sendSystemNotification).toHaveBeenCalledWith(
+      'Irrigation stopped',
+      expect.any(String),
+      [],
+      { farmId: farm._id, irrigationId: event._id }
+    );
+  });
+
+  it('retries unconfirmed shutdowns every few minutes', async () => {
+    const stale = buildEvent(farm, { status: FAILED });
+    stale.actuation.push({ commandId: 'a', action: 'stop', status: COMMAND_STATUS.TIMEOUT, sentAt: new Date(NOW.getTime() - SHUTDOWN_RETRY - MINUTE) });
+    const recent = buildEvent(farm, { status: FAILED });
+    recent.actuation.push({ commandId: 'b', action: 'stop', status: COMMAND_STATUS.FAILED, sentAt: new Date(NOW.getTime() - MINUTE) });
+    const confirmed = buildEvent(farm, { status: FAILED });
+    confirmed.actuation.push({ commandId: 'c', action: 'stop', status: COMMAND_STATUS.CONFIRMED, sentAt: new Date(NOW.getTime() - SHUTDOWN_RETRY - MINUTE) });
+    events.push(stale, recent, confirmed);
+
+    const summary = await runWatchdog(NOW);
+
+    expect(summary.retried).toBe(1);
+    expect(actuatorService.stopIrrigation).toHaveBeenCalledTimes(1);
+    expect(actuatorService.stopIrrigation).toHaveBeenCalledWith(farm, stale);
+  });
+});
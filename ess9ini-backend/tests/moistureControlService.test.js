@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const sift = require('sift');
+const Alert = require('../src/models/Alert');
+const IrrigationEvent = require('../src/models/IrrigationEvent');
+const Sensor = require('../src/models/Sensor');
+const SensorReading = require('../src/models/SensorReading');
+const actuatorService = require('../src/services/actuatorService');
+const rootZoneService = require('../src/services/rootZoneService');
+const { controlFarm } = require('../src/services/moistureControlService');
+const CONSTANTS = require('../src/config/constants');
+const { useMemoryModel, query } = require('./helpers/mongo');
+const { buildFarm, buildEvent, stubSaves } = require('./helpers/irrigation');
+
+const { PENDING, RUNNING, COMPLETED, FAILED } = CONSTANTS.IRRIGATION_STATUS;
+const { COMMAND_STATUS } = CONSTANTS.ACTUATORS;
+
+const MINUTE = 60 * 1000;
+const NOW = new Date('2025-08-07T10:00:00Z');
+
+const PROBES = { 1: new mongoose.Types.ObjectId(), 2: new mongoose.Types.ObjectId() };
+
+const rootZone = (zoneId, moisture) => ({
+  zone: zoneId === 1 ? 'North' : 'South',
+  zoneId,
+  targetMoisture: 60,
+  rootZoneMoisture: moisture,
+  measuredAt: new Date(NOW.getTime() - 5 * MINUTE),
+  readings: [{ sensorId: PROBES[zoneId], moistureLevel: moisture, timestamp: new Date(NOW.getTime() - 5 * MINUTE) }]
+});
+
+describe('moisture control settings', () => {
+  it('leaves the loop off until the farm opts in', () => {
+    const farm = buildFarm({}, { settings: { autoIrrigation: { enabled: true } } });
+
+    expect(farm.settings.autoIrrigation.moistureControl.enabled).toBe(false);
+  });
+});
+
+describe('controlFarm', () => {
+  let farm;
+  let events;
+
+  beforeEach(() => {
+    farm = buildFarm({}, {
+      settings: { autoIrrigation: { enabled: true, moistureThreshold: 40, moistureControl: { enabled: true } } }
+    });
+
+    stubSaves();
+    events = useMemoryModel(IrrigationEvent);
+    IrrigationEvent.prototype.save.mockImplementation(function() {
+      if (!events.includes(this)) events.push(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(IrrigationEvent, 'findNeedingShutdown').mockImplementation(conditions => query(
+      events.filter(event => event.needsShutdown && event.farmId.equals(conditions.farmId))
+    ));
+    jest.spyOn(rootZoneService, 'getFarmRootZones').mockResolvedValue([rootZone(1, 35), rootZone(2, 20)]);
+    jest.spyOn(actuatorService, 'startIrrigation').mockImplementation((_, event) => event.start());
+    jest.spyOn(actuatorService, 'stopIrrigation').mockImplementation((_, event, { moistureReadings }) => {
+      return event.complete(event.estimateWaterUsed(), moistureReadings);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('irrigates the driest zone below its start level from trusted readings only', async () => {
+    expect(await controlFarm(farm, NOW)).toBe('started');
+
+    expect(rootZoneService.getFarmRootZones).toHaveBeenCalledWith(farm, NOW, { trustedOnly: true });
+    expect(events).toHaveLength(1);
+    const [event] = events;
+    expect(event.zones).toEqual([2]);
+    expect(event.status).toBe(RUNNING);
+    expect(event.claimedAt).toEqual(NOW);
+    expect(event.trigger.reason).toBe('low_moisture');
+    expect(event.trigger.moistureLevels[0]).toMatchObject({ zone: 2, moistureLevel: 20 });
+  });
+
+  it('stops its irrigation once the zone reaches the target', async () => {
+    await controlFarm(farm, NOW);
+    const [event] = events;
+    rootZoneService.getFarmRootZones.mockResolvedValue([rootZone(1, 35), rootZone(2, 61)]);
+
+    expect(await controlFarm(farm, new Date(NOW.getTime() + 10 * MINUTE))).toBe('stopped');
+
+    expect(event.status).toBe(COMPLETED);
+    expect(event.results.moistureIncrease).toEqual([
+      expect.objectContaining({ zone: 2, sensorId: PROBES[2], beforeMoisture: 20, afterMoisture: 61, increase: 41 })
+    ]);
+  });
+
+  it('waits while another irrigation is being started', async () => {
+    events.push(buildEvent(farm, { status: PENDING, claimedAt: NOW }));
+
+    expect(await controlFarm(farm, NOW)).toBeNull();
+    expect(actuatorService.startIrrigation).not.toHaveBeenCalled();
+  });
+
+  it('is not blocked by a pending event nobody is starting', async () => {
+    events.push(buildEvent(farm, { status: PENDING, trigger: { reason: 'low_moisture' }, schedule: { startTime: new Date(NOW.getTime() - 60 * MINUTE) } }));
+
+    expect(await controlFarm(farm, NOW)).toBe('started');
+  });
+
+  it('does not start a zone while a failed irrigation may still have valves open', async () => {
+    const failed = buildEvent(farm, { status: FAILED, zones: [1] });
+    failed.actuation.push({ commandId: 'a', action: 'stop', status: COMMAND_STATUS.TIMEOUT, sentAt: new Date(NOW.getTime() - 200 * MINUTE) });
+    failed.updatedAt = new Date(NOW.getTime() - 200 * MINUTE);
+    events.push(failed);
+
+    expect(await controlFarm(farm, NOW)).toBeNull();
+    expect(actuatorService.startIrrigation).not.toHaveBeenCalled();
+
+    failed.actuation.push({ commandId: 'b', action: 'stop', status: COMMAND_STATUS.CONFIRMED, sentAt: NOW });
+    expect(await controlFarm(farm, NOW)).toBe('started');
+  });
+});
+
+describe('getFarmRootZones', () => {
+  let farm;
+  let sensors;
+  let readings;
+  let alerts;
+
+  const sensor = (zone, drift = CONSTANTS.DRIFT.STATUS.OK) => ({
+    _id: new mongoose.Types.ObjectId(),
+    farmId: farm._id,
+    isActive: true,
+    location: { zone, depth: 15 },
+    drift: { status: drift }
+  });
+
+  const reading = (probe, minutesAgo, moistureLevel, anomalies = []) => ({
+    sensorId: probe._id,
+    timestamp: new Date(NOW.getTime() - minutesAgo * MINUTE),
+    readings: { moistureLevel },
+    anomalies
+  });
+
+  beforeEach(() => {
+    farm = buildFarm();
+    sensors = [];
+    readings = [];
+
+    useMemoryModel(Sensor, sensors);
+    alerts = useMemoryModel(Alert);
+    // Latest matching reading per sensor
+    jest.spyOn(SensorReading, 'aggregate').mockImplementation(async ([{ $match }]) => {
+      const latest = new Map();
+      readings.filter(sift($match)).forEach(item => {
+        const current = latest.get(item.sensorId.toString());
+        if (!current || item.timestamp > current.timestamp) latest.set(item.sensorId.toString(), item);
+      });
+      return [...latest.values()].map(item => ({ _id: item.sensorId, timestamp: item.timestamp, moistureLevel: item.readings.moistureLevel }));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves out anomalous readings, drifting sensors and sensors with an open sensor error', async () => {
+    const good = sensor('North');
+    const spiking = sensor('North');
+    const drifting = sensor('North', CONSTANTS.DRIFT.STATUS.DRIFTING);
+    const failing = sensor('North');
+    sensors.push(good, spiking, drifting, failing);
+    readings.push(
+      reading(good, 5, 30),
+      reading(spiking, 10, 32),
+      reading(spiking, 2, 95, [{ type: CONSTANTS.ANOMALY.TYPES.SPIKE, message: 'Spike' }]),
+      reading(drifting, 5, 10),
+      reading(failing, 5, 5)
+    );
+    const alert = (probe, status) => ({ farmId: farm._id, sensorId: probe._id, type: CONSTANTS.ALERT_KINDS.SENSOR_ERROR, status });
+    alerts.push(alert(failing, CONSTANTS.ALERT_STATUS.ACKNOWLEDGED), alert(good, CONSTANTS.ALERT_STATUS.RESOLVED));
+
+    const [all] = await rootZoneService.getFarmRootZones(farm, NOW);
+    const [trusted] = await rootZoneService.getFarmRootZones(farm, NOW, { trustedOnly: true });
+
+    expect(all.readings).toHaveLength(4);
+    expect(trusted.readings.map(item => [item.sensorId, item.moistureLevel])).toEqual([[good._id, 30], [spiking._id, 32]]);
+    expect(trusted.rootZoneMoisture).toBe(31);
+  });
+});
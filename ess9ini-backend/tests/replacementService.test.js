@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const Alert = require('../src/models/Alert');
+const DeviceCommand = require('../src/models/DeviceCommand');
+const Sensor = require('../src/models/Sensor');
+const WorkOrder = require('../src/models/WorkOrder');
+const { replaceSensor, hardwareChanges } = require('../src/services/replacementService');
+const CONSTANTS = require('../src/config/constants');
+const { query } = require('./helpers/mongo');
+
+const { SENSOR_STATUS } = CONSTANTS;
+
+describe('replacementService', () => {
+  const farmId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  let sensors;
+  let original;
+
+  const install = async (data) => {
+    const result = await replaceSensor(sensors[sensors.length - 1], data, userId);
+    sensors.push(result.sensor);
+    return result;
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(Sensor.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(Sensor, 'findById').mockImplementation(id => query(sensors.find(sensor => sensor._id.equals(id)) || null));
+    jest.spyOn(Alert, 'resolveOpen').mockResolvedValue({});
+    jest.spyOn(DeviceCommand, 'expireOpen').mockResolvedValue({});
+    jest.spyOn(WorkOrder, 'cancelOpen').mockResolvedValue({});
+
+    original = new Sensor({
+      farmId,
+      deviceId: 'SM-001',
+      name: 'North probe',
+      location: { zone: 'North', depth: 30, coordinates: { latitude: 36.8, longitude: 10.2 } },
+      calibration: { dryValue: 2900, wetValue: 1100, lastCalibrated: new Date('2025-03-01T00:00:00Z') },
+      configuration: { samplingInterval: 600 },
+      connectivity: { devEui: '70B3D57ED0000001' }
+    });
+    await original.issueApiKey(userId, 'Installed');
+    sensors = [original];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('replaceSensor', () => {
+    it('moves the position to the new device and retires the old one', async () => {
+      const { sensor, apiKey, retired } = await install({ deviceId: 'sm-002', reason: 'water damage' });
+
+      expect(apiKey).toEqual(expect.any(String));
+      expect(sensor).toMatchObject({
+        deviceId: 'SM-002',
+        name: 'North probe',
+        location: { zone: 'North', depth: 30 },
+        configuration: { samplingInterval: 600 },
+        calibration: { dryValue: 2900, wetValue: 1100, notes: 'Carried over from SM-001' },
+        replacement: { replaces: original._id }
+      });
+      expect(sensor.verifyApiKey(apiKey)).toBe(true);
+      expect(sensor.credentials.history.map(entry => entry.action)).toEqual(['issued']);
+
+      expect(retired).toBe(original);
+      expect(retired).toMatchObject({ status: SENSOR_STATUS.RETIRED, isActive: false });
+      expect(retired.replacement.replacedBy).toEqual(sensor._id);
+      expect(retired.connectivity.devEui).toBeUndefined();
+      expect(retired.credentials.revokedAt).toBeInstanceOf(Date);
+      expect(retired.maintenance.notes.at(-1).description).toBe('Replaced by SM-002: water damage');
+
+      expect(Alert.resolveOpen).toHaveBeenCalledWith(original._id, CONSTANTS.ALERT_KINDS.SENSOR_OFFLINE, 'Sensor replaced by SM-002');
+      expect(DeviceCommand.expireOpen).toHaveBeenCalledWith(original._id, 'Sensor replaced by SM-002');
+      expect(WorkOrder.cancelOpen).toHaveBeenCalledWith(original._id, 'Sensor replaced by SM-002');
+    });
+
+    it('calibrates the new device with the values given', async () => {
+      const { sensor } = await install({ deviceId: 'SM-002', calibration: { dryValue: 3100, wetValue: 1200 } });
+
+      expect(sensor.calibration).toMatchObject({ dryValue: 3100, wetValue: 1200, calibratedBy: userId });
+      expect(sensor.calibration.lastCalibrated.getTime()).toBeGreaterThan(original.calibration.lastCalibrated.getTime());
+    });
+
+    it('refuses a retired sensor or the same device', async () => {
+      await expect(replaceSensor(original, { deviceId: 'sm-001' }, userId)).rejects.toMatchObject({ code: 'SAME_DEVICE' });
+
+      await install({ deviceId: 'SM-002' });
+      await expect(replaceSensor(original, { deviceId: 'SM-003' }, userId)).rejects.toMatchObject({ code: 'SENSOR_RETIRED' });
+    });
+
+    it('leaves the old sensor untouched when the new device cannot be saved', async () => {
+      Sensor.prototype.save.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+      await expect(replaceSensor(original, { deviceId: 'SM-002' }, userId)).rejects.toMatchObject({ code: 11000 });
+      expect(original).toMatchObject({ status: SENSOR_STATUS.ACTIVE, isActive: true });
+      expect(original.credentials.revokedAt).toBeUndefined();
+    });
+  });
+
+  describe('lineage', () => {
+    it('follows the position across every device, from any of them', async () => {
+      await install({ deviceId: 'SM-002' });
+      await install({ deviceId: 'SM-003' });
+      const [first, second, third] = sensors;
+
+      for (const sensor of sensors) {
+        const lineage = await Sensor.getLineage(sensor);
+
+        expect(lineage.map(segment => segment.sensor.deviceId)).toEqual(['SM-001', 'SM-002', 'SM-003']);
+        expect(lineage.map(segment => [segment.from, segment.to])).toEqual([
+          [null, first.replacement.retiredAt],
+          [first.replacement.retiredAt, second.replacement.retiredAt],
+          [second.replacement.retiredAt, null]
+        ]);
+      }
+
+      expect(hardwareChanges(await Sensor.getLineage(third))).toEqual([
+        {
+          at: first.replacement.retiredAt,
+          from: { sensorId: first._id, deviceId: 'SM-001' },
+          to: { sensorId: second._id, deviceId: 'SM-002' }
+        },
+        {
+          at: second.replacement.retiredAt,
+          from: { sensorId: second._id, deviceId: 'SM-002' },
+          to: { sensorId: third._id, deviceId: 'SM-003' }
+        }
+      ]);
+    });
+  });
+});
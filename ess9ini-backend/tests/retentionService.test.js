@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+
+process.env.ARCHIVE_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ess9ini-archives-'));
+
+const Farm = require('../src/models/Farm');
+const SensorReading = require('../src/models/SensorReading');
+const ReadingArchive = require('../src/models/ReadingArchive');
+const retentionService = require('../src/services/retentionService');
+const { useMemoryModel } = require('./helpers/mongo');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const buildFarm = (retention = {}) => new Farm({
+  name: 'Test farm',
+  owner: new mongoose.Types.ObjectId(),
+  settings: { retention: { days: 30, ...retention } }
+});
+
+const reading = (farm, daysAgo, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  farmId: farm._id,
+  sensorId: new mongoose.Types.ObjectId(),
+  timestamp: new Date(Date.now() - daysAgo * DAY),
+  createdAt: new Date(Date.now() - daysAgo * DAY),
+  readings: { moistureLevel: 40 },
+  ...extra
+});
+
+// IDs of the readings in an NDJSON archive
+const archivedIds = (archive) => {
+  const file = path.join(process.env.ARCHIVE_STORAGE_DIR, archive.farmId.toString(), archive.file.storedName);
+  return zlib.gunzipSync(fs.readFileSync(file)).toString()
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line)._id);
+};
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('applyRetention', () => {
+  let readings;
+
+  beforeEach(() => {
+    readings = useMemoryModel(SensorReading);
+    jest.spyOn(ReadingArchive, 'create').mockImplementation(async (data) => new ReadingArchive(data));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.ARCHIVE_STORAGE_DIR, { recursive: true, force: true });
+  });
+
+  // Farm.updateOne applied to the farm document, as the next pass would load it
+  const persistFarm = (farm) => {
+    jest.spyOn(Farm, 'updateOne').mockImplementation(async (filter, update) => {
+      Object.entries(update.$set).forEach(([field, value]) => farm.set(field, value));
+      return { modifiedCount: 1 };
+    });
+  };
+
+  it('archives readings a week before they expire and deletes only expired ones', async () => {
+    const farm = buildFarm();
+    persistFarm(farm);
+    const expired = reading(farm, 40);
+    const expiring = reading(farm, 25);
+    const recent = reading(farm, 10);
+    readings.push(expired, expiring, recent);
+
+    const { archive, deleted } = await retentionService.applyRetention(farm);
+
+    expect(archivedIds(archive)).toEqual([expired._id.toString(), expiring._id.toString()]);
+    expect(deleted).toBe(1);
+    expect(readings).toEqual([expiring, recent]);
+    expect(farm.settings.retention.archivedAt).toBeInstanceOf(Date);
+  });
+
+  it('archives a reading stored after its period was archived before deleting it', async () => {
+    const farm = buildFarm();
+    persistFarm(farm);
+    readings.push(reading(farm, 40));
+    await retentionService.applyRetention(farm);
+
+    // Backfilled by a device after the first pass, long expired
+    await tick();
+    const backfilled = reading(farm, 35, { createdAt: new Date() });
+    readings.push(backfilled);
+    await tick();
+
+    const { archive, deleted } = await retentionService.applyRetention(farm);
+
+    expect(archivedIds(archive)).toEqual([backfilled._id.toString()]);
+    expect(deleted).toBe(1);
+    expect(readings).toEqual([]);
+  });
+
+  it('keeps a reading stored while the archive was being written until the next pass', async () => {
+    const farm = buildFarm();
+    persistFarm(farm);
+    const late = reading(farm, 35, { createdAt: new Date(Date.now() + 60 * 1000) });
+    readings.push(late);
+
+    const { deleted } = await retentionService.applyRetention(farm);
+
+    expect(deleted).toBe(0);
+    expect(readings).toEqual([late]);
+  });
+
+  it('checks every reading again on farms archived before runs were recorded', async () => {
+    const farm = buildFarm({ archivedUntil: new Date(Date.now() - 20 * DAY) });
+    persistFarm(farm);
+    const missed = reading(farm, 35, { createdAt: new Date(Date.now() - DAY) });
+    readings.push(missed);
+
+    const { archive, deleted } = await retentionService.applyRetention(farm);
+
+    expect(archivedIds(archive)).toEqual([missed._id.toString()]);
+    expect(deleted).toBe(1);
+  });
+
+  it('spares recently restored readings', async () => {
+    const farm = buildFarm();
+    persistFarm(farm);
+    const restored = reading(farm, 200, { restoredAt: new Date(Date.now() - DAY) });
+    readings.push(restored);
+
+    const { archive, deleted } = await retentionService.applyRetention(farm);
+
+    expect(archive).toBeNull();
+    expect(deleted).toBe(0);
+    expect(readings).toEqual([restored]);
+  });
+
+  it('deletes expired readings without archiving when archiving is off', async () => {
+    const farm = buildFarm({ archive: { enabled: false } });
+    persistFarm(farm);
+    readings.push(reading(farm, 40), reading(farm, 10));
+
+    const { archive, deleted } = await retentionService.applyRetention(farm);
+
+    expect(archive).toBeNull();
+    expect(deleted).toBe(1);
+    expect(readings).toHaveLength(1);
+  });
+});
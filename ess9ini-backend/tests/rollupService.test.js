@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Farm = require('../src/models/Farm');
+const ReadingRollup = require('../src/models/ReadingRollup');
+const Sensor = require('../src/models/Sensor');
+const SensorReading = require('../src/models/SensorReading');
+const { recordReadings, rebuild } = require('../src/services/rollupService');
+const { startOfPeriod } = require('../src/utils/helpers');
+const CONSTANTS = require('../src/config/constants');
+const { useMemoryModel, useMemoryBulkWrite, query } = require('./helpers/mongo');
+
+const { GRANULARITY, SCOPE } = CONSTANTS.ROLLUPS;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// Local midnight three days ago, well inside the raw reading retention
+const DAY_ONE = startOfPeriod(Date.now() - 3 * DAY, GRANULARITY.DAY);
+const DAY_TWO = new Date(DAY_ONE.getTime() + 2 * DAY);
+
+describe('rollupService', () => {
+  const farmId = new mongoose.Types.ObjectId();
+  let probe;
+  let peer;
+  let readings;
+  let rollups;
+
+  const reading = (sensor, time, moistureLevel) => ({
+    _id: new mongoose.Types.ObjectId(),
+    sensorId: sensor._id,
+    farmId,
+    timestamp: new Date(time),
+    readings: { moistureLevel, temperature: 24 }
+  });
+
+  // Stored buckets of a sensor or a zone
+  const bucketsOf = (key, granularity) => rollups
+    .filter(rollup => rollup.granularity === granularity &&
+      (key.sensorId ? rollup.sensorId?.equals(key.sensorId) : rollup.scope === SCOPE.ZONE && rollup.zone === key.zone))
+    .sort((a, b) => a.bucket - b.bucket);
+
+  const averageOf = (rollup) => rollup.channels.moistureLevel.sum / rollup.channels.moistureLevel.count;
+
+  beforeEach(async () => {
+    probe = new Sensor({ farmId, deviceId: 'SM-001', name: 'North probe', location: { zone: 'North' } });
+    peer = new Sensor({ farmId, deviceId: 'SM-002', name: 'North peer', location: { zone: 'North' } });
+
+    readings = [
+      reading(probe, DAY_ONE.getTime() + 10 * HOUR, 30),
+      reading(probe, DAY_ONE.getTime() + 10.5 * HOUR, 34),
+      reading(probe, DAY_TWO.getTime() + 10 * HOUR, 40),
+      reading(peer, DAY_TWO.getTime() + 10 * HOUR, 50)
+    ];
+    rollups = useMemoryModel(ReadingRollup);
+    useMemoryBulkWrite(ReadingRollup, rollups);
+    useMemoryModel(SensorReading, readings);
+
+    jest.spyOn(Sensor, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Sensor, 'find').mockReturnValue(query([{ _id: probe._id }, { _id: peer._id }]));
+    jest.spyOn(Farm, 'findById').mockReturnValue(query(new Farm({ name: 'Test Farm', owner: new mongoose.Types.ObjectId() })));
+
+    await recordReadings(probe, readings.slice(0, 3));
+    await recordReadings(peer, readings.slice(3));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('aggregates readings per sensor and zone in hourly and daily buckets', () => {
+    const [first, second] = bucketsOf({ sensorId: probe._id }, GRANULARITY.DAY);
+    expect(first.bucket).toEqual(DAY_ONE);
+    expect(first.channels.moistureLevel).toEqual({ min: 30, max: 34, sum: 64, count: 2 });
+    expect(second.channels.moistureLevel).toEqual({ min: 40, max: 40, sum: 40, count: 1 });
+
+    expect(bucketsOf({ sensorId: probe._id }, GRANULARITY.HOUR)).toHaveLength(2);
+
+    const zoneDays = bucketsOf({ zone: 'North' }, GRANULARITY.DAY);
+    expect(zoneDays.map(averageOf)).toEqual([32, 45]);
+  });
+
+  it('rebuilds the sensor and zone buckets from a recalibration date, leaving older ones', async () => {
+    // A retroactive recalibration rewrote the probe's readings
+    readings.filter(item => item.sensorId.equals(probe._id)).forEach(item => {
+      item.readings.moistureLevel += 10;
+    });
+
+    const result = await rebuild(probe, DAY_TWO);
+
+    expect(result).toEqual({ from: DAY_TWO, readings: 1 });
+    expect(bucketsOf({ sensorId: probe._id }, GRANULARITY.DAY).map(averageOf)).toEqual([32, 50]);
+    expect(bucketsOf({ sensorId: probe._id }, GRANULARITY.HOUR).map(averageOf)).toEqual([32, 50]);
+    expect(bucketsOf({ zone: 'North' }, GRANULARITY.DAY).map(averageOf)).toEqual([32, 50]);
+    expect(bucketsOf({ sensorId: peer._id }, GRANULARITY.DAY).map(averageOf)).toEqual([50]);
+    expect(Sensor.updateOne).toHaveBeenLastCalledWith(
+      { _id: probe._id },
+      { $set: { 'statistics.averages': expect.objectContaining({ moisture: expect.objectContaining({ weekly: 38 }) }) } }
+    );
+  });
+});
@@ -0,0 +1,146 @@
+const sift = require('sift');
+const mongoose = require('mongoose');
+const Farm = require('../src/models/Farm');
+const Alert = require('../src/models/Alert');
+const Sensor = require('../src/models/Sensor');
+const SensorReading = require('../src/models/SensorReading');
+const { computeRootZone, getFarmRootZones } = require('../src/services/rootZoneService');
+const CONSTANTS = require('../src/config/constants');
+const { useMemoryModel } = require('./helpers/mongo');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2025-08-07T12:00:00Z');
+
+describe('rootZoneService', () => {
+  describe('computeRootZone', () => {
+    it('weights each depth by the soil layer it stands for, down to the root depth', () => {
+      const result = computeRootZone(new Map([[15, [40]], [30, [30]], [60, [18, 22]], [120, [35]]]), 90);
+
+      expect(result.layers).toEqual([
+        { depth: 15, top: 0, bottom: 22.5, weight: 0.25, moisture: 40, sensors: 1 },
+        { depth: 30, top: 22.5, bottom: 45, weight: 0.25, moisture: 30, sensors: 1 },
+        { depth: 60, top: 45, bottom: 90, weight: 0.5, moisture: 20, sensors: 2 }
+      ]);
+      expect(result.rootZoneMoisture).toBe(27.5);
+      expect(result.belowRootZone).toEqual([{ depth: 120, moisture: 35, sensors: 1 }]);
+    });
+
+    it('has no root-zone moisture without a depth inside the root zone', () => {
+      expect(computeRootZone(new Map([[120, [35]]]), 90).rootZoneMoisture).toBeNull();
+    });
+  });
+
+  describe('getFarmRootZones', () => {
+    let farm;
+    let sensors;
+    let readings;
+
+    // Latest reading per sensor among those matching the first $match stage
+    const latestReadings = async ([{ $match }]) => {
+      const matching = readings.filter(sift($match)).sort((a, b) => b.timestamp - a.timestamp);
+      const latest = new Map();
+      matching.forEach(reading => {
+        const key = reading.sensorId.toString();
+        if (!latest.has(key)) {
+          latest.set(key, {
+            _id: reading.sensorId,
+            timestamp: reading.timestamp,
+            moistureLevel: reading.readings.moistureLevel,
+            profile: reading.profile
+          });
+        }
+      });
+      return [...latest.values()];
+    };
+
+    const reading = (sensor, hoursAgo, moistureLevel, extra = {}) => readings.push({
+      sensorId: sensor._id,
+      timestamp: new Date(NOW.getTime() - hoursAgo * HOUR),
+      readings: { moistureLevel },
+      ...extra
+    });
+
+    beforeEach(() => {
+      farm = new Farm({
+        name: 'Test Farm',
+        owner: new mongoose.Types.ObjectId(),
+        location: {
+          zones: [
+            { id: 1, name: 'North', area: 1, cropType: CONSTANTS.CROP_TYPES.CITRUS },
+            { id: 2, name: 'South', area: 1, cropType: CONSTANTS.CROP_TYPES.CITRUS }
+          ]
+        }
+      });
+      const sensor = (name, location, extra = {}) => new Sensor({
+        farmId: farm._id,
+        deviceId: name,
+        name,
+        location,
+        ...extra
+      });
+
+      sensors = [
+        sensor('probe', { zone: 'North', depths: [15, 30, 60] }),
+        sensor('deep', { zone: 'North', depth: 60 }),
+        sensor('drifting', { zone: 'North', depth: 30 }, { drift: { status: CONSTANTS.DRIFT.STATUS.DRIFTING } }),
+        sensor('south', { zone: 'South', depth: 30 })
+      ];
+      readings = [];
+
+      reading(sensors[0], 1, 30, {
+        profile: [{ depth: 15, moistureLevel: 40 }, { depth: 30, moistureLevel: 30 }, { depth: 60, moistureLevel: 18 }]
+      });
+      reading(sensors[1], 2, 22);
+      reading(sensors[1], 1, 90, { anomalies: [{ type: CONSTANTS.ANOMALY.TYPES.OUTLIER }] });
+      reading(sensors[2], 1, 70);
+      reading(sensors[3], 12, 25); // too old to count as current
+
+      useMemoryModel(Sensor, sensors);
+      useMemoryModel(Alert, []);
+      jest.spyOn(SensorReading, 'aggregate').mockImplementation(latestReadings);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('combines every sensor of a zone into one depth-weighted moisture', async () => {
+      const zones = await getFarmRootZones(farm, NOW);
+      const north = zones.find(zone => zone.zone === 'North');
+
+      expect(north).toMatchObject({ zoneId: 1, rootDepth: 90, sensors: 3, reporting: 3 });
+      expect(north.layers.map(layer => [layer.depth, layer.moisture])).toEqual([[15, 40], [30, 50], [60, 54]]);
+
+      expect(zones.find(zone => zone.zone === 'South')).toMatchObject({
+        sensors: 1,
+        reporting: 0,
+        rootZoneMoisture: null,
+        measuredAt: null
+      });
+    });
+
+    it('leaves out drifting sensors and readings flagged with anomalies when trusted only', async () => {
+      const zones = await getFarmRootZones(farm, NOW, { trustedOnly: true });
+      const north = zones.find(zone => zone.zone === 'North');
+
+      expect(north).toMatchObject({ sensors: 2, reporting: 2 });
+      expect(north.layers.map(layer => [layer.depth, layer.moisture])).toEqual([[15, 40], [30, 30], [60, 20]]);
+      expect(north.rootZoneMoisture).toBe(27.5);
+    });
+
+    it('leaves out sensors with an open sensor error alert when trusted only', async () => {
+      useMemoryModel(Alert, [new Alert({
+        farmId: farm._id,
+        sensorId: sensors[0]._id,
+        type: CONSTANTS.ALERT_KINDS.SENSOR_ERROR,
+        severity: 'high',
+        title: 'Sensor error',
+        message: 'Readings out of range'
+      })]);
+
+      const zones = await getFarmRootZones(farm, NOW, { trustedOnly: true });
+
+      expect(zones.find(zone => zone.zone === 'North')).toMatchObject({ sensors: 1, reporting: 1, rootZoneMoisture: 22 });
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Farm = require('../src/models/Farm');
+const Sensor = require('../src/models/Sensor');
+const { updateSensor } = require('../src/controllers/sensorController');
+const CONSTANTS = require('../src/config/constants');
+
+// Run a catchAsync handler to its response or error
+const call = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(body => resolve({ status: res.status.mock.calls[0][0], body }))
+  };
+  handler(req, res, error => resolve({ error }));
+});
+
+describe('updateSensor', () => {
+  const owner = new mongoose.Types.ObjectId();
+  const sensor = { _id: new mongoose.Types.ObjectId(), farmId: new mongoose.Types.ObjectId(), status: CONSTANTS.SENSOR_STATUS.ACTIVE };
+
+  beforeEach(() => {
+    jest.spyOn(Sensor, 'findById').mockResolvedValue(sensor);
+    jest.spyOn(Farm, 'findById').mockResolvedValue({ _id: sensor.farmId, owner });
+    jest.spyOn(Sensor, 'findByIdAndUpdate').mockResolvedValue(sensor);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only applies the fields owners may edit', async () => {
+    const { status } = await call(updateSensor, {
+      params: { id: sensor._id.toString() },
+      user: { userId: owner, role: 'farmer' },
+      body: {
+        name: 'North probe',
+        'alerts.lowBattery.threshold': 25,
+        status: CONSTANTS.SENSOR_STATUS.RETIRED,
+        'credentials.keyHash': 'forged',
+        replacement: { replacedBy: new mongoose.Types.ObjectId() },
+        drift: { status: 'ok' },
+        batteryForecast: { daysRemaining: 300 },
+        'statistics.outages': [],
+        $set: { status: CONSTANTS.SENSOR_STATUS.RETIRED }
+      }
+    });
+
+    expect(status).toBe(200);
+    expect(Sensor.findByIdAndUpdate).toHaveBeenCalledWith(
+      sensor._id.toString(),
+      { name: 'North probe', 'alerts.lowBattery.threshold': 25 },
+      { new: true, runValidators: true }
+    );
+  });
+});
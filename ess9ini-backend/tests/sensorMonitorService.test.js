@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Alert = require('../src/models/Alert');
+const Farm = require('../src/models/Farm');
+const Sensor = require('../src/models/Sensor');
+const User = require('../src/models/User');
+const notificationService = require('../src/services/notificationService');
+const { checkSensors } = require('../src/services/sensorMonitorService');
+const CONSTANTS = require('../src/config/constants');
+const { query } = require('./helpers/mongo');
+
+const { SENSOR_STATUS, ALERT_KINDS } = CONSTANTS;
+
+const MINUTE = 60 * 1000;
+
+const buildSensor = (overrides = {}) => new Sensor({
+  farmId: new mongoose.Types.ObjectId(),
+  deviceId: 'SM-001',
+  name: 'North probe',
+  createdAt: new Date(Date.now() - 2 * 24 * 60 * MINUTE),
+  ...overrides
+});
+
+// Past the sensor's own offline timeout
+const silent = (sensor) => Date.now() - sensor.connectivity.lastSeen > sensor.alerts.offline.timeout * 1000;
+
+describe('checkSensors', () => {
+  let sensors;
+  let farm;
+
+  beforeEach(() => {
+    sensors = [];
+    farm = new Farm({ name: 'Test Farm', owner: new mongoose.Types.ObjectId() });
+
+    // Status transitions applied the way the monitor's updates describe them
+    jest.spyOn(Sensor, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const sensor = sensors.find(item => item._id.equals(filter._id) && item.status === filter.status);
+      if (!sensor) return null;
+
+      sensor.status = update.$set.status;
+      if (update.$push) {
+        sensor.statistics.outages.push(update.$push['statistics.outages']);
+        sensor.connectivity.offlineSince = update.$set['connectivity.offlineSince'];
+      } else {
+        sensor.statistics.outages.find(outage => !outage.endedAt).endedAt = update.$set['statistics.outages.$[open].endedAt'];
+        sensor.connectivity.offlineSince = undefined;
+      }
+      return sensor;
+    });
+    // Queries hand out their own copies, like documents loaded from the database
+    const load = (test) => query(sensors.filter(test).map(sensor => Sensor.hydrate(sensor.toObject())));
+    jest.spyOn(Sensor, 'findOffline').mockImplementation(() => load(sensor => sensor.status === SENSOR_STATUS.ACTIVE && silent(sensor)));
+    jest.spyOn(Sensor, 'findRecovered').mockImplementation(() => load(sensor => sensor.status === SENSOR_STATUS.OFFLINE && !silent(sensor)));
+    jest.spyOn(Sensor, 'find').mockReturnValue(query([]));
+    jest.spyOn(Sensor, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Farm, 'findById').mockImplementation(() => query(farm));
+    jest.spyOn(User, 'findByFarm').mockResolvedValue([]);
+    jest.spyOn(Alert, 'raise').mockImplementation(async data => ({ alert: data, created: true }));
+    jest.spyOn(Alert, 'resolveOpen').mockResolvedValue({});
+    jest.spyOn(notificationService, 'sendAlert').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('marks a silent sensor offline from its last contact and raises an alert', async () => {
+    const lastSeen = new Date(Date.now() - 20 * MINUTE);
+    const sensor = buildSensor({ connectivity: { lastSeen } });
+    sensors.push(sensor);
+
+    expect(await checkSensors()).toEqual({ offline: 1, recovered: 0 });
+
+    expect(sensor.status).toBe(SENSOR_STATUS.OFFLINE);
+    expect(sensor.connectivity.offlineSince).toEqual(lastSeen);
+    expect(sensor.statistics.outages.map(outage => outage.startedAt)).toEqual([lastSeen]);
+    expect(Alert.raise).toHaveBeenCalledWith(expect.objectContaining({ sensorId: sensor._id, type: ALERT_KINDS.SENSOR_OFFLINE }));
+    expect(notificationService.sendAlert).toHaveBeenCalledTimes(1);
+    expect(Sensor.updateOne).toHaveBeenCalledWith(
+      { _id: sensor._id },
+      expect.objectContaining({ $set: { 'statistics.uptime': expect.any(Number) } })
+    );
+  });
+
+  it('returns a recovered sensor to active, closes its outage and resolves the alert', async () => {
+    const offlineSince = new Date(Date.now() - 31 * MINUTE);
+    const lastSeen = new Date(Date.now() - MINUTE);
+    const sensor = buildSensor({
+      status: SENSOR_STATUS.OFFLINE,
+      connectivity: { lastSeen, offlineSince },
+      statistics: { outages: [{ startedAt: offlineSince }] }
+    });
+    sensors.push(sensor);
+
+    expect(await checkSensors()).toEqual({ offline: 0, recovered: 1 });
+
+    expect(sensor.status).toBe(SENSOR_STATUS.ACTIVE);
+    expect(sensor.connectivity.offlineSince).toBeUndefined();
+    expect(sensor.statistics.outages[0].endedAt).toEqual(lastSeen);
+    expect(sensor.computeUptime(lastSeen)).toBeLessThan(100);
+    expect(Alert.resolveOpen).toHaveBeenCalledWith(sensor._id, ALERT_KINDS.SENSOR_OFFLINE, 'Sensor reported again after 30 minutes offline');
+  });
+
+  it('leaves sensors another pass already moved', async () => {
+    const sensor = buildSensor({ connectivity: { lastSeen: new Date(Date.now() - 20 * MINUTE) } });
+    sensors.push(sensor);
+    Sensor.findOneAndUpdate.mockResolvedValue(null);
+
+    expect(await checkSensors()).toEqual({ offline: 0, recovered: 0 });
+    expect(Alert.raise).not.toHaveBeenCalled();
+  });
+
+  it('does not alert when the farm turned offline alerts off', async () => {
+    farm.settings.alerts.sensorOffline.enabled = false;
+    const sensor = buildSensor({ connectivity: { lastSeen: new Date(Date.now() - 20 * MINUTE) } });
+    sensors.push(sensor);
+
+    expect(await checkSensors()).toEqual({ offline: 1, recovered: 0 });
+    expect(sensor.status).toBe(SENSOR_STATUS.OFFLINE);
+    expect(Alert.raise).not.toHaveBeenCalled();
+  });
+});
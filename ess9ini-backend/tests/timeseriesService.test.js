@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const ReadingRollup = require('../src/models/ReadingRollup');
+const SensorReading = require('../src/models/SensorReading');
+const { query, defaultBucket, interpolate } = require('../src/services/timeseriesService');
+const CONSTANTS = require('../src/config/constants');
+
+const { GRANULARITY, SCOPE } = CONSTANTS.ROLLUPS;
+
+const HOUR = 60 * 60 * 1000;
+const FROM = new Date('2025-08-07T00:00:00Z');
+
+describe('timeseriesService', () => {
+  const farmId = new mongoose.Types.ObjectId();
+  const zone = { farmId, zone: 'North', sensors: [{ _id: new mongoose.Types.ObjectId() }, { _id: new mongoose.Types.ObjectId() }] };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('aligns daily buckets on Africa/Tunis midnight', async () => {
+    jest.spyOn(ReadingRollup, 'getSeries').mockResolvedValue([]);
+
+    const result = await query({
+      zone,
+      from: new Date('2025-08-07T12:00:00Z'),
+      to: new Date('2025-08-08T12:00:00Z'),
+      bucket: '1d',
+      channels: ['moisture'],
+      aggregates: ['avg']
+    });
+
+    expect(result.timestamps.map(time => time.toISOString())).toEqual(['2025-08-06T23:00:00.000Z', '2025-08-07T23:00:00.000Z']);
+  });
+
+  it('picks the smallest bucket within the point limit', () => {
+    expect(defaultBucket(FROM, new Date(FROM.getTime() + 24 * HOUR))).toBe('5m');
+    expect(defaultBucket(FROM, new Date(FROM.getTime() + 30 * 24 * HOUR))).toBe('1h');
+    expect(defaultBucket(FROM, new Date(FROM.getTime() + 365 * 24 * HOUR))).toBe('1d');
+  });
+
+  it('fills inner gaps only', () => {
+    const values = [null, 10, null, null, 40, null];
+
+    expect(interpolate(values, 'linear')).toEqual([null, 10, 20, 30, 40, null]);
+    expect(interpolate(values, 'previous')).toEqual([null, 10, 10, 10, 40, null]);
+    expect(interpolate(values, 'none')).toBe(values);
+  });
+
+  it('reads hourly zone series from the rollups and reports gaps', async () => {
+    const rollup = (hours, sum, count) => new ReadingRollup({
+      scope: SCOPE.ZONE,
+      farmId,
+      zone: 'North',
+      granularity: GRANULARITY.HOUR,
+      bucket: new Date(FROM.getTime() + hours * HOUR),
+      channels: { moistureLevel: { min: sum / count - 1, max: sum / count + 1, sum, count } }
+    });
+    jest.spyOn(ReadingRollup, 'getSeries').mockResolvedValue([rollup(0, 120, 3), rollup(3, 180, 4)]);
+
+    const result = await query({
+      zone,
+      from: FROM,
+      to: new Date(FROM.getTime() + 3.5 * HOUR),
+      bucket: '1h',
+      channels: ['moisture'],
+      aggregates: ['avg'],
+      interpolation: 'linear'
+    });
+
+    expect(result.source).toBe('rollup');
+    expect(result.timestamps).toHaveLength(4);
+    expect(result.series).toEqual([expect.objectContaining({
+      zone: 'North',
+      channel: 'moisture',
+      aggregate: 'avg',
+      values: [40, 41.67, 43.33, 45],
+      gaps: [{ from: new Date(FROM.getTime() + HOUR), to: new Date(FROM.getTime() + 3 * HOUR), buckets: 2 }]
+    })]);
+  });
+
+  it('aggregates the zone sensors raw readings for other buckets', async () => {
+    jest.spyOn(SensorReading, 'aggregate').mockResolvedValue([
+      { _id: { bucket: FROM.getTime() + 15 * 60 * 1000, series: 'zone' }, moisture_last: { t: FROM, v: 41 } }
+    ]);
+
+    const result = await query({
+      zone,
+      from: FROM,
+      to: new Date(FROM.getTime() + 30 * 60 * 1000),
+      bucket: '15m',
+      channels: ['moisture'],
+      aggregates: ['last']
+    });
+
+    const [match] = SensorReading.aggregate.mock.calls[0][0];
+    expect(match.$match.sensorId.$in.map(String)).toEqual(zone.sensors.map(sensor => sensor._id.toString()));
+    expect(result.source).toBe('raw');
+    expect(result.series[0].values).toEqual([null, 41, null]);
+  });
+});
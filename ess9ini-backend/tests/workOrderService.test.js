@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Sensor = require('../src/models/Sensor');
+const User = require('../src/models/User');
+const WorkOrder = require('../src/models/WorkOrder');
+const notificationService = require('../src/services/notificationService');
+const {
+  createWorkOrder,
+  startWorkOrder,
+  completeWorkOrder,
+  generateWorkOrders
+} = require('../src/services/workOrderService');
+const CONSTANTS = require('../src/config/constants');
+const { query } = require('./helpers/mongo');
+
+const { TYPES, SOURCES, STATUS } = CONSTANTS.WORK_ORDERS;
+
+describe('workOrderService', () => {
+  const farmId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  let sensor;
+
+  const buildUser = (role) => new User({
+    email: `${role}@example.com`,
+    password: 'secret123',
+    firstName: 'Sami',
+    lastName: 'Ben Ali',
+    role
+  });
+
+  beforeEach(() => {
+    sensor = new Sensor({ farmId, deviceId: 'SM-001', name: 'North probe' });
+
+    const resolveSelf = function() { return Promise.resolve(this); };
+    jest.spyOn(Sensor.prototype, 'save').mockImplementation(resolveSelf);
+    jest.spyOn(WorkOrder.prototype, 'save').mockImplementation(resolveSelf);
+    jest.spyOn(notificationService, 'sendSystemNotification').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('manual orders', () => {
+    it('assigns a new order to a technician and lets them know', async () => {
+      const technician = buildUser(CONSTANTS.USER_ROLES.TECHNICIAN);
+      jest.spyOn(User, 'findById').mockImplementation(() => query(technician));
+
+      const order = await createWorkOrder(sensor, { title: 'Replace cable', assignedTo: technician._id }, userId);
+
+      expect(order).toMatchObject({
+        type: TYPES.REPAIR,
+        source: SOURCES.MANUAL,
+        status: STATUS.OPEN,
+        assignedTo: technician._id,
+        createdBy: userId
+      });
+      expect(order.history.map(entry => entry.message)).toEqual(['Created', 'Assigned to Sami Ben Ali']);
+      expect(notificationService.sendSystemNotification).toHaveBeenCalledWith(
+        'New work order',
+        'Replace cable has been assigned to you',
+        [technician],
+        expect.objectContaining({ workOrderId: order._id })
+      );
+    });
+
+    it('only assigns orders to technicians', async () => {
+      jest.spyOn(User, 'findById').mockImplementation(() => query(buildUser(CONSTANTS.USER_ROLES.FARMER)));
+
+      await expect(createWorkOrder(sensor, { title: 'Replace cable', assignedTo: userId }, userId))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_TECHNICIAN' });
+      expect(WorkOrder.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('records a completed order in the sensor maintenance log', async () => {
+      jest.spyOn(Sensor, 'findById').mockImplementation(() => query(sensor));
+      const order = await createWorkOrder(sensor, { type: TYPES.DRIFT, title: 'Recalibrate' }, userId);
+
+      sensor.maintenance.lastMaintenance = new Date('2026-01-01T00:00:00Z');
+
+      await startWorkOrder(order, userId);
+      const completing = Date.now();
+      await completeWorkOrder(order, { notes: 'Two-point calibration', cost: 20 }, userId);
+
+      expect(order).toMatchObject({ status: STATUS.DONE, completedBy: userId, resolution: { notes: 'Two-point calibration', cost: 20 } });
+      expect(order.history.map(entry => entry.status)).toEqual([STATUS.OPEN, STATUS.IN_PROGRESS, STATUS.DONE]);
+      expect(sensor.maintenance.notes.at(-1)).toMatchObject({
+        type: 'calibration',
+        description: 'Recalibrate: Two-point calibration',
+        technician: userId,
+        cost: 20
+      });
+      expect(sensor.maintenance.lastMaintenance.getTime()).toBeGreaterThanOrEqual(completing);
+      expect(sensor.maintenance.lastMaintenance.getTime()).toBeLessThanOrEqual(order.completedAt.getTime());
+
+      await expect(completeWorkOrder(order, {}, userId)).rejects.toMatchObject({ code: 'WORK_ORDER_CLOSED' });
+      await expect(startWorkOrder(order, userId)).rejects.toMatchObject({ code: 'INVALID_STATUS' });
+    });
+  });
+
+  describe('generateWorkOrders', () => {
+    let offline;
+    let lowBattery;
+
+    beforeEach(() => {
+      offline = new Sensor({
+        farmId,
+        deviceId: 'SM-002',
+        name: 'South probe',
+        status: CONSTANTS.SENSOR_STATUS.OFFLINE,
+        connectivity: { offlineSince: new Date('2025-08-06T08:00:00Z') }
+      });
+      lowBattery = new Sensor({
+        farmId,
+        deviceId: 'SM-003',
+        name: 'East probe',
+        statistics: { lastReading: { batteryLevel: 8 } },
+        batteryForecast: { emptyAt: new Date('2025-08-10T00:00:00Z') }
+      });
+
+      jest.spyOn(Sensor, 'findNeedingMaintenance').mockImplementation(() => query([]));
+      jest.spyOn(Sensor, 'find').mockImplementation((filter) => {
+        if (filter.status === CONSTANTS.SENSOR_STATUS.OFFLINE) return query([offline]);
+        if (filter.$or) return query([lowBattery]);
+        return query([]);
+      });
+      jest.spyOn(WorkOrder, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    });
+
+    it('opens one order per sensor and condition', async () => {
+      // The offline sensor already has an order being worked on
+      jest.spyOn(WorkOrder, 'findOpen').mockImplementation(async (sensorId) => (
+        sensorId.equals(offline._id) ? new WorkOrder({ status: STATUS.IN_PROGRESS }) : null
+      ));
+
+      const result = await generateWorkOrders(new Date('2025-08-07T00:00:00Z'));
+
+      expect(result).toEqual({ created: 1, cancelled: 0 });
+      const [order] = WorkOrder.prototype.save.mock.contexts;
+      expect(order).toMatchObject({
+        sensorId: lowBattery._id,
+        type: TYPES.LOW_BATTERY,
+        source: SOURCES.AUTOMATIC,
+        priority: 'high',
+        title: 'Replace battery of East probe (SM-003)',
+        description: 'Battery at 8%, expected to run out on 2025-08-10'
+      });
+    });
+
+    it('cancels unstarted automatic orders whose condition cleared', async () => {
+      jest.spyOn(WorkOrder, 'findOpen').mockResolvedValue(null);
+      WorkOrder.updateMany.mockImplementation(async filter => ({ modifiedCount: filter.type === TYPES.DRIFT ? 2 : 0 }));
+
+      const result = await generateWorkOrders(new Date('2025-08-07T00:00:00Z'));
+
+      expect(result).toEqual({ created: 2, cancelled: 2 });
+      expect(WorkOrder.updateMany).toHaveBeenCalledWith(
+        { type: TYPES.OFFLINE, source: SOURCES.AUTOMATIC, status: STATUS.OPEN, sensorId: { $nin: [offline._id] } },
+        expect.objectContaining({ $set: { status: STATUS.CANCELLED } })
+      );
+    });
+  });
+});
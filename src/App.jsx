@@ -6,6 +6,7 @@ import ProtectedRoute from './components/auth/ProtectedRoute';
 import UserDashboard from './components/dashboard/UserDashboard';
 import MoistureGauge from './components/dashboard/MoistureGauge';
 import FarmMap from './components/dashboard/FarmMap';
+import CalibrationWizard from './components/dashboard/CalibrationWizard';
 import AboutUs from './components/AboutUs';
 import apiService from './services/api';
 import aiPredictor from './services/ai-predictor';
@@ -220,6 +221,10 @@ const Dashboard = () => {
     setCurrentPage('about');
   };
 
+  const handleCalibrateClick = () => {
+    setCurrentPage('calibration');
+  };
+
   const handleBackToDashboard = () => {
     setCurrentPage('dashboard');
   };
@@ -286,6 +291,16 @@ const Dashboard = () => {
     return <AboutUs onBackToDashboard={handleBackToDashboard} />;
   }
 
+  // Show guided sensor calibration
+  if (currentPage === 'calibration') {
+    return (
+      <CalibrationWizard
+        sensor={selectedSensor}
+        onBackToDashboard={handleBackToDashboard}
+      />
+    );
+  }
+
   // Show Dashboard (default)
   return (
     <div className="app">
@@ -448,6 +463,9 @@ const Dashboard = () => {
                 <button className="btn-secondary">
                   🔗 Connect Hardware
                 </button>
+                <button className="btn-secondary" onClick={handleCalibrateClick}>
+                  🎚️ Calibrate Sensor
+                </button>
                 <label className="simulation-toggle">
                   <input type="checkbox" defaultChecked />
                   <span>Simulation Mode</span>
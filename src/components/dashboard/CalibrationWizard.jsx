@@ -0,0 +1,324 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import apiService from '../../services/api';
+import './CalibrationWizard.css';
+
+const POLL_INTERVAL = 3000; // 3 seconds
+
+const STEPS = [
+  { key: 'select', label: 'Sensor' },
+  { key: 'dry', label: 'Probe in Air' },
+  { key: 'wet', label: 'Saturated Soil' },
+  { key: 'review', label: 'Review' },
+  { key: 'done', label: 'Done' },
+];
+
+const PHASE_INSTRUCTIONS = {
+  dry: {
+    title: '🌬️ Probe in Air / المسبار في الهواء',
+    text: 'Pull the probe out of the soil, wipe it clean and dry, and hold it in open air away from hands and metal.',
+  },
+  wet: {
+    title: '💧 Probe in Saturated Soil / المسبار في تربة مشبعة',
+    text: 'Insert the probe to its full depth in soil saturated with water until it no longer drains.',
+  },
+};
+
+const CalibrationWizard = ({ sensor: initialSensor, onBackToDashboard }) => {
+  const [sensors, setSensors] = useState([]);
+  const [sensorId, setSensorId] = useState(initialSensor?._id || '');
+  const [session, setSession] = useState(null);
+  const [step, setStep] = useState('select');
+  const [values, setValues] = useState({ dryValue: '', wetValue: '' });
+  const [notes, setNotes] = useState('');
+  const [recalculateSince, setRecalculateSince] = useState('');
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the farm sensors for the picker
+  useEffect(() => {
+    const loadSensors = async () => {
+      try {
+        const response = await apiService.getSensorData();
+        setSensors(response.data?.sensors || []);
+      } catch (err) {
+        console.log('Sensor list unavailable');
+      }
+    };
+
+    loadSensors();
+  }, []);
+
+  const refreshSession = useCallback(async () => {
+    try {
+      const response = await apiService.getCalibration(sensorId);
+      setSession(response.data.session);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [sensorId]);
+
+  // Poll the live sample analysis while a phase is being recorded
+  useEffect(() => {
+    if (step !== 'dry' && step !== 'wet') return undefined;
+
+    const timer = setInterval(refreshSession, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [step, refreshSession]);
+
+  const runAction = async (action) => {
+    try {
+      setBusy(true);
+      setError(null);
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startPhase = async (phase) => {
+    const response = await apiService.setCalibrationPhase(sensorId, phase);
+    setSession(response.data.session);
+    setStep(phase);
+  };
+
+  // Open a session (or resume the one already in progress) and start the dry phase
+  const handleStart = () => runAction(async () => {
+    try {
+      await apiService.startCalibration(sensorId);
+    } catch (err) {
+      // A session left open from another device is resumed
+      if (err.code !== 'CALIBRATION_IN_PROGRESS') throw err;
+    }
+    await startPhase('dry');
+  });
+
+  const handleNextPhase = () => runAction(() => startPhase('wet'));
+
+  const handleRestartPhase = () => runAction(() => startPhase(step));
+
+  const handleReview = () => {
+    setValues({
+      dryValue: session.proposal.dryValue ?? '',
+      wetValue: session.proposal.wetValue ?? '',
+    });
+    setStep('review');
+  };
+
+  const handleApply = () => runAction(async () => {
+    const response = await apiService.completeCalibration(sensorId, {
+      dryValue: Number(values.dryValue),
+      wetValue: Number(values.wetValue),
+      ...(notes && { notes }),
+      ...(recalculateSince && { recalculateSince: new Date(recalculateSince).toISOString() }),
+    });
+    setResult(response.data);
+    setStep('done');
+  });
+
+  const handleCancel = () => runAction(async () => {
+    if (session) {
+      await apiService.cancelCalibration(sensorId);
+    }
+    onBackToDashboard();
+  });
+
+  const renderSteps = () => (
+    <ol className="calibration-steps">
+      {STEPS.map((item, index) => {
+        const currentIndex = STEPS.findIndex(s => s.key === step);
+        const state = index < currentIndex ? 'complete' : index === currentIndex ? 'current' : '';
+        return (
+          <li key={item.key} className={`calibration-step ${state}`}>
+            <span className="step-number">{index + 1}</span>
+            <span className="step-label">{item.label}</span>
+          </li>
+        );
+      })}
+    </ol>
+  );
+
+  const renderPhase = (phase) => {
+    const analysis = session?.phases?.[phase]?.analysis || {};
+    const samples = session?.phases?.[phase]?.samples || [];
+
+    return (
+      <div className="calibration-panel">
+        <h3>{PHASE_INSTRUCTIONS[phase].title}</h3>
+        <p className="calibration-instructions">{PHASE_INSTRUCTIONS[phase].text}</p>
+
+        <div className="calibration-live">
+          <div className="live-stat">
+            <span className="stat-label">Samples</span>
+            <span className="stat-value">{analysis.sampleCount || 0}</span>
+          </div>
+          <div className="live-stat">
+            <span className="stat-label">Latest Raw Value</span>
+            <span className="stat-value">{samples.length ? samples[samples.length - 1].value : '—'}</span>
+          </div>
+          <div className="live-stat">
+            <span className="stat-label">Average</span>
+            <span className="stat-value">{analysis.mean ?? '—'}</span>
+          </div>
+          <div className="live-stat">
+            <span className="stat-label">Std. Deviation</span>
+            <span className="stat-value">{analysis.stdDev ?? '—'}</span>
+          </div>
+        </div>
+
+        <div className={`stability-badge ${analysis.stable ? 'stable' : 'settling'}`}>
+          {analysis.stable
+            ? `✅ Stable over ${analysis.stableCount} samples`
+            : analysis.sampleCount
+              ? '⏳ Waiting for readings to settle...'
+              : '📡 Waiting for the device to stream samples...'}
+        </div>
+
+        <div className="calibration-actions">
+          <button className="btn-secondary" onClick={handleRestartPhase} disabled={busy}>
+            🔄 Restart Phase
+          </button>
+          {phase === 'dry' ? (
+            <button className="btn-primary" onClick={handleNextPhase} disabled={busy || !analysis.stable}>
+              Next: Saturated Soil →
+            </button>
+          ) : (
+            <button className="btn-primary" onClick={handleReview} disabled={busy || !analysis.stable}>
+              Review Values →
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderSelect = () => (
+    <div className="calibration-panel">
+      <h3>🎚️ Choose a Sensor / اختر جهاز الاستشعار</h3>
+      <p className="calibration-instructions">
+        Make sure the device is powered and in calibration mode so it streams raw probe values.
+      </p>
+      <select
+        className="calibration-select"
+        value={sensorId}
+        onChange={(e) => setSensorId(e.target.value)}
+      >
+        <option value="">Select a sensor...</option>
+        {sensors.map(sensor => (
+          <option key={sensor._id} value={sensor._id}>
+            {sensor.name} ({sensor.deviceId})
+          </option>
+        ))}
+      </select>
+      <div className="calibration-actions">
+        <button className="btn-primary" onClick={handleStart} disabled={busy || !sensorId}>
+          Start Calibration →
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderReview = () => (
+    <div className="calibration-panel">
+      <h3>📋 Review Calibration / مراجعة المعايرة</h3>
+      <div className="calibration-compare">
+        <div>
+          <span className="stat-label">Previous</span>
+          <p>Dry: {session.previousCalibration?.dryValue ?? '—'} • Wet: {session.previousCalibration?.wetValue ?? '—'}</p>
+        </div>
+        <div>
+          <span className="stat-label">Proposed</span>
+          <p>Dry: {session.proposal.dryValue} • Wet: {session.proposal.wetValue}</p>
+        </div>
+      </div>
+
+      <div className="calibration-form">
+        <label>
+          Dry value (air)
+          <input
+            type="number"
+            value={values.dryValue}
+            onChange={(e) => setValues(prev => ({ ...prev, dryValue: e.target.value }))}
+          />
+        </label>
+        <label>
+          Wet value (saturated)
+          <input
+            type="number"
+            value={values.wetValue}
+            onChange={(e) => setValues(prev => ({ ...prev, wetValue: e.target.value }))}
+          />
+        </label>
+        <label>
+          Notes
+          <textarea
+            maxLength={200}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="e.g. Probe cleaned before calibration"
+          />
+        </label>
+        <label>
+          Recalculate stored readings since (optional)
+          <input
+            type="datetime-local"
+            value={recalculateSince}
+            onChange={(e) => setRecalculateSince(e.target.value)}
+          />
+        </label>
+      </div>
+
+      <div className="calibration-actions">
+        <button className="btn-secondary" onClick={() => setStep('wet')} disabled={busy}>
+          ← Back
+        </button>
+        <button className="btn-primary" onClick={handleApply} disabled={busy}>
+          ✅ Apply Calibration
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderDone = () => (
+    <div className="calibration-panel">
+      <h3>✅ Sensor Calibrated / تمت المعايرة</h3>
+      <p>
+        Dry: <strong>{result.session.result.dryValue}</strong> • Wet: <strong>{result.session.result.wetValue}</strong>
+      </p>
+      {result.recalibration && (
+        <p>{result.recalibration.readingsUpdated} stored readings were recalculated.</p>
+      )}
+      <div className="calibration-actions">
+        <button className="btn-primary" onClick={onBackToDashboard}>
+          Back to Dashboard
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="app calibration-wizard">
+      <header className="calibration-header">
+        <h2>Probe Calibration • معايرة المسبار</h2>
+        {step !== 'done' && (
+          <button className="calibration-cancel-btn" onClick={handleCancel} disabled={busy}>
+            ✖ Cancel
+          </button>
+        )}
+      </header>
+
+      {renderSteps()}
+
+      {error && <div className="calibration-error">{error}</div>}
+
+      {step === 'select' && renderSelect()}
+      {(step === 'dry' || step === 'wet') && renderPhase(step)}
+      {step === 'review' && renderReview()}
+      {step === 'done' && renderDone()}
+    </div>
+  );
+};
+
+export default CalibrationWizard;
@@ -42,7 +42,11 @@ class ApiService {
           throw new Error('Session expired. Please login again.');
         }
 
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        // Keep the backend error code so callers can react to specific errors
+        const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        error.code = data.code;
+        throw error;
       }
 
       return data;
@@ -77,6 +81,41 @@ class ApiService {
     });
   }
 
+  // Start a guided calibration session for a sensor
+  async startCalibration(sensorId) {
+    return this.fetchWithErrorHandling(`${this.baseURL}/sensors/${sensorId}/calibration`, {
+      method: 'POST',
+    });
+  }
+
+  // Get the active calibration session (with live sample analysis)
+  async getCalibration(sensorId) {
+    return this.fetchWithErrorHandling(`${this.baseURL}/sensors/${sensorId}/calibration`);
+  }
+
+  // Mark the calibration phase ('dry' = probe in air, 'wet' = probe in saturated soil)
+  async setCalibrationPhase(sensorId, phase) {
+    return this.fetchWithErrorHandling(`${this.baseURL}/sensors/${sensorId}/calibration/phase`, {
+      method: 'PUT',
+      body: JSON.stringify({ phase }),
+    });
+  }
+
+  // Apply the calibration result to the sensor
+  async completeCalibration(sensorId, result) {
+    return this.fetchWithErrorHandling(`${this.baseURL}/sensors/${sensorId}/calibration/complete`, {
+      method: 'POST',
+      body: JSON.stringify(result),
+    });
+  }
+
+  // Cancel the active calibration session
+  async cancelCalibration(sensorId) {
+    return this.fetchWithErrorHandling(`${this.baseURL}/sensors/${sensorId}/calibration`, {
+      method: 'DELETE',
+    });
+  }
+
   // Get weather data
   async getWeatherData(location) {
     return this.fetchWithErrorHandling(
@@ -138,6 +177,11 @@ export const {
   getSensorById,
   getSensorHistory,
   updateSensorConfig,
+  startCalibration,
+  getCalibration,
+  setCalibrationPhase,
+  completeCalibration,
+  cancelCalibration,
   getWeatherData,
   getIrrigationRecommendations,
   submitIrrigationAction,